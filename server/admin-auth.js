@@ -0,0 +1,301 @@
+import crypto from 'crypto';
+import { pool, recordAudit } from './db.js';
+import { setAuditActor } from './audit-context.js';
+
+// Admin accounts, signed session tokens and roles
+// The admin UI keeps sending the token in the `auth` header (as it did with
+// the shared password), so routes only need the requireAdmin() middleware.
+
+const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD;
+
+// Anyone holding the signing key can mint sessions for any user, so it must
+// be a real secret rather than something derived from the shared password
+const SESSION_SECRET = process.env.ADMIN_SESSION_SECRET;
+if (!SESSION_SECRET || SESSION_SECRET.length < 32) {
+  throw new Error('ADMIN_SESSION_SECRET must be set to a random string of at least 32 characters (e.g. `openssl rand -hex 32`)');
+}
+
+// Service tokens are only honoured by the process that issued them
+const SERVICE_NONCE = crypto.randomBytes(32).toString('hex');
+
+const SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+const SERVICE_TOKEN_TTL_MS = 5 * 60 * 1000;
+
+// Each role can do everything the roles before it can
+export const ADMIN_ROLES = ['editor', 'approver', 'owner'];
+
+let tableReady = null;
+
+export function ensureAdminUsersTable() {
+  if (!tableReady) {
+    tableReady = pool.query(`
+      CREATE TABLE IF NOT EXISTS admin_users (
+        id SERIAL PRIMARY KEY,
+        username TEXT NOT NULL UNIQUE,
+        password_hash TEXT NOT NULL,
+        role TEXT NOT NULL DEFAULT 'editor',
+        active BOOLEAN NOT NULL DEFAULT true,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_login_at TIMESTAMP
+      );
+    `).catch(error => {
+      tableReady = null;
+      throw error;
+    });
+  }
+  return tableReady;
+}
+
+// ============================================
+// PASSWORDS & TOKENS
+// ============================================
+
+export function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPassword(password, storedHash) {
+  const [scheme, salt, hash] = (storedHash || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function sign(data) {
+  return crypto.createHmac('sha256', SESSION_SECRET).update(data).digest('base64url');
+}
+
+function createToken(payload, ttlMs) {
+  const data = Buffer.from(JSON.stringify({ ...payload, exp: Date.now() + ttlMs })).toString('base64url');
+  return `${data}.${sign(data)}`;
+}
+
+function readToken(token) {
+  if (!token || typeof token !== 'string' || !token.includes('.')) return null;
+
+  const [data, signature] = token.split('.');
+  const expected = sign(data);
+  if (!signature || signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(Buffer.from(data, 'base64url').toString());
+    return payload.exp > Date.now() ? payload : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Short-lived owner token for the server calling its own admin endpoints
+ */
+export function createServiceToken() {
+  return createToken({ uid: null, service: SERVICE_NONCE }, SERVICE_TOKEN_TTL_MS);
+}
+
+export function hasRole(user, requiredRole) {
+  return !!user && ADMIN_ROLES.indexOf(user.role) >= ADMIN_ROLES.indexOf(requiredRole);
+}
+
+// ============================================
+// USERS
+// ============================================
+
+function formatUser(row) {
+  return {
+    id: row.id,
+    username: row.username,
+    role: row.role,
+    active: row.active,
+    createdAt: row.created_at,
+    lastLoginAt: row.last_login_at
+  };
+}
+
+async function countAdminUsers() {
+  await ensureAdminUsersTable();
+  const result = await pool.query('SELECT COUNT(*)::int AS count FROM admin_users');
+  return result.rows[0].count;
+}
+
+/**
+ * Check a username/password and return a session token
+ * Until the first admin user exists, the shared ADMIN_PASSWORD signs in as
+ * an owner so the first accounts can be created.
+ */
+export async function login(username, password) {
+  await ensureAdminUsersTable();
+
+  if (!password) return null;
+
+  if ((await countAdminUsers()) === 0) {
+    if (ADMIN_PASSWORD && password === ADMIN_PASSWORD) {
+      const user = { id: null, username: username || 'admin', role: 'owner' };
+      return { token: createToken({ uid: null, username: user.username, role: 'owner' }, SESSION_TTL_MS), user };
+    }
+    return null;
+  }
+
+  if (!username) return null;
+
+  const result = await pool.query(
+    'SELECT * FROM admin_users WHERE LOWER(username) = LOWER($1) AND active = true',
+    [username.trim()]
+  );
+  const row = result.rows[0];
+
+  if (!row || !verifyPassword(password, row.password_hash)) return null;
+
+  await pool.query('UPDATE admin_users SET last_login_at = NOW() WHERE id = $1', [row.id]);
+
+  return {
+    token: createToken({ uid: row.id, username: row.username, role: row.role }, SESSION_TTL_MS),
+    user: formatUser(row)
+  };
+}
+
+/**
+ * Resolve the `auth` header to an admin user, or null
+ * Roles are re-read from the database so role changes and deactivation apply
+ * immediately rather than when the token expires.
+ */
+export async function authenticate(authHeader) {
+  const payload = readToken(authHeader);
+  if (!payload) return null;
+
+  // Bootstrap and service tokens aren't tied to a stored user
+  if (payload.uid === null) {
+    if (payload.service !== undefined) {
+      return payload.service === SERVICE_NONCE ? { id: null, username: 'system', role: 'owner' } : null;
+    }
+    return (await countAdminUsers()) === 0 ? { id: null, username: payload.username, role: 'owner' } : null;
+  }
+
+  await ensureAdminUsersTable();
+  const result = await pool.query(
+    'SELECT * FROM admin_users WHERE id = $1 AND active = true',
+    [payload.uid]
+  );
+  return result.rows[0] ? formatUser(result.rows[0]) : null;
+}
+
+/**
+ * Express middleware: require a signed-in admin with at least the given role
+ * Sets req.adminUser for the route and audit logging.
+ */
+export function requireAdmin(requiredRole = 'editor') {
+  return async (req, res, next) => {
+    try {
+      const user = await authenticate(req.headers.auth);
+
+      if (!user) {
+        return res.status(401).json({ success: false, message: 'Unauthorized' });
+      }
+
+      if (!hasRole(user, requiredRole)) {
+        return res.status(403).json({ success: false, message: `Requires ${requiredRole} role` });
+      }
+
+      req.adminUser = user;
+      setAuditActor(user);
+      next();
+    } catch (error) {
+      console.error('❌ Admin auth error:', error.message);
+      res.status(500).json({ success: false, message: 'Authentication failed' });
+    }
+  };
+}
+
+export async function getAdminUsers() {
+  await ensureAdminUsersTable();
+  const result = await pool.query('SELECT * FROM admin_users ORDER BY created_at ASC');
+  return result.rows.map(formatUser);
+}
+
+export async function createAdminUser({ username, password, role = 'editor' }) {
+  await ensureAdminUsersTable();
+
+  const result = await pool.query(
+    `INSERT INTO admin_users (username, password_hash, role)
+     VALUES ($1, $2, $3)
+     RETURNING *`,
+    [username.trim(), hashPassword(password), role]
+  );
+  return formatUser(result.rows[0]);
+}
+
+/**
+ * Update a user's password, role or active flag
+ * Returns { user } or { error, status }; refuses to demote or deactivate the
+ * last active owner, which would leave nobody able to manage users.
+ */
+export async function updateAdminUser(id, { password, role, active }) {
+  await ensureAdminUsersTable();
+
+  const setClauses = [];
+  const values = [];
+  let paramCount = 1;
+
+  if (password) {
+    setClauses.push(`password_hash = $${paramCount++}`);
+    values.push(hashPassword(password));
+  }
+  if (role !== undefined) {
+    setClauses.push(`role = $${paramCount++}`);
+    values.push(role);
+  }
+  if (active !== undefined) {
+    setClauses.push(`active = $${paramCount++}`);
+    values.push(active);
+  }
+
+  if (setClauses.length === 0) return { error: 'Nothing to update', status: 400 };
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    // Lock the active owners so two owners can't demote each other at once
+    const owners = await client.query(
+      "SELECT id FROM admin_users WHERE role = 'owner' AND active = true ORDER BY id FOR UPDATE"
+    );
+    const removesOwner = (role !== undefined && role !== 'owner') || active === false;
+    if (removesOwner && owners.rows.length === 1 && owners.rows[0].id === id) {
+      await client.query('ROLLBACK');
+      return { error: 'This is the last active owner - make someone else an owner first', status: 409 };
+    }
+
+    values.push(id);
+    const result = await client.query(
+      `UPDATE admin_users SET ${setClauses.join(', ')} WHERE id = $${paramCount} RETURNING *`,
+      values
+    );
+    await client.query('COMMIT');
+
+    return result.rows[0] ? { user: formatUser(result.rows[0]) } : { error: 'User not found', status: 404 };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// ============================================
+// AUDIT TRAIL
+// ============================================
+
+/**
+ * Record an admin decision (approve, reject...) in the audit log
+ * Field-level changes are recorded by db.js itself; this is for actions that
+ * aren't a single row edit.
+ */
+export async function logAdminAction(user, action, { entityType = null, entityId = null, details = null } = {}) {
+  await recordAudit({ actor: user, action, entityType, entityId, details });
+}
@@ -0,0 +1,35 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+// Per-request context for the audit log
+// db.js mutations read the acting admin and route from here, so route handlers
+// don't have to pass them through every helper. Work outside a request
+// (nightly checks, job queue, email webhooks) is recorded as 'system'.
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Express middleware: open an audit context for the request
+ * requireAdmin() fills in the actor once the session is verified.
+ */
+export function auditContextMiddleware(req, res, next) {
+  storage.run({ actor: null, route: `${req.method} ${req.path}` }, () => next());
+}
+
+export function setAuditActor(user) {
+  const context = storage.getStore();
+  if (context) {
+    context.actor = user;
+  }
+}
+
+export function getAuditContext() {
+  return storage.getStore() || { actor: null, route: null };
+}
+
+/**
+ * Run background work under its own context so it isn't attributed to
+ * whichever request happened to start it
+ */
+export function runWithAuditContext(context, fn) {
+  return storage.run({ actor: null, route: null, ...context }, fn);
+}
@@ -0,0 +1,141 @@
+// Bulk URL import for picks: URL parsing and the batch scrape queue
+
+import { cleanProductUrl } from './scrapers/retailers/index.js';
+
+// Scrapes running at once across all shops (Playwright fallbacks are heavy)
+const BATCH_CONCURRENCY = parseInt(process.env.BATCH_SCRAPE_CONCURRENCY || '2', 10) || 2;
+
+// Minimum gap between two requests to the same shop; one request per shop at a time
+const DOMAIN_INTERVAL_MS = parseInt(process.env.BATCH_SCRAPE_DOMAIN_INTERVAL_MS || '3000', 10) || 3000;
+
+export const MAX_BATCH_URLS = 100;
+
+function domainOf(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch (e) {
+    return url;
+  }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Product URLs from a list, a pasted block of text or CSV
+ * Anything that isn't an http(s) URL is ignored; duplicates (after tracking
+ * params are stripped) are dropped. Returns { urls, duplicates }.
+ */
+export function parseProductUrls(input) {
+  const text = Array.isArray(input) ? input.join('\n') : String(input || '');
+  const matches = text.match(/https?:\/\/[^\s,;"'<>|]+/gi) || [];
+
+  const seen = new Set();
+  const urls = [];
+  let duplicates = 0;
+
+  for (const match of matches) {
+    // Trailing punctuation from prose or markdown isn't part of the URL
+    const url = match.replace(/[.)\]]+$/, '');
+    const key = cleanProductUrl(url);
+    if (seen.has(key)) {
+      duplicates++;
+      continue;
+    }
+    seen.add(key);
+    urls.push(url);
+  }
+
+  return { urls, duplicates };
+}
+
+/**
+ * Scrape a list of URLs with bounded concurrency and per-shop rate limits
+ * Each shop gets one request at a time, at least DOMAIN_INTERVAL_MS apart, so
+ * a batch from one store runs sequentially while other stores fill the slots.
+ * A BLOCKING failure skips the rest of that shop's URLs.
+ *
+ * onEvent(type, data) is called with 'scraping', 'success', 'error' and 'skip'
+ * for each URL (data.index is its position in urls). Resolves when all are done.
+ */
+export async function runBatchScrape(urls, { scrape, onEvent = () => {}, concurrency = BATCH_CONCURRENCY, domainIntervalMs = DOMAIN_INTERVAL_MS }) {
+  const pending = urls.map((url, index) => ({ url, index, domain: domainOf(url) }));
+  const busyDomains = new Set();
+  const blockedDomains = new Set();
+  const domainReadyAt = new Map();
+  let finished = 0;
+
+  const progress = () => ({ current: finished, total: urls.length });
+
+  const takeNext = async () => {
+    while (pending.length > 0) {
+      const now = Date.now();
+      const position = pending.findIndex(item =>
+        blockedDomains.has(item.domain) ||
+        (!busyDomains.has(item.domain) && (domainReadyAt.get(item.domain) || 0) <= now)
+      );
+
+      if (position >= 0) {
+        const item = pending.splice(position, 1)[0];
+        // Claimed here, before any await, so two workers can't take the same shop
+        if (!blockedDomains.has(item.domain)) busyDomains.add(item.domain);
+        return item;
+      }
+
+      // Every remaining shop is busy or cooling down - wait for the soonest
+      const waits = pending
+        .filter(item => !busyDomains.has(item.domain))
+        .map(item => domainReadyAt.get(item.domain) - now);
+      await sleep(waits.length > 0 ? Math.max(Math.min(...waits), 50) : 250);
+    }
+    return null;
+  };
+
+  const worker = async () => {
+    for (let item = await takeNext(); item; item = await takeNext()) {
+      const { url, index, domain } = item;
+
+      if (blockedDomains.has(domain)) {
+        finished++;
+        onEvent('skip', { index, url, error: `Skipped - ${domain} blocked an earlier URL`, progress: progress() });
+        continue;
+      }
+
+      onEvent('scraping', { index, url, progress: progress() });
+
+      let result;
+      try {
+        result = await scrape(url);
+      } catch (error) {
+        result = { success: false, error: error.message, errorType: error.errorType || 'UNKNOWN' };
+      }
+
+      busyDomains.delete(domain);
+      domainReadyAt.set(domain, Date.now() + domainIntervalMs);
+      finished++;
+
+      if (result.success) {
+        onEvent('success', {
+          index,
+          url,
+          product: result.product,
+          extractionMethod: result.meta?.extractionMethod,
+          confidence: result.meta?.confidence,
+          progress: progress()
+        });
+      } else {
+        if (result.errorType === 'BLOCKING') {
+          blockedDomains.add(domain);
+        }
+        onEvent('error', {
+          index,
+          url,
+          error: result.error || 'Could not extract product data',
+          errorType: result.errorType || 'UNKNOWN',
+          progress: progress()
+        });
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, urls.length) }, worker));
+}
@@ -1,117 +1,14 @@
 import express from 'express';
-
-// Helper function to convert S/M/L or European sizes to US numeric equivalents
-function convertSizeToUS(sizeString) {
-  if (!sizeString || sizeString === '""' || sizeString.trim() === '') {
-    return '';
-  }
-
-  // Letter size mapping (S/M/L/XL)
-  const letterSizeMap = {
-    'S': 6,
-    'M': 8,
-    'L': 10,
-    'XL': 14,
-    'XXL': 18,
-    '1X': 14,
-    '2X': 18,
-    '3X': 22
-  };
-
-  // European to US size conversion (women's)
-  const euToUSMap = {
-    32: 0, 34: 0, 36: 2, 38: 4, 40: 6, 
-    42: 8, 44: 10, 46: 12, 48: 14, 50: 16, 
-    52: 18, 54: 20
-  };
-
-  // Try to extract European numeric size (e.g., "44", "Up to 44", "EU 44")
-  const euMatch = sizeString.match(/(\d{2})/);
-  if (euMatch) {
-    const euSize = parseInt(euMatch[1]);
-    if (euToUSMap[euSize]) {
-      return `Up to ${euToUSMap[euSize]}`;
-    }
-  }
-
-  // Try to extract letter size (e.g., "L", "Up to L", "XL")
-  const letterMatch = sizeString.match(/(XXL|XL|L|M|S|1X|2X|3X)/i);
-  if (letterMatch) {
-    const size = letterMatch[1].toUpperCase();
-    if (letterSizeMap[size]) {
-      return `Up to ${letterSizeMap[size]}`;
-    }
-  }
-
-  // If already in US numeric format (e.g., "10", "14"), ensure "Up to" prefix
-  const usMatch = sizeString.match(/^(?:Up to )?(\d{1,2})$/i);
-  if (usMatch) {
-    return `Up to ${usMatch[1]}`;
-  }
-
-  // If no match found, return empty string
-  return '';
-}
-
-// Helper to parse size strings from product data
-function parseSizeValue(sizeStr) {
-  if (!sizeStr) return null;
-
-  const cleaned = String(sizeStr).trim().toUpperCase();
-
-  // Numeric sizes (0-40)
-  const numMatch = cleaned.match(/^(\d{1,2})W?$/);
-  if (numMatch) {
-    const num = parseInt(numMatch[1]);
-    if (num >= 0 && num <= 40) return { type: 'numeric', value: num };
-  }
-
-  // Letter sizes
-  const letterSizes = {
-    'XXS': 0, 'XS': 2, 'S': 6, 'M': 8, 'L': 10, 
-    'XL': 14, 'XXL': 18, 'XXXL': 22, '4XL': 26, '5XL': 30
-  };
-  if (letterSizes[cleaned]) {
-    return { type: 'letter', value: letterSizes[cleaned] };
-  }
-
-  // Plus sizes (1X-6X)
-  const plusMatch = cleaned.match(/^(\d)X$/);
-  if (plusMatch) {
-    const multiplier = parseInt(plusMatch[1]);
-    return { type: 'plus', value: 14 + (multiplier - 1) * 4 };
-  }
-
-  return null;
-}
-
-// Helper to find max size from array of size objects
-function findMaxSize(sizes) {
-  if (!sizes || sizes.length === 0) return null;
-
-  const parsed = sizes
-    .map(s => parseSizeValue(s))
-    .filter(s => s !== null);
-
-  if (parsed.length === 0) return null;
-
-  const maxSize = Math.max(...parsed.map(s => s.value));
-  return maxSize;
-}
+import { convertSizeToUS, findMaxSize } from './scrapers/sizes.js';
 
 // Create brand research router
-function createBrandResearchRouter({ openai, anthropic, adminPassword, serperApiKey }) {
+function createBrandResearchRouter({ openai, anthropic, requireAuth, serperApiKey }) {
   const router = express.Router();
 
   // Brand research endpoint - uses Google Shopping API + web search
-  router.post('/', async (req, res) => {
-    const { auth } = req.headers;
+  router.post('/', requireAuth, async (req, res) => {
     const { brandName } = req.body;
 
-    if (auth !== adminPassword) {
-      return res.status(401).json({ success: false, message: 'Unauthorized' });
-    }
-
     if (!brandName || typeof brandName !== 'string') {
       return res.status(400).json({ success: false, error: 'Brand name is required' });
     }
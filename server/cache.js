@@ -0,0 +1,185 @@
+import crypto from 'crypto';
+
+// Named in-process caches with tag invalidation and stale-while-revalidate
+// Each key is defined once with its loader and the tags it depends on. db.js
+// invalidates tags after every write, so routes don't have to remember to
+// clear anything. Readers get the last value immediately while a refresh runs
+// in the background; only a cold (never loaded) or very old entry is awaited.
+
+const DEFAULT_TTL_MS = 5 * 60 * 1000;
+const DEFAULT_STALE_MS = 60 * 60 * 1000;
+
+// Coalesces bursts of writes (e.g. the nightly check updating every pick)
+const REFRESH_DELAY_MS = 250;
+
+const entries = new Map();
+
+function hash(value) {
+  return crypto.createHash('sha1').update(value).digest('base64url').slice(0, 20);
+}
+
+function getEntry(key) {
+  const entry = entries.get(key);
+  if (!entry) {
+    throw new Error(`Unknown cache key "${key}"`);
+  }
+  return entry;
+}
+
+/**
+ * Register a cache key
+ * `ttlMs` is how long a value is fresh; after that (or after invalidation) it
+ * is still served for up to `staleMs` while a background refresh runs.
+ */
+export function defineCache(key, load, { ttlMs = DEFAULT_TTL_MS, staleMs = DEFAULT_STALE_MS, tags = [] } = {}) {
+  entries.set(key, {
+    key,
+    load,
+    ttlMs,
+    staleMs,
+    tags: new Set(tags),
+    value: undefined,
+    etag: null,
+    loadedAt: 0,
+    version: 0,
+    invalidated: false,
+    loading: null,
+    refreshTimer: null
+  });
+}
+
+function loadEntry(entry) {
+  if (entry.loading) return entry.loading;
+
+  const version = entry.version;
+  const startedAt = Date.now();
+
+  entry.loading = (async () => {
+    try {
+      const value = await entry.load();
+      entry.value = value;
+      entry.etag = hash(JSON.stringify(value) ?? '');
+      entry.loadedAt = startedAt;
+
+      // A write landed while we were loading - this value may already be old
+      if (entry.version === version) {
+        entry.invalidated = false;
+      } else {
+        scheduleRefresh(entry);
+      }
+      return value;
+    } finally {
+      entry.loading = null;
+    }
+  })();
+
+  return entry.loading;
+}
+
+function scheduleRefresh(entry) {
+  if (entry.refreshTimer) return;
+
+  entry.refreshTimer = setTimeout(() => {
+    entry.refreshTimer = null;
+    loadEntry(entry).catch(error => {
+      console.warn(`⚠️ Cache refresh failed for ${entry.key}, serving stale data:`, error.message);
+    });
+  }, REFRESH_DELAY_MS);
+  entry.refreshTimer.unref?.();
+}
+
+/**
+ * Read a cached value, loading it if needed
+ * Returns { value, etag } where etag changes whenever the value does.
+ */
+export async function getCached(key) {
+  const entry = getEntry(key);
+  const age = Date.now() - entry.loadedAt;
+
+  if (entry.etag === null || age > entry.ttlMs + entry.staleMs) {
+    await loadEntry(entry);
+  } else if (entry.invalidated || age > entry.ttlMs) {
+    scheduleRefresh(entry);
+  }
+
+  return { value: entry.value, etag: entry.etag };
+}
+
+/**
+ * Current value for synchronous callers (null if never loaded)
+ * Never waits, but starts a load or refresh if the value is missing or stale.
+ */
+export function peekCached(key) {
+  const entry = getEntry(key);
+
+  if (entry.etag === null) {
+    loadEntry(entry).catch(error => {
+      console.warn(`⚠️ Cache load failed for ${entry.key}:`, error.message);
+    });
+  } else if (entry.invalidated || Date.now() - entry.loadedAt > entry.ttlMs) {
+    scheduleRefresh(entry);
+  }
+
+  return entry.value ?? null;
+}
+
+function invalidateEntry(entry) {
+  entry.version++;
+  entry.invalidated = true;
+
+  // Nothing to refresh until someone has asked for it
+  if (entry.etag !== null) {
+    scheduleRefresh(entry);
+  }
+}
+
+export function invalidateKey(key) {
+  invalidateEntry(getEntry(key));
+}
+
+export function invalidateTags(...tags) {
+  for (const entry of entries.values()) {
+    if (tags.some(tag => entry.tags.has(tag))) {
+      invalidateEntry(entry);
+    }
+  }
+}
+
+/**
+ * Load every defined key in the background so the first reader isn't cold
+ */
+export function warmCaches() {
+  for (const entry of entries.values()) {
+    loadEntry(entry).catch(error => {
+      console.warn(`⚠️ Cache warm-up failed for ${entry.key}:`, error.message);
+    });
+  }
+}
+
+// ============================================
+// HTTP
+// ============================================
+
+/**
+ * ETag for one variant of a cached value (e.g. a filtered /sales query)
+ */
+export function variantEtag(etag, variant) {
+  return variant ? `${etag}-${hash(variant)}` : etag;
+}
+
+/**
+ * Send JSON with a weak ETag, answering 304 when the client's copy is current
+ * `buildBody` is only called on a miss, so unchanged responses skip the work.
+ */
+export function sendWithEtag(req, res, etag, buildBody) {
+  const tag = `W/"${etag}"`;
+  res.setHeader('ETag', tag);
+  res.setHeader('Cache-Control', 'no-cache');
+
+  const ifNoneMatch = req.headers['if-none-match'];
+  if (ifNoneMatch && (ifNoneMatch.trim() === '*' || ifNoneMatch.split(',').some(value => value.trim() === tag))) {
+    return res.status(304).end();
+  }
+
+  res.json(buildBody());
+}
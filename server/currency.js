@@ -0,0 +1,181 @@
+// Currency codes, USD conversion and price formatting
+// Picks keep their prices in USD (sale_price / original_price) so sorting,
+// filters and the digest compare like with like. A pick scraped from a shop
+// pricing in another currency also keeps the shop's own prices:
+// currency, local_sale_price and local_original_price.
+//
+// Rates are USD per unit of each currency, read from currency-rates.json
+// (or CURRENCY_RATES_FILE) at startup - edit the file and restart to change them.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const RATES_FILE = process.env.CURRENCY_RATES_FILE || path.join(__dirname, 'currency-rates.json');
+
+// Symbols as they appear next to prices, longest first so "HK$" isn't read as "$"
+const SYMBOL_CURRENCIES = [
+  ['US$', 'USD'],
+  ['CA$', 'CAD'],
+  ['AU$', 'AUD'],
+  ['HK$', 'HKD'],
+  ['C$', 'CAD'],
+  ['A$', 'AUD'],
+  ['CHF', 'CHF'],
+  ['£', 'GBP'],
+  ['€', 'EUR'],
+  ['¥', 'JPY'],
+  ['$', 'USD']
+];
+
+// Local prices more than this far from the USD price (after conversion) were edited by hand
+const LOCAL_PRICE_TOLERANCE_PERCENT = 2;
+
+let usdRates = null;
+
+function loadRates() {
+  if (usdRates) return usdRates;
+
+  usdRates = {};
+  try {
+    const { usdPer = {} } = JSON.parse(fs.readFileSync(RATES_FILE, 'utf-8'));
+    for (const [code, rate] of Object.entries(usdPer)) {
+      if (typeof rate === 'number' && rate > 0) {
+        usdRates[code.toUpperCase()] = rate;
+      }
+    }
+  } catch (error) {
+    console.warn(`⚠️  Could not read currency rates from ${RATES_FILE}: ${error.message}`);
+  }
+  return usdRates;
+}
+
+/**
+ * ISO 4217 code for a currency value ("gbp", "£", "GBP"), or null
+ */
+export function normalizeCurrency(value) {
+  if (!value || typeof value !== 'string') return null;
+
+  const trimmed = value.trim();
+  if (/^[a-z]{3}$/i.test(trimmed)) return trimmed.toUpperCase();
+
+  return SYMBOL_CURRENCIES.find(([symbol]) => symbol === trimmed)?.[1] || null;
+}
+
+/**
+ * Currency of the first symbol written next to an amount ("£300", "300 €"), or null
+ */
+export function currencyFromPriceText(text) {
+  if (!text) return null;
+
+  for (const [symbol, code] of SYMBOL_CURRENCIES) {
+    const escaped = symbol.replace(/\$/g, '\\$');
+    if (new RegExp(`${escaped}\\s?\\d|\\d\\s?${escaped}`).test(text)) {
+      return code;
+    }
+  }
+  return null;
+}
+
+/**
+ * USD value of one unit of a currency, or null when the rate table doesn't have it
+ */
+export function getUsdRate(currency) {
+  const code = normalizeCurrency(currency);
+  if (!code) return null;
+  if (code === 'USD') return 1;
+  return loadRates()[code] ?? null;
+}
+
+export function convertToUSD(amount, currency) {
+  const value = parseFloat(amount);
+  const rate = getUsdRate(currency);
+  if (isNaN(value) || !rate) return null;
+  return Math.round(value * rate * 100) / 100;
+}
+
+/**
+ * Convert a scraped product's prices to USD, keeping the shop's prices alongside
+ * Products without a detected currency are taken to be in USD. When the rate
+ * table has no entry for the currency the prices can't be trusted, so they are
+ * left as scraped and the confidence is capped below the freshness threshold.
+ */
+export function convertProductPrices(product, logger = console) {
+  const currency = normalizeCurrency(product.currency) || 'USD';
+  if (currency === 'USD') {
+    return { ...product, currency };
+  }
+
+  const rate = getUsdRate(currency);
+  if (!rate) {
+    logger.warn(`⚠️  [Currency] No USD rate for ${currency} - prices left unconverted`);
+    return { ...product, currency, confidence: Math.min(product.confidence ?? 40, 40) };
+  }
+
+  const salePrice = convertToUSD(product.salePrice, currency);
+  const originalPrice = product.originalPrice ? convertToUSD(product.originalPrice, currency) : null;
+  logger.log(`💱 [Currency] ${formatMoney(product.salePrice, currency)} → ${formatMoney(salePrice)}`);
+
+  return {
+    ...product,
+    currency,
+    localSalePrice: product.salePrice,
+    localOriginalPrice: product.originalPrice ?? null,
+    salePrice,
+    originalPrice
+  };
+}
+
+/**
+ * The currency fields to store for a pick being saved
+ * Local prices are dropped when they no longer match the USD prices, i.e.
+ * the prices were corrected by hand after scraping.
+ */
+export function pickCurrencyFields(pick) {
+  const currency = normalizeCurrency(pick.currency) || 'USD';
+  const usdOnly = { currency: 'USD', localSalePrice: null, localOriginalPrice: null };
+  if (currency === 'USD' || !pick.localSalePrice || !pick.salePrice) {
+    return usdOnly;
+  }
+
+  const expected = convertToUSD(pick.localSalePrice, currency);
+  if (!expected || Math.abs(expected - pick.salePrice) / pick.salePrice * 100 > LOCAL_PRICE_TOLERANCE_PERCENT) {
+    return usdOnly;
+  }
+
+  return {
+    currency,
+    localSalePrice: pick.localSalePrice,
+    localOriginalPrice: pick.localOriginalPrice || null
+  };
+}
+
+export function formatMoney(amount, currency = 'USD') {
+  const value = parseFloat(amount);
+  if (isNaN(value)) return '';
+  try {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency,
+      minimumFractionDigits: Number.isInteger(value) ? 0 : 2,
+      maximumFractionDigits: 2
+    }).format(value);
+  } catch (e) {
+    return `${value} ${currency}`;
+  }
+}
+
+/**
+ * "£300 vs. £400" from a pick's shop prices, or '' for USD picks
+ */
+export function formatLocalPrices({ currency, localSalePrice, localOriginalPrice }) {
+  if (!currency || currency === 'USD' || !localSalePrice) return '';
+
+  const sale = formatMoney(localSalePrice, currency);
+  return localOriginalPrice && parseFloat(localOriginalPrice) > parseFloat(localSalePrice)
+    ? `${sale} vs. ${formatMoney(localOriginalPrice, currency)}`
+    : sale;
+}
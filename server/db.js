@@ -1,10 +1,30 @@
 import pg from 'pg';
+import { getAuditContext } from './audit-context.js';
+import { invalidateTags } from './cache.js';
 const { Pool } = pg;
 
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
 });
 
+/**
+ * Run fn(client) inside a transaction, rolling back if it throws
+ */
+export async function withTransaction(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
 // ============================================
 // COMPANIES (Brands/Shops)
 // ============================================
@@ -71,48 +91,36 @@ export async function createCompany(data) {
     data.urls || [],
     data.priority || 'Normal'
   ]);
+  await recordAudit({ action: 'create', entityType: 'company', entityId: result.rows[0].id, after: result.rows[0] });
   return result.rows[0];
 }
 
-export async function updateCompany(id, data) {
-  const setClauses = [];
-  const values = [];
-  let paramCount = 1;
+const COMPANY_FIELD_MAP = {
+  name: 'name',
+  type: 'type',
+  priceRange: 'price_range',
+  category: 'category',
+  values: 'values',
+  maxWomensSize: 'max_womens_size',
+  description: 'description',
+  website: 'website',
+  shopmyUrl: 'shopmy_url',
+  urls: 'urls',
+  priority: 'priority'
+};
 
-  const fieldMap = {
-    name: 'name',
-    type: 'type',
-    priceRange: 'price_range',
-    category: 'category',
-    values: 'values',
-    maxWomensSize: 'max_womens_size',
-    description: 'description',
-    website: 'website',
-    shopmyUrl: 'shopmy_url',
-    urls: 'urls',
-    priority: 'priority'
-  };
+export async function updateCompany(id, data) {
+  return updateAuditedRow('companies', id, data);
+}
 
-  for (const [key, column] of Object.entries(fieldMap)) {
-    if (data[key] !== undefined) {
-      setClauses.push(`${column} = $${paramCount}`);
-      values.push(data[key]);
-      paramCount++;
-    }
+export async function deleteCompany(id) {
+  const result = await pool.query(
+    'DELETE FROM companies WHERE id = $1 RETURNING *',
+    [id]
+  );
+  if (result.rows[0]) {
+    await recordAudit({ action: 'delete', entityType: 'company', entityId: id, before: result.rows[0] });
   }
-
-  if (setClauses.length === 0) return null;
-
-  setClauses.push(`updated_at = CURRENT_TIMESTAMP`);
-  values.push(id);
-
-  const result = await pool.query(`
-    UPDATE companies 
-    SET ${setClauses.join(', ')}
-    WHERE id = $${paramCount}
-    RETURNING *
-  `, values);
-  
   return result.rows[0] || null;
 }
 
@@ -165,13 +173,30 @@ export async function getSaleByAirtableId(airtableId) {
   return result.rows[0] || null;
 }
 
+let saleOfferColumnsReady = null;
+
+// Offers beyond the headline discount (see sale-offers.js), on pending and live sales
+export function ensureSaleOfferColumns() {
+  if (!saleOfferColumnsReady) {
+    saleOfferColumnsReady = pool.query(`
+      ALTER TABLE sales ADD COLUMN IF NOT EXISTS offers JSONB;
+      ALTER TABLE pending_sales ADD COLUMN IF NOT EXISTS offers JSONB;
+    `).catch(error => {
+      saleOfferColumnsReady = null;
+      throw error;
+    });
+  }
+  return saleOfferColumnsReady;
+}
+
 export async function createSale(data) {
+  await ensureSaleOfferColumns();
   const result = await pool.query(`
     INSERT INTO sales (
       airtable_id, company_id, original_company_name, sale_name,
       percent_off, promo_code, start_date, end_date, sale_url, clean_url,
-      live, featured, featured_asset_url, featured_asset_date, original_created_at
-    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+      live, featured, featured_asset_url, featured_asset_date, original_created_at, description, offers
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
     RETURNING *
   `, [
     data.airtableId || null,
@@ -188,53 +213,34 @@ export async function createSale(data) {
     data.featured || 'NO',
     data.featuredAssetUrl || null,
     data.featuredAssetDate || null,
-    data.originalCreatedAt || new Date()
+    data.originalCreatedAt || new Date(),
+    data.description || null,
+    data.offers?.length ? JSON.stringify(data.offers) : null
   ]);
+  await recordAudit({ action: 'create', entityType: 'sale', entityId: result.rows[0].id, after: result.rows[0] });
   return result.rows[0];
 }
 
-export async function updateSale(id, data) {
-  const setClauses = [];
-  const values = [];
-  let paramCount = 1;
-
-  const fieldMap = {
-    companyId: 'company_id',
-    originalCompanyName: 'original_company_name',
-    saleName: 'sale_name',
-    percentOff: 'percent_off',
-    promoCode: 'promo_code',
-    startDate: 'start_date',
-    endDate: 'end_date',
-    saleUrl: 'sale_url',
-    cleanUrl: 'clean_url',
-    live: 'live',
-    featured: 'featured',
-    featuredAssetUrl: 'featured_asset_url',
-    featuredAssetDate: 'featured_asset_date'
-  };
-
-  for (const [key, column] of Object.entries(fieldMap)) {
-    if (data[key] !== undefined) {
-      setClauses.push(`${column} = $${paramCount}`);
-      values.push(data[key]);
-      paramCount++;
-    }
-  }
-
-  if (setClauses.length === 0) return null;
+const SALE_FIELD_MAP = {
+  companyId: 'company_id',
+  originalCompanyName: 'original_company_name',
+  saleName: 'sale_name',
+  percentOff: 'percent_off',
+  promoCode: 'promo_code',
+  startDate: 'start_date',
+  endDate: 'end_date',
+  saleUrl: 'sale_url',
+  cleanUrl: 'clean_url',
+  live: 'live',
+  featured: 'featured',
+  featuredAssetUrl: 'featured_asset_url',
+  featuredAssetDate: 'featured_asset_date',
+  extraDiscount: 'extra_discount',
+  imageUrl: 'image_url'
+};
 
-  setClauses.push(`updated_at = CURRENT_TIMESTAMP`);
-  values.push(id);
-
-  const result = await pool.query(`
-    UPDATE sales 
-    SET ${setClauses.join(', ')}
-    WHERE id = $${paramCount}
-    RETURNING *
-  `, values);
-  
-  return result.rows[0] || null;
+export async function updateSale(id, data) {
+  return updateAuditedRow('sales', id, data);
 }
 
 export async function getSalesWithPickCounts() {
@@ -251,6 +257,113 @@ export async function getSalesWithPickCounts() {
   return result.rows;
 }
 
+// ============================================
+// SALE SCHEDULE (automatic go-live / expiry)
+// ============================================
+
+let saleScheduleTableReady = null;
+
+export function ensureSaleScheduleLogTable() {
+  if (!saleScheduleTableReady) {
+    saleScheduleTableReady = pool.query(`
+      CREATE TABLE IF NOT EXISTS sale_schedule_log (
+        id SERIAL PRIMARY KEY,
+        sale_id INTEGER NOT NULL REFERENCES sales(id) ON DELETE CASCADE,
+        action TEXT NOT NULL,
+        previous_live TEXT,
+        new_live TEXT,
+        start_date DATE,
+        end_date DATE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE INDEX IF NOT EXISTS sale_schedule_log_sale_id_idx
+        ON sale_schedule_log (sale_id);
+    `).catch(error => {
+      saleScheduleTableReady = null;
+      throw error;
+    });
+  }
+  return saleScheduleTableReady;
+}
+
+/**
+ * Flip future-dated sales live once their start date arrives
+ * Only sales that were created before their start date and have never been
+ * touched by the scheduler are activated, so manually deactivated sales stay off.
+ */
+export async function activateScheduledSales(today, graceDays = 0) {
+  await ensureSaleScheduleLogTable();
+
+  const result = await pool.query(`
+    UPDATE sales s
+    SET live = 'YES', updated_at = CURRENT_TIMESTAMP
+    WHERE s.live = 'NO'
+      AND s.start_date IS NOT NULL
+      AND s.start_date::date <= $1::date
+      AND (s.end_date IS NULL OR s.end_date::date + $2::int >= $1::date)
+      AND s.start_date::date > COALESCE(s.original_created_at, s.created_at)::date
+      AND NOT EXISTS (SELECT 1 FROM sale_schedule_log l WHERE l.sale_id = s.id)
+    RETURNING s.id, s.original_company_name, s.start_date, s.end_date
+  `, [today, graceDays]);
+  for (const sale of result.rows) {
+    await recordAudit({ action: 'update', entityType: 'sale', entityId: sale.id, before: { live: 'NO' }, after: { live: 'YES' }, details: { reason: 'scheduled_start' } });
+  }
+  return result.rows;
+}
+
+/**
+ * Take sales offline once their end date (plus grace days) has passed
+ */
+export async function expireEndedSales(today, graceDays = 0) {
+  await ensureSaleScheduleLogTable();
+
+  const result = await pool.query(`
+    UPDATE sales
+    SET live = 'NO', updated_at = CURRENT_TIMESTAMP
+    WHERE live = 'YES'
+      AND end_date IS NOT NULL
+      AND end_date::date + $2::int < $1::date
+    RETURNING id, original_company_name, start_date, end_date
+  `, [today, graceDays]);
+  for (const sale of result.rows) {
+    await recordAudit({ action: 'update', entityType: 'sale', entityId: sale.id, before: { live: 'YES' }, after: { live: 'NO' }, details: { reason: 'ended' } });
+  }
+  return result.rows;
+}
+
+export async function logSaleScheduleTransition(data) {
+  await ensureSaleScheduleLogTable();
+
+  const result = await pool.query(`
+    INSERT INTO sale_schedule_log (
+      sale_id, action, previous_live, new_live, start_date, end_date
+    ) VALUES ($1, $2, $3, $4, $5, $6)
+    RETURNING *
+  `, [
+    data.saleId,
+    data.action,
+    data.previousLive || null,
+    data.newLive || null,
+    data.startDate || null,
+    data.endDate || null
+  ]);
+  return result.rows[0];
+}
+
+export async function getSaleScheduleLog(limit = 100) {
+  await ensureSaleScheduleLogTable();
+
+  const result = await pool.query(`
+    SELECT l.*, COALESCE(c.name, s.original_company_name) as company_name
+    FROM sale_schedule_log l
+    LEFT JOIN sales s ON l.sale_id = s.id
+    LEFT JOIN companies c ON s.company_id = c.id
+    ORDER BY l.created_at DESC
+    LIMIT $1
+  `, [limit]);
+  return result.rows;
+}
+
 // ============================================
 // PICKS
 // ============================================
@@ -272,13 +385,45 @@ export async function getPickById(id) {
   return result.rows[0] || null;
 }
 
+let pickScrapedColumnsReady = null;
+
+/**
+ * Columns filled from scraped product data:
+ * size_availability - per-size stock, [{ size, usSize, available }]
+ * currency, local_* - the shop's own prices when it doesn't price in USD
+ * image_hash - perceptual hash of the product image, for duplicate detection
+ */
+export function ensurePickScrapedColumns() {
+  if (!pickScrapedColumnsReady) {
+    pickScrapedColumnsReady = pool.query(`
+      ALTER TABLE picks
+        ADD COLUMN IF NOT EXISTS size_availability JSONB,
+        ADD COLUMN IF NOT EXISTS currency TEXT DEFAULT 'USD',
+        ADD COLUMN IF NOT EXISTS local_original_price NUMERIC,
+        ADD COLUMN IF NOT EXISTS local_sale_price NUMERIC,
+        ADD COLUMN IF NOT EXISTS image_hash TEXT
+    `).catch(error => {
+      pickScrapedColumnsReady = null;
+      throw error;
+    });
+  }
+  return pickScrapedColumnsReady;
+}
+
+// JSONB params must be sent as JSON text - pg would send a JS array as a Postgres array
+function sizeAvailabilityParam(value) {
+  return Array.isArray(value) && value.length > 0 ? JSON.stringify(value) : null;
+}
+
 export async function createPick(data) {
+  await ensurePickScrapedColumns();
   const result = await pool.query(`
     INSERT INTO picks (
       airtable_id, sale_id, product_name, brand, product_url, image_url,
       original_price, sale_price, percent_off, percent_off_override,
-      shopmy_url, confidence, entry_type, sizes
-    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+      shopmy_url, confidence, entry_type, sizes, size_availability,
+      currency, local_original_price, local_sale_price
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)
     RETURNING *
   `, [
     data.airtableId || null,
@@ -292,10 +437,15 @@ export async function createPick(data) {
     data.percentOff || null,
     data.percentOffOverride || null,
     data.shopmyUrl || null,
-    data.confidence || null,
+    data.confidence ?? null,
     data.entryType || 'manual',
-    data.sizes || []
+    data.sizes || [],
+    sizeAvailabilityParam(data.sizeAvailability),
+    data.currency || 'USD',
+    data.localOriginalPrice || null,
+    data.localSalePrice || null
   ]);
+  await recordAudit({ action: 'create', entityType: 'pick', entityId: result.rows[0].id, after: result.rows[0] });
   return result.rows[0];
 }
 
@@ -310,64 +460,540 @@ export async function createPicksBatch(picks) {
   return results;
 }
 
+const PICK_FIELD_MAP = {
+  saleId: 'sale_id',
+  productName: 'product_name',
+  brand: 'brand',
+  productUrl: 'product_url',
+  imageUrl: 'image_url',
+  originalPrice: 'original_price',
+  salePrice: 'sale_price',
+  percentOff: 'percent_off',
+  percentOffOverride: 'percent_off_override',
+  shopmyUrl: 'shopmy_url',
+  confidence: 'confidence',
+  entryType: 'entry_type',
+  sizes: 'sizes',
+  sizeAvailability: 'size_availability',
+  currency: 'currency',
+  localOriginalPrice: 'local_original_price',
+  localSalePrice: 'local_sale_price',
+  availabilityStatus: 'availability_status',
+  lastValidatedAt: 'last_validated_at',
+  nextCheckDue: 'next_check_due',
+  hiddenUntilFresh: 'hidden_until_fresh'
+};
+
+const PICK_SCRAPED_FIELDS = ['sizeAvailability', 'currency', 'localOriginalPrice', 'localSalePrice'];
+
 export async function updatePick(id, data) {
-  const setClauses = [];
+  if (PICK_SCRAPED_FIELDS.some(field => data[field] !== undefined)) {
+    await ensurePickScrapedColumns();
+  }
+  if (data.sizeAvailability !== undefined) {
+    data = { ...data, sizeAvailability: sizeAvailabilityParam(data.sizeAvailability) };
+  }
+  return updateAuditedRow('picks', id, data);
+}
+
+export async function deletePick(id) {
+  const result = await pool.query(
+    'DELETE FROM picks WHERE id = $1 RETURNING *',
+    [id]
+  );
+  if (result.rows[0]) {
+    await recordAudit({ action: 'delete', entityType: 'pick', entityId: id, before: result.rows[0] });
+  }
+  return result.rows[0] || null;
+}
+
+/**
+ * Every pick with its sale's name, for duplicate checks against new picks
+ */
+export async function getPickDuplicateCandidates() {
+  await ensurePickScrapedColumns();
+  const result = await pool.query(`
+    SELECT p.id, p.sale_id, p.product_name, p.brand, p.product_url, p.image_url, p.image_hash,
+      s.sale_name, s.live, COALESCE(c.name, s.original_company_name) as company_name
+    FROM picks p
+    JOIN sales s ON s.id = p.sale_id
+    LEFT JOIN companies c ON c.id = s.company_id
+    ORDER BY p.created_at DESC
+  `);
+  return result.rows;
+}
+
+// Derived from image_url, so not audited (and doesn't touch updated_at)
+export async function setPickImageHash(id, imageHash) {
+  await ensurePickScrapedColumns();
+  await pool.query('UPDATE picks SET image_hash = $2 WHERE id = $1', [id, imageHash]);
+}
+
+export async function deletePicksBySaleId(saleId) {
+  const result = await pool.query(
+    'DELETE FROM picks WHERE sale_id = $1 RETURNING *',
+    [saleId]
+  );
+  for (const pick of result.rows) {
+    await recordAudit({ action: 'delete', entityType: 'pick', entityId: pick.id, before: pick });
+  }
+  return result.rows;
+}
+
+// ============================================
+// PICK PRICE HISTORY
+// ============================================
+
+let priceHistoryTableReady = null;
+
+export function ensurePickPriceHistoryTable() {
+  if (!priceHistoryTableReady) {
+    priceHistoryTableReady = pool.query(`
+      CREATE TABLE IF NOT EXISTS pick_price_history (
+        id SERIAL PRIMARY KEY,
+        pick_id INTEGER NOT NULL REFERENCES picks(id) ON DELETE CASCADE,
+        original_price NUMERIC,
+        sale_price NUMERIC,
+        percent_off NUMERIC,
+        availability_status TEXT,
+        source TEXT,
+        recorded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE INDEX IF NOT EXISTS pick_price_history_pick_id_idx
+        ON pick_price_history (pick_id, recorded_at);
+    `).catch(error => {
+      priceHistoryTableReady = null;
+      throw error;
+    });
+  }
+  return priceHistoryTableReady;
+}
+
+export async function recordPickPrice(pickId, data) {
+  await ensurePickPriceHistoryTable();
+
+  const result = await pool.query(`
+    INSERT INTO pick_price_history (
+      pick_id, original_price, sale_price, percent_off, availability_status, source
+    ) VALUES ($1, $2, $3, $4, $5, $6)
+    RETURNING *
+  `, [
+    pickId,
+    data.originalPrice || null,
+    data.salePrice || null,
+    data.percentOff ?? null,
+    data.availabilityStatus || null,
+    data.source || null
+  ]);
+  return result.rows[0];
+}
+
+export async function getPriceHistoryByPickId(pickId) {
+  await ensurePickPriceHistoryTable();
+
+  const result = await pool.query(`
+    SELECT * FROM pick_price_history
+    WHERE pick_id = $1
+    ORDER BY recorded_at ASC
+  `, [pickId]);
+  return result.rows;
+}
+
+export async function getPriceHistoryBySaleId(saleId) {
+  await ensurePickPriceHistoryTable();
+
+  const result = await pool.query(`
+    SELECT h.*, p.product_name
+    FROM pick_price_history h
+    JOIN picks p ON h.pick_id = p.id
+    WHERE p.sale_id = $1
+    ORDER BY h.recorded_at ASC
+  `, [saleId]);
+  return result.rows;
+}
+
+// ============================================
+// SCRAPE ATTEMPTS (per-domain scraping health)
+// ============================================
+
+let scrapeAttemptsTableReady = null;
+
+export function ensureScrapeAttemptsTable() {
+  if (!scrapeAttemptsTableReady) {
+    scrapeAttemptsTableReady = pool.query(`
+      CREATE TABLE IF NOT EXISTS scrape_attempts (
+        id SERIAL PRIMARY KEY,
+        scrape_id TEXT NOT NULL,
+        domain TEXT NOT NULL,
+        url TEXT,
+        method TEXT NOT NULL,
+        outcome TEXT NOT NULL,
+        confidence INTEGER,
+        duration_ms INTEGER,
+        error TEXT,
+        error_type TEXT,
+        scrape_succeeded BOOLEAN,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE INDEX IF NOT EXISTS scrape_attempts_domain_idx
+        ON scrape_attempts (domain, created_at);
+    `).catch(error => {
+      scrapeAttemptsTableReady = null;
+      throw error;
+    });
+  }
+  return scrapeAttemptsTableReady;
+}
+
+/**
+ * Store the attempts of one orchestrator run (one row per scraper tried)
+ */
+export async function recordScrapeAttempts({ scrapeId, domain, url, succeeded, attempts }) {
+  if (!attempts || attempts.length === 0) return;
+  await ensureScrapeAttemptsTable();
+
   const values = [];
-  let paramCount = 1;
+  const params = [];
+  for (const attempt of attempts) {
+    const offset = params.length;
+    values.push(`($${offset + 1}, $${offset + 2}, $${offset + 3}, $${offset + 4}, $${offset + 5}, $${offset + 6}, $${offset + 7}, $${offset + 8}, $${offset + 9}, $${offset + 10})`);
+    params.push(
+      scrapeId,
+      domain,
+      url || null,
+      attempt.method,
+      attempt.outcome,
+      Math.round(attempt.confidence || 0),
+      Math.round(attempt.durationMs || 0),
+      attempt.error ? String(attempt.error).slice(0, 500) : null,
+      attempt.errorType || null,
+      !!succeeded
+    );
+  }
 
-  const fieldMap = {
-    saleId: 'sale_id',
-    productName: 'product_name',
-    brand: 'brand',
-    productUrl: 'product_url',
-    imageUrl: 'image_url',
-    originalPrice: 'original_price',
-    salePrice: 'sale_price',
-    percentOff: 'percent_off',
-    percentOffOverride: 'percent_off_override',
-    shopmyUrl: 'shopmy_url',
-    confidence: 'confidence',
-    entryType: 'entry_type',
-    sizes: 'sizes'
-  };
+  await pool.query(`
+    INSERT INTO scrape_attempts (
+      scrape_id, domain, url, method, outcome, confidence, duration_ms, error, error_type, scrape_succeeded
+    ) VALUES ${values.join(', ')}
+  `, params);
+}
+
+/**
+ * Per-domain, per-method attempt stats for the last `days` days
+ */
+export async function getScrapeMethodStats(days = 30) {
+  await ensureScrapeAttemptsTable();
+
+  const result = await pool.query(`
+    SELECT
+      domain,
+      method,
+      COUNT(*)::int as attempts,
+      COUNT(*) FILTER (WHERE outcome = 'success')::int as successes,
+      ROUND(PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY duration_ms))::int as median_duration_ms,
+      ROUND(AVG(confidence) FILTER (WHERE outcome = 'success'))::int as avg_confidence,
+      MAX(created_at) FILTER (WHERE error_type = 'BLOCKING') as last_blocked_at,
+      MAX(created_at) as last_attempt_at
+    FROM scrape_attempts
+    WHERE created_at > NOW() - ($1::int * INTERVAL '1 day')
+    GROUP BY domain, method
+    ORDER BY domain ASC, method ASC
+  `, [days]);
+  return result.rows;
+}
+
+/**
+ * Per-domain scrape counts (whole orchestrator runs) for the last `days` days
+ */
+export async function getScrapeDomainStats(days = 30) {
+  await ensureScrapeAttemptsTable();
+
+  const result = await pool.query(`
+    SELECT
+      domain,
+      COUNT(DISTINCT scrape_id)::int as scrapes,
+      COUNT(DISTINCT scrape_id) FILTER (WHERE scrape_succeeded)::int as succeeded,
+      MAX(created_at) FILTER (WHERE error_type = 'BLOCKING') as last_blocked_at,
+      MAX(created_at) as last_scraped_at
+    FROM scrape_attempts
+    WHERE created_at > NOW() - ($1::int * INTERVAL '1 day')
+    GROUP BY domain
+    ORDER BY MAX(created_at) DESC
+  `, [days]);
+  return result.rows;
+}
+
+// ============================================
+// INBOUND EMAILS (raw sale emails and their parse outcome)
+// ============================================
+
+let inboundEmailsTableReady = null;
+
+export function ensureInboundEmailsTable() {
+  if (!inboundEmailsTableReady) {
+    inboundEmailsTableReady = pool.query(`
+      CREATE TABLE IF NOT EXISTS inbound_emails (
+        id SERIAL PRIMARY KEY,
+        from_address TEXT,
+        subject TEXT,
+        headers JSONB,
+        envelope JSONB,
+        plain TEXT,
+        html TEXT,
+        attachments JSONB,
+        outcome TEXT NOT NULL DEFAULT 'received',
+        outcome_message TEXT,
+        extracted_data JSONB,
+        pending_sale_id TEXT,
+        sale_id INTEGER,
+        process_count INTEGER NOT NULL DEFAULT 0,
+        received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        processed_at TIMESTAMP
+      );
+      CREATE INDEX IF NOT EXISTS inbound_emails_received_at_idx
+        ON inbound_emails (received_at);
+    `).catch(error => {
+      inboundEmailsTableReady = null;
+      throw error;
+    });
+  }
+  return inboundEmailsTableReady;
+}
+
+export async function createInboundEmail(data) {
+  await ensureInboundEmailsTable();
+
+  const result = await pool.query(`
+    INSERT INTO inbound_emails (
+      from_address, subject, headers, envelope, plain, html, attachments
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+    RETURNING *
+  `, [
+    data.from || null,
+    data.subject || null,
+    JSON.stringify(data.headers || {}),
+    JSON.stringify(data.envelope || {}),
+    data.plain || null,
+    data.html || null,
+    JSON.stringify(data.attachments || [])
+  ]);
+  return result.rows[0];
+}
+
+export async function updateInboundEmailOutcome(id, data) {
+  await ensureInboundEmailsTable();
+
+  const result = await pool.query(`
+    UPDATE inbound_emails
+    SET outcome = $2,
+        outcome_message = $3,
+        extracted_data = $4,
+        pending_sale_id = COALESCE($5, pending_sale_id),
+        sale_id = COALESCE($6, sale_id),
+        process_count = process_count + 1,
+        processed_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+    RETURNING *
+  `, [
+    id,
+    data.outcome,
+    data.message || null,
+    data.extractedData ? JSON.stringify(data.extractedData) : null,
+    data.pendingSaleId || null,
+    data.saleId || null
+  ]);
+  return result.rows[0] || null;
+}
+
+export async function deleteInboundEmail(id) {
+  await ensureInboundEmailsTable();
+  await pool.query('DELETE FROM inbound_emails WHERE id = $1', [id]);
+}
+
+export async function pruneInboundEmails(retentionDays) {
+  await ensureInboundEmailsTable();
+
+  const result = await pool.query(`
+    DELETE FROM inbound_emails
+    WHERE received_at < NOW() - ($1::int * INTERVAL '1 day')
+  `, [retentionDays]);
+  return result.rowCount;
+}
+
+/**
+ * Inbound emails newest first, without their bodies
+ */
+export async function getInboundEmails({ outcome = null, search = null, limit = 50, offset = 0 } = {}) {
+  await ensureInboundEmailsTable();
+
+  const conditions = [];
+  const params = [];
+  if (outcome) {
+    params.push(outcome);
+    conditions.push(`outcome = $${params.length}`);
+  }
+  if (search) {
+    params.push(`%${escapeLike(search)}%`);
+    conditions.push(`(from_address ILIKE $${params.length} OR subject ILIKE $${params.length})`);
+  }
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const [rows, total] = await Promise.all([
+    pool.query(`
+      SELECT id, from_address, subject, outcome, outcome_message, extracted_data,
+        pending_sale_id, sale_id, process_count, received_at, processed_at,
+        jsonb_array_length(COALESCE(attachments, '[]'::jsonb)) as attachment_count
+      FROM inbound_emails
+      ${where}
+      ORDER BY received_at DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, offset]),
+    pool.query(`SELECT COUNT(*)::int as count FROM inbound_emails ${where}`, params)
+  ]);
+  return { emails: rows.rows, total: total.rows[0].count };
+}
+
+export async function getInboundEmailById(id) {
+  await ensureInboundEmailsTable();
+  const result = await pool.query('SELECT * FROM inbound_emails WHERE id = $1', [id]);
+  return result.rows[0] || null;
+}
+
+export async function getInboundEmailCounts() {
+  await ensureInboundEmailsTable();
+
+  const result = await pool.query(`
+    SELECT outcome, COUNT(*)::int as count
+    FROM inbound_emails
+    GROUP BY outcome
+  `);
+  return Object.fromEntries(result.rows.map(row => [row.outcome, row.count]));
+}
+
+// ============================================
+// EMAIL SENDER RULES (sender address/domain -> company and policy)
+// ============================================
+
+let emailSenderRulesTableReady = null;
+
+export const EMAIL_SENDER_POLICIES = ['default', 'trust', 'deny'];
+
+export function ensureEmailSenderRulesTable() {
+  if (!emailSenderRulesTableReady) {
+    emailSenderRulesTableReady = pool.query(`
+      CREATE TABLE IF NOT EXISTS email_sender_rules (
+        id SERIAL PRIMARY KEY,
+        sender TEXT NOT NULL UNIQUE,
+        company_id INTEGER REFERENCES companies(id) ON DELETE SET NULL,
+        policy TEXT NOT NULL DEFAULT 'default',
+        notes TEXT,
+        match_count INTEGER NOT NULL DEFAULT 0,
+        last_matched_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `).catch(error => {
+      emailSenderRulesTableReady = null;
+      throw error;
+    });
+  }
+  return emailSenderRulesTableReady;
+}
+
+export async function getEmailSenderRules() {
+  await ensureEmailSenderRulesTable();
+
+  const result = await pool.query(`
+    SELECT r.*, c.name as company_name
+    FROM email_sender_rules r
+    LEFT JOIN companies c ON r.company_id = c.id
+    ORDER BY r.sender
+  `);
+  return result.rows;
+}
+
+/**
+ * Rules for any of the given senders (full addresses and domains, lowercased)
+ */
+export async function getEmailSenderRulesFor(senders) {
+  await ensureEmailSenderRulesTable();
+
+  const result = await pool.query(`
+    SELECT r.*, c.name as company_name
+    FROM email_sender_rules r
+    LEFT JOIN companies c ON r.company_id = c.id
+    WHERE r.sender = ANY($1)
+  `, [senders]);
+  return result.rows;
+}
+
+export async function createEmailSenderRule(data) {
+  await ensureEmailSenderRulesTable();
+
+  const result = await pool.query(`
+    INSERT INTO email_sender_rules (sender, company_id, policy, notes)
+    VALUES ($1, $2, $3, $4)
+    RETURNING *
+  `, [data.sender, data.companyId || null, data.policy || 'default', data.notes || null]);
+  await recordAudit({ action: 'create', entityType: 'email_sender_rule', entityId: result.rows[0].id, after: result.rows[0] });
+  return result.rows[0];
+}
+
+export async function updateEmailSenderRule(id, data) {
+  await ensureEmailSenderRulesTable();
 
+  const fieldMap = { sender: 'sender', companyId: 'company_id', policy: 'policy', notes: 'notes' };
+  const setClauses = [];
+  const values = [id];
   for (const [key, column] of Object.entries(fieldMap)) {
     if (data[key] !== undefined) {
-      setClauses.push(`${column} = $${paramCount}`);
       values.push(data[key]);
-      paramCount++;
+      setClauses.push(`${column} = $${values.length}`);
     }
   }
-
   if (setClauses.length === 0) return null;
 
-  setClauses.push(`updated_at = CURRENT_TIMESTAMP`);
-  values.push(id);
-
+  const previous = await pool.query('SELECT * FROM email_sender_rules WHERE id = $1', [id]);
   const result = await pool.query(`
-    UPDATE picks 
-    SET ${setClauses.join(', ')}
-    WHERE id = $${paramCount}
+    UPDATE email_sender_rules
+    SET ${setClauses.join(', ')}, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1
     RETURNING *
   `, values);
-  
-  return result.rows[0] || null;
+  const updated = result.rows[0];
+  if (!updated) return null;
+
+  const before = {};
+  const after = {};
+  for (const column of Object.values(fieldMap)) {
+    if (!sameValue(previous.rows[0][column], updated[column])) {
+      before[column] = previous.rows[0][column] ?? null;
+      after[column] = updated[column] ?? null;
+    }
+  }
+  if (Object.keys(after).length > 0) {
+    await recordAudit({ action: 'update', entityType: 'email_sender_rule', entityId: id, before, after });
+  }
+  return updated;
 }
 
-export async function deletePick(id) {
-  const result = await pool.query(
-    'DELETE FROM picks WHERE id = $1 RETURNING *',
-    [id]
-  );
+export async function deleteEmailSenderRule(id) {
+  await ensureEmailSenderRulesTable();
+
+  const result = await pool.query('DELETE FROM email_sender_rules WHERE id = $1 RETURNING *', [id]);
+  if (result.rows[0]) {
+    await recordAudit({ action: 'delete', entityType: 'email_sender_rule', entityId: id, before: result.rows[0] });
+  }
   return result.rows[0] || null;
 }
 
-export async function deletePicksBySaleId(saleId) {
-  const result = await pool.query(
-    'DELETE FROM picks WHERE sale_id = $1 RETURNING *',
-    [saleId]
-  );
-  return result.rows;
+export async function recordEmailSenderRuleMatch(id) {
+  await ensureEmailSenderRulesTable();
+  await pool.query(`
+    UPDATE email_sender_rules
+    SET match_count = match_count + 1, last_matched_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+  `, [id]);
 }
 
 // ============================================
@@ -409,6 +1035,7 @@ export async function createPendingBrand(data) {
     data.airtableRecordId || null,
     data.source || null
   ]);
+  await recordAudit({ action: 'create', entityType: 'pending_brand', entityId: result.rows[0].id, after: result.rows[0] });
   return result.rows[0];
 }
 
@@ -417,6 +1044,9 @@ export async function deletePendingBrand(id) {
     'DELETE FROM pending_brands WHERE id = $1 RETURNING *',
     [id]
   );
+  if (result.rows[0]) {
+    await recordAudit({ action: 'delete', entityType: 'pending_brand', entityId: id, before: result.rows[0] });
+  }
   return result.rows[0] || null;
 }
 
@@ -445,6 +1075,7 @@ export async function createRejectedEmail(data) {
     data.reason || null,
     data.extractedData || null
   ]);
+  await recordAudit({ action: 'create', entityType: 'rejected_email', entityId: result.rows[0].id, after: result.rows[0] });
   return result.rows[0];
 }
 
@@ -479,6 +1110,7 @@ export async function createRejectedBrand(data) {
     data.airtableRecordId || null,
     data.originalData || null
   ]);
+  await recordAudit({ action: 'create', entityType: 'rejected_brand', entityId: result.rows[0].id, after: result.rows[0] });
   return result.rows[0];
 }
 
@@ -487,6 +1119,9 @@ export async function deleteRejectedBrand(id) {
     'DELETE FROM rejected_brands WHERE id = $1 RETURNING *',
     [id]
   );
+  if (result.rows[0]) {
+    await recordAudit({ action: 'delete', entityType: 'rejected_brand', entityId: id, before: result.rows[0] });
+  }
   return result.rows[0] || null;
 }
 
@@ -497,6 +1132,7 @@ export async function getAndRemoveRejectedBrand(id) {
   );
   if (brand.rows[0]) {
     await pool.query('DELETE FROM rejected_brands WHERE id = $1', [id]);
+    await recordAudit({ action: 'delete', entityType: 'rejected_brand', entityId: id, before: brand.rows[0] });
     return brand.rows[0];
   }
   return null;
@@ -522,41 +1158,14 @@ export async function getPendingSaleById(saleId) {
   return result.rows[0] ? mapPendingSaleRow(result.rows[0]) : null;
 }
 
-export async function createPendingSale(data) {
-  const saleId = Date.now().toString();
-  const result = await pool.query(`
-    INSERT INTO pending_sales (
-      sale_id, company, percent_off, sale_url, clean_url, discount_code,
-      start_date, end_date, confidence, reasoning, company_record_id,
-      email_from, email_subject, missing_url, url_source, received_at
-    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
-    RETURNING *
-  `, [
-    saleId,
-    data.company,
-    data.percentOff,
-    data.saleUrl,
-    data.cleanUrl,
-    data.discountCode,
-    data.startDate,
-    data.endDate,
-    data.confidence || 100,
-    data.reasoning,
-    data.companyRecordId,
-    data.emailFrom,
-    data.emailSubject,
-    data.missingUrl || false,
-    data.urlSource,
-    new Date()
-  ]);
-  return mapPendingSaleRow(result.rows[0]);
-}
-
 export async function deletePendingSale(saleId) {
   const result = await pool.query(
     'DELETE FROM pending_sales WHERE sale_id = $1 RETURNING *',
     [saleId]
   );
+  if (result.rows[0]) {
+    await recordAudit({ action: 'delete', entityType: 'pending_sale', entityId: saleId, before: result.rows[0] });
+  }
   return result.rows[0] ? mapPendingSaleRow(result.rows[0]) : null;
 }
 
@@ -564,6 +1173,9 @@ export async function deleteAllPendingSales() {
   const result = await pool.query(
     'DELETE FROM pending_sales RETURNING *'
   );
+  for (const row of result.rows) {
+    await recordAudit({ action: 'delete', entityType: 'pending_sale', entityId: row.sale_id, before: row });
+  }
   return result.rows.map(mapPendingSaleRow);
 }
 
@@ -584,10 +1196,103 @@ function mapPendingSaleRow(row) {
     emailSubject: row.email_subject,
     missingUrl: row.missing_url,
     urlSource: row.url_source,
+    offers: row.offers || [],
     receivedAt: row.received_at ? row.received_at.toISOString() : null
   };
 }
 
+// ============================================
+// SALE APPROVAL
+// ============================================
+
+/**
+ * Publish a pending sale in a single transaction
+ * Removes the pending sale, creates the live sale and, when it supersedes an
+ * existing sale, moves that sale's picks over and then deletes it
+ * (deleteOldSale) or takes it offline. If any step fails nothing changes,
+ * so the pending sale stays in the queue.
+ * Returns null if the pending sale was already approved or rejected.
+ */
+export async function approvePendingSale(pendingSaleId, options = {}) {
+  const { companyId = null, oldSaleId = null, deleteOldSale = false, description = null } = options;
+
+  await ensureSaleOfferColumns();
+  const outcome = await withTransaction(async (client) => {
+    const pendingResult = await client.query(
+      'DELETE FROM pending_sales WHERE sale_id = $1 RETURNING *',
+      [pendingSaleId]
+    );
+    const pendingRow = pendingResult.rows[0];
+    if (!pendingRow) return null;
+
+    const pendingSale = mapPendingSaleRow(pendingRow);
+    const today = new Date().toISOString().split('T')[0];
+
+    const saleResult = await client.query(`
+      INSERT INTO sales (
+        company_id, original_company_name, percent_off, sale_url, clean_url,
+        start_date, end_date, promo_code, live, description, offers, created_at, original_created_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, NOW(), NOW())
+      RETURNING *
+    `, [
+      companyId,
+      pendingSale.company,
+      pendingSale.percentOff,
+      pendingSale.saleUrl || null,
+      pendingSale.cleanUrl || pendingSale.saleUrl || null,
+      pendingSale.startDate,
+      pendingSale.endDate || null,
+      pendingSale.discountCode || null,
+      pendingSale.startDate <= today ? 'YES' : 'NO',
+      description,
+      pendingSale.offers.length > 0 ? JSON.stringify(pendingSale.offers) : null
+    ]);
+    const sale = saleResult.rows[0];
+
+    let movedPicks = [];
+    let oldSale = null;
+
+    if (oldSaleId) {
+      const moved = await client.query(
+        'UPDATE picks SET sale_id = $1, updated_at = CURRENT_TIMESTAMP WHERE sale_id = $2 RETURNING id',
+        [sale.id, oldSaleId]
+      );
+      movedPicks = moved.rows;
+
+      const oldSaleResult = deleteOldSale
+        ? await client.query('DELETE FROM sales WHERE id = $1 RETURNING *', [oldSaleId])
+        : await client.query(
+            `UPDATE sales SET live = 'NO', updated_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING *`,
+            [oldSaleId]
+          );
+      oldSale = oldSaleResult.rows[0];
+
+      if (!oldSale) {
+        throw new Error(`Sale ${oldSaleId} to ${deleteOldSale ? 'replace' : 'deactivate'} not found`);
+      }
+    }
+
+    return { pendingRow, pendingSale, sale, movedPicks, oldSale };
+  });
+
+  if (!outcome) return null;
+
+  const { pendingRow, pendingSale, sale, movedPicks, oldSale } = outcome;
+
+  await recordAudit({ action: 'delete', entityType: 'pending_sale', entityId: pendingSaleId, before: pendingRow });
+  await recordAudit({ action: 'create', entityType: 'sale', entityId: sale.id, after: sale });
+  for (const pick of movedPicks) {
+    await recordAudit({ action: 'update', entityType: 'pick', entityId: pick.id, before: { sale_id: oldSaleId }, after: { sale_id: sale.id } });
+  }
+  if (oldSale && deleteOldSale) {
+    await recordAudit({ action: 'delete', entityType: 'sale', entityId: oldSale.id, before: oldSale, details: { replacedBy: sale.id } });
+  } else if (oldSale) {
+    await recordAudit({ action: 'update', entityType: 'sale', entityId: oldSale.id, before: { live: 'YES' }, after: { live: 'NO' }, details: { replacedBy: sale.id } });
+  }
+
+  return { sale, pendingSale, picksTransferred: movedPicks.length };
+}
+
 // ============================================
 // APPROVAL SETTINGS
 // ============================================
@@ -600,12 +1305,22 @@ export async function isApprovalsEnabled() {
 }
 
 export async function setApprovalsEnabled(enabled) {
+  const previous = await isApprovalsEnabled();
   await pool.query(
     `INSERT INTO approval_settings (setting_key, setting_value) 
      VALUES ('approvalsEnabled', $1)
      ON CONFLICT (setting_key) DO UPDATE SET setting_value = $1`,
     [enabled]
   );
+  if (previous !== enabled) {
+    await recordAudit({
+      action: 'update',
+      entityType: 'approval_setting',
+      entityId: 'approvalsEnabled',
+      before: { approvalsEnabled: previous },
+      after: { approvalsEnabled: enabled }
+    });
+  }
 }
 
 export async function getApprovalSettings() {
@@ -617,6 +1332,557 @@ export async function getApprovalSettings() {
   };
 }
 
+// ============================================
+// SEARCH
+// ============================================
+
+// These expressions must match the index definitions exactly for Postgres to use them
+const COMPANY_TSV = `to_tsvector('english', coalesce(c.name, '') || ' ' || coalesce(c.description, ''))`;
+const PICK_TSV = `to_tsvector('english', coalesce(p.product_name, '') || ' ' || coalesce(p.brand, ''))`;
+const SALE_TSV = `to_tsvector('english', coalesce(s.sale_name, ''))`;
+
+let searchIndexesReady = null;
+let trigramAvailable = false;
+
+/**
+ * Full-text indexes, plus pg_trgm for typo tolerance when the extension can be
+ * installed; without it search still works on whole (stemmed) words.
+ */
+export function ensureSearchIndexes() {
+  if (!searchIndexesReady) {
+    searchIndexesReady = (async () => {
+      try {
+        await pool.query('CREATE EXTENSION IF NOT EXISTS pg_trgm');
+        trigramAvailable = true;
+      } catch (error) {
+        console.warn('⚠️ pg_trgm unavailable - search will not tolerate typos:', error.message);
+      }
+
+      await pool.query(`
+        CREATE INDEX IF NOT EXISTS companies_search_idx ON companies
+          USING GIN (to_tsvector('english', coalesce(name, '') || ' ' || coalesce(description, '')));
+        CREATE INDEX IF NOT EXISTS picks_search_idx ON picks
+          USING GIN (to_tsvector('english', coalesce(product_name, '') || ' ' || coalesce(brand, '')));
+        CREATE INDEX IF NOT EXISTS sales_search_idx ON sales
+          USING GIN (to_tsvector('english', coalesce(sale_name, '')));
+      `);
+
+      if (trigramAvailable) {
+        await pool.query(`
+          CREATE INDEX IF NOT EXISTS companies_name_trgm_idx ON companies USING GIN (name gin_trgm_ops);
+          CREATE INDEX IF NOT EXISTS picks_name_trgm_idx ON picks USING GIN (product_name gin_trgm_ops);
+        `);
+      }
+    })().catch(error => {
+      searchIndexesReady = null;
+      throw error;
+    });
+  }
+  return searchIndexesReady;
+}
+
+function escapeLike(text) {
+  return text.replace(/[\\%_]/g, match => `\\${match}`);
+}
+
+// SQL fragments for fuzzy name matching; $1 is the raw query, $2 a LIKE prefix
+function fuzzyName(column) {
+  return trigramAvailable
+    ? { score: `similarity(${column}, $1)`, match: `(${column} % $1 OR ${column} ILIKE $2)` }
+    : { score: `CASE WHEN ${column} ILIKE $2 THEN 0.5 ELSE 0 END`, match: `${column} ILIKE $2` };
+}
+
+function fuzzyWords(column) {
+  return trigramAvailable
+    ? { score: `word_similarity($1, ${column})`, match: `$1 <% ${column}` }
+    : { score: '0', match: 'false' };
+}
+
+/**
+ * Brands matching a search, boosted when they have a live (and featured) sale
+ * Returns company rows plus `score`.
+ */
+export async function searchCompanies(query, { limit = 20 } = {}) {
+  await ensureSearchIndexes();
+  const name = fuzzyName('c.name');
+
+  const result = await pool.query(`
+    WITH q AS (SELECT websearch_to_tsquery('english', $1) AS tsq)
+    SELECT c.*,
+      ts_rank(${COMPANY_TSV}, q.tsq) + ${name.score} * 2
+        + CASE WHEN live.has_live_sale THEN 0.5 ELSE 0 END
+        + CASE WHEN live.has_featured_sale THEN 0.25 ELSE 0 END AS score
+    FROM companies c
+    CROSS JOIN q
+    LEFT JOIN LATERAL (
+      SELECT bool_or(s.live = 'YES') AS has_live_sale,
+             bool_or(s.live = 'YES' AND s.featured = 'YES') AS has_featured_sale
+      FROM sales s
+      WHERE s.company_id = c.id
+    ) live ON true
+    WHERE ${COMPANY_TSV} @@ q.tsq OR ${name.match}
+    ORDER BY score DESC, c.name ASC
+    LIMIT $3
+  `, [query, `${escapeLike(query)}%`, limit]);
+  return result.rows;
+}
+
+/**
+ * Picks from live sales matching a search, boosted when their sale is featured
+ */
+export async function searchPicks(query, { limit = 20 } = {}) {
+  await ensureSearchIndexes();
+  const words = fuzzyWords('p.product_name');
+
+  const result = await pool.query(`
+    WITH q AS (SELECT websearch_to_tsquery('english', $1) AS tsq)
+    SELECT p.*, s.airtable_id AS sale_airtable_id,
+      COALESCE(c.name, s.original_company_name) AS company_name,
+      ts_rank(${PICK_TSV}, q.tsq) + ${words.score}
+        + CASE WHEN s.featured = 'YES' THEN 0.25 ELSE 0 END AS score
+    FROM picks p
+    JOIN sales s ON s.id = p.sale_id
+    LEFT JOIN companies c ON c.id = s.company_id
+    CROSS JOIN q
+    WHERE s.live = 'YES'
+      AND p.availability_status IS DISTINCT FROM 'Sold Out'
+      AND (${PICK_TSV} @@ q.tsq OR ${words.match} OR p.brand ILIKE $2)
+    ORDER BY score DESC, p.percent_off DESC NULLS LAST
+    LIMIT $3
+  `, [query, `${escapeLike(query)}%`, limit]);
+  return result.rows;
+}
+
+/**
+ * Live sales matching a search by sale name, brand, or any of their picks
+ * Featured sales rank higher. Returns sale ids (id, airtable_id) and `score`.
+ */
+export async function searchSales(query, { limit = 20 } = {}) {
+  await ensureSearchIndexes();
+  const name = fuzzyName('COALESCE(c.name, s.original_company_name)');
+  const words = fuzzyWords('p.product_name');
+
+  const result = await pool.query(`
+    WITH q AS (SELECT websearch_to_tsquery('english', $1) AS tsq),
+    pick_matches AS (
+      SELECT p.sale_id, MAX(ts_rank(${PICK_TSV}, q.tsq) + ${words.score}) AS score
+      FROM picks p
+      CROSS JOIN q
+      WHERE ${PICK_TSV} @@ q.tsq OR ${words.match}
+      GROUP BY p.sale_id
+    )
+    SELECT s.id, s.airtable_id,
+      GREATEST(
+        ts_rank(${SALE_TSV}, q.tsq),
+        ts_rank(${COMPANY_TSV}, q.tsq) + ${name.score} * 2,
+        COALESCE(pm.score, 0)
+      ) + CASE WHEN s.featured = 'YES' THEN 0.25 ELSE 0 END AS score
+    FROM sales s
+    LEFT JOIN companies c ON c.id = s.company_id
+    LEFT JOIN pick_matches pm ON pm.sale_id = s.id
+    CROSS JOIN q
+    WHERE s.live = 'YES'
+      AND (${SALE_TSV} @@ q.tsq OR ${COMPANY_TSV} @@ q.tsq OR ${name.match} OR pm.sale_id IS NOT NULL)
+    ORDER BY score DESC
+    LIMIT $3
+  `, [query, `${escapeLike(query)}%`, limit]);
+  return result.rows;
+}
+
+// ============================================
+// NEWSLETTER SUBSCRIBERS
+// ============================================
+
+let newsletterTableReady = null;
+
+export function ensureNewsletterSubscribersTable() {
+  if (!newsletterTableReady) {
+    newsletterTableReady = pool.query(`
+      CREATE TABLE IF NOT EXISTS newsletter_subscribers (
+        id SERIAL PRIMARY KEY,
+        email TEXT NOT NULL,
+        email_normalized TEXT NOT NULL UNIQUE,
+        source TEXT,
+        status TEXT NOT NULL DEFAULT 'pending',
+        confirm_token TEXT UNIQUE,
+        unsubscribe_token TEXT NOT NULL UNIQUE,
+        airtable_id TEXT UNIQUE,
+        subscribed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        confirmation_sent_at TIMESTAMP,
+        confirmed_at TIMESTAMP,
+        unsubscribed_at TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE INDEX IF NOT EXISTS newsletter_subscribers_status_idx
+        ON newsletter_subscribers (status);
+    `).catch(error => {
+      newsletterTableReady = null;
+      throw error;
+    });
+  }
+  return newsletterTableReady;
+}
+
+export async function getSubscriberByEmail(emailNormalized) {
+  await ensureNewsletterSubscribersTable();
+
+  const result = await pool.query(
+    'SELECT * FROM newsletter_subscribers WHERE email_normalized = $1',
+    [emailNormalized]
+  );
+  return result.rows[0] || null;
+}
+
+export async function getSubscriberByConfirmToken(token) {
+  await ensureNewsletterSubscribersTable();
+
+  const result = await pool.query(
+    'SELECT * FROM newsletter_subscribers WHERE confirm_token = $1',
+    [token]
+  );
+  return result.rows[0] || null;
+}
+
+export async function getSubscriberByUnsubscribeToken(token) {
+  await ensureNewsletterSubscribersTable();
+
+  const result = await pool.query(
+    'SELECT * FROM newsletter_subscribers WHERE unsubscribe_token = $1',
+    [token]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Insert a subscriber; returns null if the normalized email already exists
+ */
+export async function createSubscriber(data) {
+  await ensureNewsletterSubscribersTable();
+
+  const result = await pool.query(`
+    INSERT INTO newsletter_subscribers (
+      email, email_normalized, source, status, confirm_token, unsubscribe_token,
+      airtable_id, subscribed_at, confirmed_at
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, COALESCE($8, CURRENT_TIMESTAMP), $9)
+    ON CONFLICT (email_normalized) DO NOTHING
+    RETURNING *
+  `, [
+    data.email,
+    data.emailNormalized,
+    data.source || null,
+    data.status || 'pending',
+    data.confirmToken || null,
+    data.unsubscribeToken,
+    data.airtableId || null,
+    data.subscribedAt || null,
+    data.confirmedAt || null
+  ]);
+  return result.rows[0] || null;
+}
+
+export async function updateSubscriber(id, data) {
+  await ensureNewsletterSubscribersTable();
+
+  const setClauses = [];
+  const values = [];
+  let paramCount = 1;
+
+  const fieldMap = {
+    source: 'source',
+    status: 'status',
+    confirmToken: 'confirm_token',
+    confirmationSentAt: 'confirmation_sent_at',
+    confirmedAt: 'confirmed_at',
+    unsubscribedAt: 'unsubscribed_at'
+  };
+
+  for (const [key, column] of Object.entries(fieldMap)) {
+    if (data[key] !== undefined) {
+      setClauses.push(`${column} = $${paramCount}`);
+      values.push(data[key]);
+      paramCount++;
+    }
+  }
+
+  if (setClauses.length === 0) return null;
+
+  setClauses.push(`updated_at = CURRENT_TIMESTAMP`);
+  values.push(id);
+
+  const result = await pool.query(`
+    UPDATE newsletter_subscribers 
+    SET ${setClauses.join(', ')}
+    WHERE id = $${paramCount}
+    RETURNING *
+  `, values);
+  
+  return result.rows[0] || null;
+}
+
+export async function getSubscribers({ status, source } = {}) {
+  await ensureNewsletterSubscribersTable();
+
+  const conditions = [];
+  const values = [];
+
+  if (status) {
+    values.push(status);
+    conditions.push(`status = $${values.length}`);
+  }
+  if (source) {
+    values.push(source);
+    conditions.push(`source = $${values.length}`);
+  }
+
+  const result = await pool.query(`
+    SELECT * FROM newsletter_subscribers
+    ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY subscribed_at DESC
+  `, values);
+  return result.rows;
+}
+
+export async function getSubscriberCounts() {
+  await ensureNewsletterSubscribersTable();
+
+  const result = await pool.query(`
+    SELECT status, COALESCE(source, 'unknown') AS source, COUNT(*)::int AS count
+    FROM newsletter_subscribers
+    GROUP BY status, COALESCE(source, 'unknown')
+  `);
+  return result.rows;
+}
+
+// ============================================
+// AUDIT LOG
+// ============================================
+
+// Tables whose edits can be diffed and reverted, with their camelCase -> column maps
+const AUDITED_TABLES = {
+  companies: { entityType: 'company', fieldMap: COMPANY_FIELD_MAP },
+  sales: { entityType: 'sale', fieldMap: SALE_FIELD_MAP },
+  picks: { entityType: 'pick', fieldMap: PICK_FIELD_MAP }
+};
+
+let auditLogTableReady = null;
+
+export function ensureAuditLogTable() {
+  if (!auditLogTableReady) {
+    auditLogTableReady = pool.query(`
+      CREATE TABLE IF NOT EXISTS audit_log (
+        id SERIAL PRIMARY KEY,
+        actor_id INTEGER,
+        actor TEXT NOT NULL,
+        route TEXT,
+        action TEXT NOT NULL,
+        entity_type TEXT,
+        entity_id TEXT,
+        before JSONB,
+        after JSONB,
+        details JSONB,
+        reverted_at TIMESTAMP,
+        reverted_by TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE INDEX IF NOT EXISTS audit_log_created_at_idx ON audit_log (created_at);
+      CREATE INDEX IF NOT EXISTS audit_log_entity_idx ON audit_log (entity_type, entity_id);
+    `).catch(error => {
+      auditLogTableReady = null;
+      throw error;
+    });
+  }
+  return auditLogTableReady;
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+// Cache tags affected by each audited entity - public sales embed their
+// company's details, so a company change refreshes both
+const CACHE_TAGS_BY_ENTITY = {
+  company: ['companies', 'sales'],
+  sale: ['sales'],
+  pick: ['sales']
+};
+
+/**
+ * Record a mutation - never throws, a failed audit write shouldn't fail the change
+ * The actor and route come from the request's audit context unless passed in.
+ * Every write in this file goes through here, so it also invalidates the caches.
+ */
+export async function recordAudit({ action, entityType = null, entityId = null, before = null, after = null, details = null, actor }) {
+  if (CACHE_TAGS_BY_ENTITY[entityType]) {
+    invalidateTags(...CACHE_TAGS_BY_ENTITY[entityType]);
+  }
+
+  try {
+    await ensureAuditLogTable();
+    const context = getAuditContext();
+    const user = actor !== undefined ? actor : context.actor;
+
+    await pool.query(`
+      INSERT INTO audit_log (actor_id, actor, route, action, entity_type, entity_id, before, after, details)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    `, [
+      user?.id || null,
+      user?.username || 'system',
+      context.route,
+      action,
+      entityType,
+      entityId !== null ? String(entityId) : null,
+      before ? JSON.stringify(before) : null,
+      after ? JSON.stringify(after) : null,
+      details ? JSON.stringify(details) : null
+    ]);
+  } catch (error) {
+    console.error(`⚠️ Failed to write audit log for ${action} ${entityType || ''}:`, error.message);
+  }
+}
+
+/**
+ * Update a companies/sales/picks row and record which columns changed
+ * The old row is locked in the same transaction so the diff matches what
+ * this update replaced.
+ */
+async function updateAuditedRow(table, id, data, options = {}) {
+  const { entityType, fieldMap } = AUDITED_TABLES[table];
+  const setClauses = [];
+  const values = [];
+  let paramCount = 1;
+
+  for (const [key, column] of Object.entries(fieldMap)) {
+    if (data[key] !== undefined) {
+      setClauses.push(`${column} = $${paramCount}`);
+      values.push(data[key]);
+      paramCount++;
+    }
+  }
+
+  if (setClauses.length === 0) return null;
+
+  setClauses.push(`updated_at = CURRENT_TIMESTAMP`);
+  values.push(id);
+
+  const { previous, updated } = await withTransaction(async (client) => {
+    const existing = await client.query(`SELECT * FROM ${table} WHERE id = $1 FOR UPDATE`, [id]);
+    if (!existing.rows[0]) return {};
+
+    const result = await client.query(`
+      UPDATE ${table} 
+      SET ${setClauses.join(', ')}
+      WHERE id = $${paramCount}
+      RETURNING *
+    `, values);
+    return { previous: existing.rows[0], updated: result.rows[0] };
+  });
+
+  if (!updated) return null;
+
+  const before = {};
+  const after = {};
+  for (const column of Object.values(fieldMap)) {
+    if (!sameValue(previous[column], updated[column])) {
+      before[column] = previous[column] ?? null;
+      after[column] = updated[column] ?? null;
+    }
+  }
+
+  if (Object.keys(after).length > 0) {
+    await recordAudit({ action: 'update', entityType, entityId: id, before, after, details: options.details || null });
+  }
+
+  return updated;
+}
+
+export async function getAuditLog({ limit = 100, offset = 0, actor, entityType, entityId, action } = {}) {
+  await ensureAuditLogTable();
+
+  const conditions = [];
+  const values = [];
+
+  if (actor) {
+    values.push(actor);
+    conditions.push(`actor = $${values.length}`);
+  }
+  if (entityType) {
+    values.push(entityType);
+    conditions.push(`entity_type = $${values.length}`);
+  }
+  if (entityId) {
+    values.push(String(entityId));
+    conditions.push(`entity_id = $${values.length}`);
+  }
+  if (action) {
+    values.push(action);
+    conditions.push(`action = $${values.length}`);
+  }
+  values.push(limit, offset);
+
+  const result = await pool.query(`
+    SELECT * FROM audit_log
+    ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY created_at DESC, id DESC
+    LIMIT $${values.length - 1} OFFSET $${values.length}
+  `, values);
+  return result.rows;
+}
+
+/**
+ * Put back the fields changed by an 'update' entry
+ * Refuses if any of those fields has been edited again since, so a revert
+ * never silently overwrites a newer change.
+ * Returns { row } on success or { error, status }.
+ */
+export async function revertAuditEntry(entryId) {
+  await ensureAuditLogTable();
+
+  const result = await pool.query('SELECT * FROM audit_log WHERE id = $1', [entryId]);
+  const entry = result.rows[0];
+
+  if (!entry) {
+    return { error: 'Audit entry not found', status: 404 };
+  }
+
+  const table = Object.keys(AUDITED_TABLES).find(name => AUDITED_TABLES[name].entityType === entry.entity_type);
+  if (entry.action !== 'update' || !table || !entry.before) {
+    return { error: 'Only field edits to sales, companies and picks can be reverted', status: 400 };
+  }
+
+  if (entry.reverted_at) {
+    return { error: `Already reverted by ${entry.reverted_by}`, status: 409 };
+  }
+
+  const current = await pool.query(`SELECT * FROM ${table} WHERE id = $1`, [entry.entity_id]);
+  if (!current.rows[0]) {
+    return { error: `This ${entry.entity_type} no longer exists`, status: 404 };
+  }
+
+  const keyByColumn = Object.fromEntries(
+    Object.entries(AUDITED_TABLES[table].fieldMap).map(([key, column]) => [column, key])
+  );
+
+  const data = {};
+  for (const [column, value] of Object.entries(entry.before)) {
+    if (!keyByColumn[column]) {
+      return { error: `${column} can't be reverted`, status: 400 };
+    }
+    if (!sameValue(current.rows[0][column], entry.after?.[column])) {
+      return { error: `${column} has changed since this edit`, status: 409 };
+    }
+    data[keyByColumn[column]] = value;
+  }
+
+  const row = await updateAuditedRow(table, entry.entity_id, data, { details: { revertOf: entry.id } });
+
+  await pool.query(
+    'UPDATE audit_log SET reverted_at = CURRENT_TIMESTAMP, reverted_by = $2 WHERE id = $1',
+    [entry.id, getAuditContext().actor?.username || 'system']
+  );
+
+  return { row };
+}
+
 // ============================================
 // UTILITY FUNCTIONS
 // ============================================
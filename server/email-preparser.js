@@ -0,0 +1,283 @@
+// Rule-based pre-parse of sale emails
+// Pulls the common patterns out of an email without the AI: "30% off"
+// percentages, promo codes, end date phrases ("ends Sunday", "48 hours",
+// "through Nov 30") and the most prominent link. processSaleEmail uses the
+// result to hint the AI prompt and fill gaps in its answer, to skip the AI
+// call when the email is unambiguous, and instead of the AI when the call
+// fails or is content filtered.
+//
+// The result has the same fields as the AI's extraction, with a confidence on
+// the same 1-100 scale: a percentage alone is "likely a sale" (60s), one with
+// an end date and a link is a clear sale (75-89), and one that also carries
+// the discount or sale wording in the subject reaches 90+.
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const END_WORDS = '(?:ends?|ending|through|thru|until|till|expires?|valid through)';
+const HOURS = '(\\d{2,3})[\\s-]*(?:hours?|hrs?)';
+
+const SALE_WORDS = /\b(sale|flash|ends|ending|last chance|final (hours|day)|limited time|today only|weekend|hours left|black friday|cyber monday)\b/i;
+const WELCOME_WORDS = /\b(welcome|first order|thanks for signing up|signing up|verify your|refer a friend|referral)\b/i;
+
+// Links that are never the sale page
+const UTILITY_LINK = /unsubscribe|opt-?out|preferences|manage[-_]?subscription|view[-_]?(in|online|browser)|webversion|privacy|terms|instagram\.com|facebook\.com|twitter\.com|\/\/(www\.)?x\.com\/|pinterest\.|tiktok\.com|youtube\.com|linkedin\.com|apps\.apple\.com|play\.google\.com/i;
+// Click-tracking redirects: only used when the email has no direct link
+// (processSaleEmail follows redirects when it cleans the URL)
+const CLICK_TRACKER = /klclick|list-manage\.com|sendgrid\.net|mailchi\.mp|exct\.net|\/\/(click|clicks|trk|track|links|email|e)\.[^/]+\//i;
+
+const CODE_STOPWORDS = new Set(['NEEDED', 'REQUIRED', 'APPLIED', 'BELOW', 'ABOVE', 'CHECKOUT', 'FOR', 'AND', 'THE', 'NOW', 'YOUR']);
+
+export const PREPARSE_SKIP_AI_CONFIDENCE = 90;
+
+function decodeEntities(text) {
+  return text
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'");
+}
+
+function htmlToText(html) {
+  return decodeEntities(html
+    .replace(/<style[^>]*>[\s\S]*?<\/style>/gi, '')
+    .replace(/<script[^>]*>[\s\S]*?<\/script>/gi, '')
+    .replace(/<[^>]+>/g, ' '))
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function formatDate(date) {
+  return date.toISOString().split('T')[0];
+}
+
+function addDays(date, days) {
+  const result = new Date(date);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result;
+}
+
+/**
+ * Percentages off in a text, e.g. "30% off", "save up to 50%", "extra 20% off"
+ */
+function findPercents(text) {
+  const pattern = /\b(up to |extra |an extra |additional |save |take )?(\d{1,2})\s?%(\s*off)?/gi;
+  const percents = [];
+  for (const match of text.matchAll(pattern)) {
+    const lead = (match[1] || '').toLowerCase().trim();
+    // "30%" on its own is as likely a fabric blend as a discount
+    if (!match[3] && !['save', 'take', 'up to'].includes(lead)) continue;
+
+    const percent = parseInt(match[2], 10);
+    if (percent < 5 || percent > 90) continue;
+    percents.push({ percent, upTo: lead === 'up to', extra: lead.includes('extra') || lead === 'additional' });
+  }
+  return percents;
+}
+
+/**
+ * The headline percentage: one from the subject if there is one, otherwise
+ * the most repeated (then highest), leaving "extra" discounts aside
+ */
+function headlinePercent(subjectPercents, bodyPercents) {
+  const candidates = subjectPercents.length > 0 ? subjectPercents : bodyPercents;
+  const main = candidates.filter(p => !p.extra);
+  const pool = main.length > 0 ? main : candidates;
+  if (pool.length === 0) return null;
+
+  const counts = new Map();
+  for (const { percent } of pool) counts.set(percent, (counts.get(percent) || 0) + 1);
+  const [percent] = [...counts.entries()].sort((a, b) => b[1] - a[1] || b[0] - a[0])[0];
+  return pool.find(p => p.percent === percent);
+}
+
+/**
+ * Promo codes written as "code SAVE30", "use code: SAVE30", "promo code 'SAVE30'"
+ */
+function findCodes(text) {
+  const pattern = /\b(?:promo code|discount code|coupon code|coupon|use code|with code|enter code|code)\s*[:-]?\s*["'“‘]?([A-Za-z0-9][A-Za-z0-9_-]{2,19})/gi;
+  const codes = [];
+  for (const match of text.matchAll(pattern)) {
+    const code = match[1];
+    if (code !== code.toUpperCase() || !/[A-Z]/.test(code) || CODE_STOPWORDS.has(code)) continue;
+    if (!codes.includes(code)) codes.push(code);
+  }
+  return codes;
+}
+
+/**
+ * The sale's end date from phrases like "48 hours only", "ends in 72 hours", "ends tonight",
+ * "ends Sunday", "through Nov 30" or "until 11/30", relative to now
+ */
+function findEndDate(text, now) {
+  const today = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+
+  // Only with end wording right next to it: "ships within 48 hours" is no deadline
+  const hours = text.match(new RegExp(`\\b(?:${HOURS}\\s+(?:only|left|to go)|(?:ends?|ending|expires?)\\s+in\\s+${HOURS}|(?:only|last|final)\\s+${HOURS}|${HOURS}\\s+(?:flash\\s+)?sale)\\b`, 'i'));
+  const hourCount = hours ? parseInt(hours.slice(1).find(Boolean), 10) : 0;
+  if (hourCount >= 12 && hourCount <= 168) {
+    return { phrase: hours[0], date: formatDate(addDays(today, Math.ceil(hourCount / 24))) };
+  }
+
+  const sameDay = text.match(new RegExp(`\\b(?:${END_WORDS}\\s+(?:at\\s+midnight\\s+)?(?:today|tonight)|today only|one day only|last day)\\b`, 'i'));
+  if (sameDay) return { phrase: sameDay[0], date: formatDate(today) };
+
+  const tomorrow = text.match(new RegExp(`\\b${END_WORDS}\\s+(?:at\\s+midnight\\s+)?tomorrow\\b`, 'i'));
+  if (tomorrow) return { phrase: tomorrow[0], date: formatDate(addDays(today, 1)) };
+
+  const weekday = text.match(new RegExp(`\\b${END_WORDS}\\s+(?:on\\s+)?(?:this\\s+)?(${WEEKDAYS.join('|')})\\b`, 'i'));
+  if (weekday) {
+    const days = (WEEKDAYS.indexOf(weekday[1].toLowerCase()) - today.getUTCDay() + 7) % 7;
+    return { phrase: weekday[0], date: formatDate(addDays(today, days)) };
+  }
+
+  const monthDay = text.match(new RegExp(`\\b${END_WORDS}\\s+(?:on\\s+)?(?:[a-z]+day,?\\s+)?(${MONTHS.join('|')})[a-z]*\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b`, 'i'));
+  const numeric = text.match(new RegExp(`\\b${END_WORDS}\\s+(?:on\\s+)?(\\d{1,2})\\/(\\d{1,2})\\b`, 'i'));
+  if (monthDay || numeric) {
+    const month = monthDay ? MONTHS.indexOf(monthDay[1].toLowerCase()) : parseInt(numeric[1], 10) - 1;
+    const day = parseInt(monthDay ? monthDay[2] : numeric[2], 10);
+    if (month >= 0 && month < 12 && day >= 1 && day <= 31) {
+      let date = new Date(Date.UTC(today.getUTCFullYear(), month, day));
+      // "through Jan 2" sent in late December means next year
+      if (date < today) date = new Date(Date.UTC(today.getUTCFullYear() + 1, month, day));
+      return { phrase: (monthDay || numeric)[0], date: formatDate(date) };
+    }
+  }
+
+  const weekend = text.match(/\b(?:this weekend|weekend only|weekend sale)\b/i);
+  if (weekend) {
+    return { phrase: weekend[0], date: formatDate(addDays(today, (7 - today.getUTCDay()) % 7)) };
+  }
+
+  return null;
+}
+
+/**
+ * The link most likely to be the sale page: button and image links, "shop"
+ * and "sale" wording and repeated links count for more; footer, social and
+ * unsubscribe links never count
+ */
+function findSaleLink(html, text) {
+  const links = [];
+
+  if (html) {
+    for (const match of html.matchAll(/<a\b([^>]*)>([\s\S]*?)<\/a>/gi)) {
+      const href = match[1].match(/href\s*=\s*["']([^"']+)["']/i);
+      if (href) links.push({ url: decodeEntities(href[1].trim()), anchor: match[2] });
+    }
+  } else {
+    for (const match of text.matchAll(/https?:\/\/[^\s<>"')\]]+/gi)) {
+      links.push({ url: match[0], anchor: '' });
+    }
+  }
+
+  const scores = new Map();
+  links.forEach(({ url: href, anchor }, index) => {
+    // Only http(s) links, normalized, ever leave the pre-parse
+    let parsed;
+    try {
+      parsed = new URL(href);
+    } catch {
+      return;
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return;
+    const url = parsed.href;
+    const path = parsed.pathname;
+    if (UTILITY_LINK.test(url)) return;
+
+    const seen = scores.has(url);
+    // Earlier links win ties
+    let score = seen ? scores.get(url) + 1 : (CLICK_TRACKER.test(url) ? -5 : 0) - index / links.length;
+    if (!seen && /sale|promo|offer|deal/i.test(path)) score += 2;
+    if (/\b(shop|sale|buy|discover|explore)\b/i.test(htmlToText(anchor))) score += 3;
+    if (/<img\b/i.test(anchor)) score += 2;
+    scores.set(url, score);
+  });
+
+  const [best] = [...scores.entries()].sort((a, b) => b[1] - a[1]);
+  return best ? best[0] : null;
+}
+
+/**
+ * Pre-parse a sale email. company is the brand when it is already known
+ * (a mapped sender); without it the result has no company.
+ */
+export function preparseSaleEmail({ subject = '', text = '', html = '', company = null, now = new Date() }) {
+  const body = text || (html ? htmlToText(html) : '');
+  const subjectPercents = findPercents(subject);
+  const bodyPercents = findPercents(body);
+  const headline = headlinePercent(subjectPercents, bodyPercents);
+  const codes = findCodes(`${subject} ${body}`);
+  const end = findEndDate(`${subject} ${body}`, now);
+  const saleUrl = findSaleLink(html, body);
+
+  const percentOff = headline?.percent || null;
+  const discountCode = codes[0] || null;
+  const found = [];
+  const doubts = [];
+
+  let confidence = 0;
+  if (percentOff) {
+    confidence = 50;
+    found.push(`${headline.upTo ? 'up to ' : ''}${percentOff}% off`);
+    if (subjectPercents.length > 0) confidence += 10;
+    if (end) {
+      confidence += 15;
+      found.push(`ends ${end.date} ("${end.phrase}")`);
+    }
+    if (saleUrl) {
+      confidence += 10;
+      found.push('a sale link');
+    }
+    if (SALE_WORDS.test(subject)) {
+      confidence += 10;
+      found.push('sale wording in the subject');
+    }
+    if (discountCode) {
+      confidence += 5;
+      found.push(`code ${discountCode}`);
+    }
+
+    const distinct = new Set([...subjectPercents, ...bodyPercents].filter(p => !p.extra).map(p => p.percent));
+    if (headline.upTo || distinct.size > 2) {
+      confidence -= 15;
+      doubts.push(headline.upTo ? '"up to" discount' : `${distinct.size} different percentages`);
+    }
+    if (WELCOME_WORDS.test(`${subject} ${body.substring(0, 1000)}`)) {
+      confidence = Math.min(confidence, 40);
+      doubts.push('welcome/signup wording');
+    }
+    confidence = Math.max(1, Math.min(100, confidence));
+  }
+
+  return {
+    company,
+    percentOff,
+    saleUrl,
+    discountCode,
+    startDate: formatDate(now),
+    endDate: end?.date || null,
+    offers: percentOff ? [{ type: 'percent', percentOff, code: discountCode }] : [],
+    confidence,
+    reasoning: percentOff
+      ? `Rule-based pre-parse found ${found.join(', ')}${doubts.length ? `; doubts: ${doubts.join(', ')}` : ''}`
+      : 'Rule-based pre-parse found no percentage off',
+    source: 'rules',
+    datePhrase: end?.phrase || null,
+    codes
+  };
+}
+
+/**
+ * One line of what the pre-parse found, for logs and the AI prompt
+ */
+export function describePreparse(result) {
+  if (!result.percentOff) return 'no percentage off found';
+  return [
+    `${result.percentOff}% off`,
+    result.discountCode && `code ${result.discountCode}`,
+    result.endDate && `ends ${result.endDate} ("${result.datePhrase}")`,
+    result.saleUrl && `link ${result.saleUrl}`
+  ].filter(Boolean).join(', ');
+}
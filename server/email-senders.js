@@ -0,0 +1,77 @@
+// Sender rules for the sale email webhook
+// A rule names a full address (news@ganni.com) or a domain (ganni.com, which
+// also covers subdomains like email.ganni.com) and can:
+//   - map the sender to a company, so the brand isn't left to the model and
+//     fuzzy name matching
+//   - set a policy: 'deny' rejects the email before it reaches OpenAI,
+//     'trust' skips the low-confidence check, 'default' changes nothing
+// The most specific rule wins: the address, then the longest domain.
+
+import { getEmailSenderRulesFor, recordEmailSenderRuleMatch } from './db.js';
+
+/**
+ * The bare, lowercased address from a From value like "Ganni <news@ganni.com>"
+ */
+export function senderAddress(from) {
+  const match = String(from || '').match(/<([^>]+)>/) || String(from || '').match(/([^\s<>"']+@[^\s<>"']+)/);
+  return match ? match[1].trim().toLowerCase() : null;
+}
+
+/**
+ * The display name from a From value like "Ganni <news@ganni.com>", or null
+ */
+export function senderDisplayName(from) {
+  const match = String(from || '').match(/^\s*"?([^"<]+?)"?\s*</);
+  const name = match ? match[1].trim() : '';
+  return name && !name.includes('@') ? name : null;
+}
+
+/**
+ * Rule keys that could apply to an address, most specific first
+ * news@email.ganni.com -> [news@email.ganni.com, email.ganni.com, ganni.com]
+ */
+export function senderCandidates(address) {
+  if (!address || !address.includes('@')) return [];
+
+  const labels = address.split('@')[1].split('.');
+  const domains = [];
+  for (let i = 0; i < labels.length - 1; i++) {
+    domains.push(labels.slice(i).join('.'));
+  }
+  return [address, ...domains];
+}
+
+/**
+ * Normalize what an admin typed as a rule's sender, or null if it is neither
+ * an address nor a domain
+ */
+export function normalizeSender(input) {
+  const sender = String(input || '')
+    .trim()
+    .toLowerCase()
+    .replace(/^mailto:/, '')
+    .replace(/^@/, '');
+
+  const isAddress = /^[^\s@]+@[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(sender);
+  const isDomain = /^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(sender);
+  return isAddress || isDomain ? sender : null;
+}
+
+/**
+ * The rule that applies to an email's From value, or null
+ */
+export async function findSenderRule(from) {
+  const candidates = senderCandidates(senderAddress(from));
+  if (candidates.length === 0) return null;
+
+  const rules = await getEmailSenderRulesFor(candidates);
+  const rule = candidates
+    .map(candidate => rules.find(r => r.sender === candidate))
+    .find(Boolean) || null;
+
+  if (rule) {
+    recordEmailSenderRuleMatch(rule.id)
+      .catch(error => console.warn(`⚠️ Failed to record match for sender rule ${rule.sender}:`, error.message));
+  }
+  return rule;
+}
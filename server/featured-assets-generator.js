@@ -4,6 +4,7 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import fs from 'fs';
 import { uploadToGoogleDrive } from './google-drive-uploader.js';
+import { formatLocalPrices } from './currency.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -1137,6 +1138,15 @@ export async function generatePickStoryWithCopy(pickId, customCopy = '') {
     priceText = `$${salePrice}`;
   }
   
+  const localPrices = formatLocalPrices({
+    currency: pick.Currency,
+    localSalePrice: pick.LocalSalePrice,
+    localOriginalPrice: pick.LocalOriginalPrice
+  });
+  if (priceText && localPrices) {
+    priceText += ` (${localPrices})`;
+  }
+  
   const fontSize = 48;
   const textPadding = 20;
   const charWidth = fontSize * 0.6;
@@ -30,6 +30,16 @@ async function saveDrafts(data) {
   await fs.writeFile(DRAFTS_FILE, JSON.stringify(data, null, 2));
 }
 
+// Writes are read-modify-write on one file; run them one at a time so a bulk
+// import adding picks and the editor's auto-save don't overwrite each other
+let writeQueue = Promise.resolve();
+
+function withDraftsLock(fn) {
+  const run = writeQueue.then(fn);
+  writeQueue = run.catch(() => {});
+  return run;
+}
+
 async function getAllDrafts() {
   const data = await getDrafts();
   return data.drafts.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
@@ -40,7 +50,24 @@ async function getDraftById(draftId) {
   return data.drafts.find(d => d.id === draftId);
 }
 
-async function saveDraft(draft) {
+/**
+ * Save the editor's copy of a draft
+ * version is the one the editor loaded; if the draft has been written since
+ * (a bulk import appended picks), nothing is saved and the current draft is
+ * returned with a 409 so the editor can reload it.
+ */
+function saveDraft(draft) {
+  return withDraftsLock(async () => {
+    const data = await getDrafts();
+    const existing = draft.id ? data.drafts.find(d => d.id === draft.id) : null;
+    if (existing && (existing.version || 0) !== (draft.version || 0)) {
+      return { error: 'This draft changed since it was loaded - reload it', status: 409, draft: existing };
+    }
+    return { draft: await writeDraft(draft) };
+  });
+}
+
+async function writeDraft(draft) {
   const data = await getDrafts();
   const now = new Date().toISOString();
   
@@ -59,6 +86,7 @@ async function saveDraft(draft) {
       failedUrls: draft.failedUrls || [],
       customPercentOff: draft.customPercentOff || '',
       individualCustomPercent: draft.individualCustomPercent || {},
+      version: (existing.version || 0) + 1,
       createdAt: existing.createdAt, // Preserve original creation time
       updatedAt: now
     };
@@ -73,6 +101,7 @@ async function saveDraft(draft) {
       failedUrls: draft.failedUrls || [],
       customPercentOff: draft.customPercentOff || '',
       individualCustomPercent: draft.individualCustomPercent || {},
+      version: 1,
       createdAt: now,
       updatedAt: now
     };
@@ -84,7 +113,37 @@ async function saveDraft(draft) {
   return existingIndex >= 0 ? data.drafts[existingIndex] : data.drafts[data.drafts.length - 1];
 }
 
-async function deleteDraft(draftId) {
+/**
+ * Add scraped picks and failed URLs to the sale's draft, creating it if needed
+ * Used by bulk import so results can be reviewed together in FinalizePicks.
+ * Picks whose URL is already in the draft are not added twice.
+ */
+function addToSaleDraft(sale, { picks = [], failedUrls = [] }) {
+  return withDraftsLock(async () => {
+    const data = await getDrafts();
+    const existing = data.drafts
+      .filter(d => d.saleId === sale.saleId)
+      .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt))[0];
+
+    const draft = existing || { saleId: sale.saleId, saleName: sale.saleName, salePercentOff: sale.salePercentOff };
+    const knownUrls = new Set((draft.picks || []).map(p => p.url));
+    const newPicks = picks.filter(p => !knownUrls.has(p.url));
+    const scrapedUrls = new Set(picks.map(p => p.url));
+
+    return writeDraft({
+      ...draft,
+      picks: [...(draft.picks || []), ...newPicks],
+      // A URL that scraped this time is no longer a failure
+      failedUrls: [...new Set([...(draft.failedUrls || []), ...failedUrls])].filter(url => !scrapedUrls.has(url))
+    });
+  });
+}
+
+function deleteDraft(draftId) {
+  return withDraftsLock(() => removeDraft(draftId));
+}
+
+async function removeDraft(draftId) {
   const data = await getDrafts();
   const initialLength = data.drafts.length;
   data.drafts = data.drafts.filter(d => d.id !== draftId);
@@ -100,5 +159,6 @@ export {
   getAllDrafts,
   getDraftById,
   saveDraft,
+  addToSaleDraft,
   deleteDraft
 };
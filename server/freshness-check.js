@@ -0,0 +1,274 @@
+import { scrapeProduct } from './scrapers/index.js';
+import { getLiveSalesWithPicks, updatePick, recordPickPrice } from './db.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Default recheck interval for a healthy pick in a sale with plenty of time left
+const BASE_CHECK_INTERVAL_DAYS = 14;
+
+// Scrapes below this confidence don't change a pick's status or prices
+const MIN_TRUSTED_CONFIDENCE = 50;
+
+// Ignore price wobble smaller than this (rounding, currency display)
+const MIN_PRICE_CHANGE_PERCENT = 1;
+
+/**
+ * Work out when a pick should be checked again
+ * Picks close to selling out, picks we couldn't read, and picks in sales
+ * that are about to end get rechecked sooner than the 14-day default.
+ * The next check is never scheduled after the sale has ended.
+ */
+export function computeNextCheckDue({ availabilityStatus, percentOff, saleEndDate }, now = new Date()) {
+  let intervalDays = BASE_CHECK_INTERVAL_DAYS;
+
+  if (availabilityStatus === 'Low') {
+    intervalDays = Math.min(intervalDays, 2);
+  } else if (availabilityStatus === 'Unknown') {
+    intervalDays = Math.min(intervalDays, 3);
+  } else if (availabilityStatus === 'Sold Out') {
+    intervalDays = Math.min(intervalDays, 7); // Watch for restocks
+  }
+
+  // Deep discounts tend to sell through quickly
+  const discount = parseFloat(percentOff) || 0;
+  if (discount >= 50) {
+    intervalDays = Math.min(intervalDays, 7);
+  }
+
+  let endDate = null;
+  if (saleEndDate) {
+    endDate = new Date(saleEndDate);
+    if (isNaN(endDate.getTime())) endDate = null;
+  }
+
+  if (endDate) {
+    const daysLeft = (endDate.getTime() - now.getTime()) / DAY_MS;
+    if (daysLeft <= 3) {
+      intervalDays = 1;
+    } else if (daysLeft <= 7) {
+      intervalDays = Math.min(intervalDays, 3);
+    }
+  }
+
+  let nextCheckDue = new Date(now.getTime() + intervalDays * DAY_MS);
+
+  // No point checking after the sale is over - but always at least a day out
+  if (endDate && endDate < nextCheckDue) {
+    nextCheckDue = new Date(Math.max(endDate.getTime(), now.getTime() + DAY_MS));
+  }
+
+  return nextCheckDue;
+}
+
+function isPickDue(pick, now) {
+  if (!pick.next_check_due) return true;
+  return new Date(pick.next_check_due) <= now;
+}
+
+function toPrice(value) {
+  const num = parseFloat(value);
+  return isNaN(num) || num <= 0 ? null : num;
+}
+
+/**
+ * Compare scraped prices with the stored pick
+ * Returns the pick updates (prices + recomputed percent_off) and a
+ * priceChange summary when the sale price moved.
+ */
+export function detectPriceChange(pick, product) {
+  const previousSalePrice = toPrice(pick.sale_price);
+  const salePrice = toPrice(product.salePrice);
+
+  if (!salePrice) {
+    return { updates: {}, priceChange: null };
+  }
+
+  // Fall back to the stored original price when the page doesn't show a "was" price
+  const scrapedOriginal = toPrice(product.originalPrice);
+  const originalPrice = scrapedOriginal || toPrice(pick.original_price);
+
+  const updates = { salePrice };
+  if (scrapedOriginal) {
+    updates.originalPrice = scrapedOriginal;
+  }
+  updates.percentOff = originalPrice && originalPrice > salePrice
+    ? Math.round((1 - salePrice / originalPrice) * 100)
+    : 0;
+
+  // The shop's own prices when it doesn't price in USD
+  updates.currency = product.currency || 'USD';
+  if (updates.currency === 'USD') {
+    updates.localSalePrice = null;
+    updates.localOriginalPrice = null;
+  } else {
+    updates.localSalePrice = toPrice(product.localSalePrice);
+    if (toPrice(product.localOriginalPrice)) {
+      updates.localOriginalPrice = toPrice(product.localOriginalPrice);
+    }
+  }
+
+  // Compare in the shop's currency when it hasn't changed, so editing the
+  // exchange rate table doesn't look like a price change
+  const localPrices = updates.currency !== 'USD' && pick.currency === updates.currency &&
+    toPrice(pick.local_sale_price) && updates.localSalePrice;
+  const previous = localPrices ? toPrice(pick.local_sale_price) : previousSalePrice;
+  const current = localPrices ? updates.localSalePrice : salePrice;
+
+  let priceChange = null;
+  if (previous) {
+    const changePercent = ((current - previous) / previous) * 100;
+    if (Math.abs(changePercent) >= MIN_PRICE_CHANGE_PERCENT) {
+      priceChange = {
+        direction: changePercent < 0 ? 'drop' : 'increase',
+        previousSalePrice,
+        salePrice,
+        changePercent: Math.round(changePercent)
+      };
+    }
+  }
+
+  return { updates, priceChange };
+}
+
+/**
+ * Scrape a single pick and update its availability, prices and next check date
+ * Shared by the manual refresh and the nightly check.
+ */
+export async function checkPickFreshness(pick, sale, options = {}) {
+  const {
+    openai,
+    shouldAutofillBrand,
+    logger = console,
+    now = new Date(),
+    source = 'refresh'
+  } = options;
+
+  const scrapeResult = await scrapeProduct(pick.product_url, {
+    openai,
+    logger,
+    shouldAutofillBrand
+  });
+
+  const confidence = scrapeResult.meta?.confidence || 0;
+  const trusted = scrapeResult.success && confidence > MIN_TRUSTED_CONFIDENCE;
+
+  let availabilityStatus = 'Unknown';
+  let priceUpdates = {};
+  let priceChange = null;
+  let sizeUpdates = {};
+
+  if (trusted) {
+    // Scrapers report an explicit stock signal when the page has one
+    availabilityStatus = scrapeResult.product.availability || 'In Stock';
+
+    // Keep the last known sizes when this page didn't expose any
+    if (scrapeResult.product.sizeAvailability?.length > 0) {
+      sizeUpdates = { sizeAvailability: scrapeResult.product.sizeAvailability };
+    }
+
+    const detected = detectPriceChange(pick, scrapeResult.product);
+    priceUpdates = detected.updates;
+    priceChange = detected.priceChange;
+  }
+
+  const nextCheckDue = computeNextCheckDue({
+    availabilityStatus,
+    percentOff: priceUpdates.percentOff ?? pick.percent_off,
+    saleEndDate: sale?.end_date
+  }, now);
+
+  await updatePick(pick.id, {
+    ...priceUpdates,
+    ...sizeUpdates,
+    availabilityStatus,
+    lastValidatedAt: now,
+    nextCheckDue,
+    hiddenUntilFresh: false
+  });
+
+  if (priceUpdates.salePrice) {
+    try {
+      await recordPickPrice(pick.id, {
+        originalPrice: priceUpdates.originalPrice ?? pick.original_price,
+        salePrice: priceUpdates.salePrice,
+        percentOff: priceUpdates.percentOff,
+        availabilityStatus,
+        source
+      });
+    } catch (error) {
+      logger.warn(`  ⚠️ Failed to record price history for pick ${pick.id}:`, error.message);
+    }
+  }
+
+  if (priceChange) {
+    const arrow = priceChange.direction === 'drop' ? '📉' : '📈';
+    logger.log(`  ${arrow} Price ${priceChange.direction}: $${priceChange.previousSalePrice} → $${priceChange.salePrice} (${priceChange.changePercent}%)`);
+  }
+
+  return {
+    status: availabilityStatus,
+    confidence,
+    salePrice: priceUpdates.salePrice ?? null,
+    percentOff: priceUpdates.percentOff ?? null,
+    priceChange,
+    nextCheckDue
+  };
+}
+
+/**
+ * Nightly freshness check (PostgreSQL)
+ * Scrapes every due pick from live sales, updates its availability and
+ * schedules its next check based on how urgent it is.
+ */
+export async function runNightlyFreshnessCheck(options = {}) {
+  const { logger = console } = options;
+
+  const now = new Date();
+  const sales = await getLiveSalesWithPicks();
+
+  const duePicks = [];
+  for (const sale of sales) {
+    for (const pick of sale.picks) {
+      if (isPickDue(pick, now)) {
+        duePicks.push({ pick, sale });
+      }
+    }
+  }
+
+  logger.log(`  Found ${sales.length} active sales, ${duePicks.length} picks due for checking`);
+
+  const results = [];
+
+  for (const { pick, sale } of duePicks) {
+    const pickId = pick.airtable_id || `pg_${pick.id}`;
+
+    try {
+      if (!pick.product_url) {
+        results.push({ pickId, success: false, error: 'No product URL' });
+        continue;
+      }
+
+      logger.log(`  Checking: ${pick.product_name}`);
+
+      const check = await checkPickFreshness(pick, sale, { ...options, now, source: 'nightly' });
+
+      results.push({
+        pickId,
+        success: true,
+        ...check,
+        nextCheckDue: check.nextCheckDue.toISOString()
+      });
+      logger.log(`  ✅ ${check.status} (confidence: ${check.confidence}%), next check ${check.nextCheckDue.toISOString().split('T')[0]}`);
+
+    } catch (error) {
+      logger.error(`  ❌ Error checking pick ${pickId}:`, error.message);
+      results.push({ pickId, success: false, error: error.message });
+    }
+  }
+
+  return {
+    activeSalesCount: sales.length,
+    dueCount: duePicks.length,
+    results
+  };
+}
@@ -0,0 +1,337 @@
+import os from 'os';
+import { pool } from './db.js';
+import { runWithAuditContext } from './audit-context.js';
+
+// PostgreSQL-backed job queue
+// Generalizes the asset_jobs table: every background task (asset generation,
+// Gem sync, brand research, stories) is a row with a job_type. Jobs survive
+// restarts, failed attempts are retried with backoff, and each job type has
+// its own concurrency limit.
+
+const POLL_INTERVAL_MS = 5 * 1000;
+
+// Retry delay doubles per attempt: 30s, 1m, 2m, ... capped at 30m
+const BASE_RETRY_DELAY_MS = 30 * 1000;
+const MAX_RETRY_DELAY_MS = 30 * 60 * 1000;
+
+const DEFAULT_MAX_ATTEMPTS = 3;
+const DEFAULT_CONCURRENCY = 1;
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+// Jobs held by another machine are only taken over once they stop reporting progress
+const STALE_JOB_MINUTES = 15;
+
+const handlers = new Map(); // jobType -> { handler, concurrency, maxAttempts }
+const runningCounts = new Map(); // jobType -> number of jobs running in this process
+
+let tableReady = null;
+let pollIntervalId = null;
+let draining = false;
+let drainRequested = false;
+
+export function ensureJobsTable() {
+  if (!tableReady) {
+    tableReady = pool.query(`
+      CREATE TABLE IF NOT EXISTS asset_jobs (
+        id SERIAL PRIMARY KEY,
+        sale_id TEXT,
+        status TEXT NOT NULL DEFAULT 'pending',
+        config JSONB,
+        progress INTEGER DEFAULT 0,
+        total INTEGER DEFAULT 0,
+        current_step TEXT,
+        results JSONB,
+        error TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+      ALTER TABLE asset_jobs ALTER COLUMN sale_id DROP NOT NULL;
+      ALTER TABLE asset_jobs ADD COLUMN IF NOT EXISTS job_type TEXT NOT NULL DEFAULT 'asset_generation';
+      ALTER TABLE asset_jobs ADD COLUMN IF NOT EXISTS dedupe_key TEXT;
+      ALTER TABLE asset_jobs ADD COLUMN IF NOT EXISTS attempts INTEGER NOT NULL DEFAULT 0;
+      ALTER TABLE asset_jobs ADD COLUMN IF NOT EXISTS max_attempts INTEGER NOT NULL DEFAULT ${DEFAULT_MAX_ATTEMPTS};
+      ALTER TABLE asset_jobs ADD COLUMN IF NOT EXISTS run_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP;
+      ALTER TABLE asset_jobs ADD COLUMN IF NOT EXISTS locked_by TEXT;
+      ALTER TABLE asset_jobs ADD COLUMN IF NOT EXISTS started_at TIMESTAMP;
+      ALTER TABLE asset_jobs ADD COLUMN IF NOT EXISTS finished_at TIMESTAMP;
+      CREATE INDEX IF NOT EXISTS asset_jobs_queue_idx ON asset_jobs (status, run_at);
+    `).catch(error => {
+      tableReady = null;
+      throw error;
+    });
+  }
+  return tableReady;
+}
+
+/**
+ * Register the function that runs jobs of a given type
+ * handler(job, { updateProgress }) may return a results object; throwing
+ * marks the attempt as failed and schedules a retry.
+ */
+export function registerJobHandler(jobType, handler, options = {}) {
+  handlers.set(jobType, {
+    handler,
+    concurrency: options.concurrency || DEFAULT_CONCURRENCY,
+    maxAttempts: options.maxAttempts || DEFAULT_MAX_ATTEMPTS
+  });
+}
+
+/**
+ * Add a job to the queue
+ * With dedupeKey set, returns the existing job instead when one with the same
+ * type and key is still pending or running.
+ */
+export async function enqueueJob(jobType, payload = {}, options = {}) {
+  await ensureJobsTable();
+
+  const { saleId = null, dedupeKey = null, total = 0, currentStep = 'Queued...', runAt = null } = options;
+  const maxAttempts = options.maxAttempts || handlers.get(jobType)?.maxAttempts || DEFAULT_MAX_ATTEMPTS;
+
+  if (dedupeKey) {
+    const existing = await pool.query(
+      `SELECT * FROM asset_jobs
+       WHERE job_type = $1 AND dedupe_key = $2 AND status IN ('pending', 'processing')
+       ORDER BY created_at DESC LIMIT 1`,
+      [jobType, dedupeKey]
+    );
+    if (existing.rows.length > 0) {
+      return { job: existing.rows[0], created: false };
+    }
+  }
+
+  const result = await pool.query(
+    `INSERT INTO asset_jobs (job_type, sale_id, status, config, progress, total, current_step, dedupe_key, max_attempts, run_at)
+     VALUES ($1, $2, 'pending', $3, 0, $4, $5, $6, $7, COALESCE($8, CURRENT_TIMESTAMP))
+     RETURNING *`,
+    [jobType, saleId, JSON.stringify(payload), total, currentStep, dedupeKey, maxAttempts, runAt]
+  );
+
+  const job = result.rows[0];
+  console.log(`📋 Queued ${jobType} job ${job.id}`);
+
+  // Don't wait for the next poll
+  drainQueue();
+
+  return { job, created: true };
+}
+
+export async function updateJobProgress(jobId, { progress, total, currentStep }) {
+  await pool.query(
+    `UPDATE asset_jobs
+     SET progress = COALESCE($1, progress), total = COALESCE($2, total),
+         current_step = COALESCE($3, current_step), updated_at = NOW()
+     WHERE id = $4`,
+    [progress ?? null, total ?? null, currentStep ?? null, jobId]
+  );
+}
+
+function getRetryDelayMs(attempts) {
+  return Math.min(BASE_RETRY_DELAY_MS * Math.pow(2, Math.max(attempts - 1, 0)), MAX_RETRY_DELAY_MS);
+}
+
+// Job types that still have a free slot in this process
+function getAvailableJobTypes() {
+  const available = [];
+  for (const [jobType, { concurrency }] of handlers) {
+    if ((runningCounts.get(jobType) || 0) < concurrency) {
+      available.push(jobType);
+    }
+  }
+  return available;
+}
+
+async function claimNextJob(jobTypes) {
+  const result = await pool.query(
+    `UPDATE asset_jobs
+     SET status = 'processing', attempts = attempts + 1, locked_by = $2,
+         started_at = NOW(), updated_at = NOW(), error = NULL
+     WHERE id = (
+       SELECT id FROM asset_jobs
+       WHERE status = 'pending' AND run_at <= NOW() AND job_type = ANY($1)
+       ORDER BY run_at, id
+       FOR UPDATE SKIP LOCKED
+       LIMIT 1
+     )
+     RETURNING *`,
+    [jobTypes, WORKER_ID]
+  );
+  return result.rows[0] || null;
+}
+
+async function runJob(job) {
+  const { handler } = handlers.get(job.job_type);
+  const config = typeof job.config === 'string' ? JSON.parse(job.config) : job.config;
+
+  console.log(`\n⚙️  [Job ${job.id}] Running ${job.job_type} (attempt ${job.attempts}/${job.max_attempts})`);
+
+  try {
+    const results = await runWithAuditContext({ route: `job ${job.job_type} #${job.id}` }, () =>
+      handler({ ...job, config }, {
+        updateProgress: (update) => updateJobProgress(job.id, update)
+      })
+    );
+
+    await pool.query(
+      `UPDATE asset_jobs
+       SET status = 'completed', results = COALESCE($1, results), locked_by = NULL,
+           finished_at = NOW(), updated_at = NOW()
+       WHERE id = $2`,
+      [results !== undefined ? JSON.stringify(results) : null, job.id]
+    );
+    console.log(`✅ [Job ${job.id}] ${job.job_type} completed`);
+
+  } catch (error) {
+    const willRetry = job.attempts < job.max_attempts;
+
+    if (willRetry) {
+      const delayMs = getRetryDelayMs(job.attempts);
+      await pool.query(
+        `UPDATE asset_jobs
+         SET status = 'pending', error = $1, locked_by = NULL,
+             run_at = NOW() + ($2 || ' milliseconds')::interval,
+             current_step = $3, updated_at = NOW()
+         WHERE id = $4`,
+        [error.message, String(delayMs), `Retrying in ${Math.round(delayMs / 1000)}s...`, job.id]
+      );
+      console.warn(`⚠️  [Job ${job.id}] ${job.job_type} failed, retrying in ${Math.round(delayMs / 1000)}s:`, error.message);
+    } else {
+      await pool.query(
+        `UPDATE asset_jobs
+         SET status = 'failed', error = $1, locked_by = NULL, finished_at = NOW(), updated_at = NOW()
+         WHERE id = $2`,
+        [error.message, job.id]
+      );
+      console.error(`❌ [Job ${job.id}] ${job.job_type} failed after ${job.attempts} attempts:`, error.message);
+    }
+  }
+}
+
+/**
+ * Start as many due jobs as the concurrency limits allow
+ * Jobs run in the background; finishing one triggers another drain.
+ */
+export async function drainQueue() {
+  if (draining) {
+    drainRequested = true;
+    return;
+  }
+  draining = true;
+
+  try {
+    await ensureJobsTable();
+
+    do {
+      drainRequested = false;
+
+      let jobTypes = getAvailableJobTypes();
+      while (jobTypes.length > 0) {
+        const job = await claimNextJob(jobTypes);
+        if (!job) break;
+
+        runningCounts.set(job.job_type, (runningCounts.get(job.job_type) || 0) + 1);
+        runJob(job)
+          .catch(error => console.error(`❌ [Job ${job.id}] Could not record job result:`, error.message))
+          .finally(() => {
+            runningCounts.set(job.job_type, runningCounts.get(job.job_type) - 1);
+            drainQueue();
+          });
+
+        jobTypes = getAvailableJobTypes();
+      }
+    } while (drainRequested);
+
+  } catch (error) {
+    console.error('❌ Job queue error:', error.message);
+  } finally {
+    draining = false;
+  }
+}
+
+/**
+ * Resume work after a restart and start polling for due jobs
+ * Jobs left in 'processing' by a previous process on this machine (or stale
+ * ones from elsewhere) are put back in the queue.
+ */
+export async function startJobQueue() {
+  await ensureJobsTable();
+
+  const resumed = await pool.query(
+    `UPDATE asset_jobs
+     SET status = 'pending', locked_by = NULL, current_step = 'Resuming after restart...', updated_at = NOW()
+     WHERE status = 'processing'
+       AND (
+         locked_by IS NULL
+         OR (locked_by LIKE $1 AND locked_by <> $2)
+         OR updated_at < NOW() - INTERVAL '${STALE_JOB_MINUTES} minutes'
+       )
+     RETURNING id`,
+    [`${os.hostname()}:%`, WORKER_ID]
+  );
+
+  if (resumed.rows.length > 0) {
+    console.log(`♻️  Resuming ${resumed.rows.length} interrupted job(s)`);
+  }
+
+  if (!pollIntervalId) {
+    pollIntervalId = setInterval(drainQueue, POLL_INTERVAL_MS);
+  }
+
+  drainQueue();
+}
+
+export async function getJobs({ status, jobType, limit = 100 } = {}) {
+  await ensureJobsTable();
+
+  const conditions = [];
+  const values = [];
+
+  if (status) {
+    values.push(status);
+    conditions.push(`status = $${values.length}`);
+  }
+  if (jobType) {
+    values.push(jobType);
+    conditions.push(`job_type = $${values.length}`);
+  }
+  values.push(limit);
+
+  const result = await pool.query(
+    `SELECT * FROM asset_jobs
+     ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+     ORDER BY created_at DESC
+     LIMIT $${values.length}`,
+    values
+  );
+  return result.rows;
+}
+
+export async function getJobCounts() {
+  await ensureJobsTable();
+
+  const result = await pool.query(
+    `SELECT status, COUNT(*)::int AS count FROM asset_jobs GROUP BY status`
+  );
+  return Object.fromEntries(result.rows.map(row => [row.status, row.count]));
+}
+
+/**
+ * Put a failed job back in the queue with a fresh set of attempts
+ */
+export async function retryJob(jobId) {
+  await ensureJobsTable();
+
+  const result = await pool.query(
+    `UPDATE asset_jobs
+     SET status = 'pending', attempts = 0, error = NULL, run_at = NOW(),
+         current_step = 'Queued for retry...', finished_at = NULL, updated_at = NOW()
+     WHERE id = $1 AND status = 'failed'
+     RETURNING *`,
+    [jobId]
+  );
+
+  if (result.rows.length > 0) {
+    drainQueue();
+  }
+  return result.rows[0] || null;
+}
@@ -1,6 +1,8 @@
 #!/usr/bin/env node
 import 'dotenv/config';
 import pg from 'pg';
+import crypto from 'crypto';
+import { ensureNewsletterSubscribersTable, pool as appPool } from './db.js';
 const { Pool } = pg;
 
 const pool = new Pool({
@@ -254,6 +256,57 @@ async function migratePicks(saleIdMap) {
   console.log(`   ✅ Inserted ${inserted} picks, skipped ${skipped} existing, ${noSaleLink} without sale link`);
 }
 
+async function migrateNewsletter() {
+  console.log('📦 Fetching newsletter subscribers from Airtable...');
+  const records = await fetchAllAirtableRecords('Newsletter');
+  console.log(`   Found ${records.length} subscribers`);
+  
+  if (DRY_RUN) {
+    console.log('   [DRY RUN] Would insert newsletter subscribers');
+    return;
+  }
+  
+  await ensureNewsletterSubscribersTable();
+  
+  let inserted = 0;
+  let skipped = 0;
+  
+  for (const record of records) {
+    const f = record.fields;
+    const email = (f.Email || '').trim();
+    
+    if (!email) {
+      skipped++;
+      continue;
+    }
+    
+    // Airtable signups had no opt-in step, so they come across as confirmed.
+    // Existing rows (same Airtable record or same normalized email) are left alone.
+    const result = await pool.query(`
+      INSERT INTO newsletter_subscribers (
+        email, email_normalized, source, status, unsubscribe_token, airtable_id,
+        subscribed_at, confirmed_at
+      ) VALUES ($1, $2, $3, 'confirmed', $4, $5, $6, $6)
+      ON CONFLICT DO NOTHING
+    `, [
+      email,
+      email.toLowerCase(),
+      (f.Source || 'airtable').toLowerCase(),
+      crypto.randomBytes(24).toString('base64url'),
+      record.id,
+      f.SubscribedDate || record.createdTime
+    ]);
+    
+    if (result.rowCount > 0) {
+      inserted++;
+    } else {
+      skipped++;
+    }
+  }
+  
+  console.log(`   ✅ Inserted ${inserted} subscribers, skipped ${skipped} existing or blank`);
+}
+
 async function showStats() {
   console.log('\n📊 Current PostgreSQL Database Stats:');
   
@@ -276,6 +329,7 @@ async function main() {
     const companyIdMap = await migrateCompanies();
     const saleIdMap = await migrateSales(companyIdMap);
     await migratePicks(saleIdMap);
+    await migrateNewsletter();
     
     await showStats();
     
@@ -290,6 +344,7 @@ async function main() {
     process.exit(1);
   } finally {
     await pool.end();
+    await appPool.end();
   }
 }
 
@@ -0,0 +1,300 @@
+import { getLiveSalesWithPicks } from './db.js';
+import { buildSaleShopMyUrl, normalizeCompanyValues } from './sale-links.js';
+import { SITE_URL } from './newsletter.js';
+
+// Weekly newsletter digest
+// Built from live sales and their picks: new sales this week, sales ending
+// soon and the deepest-discounted picks. Links go through ShopMy exactly as
+// on the site so the email earns the same commission.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_PICKS_PER_BRAND = 2;
+
+function toDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+function escapeHtml(text) {
+  if (text === null || text === undefined) return '';
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function formatPrice(value) {
+  return `$${Math.round(value).toLocaleString('en-US')}`;
+}
+
+function formatDay(date) {
+  return date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+}
+
+function formatSale(row) {
+  return {
+    id: row.airtable_id || `pg_${row.id}`,
+    brandName: row.company_name || row.original_company_name || 'Unknown Brand',
+    percentOff: parseFloat(row.percent_off) || 0,
+    promoCode: row.promo_code || null,
+    extraDiscount: row.extra_discount ? parseFloat(row.extra_discount) : null,
+    endDate: toDate(row.end_date),
+    createdAt: toDate(row.original_created_at || row.created_at),
+    url: buildSaleShopMyUrl(row),
+    values: normalizeCompanyValues(row.values),
+    picks: row.picks || []
+  };
+}
+
+function formatPick(row, sale) {
+  return {
+    id: row.airtable_id || `pg_${row.id}`,
+    name: row.product_name || '',
+    brand: row.brand || sale.brandName,
+    imageUrl: row.image_url || null,
+    originalPrice: parseFloat(row.original_price) || 0,
+    salePrice: parseFloat(row.sale_price) || 0,
+    percentOff: parseFloat(row.percent_off_override || row.percent_off) || 0,
+    url: row.shopmy_url || buildSaleShopMyUrl({ sale_url: row.product_url }),
+    saleBrandName: sale.brandName
+  };
+}
+
+// Same one-sale-per-company rule as /sales: keep the most recent
+function latestSalePerCompany(sales) {
+  const byCompany = new Map();
+  for (const sale of sales) {
+    const key = sale.company_id ? `c${sale.company_id}` : sale.original_company_name;
+    const existing = byCompany.get(key);
+    const created = toDate(sale.original_created_at || sale.created_at) || new Date(0);
+    const existingCreated = existing && (toDate(existing.original_created_at || existing.created_at) || new Date(0));
+    if (!existing || created > existingCreated) {
+      byCompany.set(key, sale);
+    }
+  }
+  return Array.from(byCompany.values());
+}
+
+function selectTopPicks(sales, limit) {
+  const perBrand = new Map();
+  const picks = sales
+    .flatMap(sale => sale.picks
+      .filter(pick => pick.availability_status !== 'Sold Out' && !pick.hidden_until_fresh)
+      .map(pick => formatPick(pick, sale)))
+    .filter(pick => pick.percentOff > 0 && pick.name)
+    .sort((a, b) => b.percentOff - a.percentOff);
+
+  const selected = [];
+  for (const pick of picks) {
+    const count = perBrand.get(pick.saleBrandName) || 0;
+    if (count >= MAX_PICKS_PER_BRAND) continue;
+    perBrand.set(pick.saleBrandName, count + 1);
+    selected.push(pick);
+    if (selected.length >= limit) break;
+  }
+  return selected;
+}
+
+/**
+ * Build the digest for the week ending `now`
+ * Returns the subject, HTML and plain-text bodies plus the selected sections.
+ */
+export async function buildWeeklyDigest({ now = new Date(), days = 7, topPicksLimit = 8, unsubscribeUrl = null } = {}) {
+  const periodStart = new Date(now.getTime() - days * DAY_MS);
+  const periodEnd = new Date(now.getTime() + days * DAY_MS);
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+
+  const sales = latestSalePerCompany(await getLiveSalesWithPicks()).map(formatSale);
+
+  const newSales = sales
+    .filter(sale => sale.createdAt && sale.createdAt >= periodStart)
+    .sort((a, b) => b.percentOff - a.percentOff);
+
+  // New sales already show their end date, so don't list them twice
+  const endingSoon = sales
+    .filter(sale => !newSales.includes(sale))
+    .filter(sale => sale.endDate && sale.endDate >= today && sale.endDate <= periodEnd)
+    .sort((a, b) => a.endDate - b.endDate);
+
+  const topPicks = selectTopPicks(sales, topPicksLimit);
+
+  const subject = newSales.length > 0
+    ? `${newSales.length} new designer ${newSales.length === 1 ? 'sale' : 'sales'} this week`
+    : "This week's best designer deals";
+
+  const digest = { subject, newSales, endingSoon, topPicks, unsubscribeUrl };
+
+  return {
+    subject,
+    generatedAt: now.toISOString(),
+    counts: { newSales: newSales.length, endingSoon: endingSoon.length, topPicks: topPicks.length },
+    html: renderDigestHtml(digest),
+    text: renderDigestText(digest)
+  };
+}
+
+// ============================================
+// HTML (table layout + inline styles for email clients)
+// ============================================
+
+const FONT_SANS = "'DM Sans', Helvetica, Arial, sans-serif";
+const FONT_SERIF = "'Crimson Pro', Georgia, serif";
+
+function saleOfferText(sale) {
+  let offer = `${sale.percentOff}% off`;
+  if (sale.extraDiscount) offer += ` + extra ${sale.extraDiscount}% off`;
+  return offer;
+}
+
+function renderBadges(values) {
+  return values.map(value =>
+    `<span style="display:inline-block;border:1px solid #d4d4d4;padding:2px 8px;margin:4px 4px 0 0;font-family:${FONT_SANS};font-size:11px;color:#555;">${escapeHtml(value)}</span>`
+  ).join('');
+}
+
+function renderSaleRow(sale) {
+  const details = [saleOfferText(sale)];
+  if (sale.promoCode) details.push(`code <strong>${escapeHtml(sale.promoCode)}</strong>`);
+  if (sale.endDate) details.push(`ends ${escapeHtml(formatDay(sale.endDate))}`);
+
+  return `<tr>
+  <td style="padding:16px 0;border-bottom:1px solid #eee;">
+    <a href="${escapeHtml(sale.url)}" style="font-family:${FONT_SANS};font-size:17px;font-weight:700;color:#1a1a1a;text-decoration:none;">${escapeHtml(sale.brandName)}</a>
+    <div style="font-family:${FONT_SERIF};font-size:16px;color:#444;margin-top:4px;">${details.join(' · ')}</div>
+    ${sale.values.length > 0 ? `<div>${renderBadges(sale.values)}</div>` : ''}
+  </td>
+</tr>`;
+}
+
+function renderPickCell(pick) {
+  return `<td valign="top" width="50%" style="padding:8px;">
+    <a href="${escapeHtml(pick.url)}" style="text-decoration:none;color:#1a1a1a;">
+      ${pick.imageUrl ? `<img src="${escapeHtml(pick.imageUrl)}" alt="${escapeHtml(pick.name)}" width="252" style="display:block;width:100%;max-width:252px;height:auto;border:0;">` : ''}
+      <div style="font-family:${FONT_SANS};font-size:12px;letter-spacing:0.05em;text-transform:uppercase;color:#666;margin-top:8px;">${escapeHtml(pick.brand)}</div>
+      <div style="font-family:${FONT_SERIF};font-size:16px;margin-top:2px;">${escapeHtml(pick.name)}</div>
+      <div style="font-family:${FONT_SANS};font-size:14px;margin-top:4px;">
+        ${pick.originalPrice > pick.salePrice ? `<span style="text-decoration:line-through;color:#999;">${formatPrice(pick.originalPrice)}</span> ` : ''}<strong>${formatPrice(pick.salePrice)}</strong> <span style="color:#666;">(${Math.round(pick.percentOff)}% off)</span>
+      </div>
+    </a>
+  </td>`;
+}
+
+function renderSection(title, body) {
+  return `<tr>
+  <td style="padding:32px 0 8px;">
+    <h2 style="margin:0;font-family:${FONT_SANS};font-size:13px;letter-spacing:0.1em;text-transform:uppercase;color:#1a1a1a;">${escapeHtml(title)}</h2>
+  </td>
+</tr>
+${body}`;
+}
+
+function renderDigestHtml({ subject, newSales, endingSoon, topPicks, unsubscribeUrl }) {
+  const sections = [];
+
+  if (newSales.length > 0) {
+    sections.push(renderSection('New This Week', newSales.map(renderSaleRow).join('\n')));
+  }
+
+  if (endingSoon.length > 0) {
+    sections.push(renderSection('Ending Soon', endingSoon.map(renderSaleRow).join('\n')));
+  }
+
+  if (topPicks.length > 0) {
+    const rows = [];
+    for (let i = 0; i < topPicks.length; i += 2) {
+      rows.push(`<tr>${renderPickCell(topPicks[i])}${topPicks[i + 1] ? renderPickCell(topPicks[i + 1]) : '<td width="50%"></td>'}</tr>`);
+    }
+    sections.push(renderSection('Top Picks', `<tr>
+  <td style="padding:8px 0;">
+    <table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0">
+      ${rows.join('\n')}
+    </table>
+  </td>
+</tr>`));
+  }
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(subject)}</title>
+</head>
+<body style="margin:0;padding:0;background:#faf9f7;">
+  <table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0" style="background:#faf9f7;">
+    <tr>
+      <td align="center" style="padding:24px 12px;">
+        <table role="presentation" width="560" cellpadding="0" cellspacing="0" border="0" style="max-width:560px;width:100%;background:#ffffff;border:1px solid #e5e5e5;">
+          <tr>
+            <td style="padding:32px 32px 40px;">
+              <table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0">
+                <tr>
+                  <td align="center" style="padding-bottom:8px;">
+                    <a href="${escapeHtml(SITE_URL)}" style="font-family:${FONT_SANS};font-size:14px;font-weight:700;letter-spacing:0.1em;color:#1a1a1a;text-decoration:none;">WELL SPENT STYLE</a>
+                  </td>
+                </tr>
+                <tr>
+                  <td align="center" style="font-family:${FONT_SERIF};font-size:18px;color:#666;">${escapeHtml(subject)}</td>
+                </tr>
+                ${sections.join('\n')}
+                <tr>
+                  <td align="center" style="padding-top:32px;font-family:${FONT_SANS};font-size:12px;color:#999;">
+                    <a href="${escapeHtml(SITE_URL)}" style="color:#666;">See every sale on Well Spent Style</a>
+                    ${unsubscribeUrl ? `<br><br><a href="${escapeHtml(unsubscribeUrl)}" style="color:#999;">Unsubscribe</a>` : ''}
+                  </td>
+                </tr>
+              </table>
+            </td>
+          </tr>
+        </table>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>`;
+}
+
+// ============================================
+// PLAIN TEXT
+// ============================================
+
+function renderDigestText({ subject, newSales, endingSoon, topPicks, unsubscribeUrl }) {
+  const lines = ['WELL SPENT STYLE', subject, ''];
+
+  const saleLines = (sale) => {
+    const details = [saleOfferText(sale)];
+    if (sale.promoCode) details.push(`code ${sale.promoCode}`);
+    if (sale.endDate) details.push(`ends ${formatDay(sale.endDate)}`);
+    const result = [`- ${sale.brandName}: ${details.join(', ')}`];
+    if (sale.values.length > 0) result.push(`  ${sale.values.join(' | ')}`);
+    if (sale.url !== '#') result.push(`  ${sale.url}`);
+    return result;
+  };
+
+  if (newSales.length > 0) {
+    lines.push('NEW THIS WEEK', ...newSales.flatMap(saleLines), '');
+  }
+
+  if (endingSoon.length > 0) {
+    lines.push('ENDING SOON', ...endingSoon.flatMap(saleLines), '');
+  }
+
+  if (topPicks.length > 0) {
+    lines.push('TOP PICKS');
+    for (const pick of topPicks) {
+      const price = pick.originalPrice > pick.salePrice
+        ? `${formatPrice(pick.salePrice)} (was ${formatPrice(pick.originalPrice)}, ${Math.round(pick.percentOff)}% off)`
+        : `${formatPrice(pick.salePrice)} (${Math.round(pick.percentOff)}% off)`;
+      lines.push(`- ${pick.brand} ${pick.name}: ${price}`, `  ${pick.url}`);
+    }
+    lines.push('');
+  }
+
+  lines.push(`See every sale: ${SITE_URL}`);
+  if (unsubscribeUrl) lines.push(`Unsubscribe: ${unsubscribeUrl}`);
+
+  return lines.join('\n');
+}
@@ -0,0 +1,228 @@
+import crypto from 'crypto';
+import fetch from 'node-fetch';
+import {
+  getSubscriberByEmail,
+  getSubscriberByConfirmToken,
+  getSubscriberByUnsubscribeToken,
+  createSubscriber,
+  updateSubscriber
+} from './db.js';
+
+// Newsletter subscriptions with double opt-in
+// A signup is 'pending' until the link in the confirmation email is clicked;
+// every subscriber also gets a permanent unsubscribe token for list emails.
+
+const RESEND_API_KEY = process.env.RESEND_API_KEY;
+const NEWSLETTER_FROM_EMAIL = process.env.NEWSLETTER_FROM_EMAIL || 'Well Spent Style <hello@wellspentstyle.com>';
+
+export const SITE_URL = process.env.SITE_URL ||
+  (!process.env.REPLIT_DEPLOYMENT && process.env.REPLIT_DEV_DOMAIN
+    ? `https://${process.env.REPLIT_DEV_DOMAIN}`
+    : 'https://wellspentstyle.com');
+
+// Signup forms on the site; anything else is stored as-is (lowercased)
+export const SUBSCRIBER_SOURCES = ['popup', 'footer'];
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+export function isValidEmail(email) {
+  return EMAIL_REGEX.test(normalizeEmail(email));
+}
+
+function createToken() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+function normalizeSource(source) {
+  const value = String(source || '').trim().toLowerCase();
+  return value || 'website';
+}
+
+export function getConfirmUrl(subscriber) {
+  return `${SITE_URL}/api/newsletter/confirm?token=${subscriber.confirm_token}`;
+}
+
+export function getUnsubscribeUrl(subscriber) {
+  return `${SITE_URL}/api/newsletter/unsubscribe?token=${subscriber.unsubscribe_token}`;
+}
+
+function escapeHtml(text) {
+  if (!text) return '';
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Send the double opt-in email via Resend
+ * Without RESEND_API_KEY the link is only logged, so signups still work in
+ * development; the subscriber stays pending until confirmed.
+ */
+async function sendConfirmationEmail(subscriber) {
+  const confirmUrl = getConfirmUrl(subscriber);
+
+  if (!RESEND_API_KEY) {
+    console.log(`📧 RESEND_API_KEY not set - confirmation link for ${subscriber.email}: ${confirmUrl}`);
+    return false;
+  }
+
+  const response = await fetch('https://api.resend.com/emails', {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${RESEND_API_KEY}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      from: NEWSLETTER_FROM_EMAIL,
+      to: subscriber.email,
+      subject: 'Confirm your Well Spent Style subscription',
+      html: `<p>Thanks for signing up for curated designer deals from Well Spent Style.</p>
+<p><a href="${escapeHtml(confirmUrl)}">Confirm your subscription</a></p>
+<p style="color:#666;font-size:13px">If you didn't sign up, ignore this email and you won't hear from us.</p>`,
+      text: `Thanks for signing up for Well Spent Style.\n\nConfirm your subscription: ${confirmUrl}\n\nIf you didn't sign up, ignore this email.`
+    })
+  });
+
+  if (!response.ok) {
+    throw new Error(`Resend error ${response.status}: ${await response.text()}`);
+  }
+
+  await updateSubscriber(subscriber.id, { confirmationSentAt: new Date() });
+  return true;
+}
+
+/**
+ * Subscribe an email address
+ * Returns { status, subscriber } where status is 'pending' (confirmation
+ * sent), 'already_subscribed' or 'resubscribed' (pending again after an
+ * earlier unsubscribe).
+ */
+export async function subscribe(email, source) {
+  const emailNormalized = normalizeEmail(email);
+  const normalizedSource = normalizeSource(source);
+
+  let subscriber = await getSubscriberByEmail(emailNormalized);
+  let status;
+
+  if (subscriber?.status === 'confirmed') {
+    return { status: 'already_subscribed', subscriber };
+  }
+
+  if (subscriber?.status === 'unsubscribed') {
+    subscriber = await updateSubscriber(subscriber.id, {
+      status: 'pending',
+      source: normalizedSource,
+      confirmToken: createToken(),
+      unsubscribedAt: null
+    });
+    status = 'resubscribed';
+  } else if (subscriber) {
+    // Still pending - send the same link again
+    status = 'pending';
+  } else {
+    subscriber = await createSubscriber({
+      email: String(email).trim(),
+      emailNormalized,
+      source: normalizedSource,
+      confirmToken: createToken(),
+      unsubscribeToken: createToken()
+    });
+
+    // Lost a race with a concurrent signup for the same address
+    if (!subscriber) {
+      return { status: 'already_subscribed', subscriber: await getSubscriberByEmail(emailNormalized) };
+    }
+    status = 'pending';
+  }
+
+  try {
+    await sendConfirmationEmail(subscriber);
+  } catch (error) {
+    console.error(`❌ Failed to send confirmation email to ${subscriber.email}:`, error.message);
+  }
+
+  return { status, subscriber };
+}
+
+/**
+ * Confirm a pending subscription; returns the subscriber or null for an unknown token
+ */
+export async function confirmSubscription(token) {
+  if (!token) return null;
+
+  const subscriber = await getSubscriberByConfirmToken(token);
+  if (!subscriber) return null;
+
+  if (subscriber.status === 'confirmed') return subscriber;
+
+  return updateSubscriber(subscriber.id, {
+    status: 'confirmed',
+    confirmedAt: new Date(),
+    unsubscribedAt: null
+  });
+}
+
+export async function unsubscribe(token) {
+  if (!token) return null;
+
+  const subscriber = await getSubscriberByUnsubscribeToken(token);
+  if (!subscriber) return null;
+
+  if (subscriber.status === 'unsubscribed') return subscriber;
+
+  return updateSubscriber(subscriber.id, {
+    status: 'unsubscribed',
+    unsubscribedAt: new Date()
+  });
+}
+
+/**
+ * Minimal branded page for the confirm / unsubscribe links
+ */
+export function renderNewsletterPage(title, message) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(title)} | Well Spent Style</title>
+  <link href="https://fonts.googleapis.com/css2?family=Crimson+Pro:wght@400;500&family=DM+Sans:wght@400;700&display=swap" rel="stylesheet">
+  <style>
+    body { font-family: 'DM Sans', sans-serif; background: #faf9f7; color: #1a1a1a; margin: 0; min-height: 100vh; display: flex; align-items: center; justify-content: center; padding: 24px; }
+    .card { background: white; border: 1px solid #e5e5e5; max-width: 480px; width: 100%; padding: 48px 40px; text-align: center; }
+    h1 { font-size: 28px; margin: 0 0 16px; }
+    p { font-family: 'Crimson Pro', serif; font-size: 18px; color: #666; line-height: 1.6; margin: 0 0 24px; }
+    a { color: #1a1a1a; }
+  </style>
+</head>
+<body>
+  <div class="card">
+    <h1>${escapeHtml(title)}</h1>
+    <p>${escapeHtml(message)}</p>
+    <a href="${escapeHtml(SITE_URL)}">Back to Well Spent Style</a>
+  </div>
+</body>
+</html>`;
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  // Subscribers type their own email and source; a leading =, +, - or @ would
+  // run as a formula when the export is opened in a spreadsheet
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function subscribersToCsv(subscribers) {
+  const header = ['email', 'status', 'source', 'subscribed_at', 'confirmed_at', 'unsubscribed_at'];
+  const lines = subscribers.map(subscriber => header.map(column => csvCell(subscriber[column])).join(','));
+  return [header.join(','), ...lines].join('\n');
+}
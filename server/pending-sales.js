@@ -1,4 +1,6 @@
 import pg from 'pg';
+import { ensureSaleOfferColumns, recordAudit, setApprovalsEnabled as saveApprovalsEnabled } from './db.js';
+import { describeOffer } from './sale-offers.js';
 const { Pool } = pg;
 
 const pool = new Pool({
@@ -10,12 +12,13 @@ export async function addPendingSale(saleData) {
   const receivedAt = new Date();
   
   try {
+    await ensureSaleOfferColumns();
     const result = await pool.query(
       `INSERT INTO pending_sales (
         sale_id, company, percent_off, sale_url, clean_url, discount_code,
         start_date, end_date, confidence, reasoning, company_record_id,
-        email_from, email_subject, missing_url, url_source, received_at
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+        email_from, email_subject, missing_url, url_source, received_at, offers
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
       RETURNING *`,
       [
         saleId,
@@ -33,10 +36,12 @@ export async function addPendingSale(saleData) {
         saleData.emailSubject,
         saleData.missingUrl || false,
         saleData.urlSource,
-        receivedAt
+        receivedAt,
+        saleData.offers?.length ? JSON.stringify(saleData.offers) : null
       ]
     );
     
+    await recordAudit({ action: 'create', entityType: 'pending_sale', entityId: saleId, after: result.rows[0] });
     return mapRowToSale(result.rows[0]);
   } catch (error) {
     console.error('Error adding pending sale to database:', error);
@@ -64,6 +69,7 @@ export async function removePendingSale(id) {
     );
     
     if (result.rows.length > 0) {
+      await recordAudit({ action: 'delete', entityType: 'pending_sale', entityId: id, before: result.rows[0] });
       return mapRowToSale(result.rows[0]);
     }
     return null;
@@ -85,14 +91,10 @@ export async function isApprovalsEnabled() {
   }
 }
 
+// The db.js version records the change in the audit log
 export async function setApprovalsEnabled(enabled) {
   try {
-    await pool.query(
-      `INSERT INTO approval_settings (setting_key, setting_value) 
-       VALUES ('approvalsEnabled', $1)
-       ON CONFLICT (setting_key) DO UPDATE SET setting_value = $1`,
-      [enabled]
-    );
+    await saveApprovalsEnabled(enabled);
   } catch (error) {
     console.error('Error setting approvals enabled:', error);
     throw error;
@@ -130,6 +132,7 @@ function mapRowToSale(row) {
     emailSubject: row.email_subject,
     missingUrl: row.missing_url,
     urlSource: row.url_source,
+    offers: (row.offers || []).map(offer => ({ ...offer, text: describeOffer(offer) })),
     receivedAt: row.received_at ? row.received_at.toISOString() : null
   };
 }
@@ -0,0 +1,254 @@
+// Duplicate pick detection
+// A new pick is compared with every saved pick three ways:
+//   url   - same canonical product URL (retailer product ID, Shopify handle,
+//           or the URL without tracking params)
+//   image - perceptual hash (dHash) of the product image within a few bits
+//   name  - near-identical product name from the same brand or shop
+// Saved picks get their image hash on creation; older picks are hashed the
+// first time they are candidates and the hash is stored.
+
+import sharp from 'sharp';
+import { canonicalProductKey } from './scrapers/retailers/index.js';
+import { getPickDuplicateCandidates, setPickImageHash } from './db.js';
+
+// Bits (of 64) two image hashes may differ by and still be the same photo
+const IMAGE_HASH_MAX_DISTANCE = 8;
+
+// Dice similarity of normalized names from the same brand or shop
+const NAME_MIN_SIMILARITY = 0.85;
+
+// Saved picks hashed per check, so a first check against a big brand stays quick
+const MAX_IMAGES_HASHED_PER_CHECK = 40;
+
+const IMAGE_FETCH_TIMEOUT_MS = 10000;
+// Product photos are well under this; anything bigger isn't read into memory
+const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+
+// Hashes of recently fetched images (image URLs don't change what they show)
+const imageHashCache = new Map();
+const IMAGE_HASH_CACHE_SIZE = 500;
+
+/**
+ * 64-bit difference hash of an image as 16 hex characters
+ * Shrinks to 9x8 greyscale and records whether each pixel is brighter than
+ * its right neighbour, so resizing and recompression barely change it.
+ */
+export async function computeImageHash(imageBuffer) {
+  const pixels = await sharp(imageBuffer)
+    .greyscale()
+    .resize(9, 8, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  let hash = 0n;
+  for (let row = 0; row < 8; row++) {
+    for (let col = 0; col < 8; col++) {
+      hash = (hash << 1n) | (pixels[row * 9 + col] > pixels[row * 9 + col + 1] ? 1n : 0n);
+    }
+  }
+  return hash.toString(16).padStart(16, '0');
+}
+
+export function imageHashDistance(a, b) {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let bits = 0;
+  while (diff > 0n) {
+    bits += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return bits;
+}
+
+/**
+ * The response body, or null once it passes maxBytes (declared or actually read)
+ */
+async function readLimitedBody(response, maxBytes) {
+  if (Number(response.headers.get('content-length')) > maxBytes) {
+    await response.body?.cancel();
+    return null;
+  }
+
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of response.body) {
+    size += chunk.length;
+    // Leaving the loop cancels the rest of the download
+    if (size > maxBytes) return null;
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Hash of the image at a URL, or null when it can't be fetched or read
+ * Images over MAX_IMAGE_BYTES or slower than IMAGE_FETCH_TIMEOUT_MS are skipped.
+ */
+export async function hashImageUrl(imageUrl) {
+  if (!imageUrl) return null;
+  if (imageHashCache.has(imageUrl)) return imageHashCache.get(imageUrl);
+
+  let hash = null;
+  try {
+    const response = await fetch(imageUrl, { signal: AbortSignal.timeout(IMAGE_FETCH_TIMEOUT_MS) });
+    if (response.ok && response.body) {
+      const image = await readLimitedBody(response, MAX_IMAGE_BYTES);
+      if (image) {
+        hash = await computeImageHash(image);
+      } else {
+        console.warn(`⚠️ Skipped hashing image ${imageUrl}: larger than ${MAX_IMAGE_BYTES} bytes`);
+      }
+    }
+  } catch (error) {
+    console.warn(`⚠️ Could not hash image ${imageUrl}: ${error.message}`);
+  }
+
+  if (imageHashCache.size >= IMAGE_HASH_CACHE_SIZE) {
+    imageHashCache.delete(imageHashCache.keys().next().value);
+  }
+  imageHashCache.set(imageUrl, hash);
+  return hash;
+}
+
+function normalizeName(name, brand) {
+  let normalized = (name || '').toLowerCase();
+  // Scraped names often lead with the brand; a manual entry often doesn't
+  if (brand) {
+    normalized = normalized.replace(brand.toLowerCase(), ' ');
+  }
+  return normalized.replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+function normalizeBrand(brand) {
+  return (brand || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Dice coefficient over character bigrams (0-1)
+function nameSimilarity(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  const bigrams = (text) => {
+    const set = new Set();
+    for (let i = 0; i < text.length - 1; i++) {
+      set.add(text.substring(i, i + 2));
+    }
+    return set;
+  };
+
+  const first = bigrams(a);
+  const second = bigrams(b);
+  const shared = [...first].filter(bigram => second.has(bigram)).length;
+  return (2 * shared) / (first.size + second.size || 1);
+}
+
+function hostnameOf(url) {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch (e) {
+    return null;
+  }
+}
+
+function describe(pick) {
+  return {
+    key: canonicalProductKey(pick.url),
+    host: hostnameOf(pick.url),
+    brand: normalizeBrand(pick.brand),
+    name: normalizeName(pick.name, pick.brand),
+    imageHash: pick.imageHash || null
+  };
+}
+
+function matchReasons(incoming, existing) {
+  const reasons = [];
+  if (incoming.key && incoming.key === existing.key) {
+    reasons.push('url');
+  }
+  if (incoming.imageHash && existing.imageHash &&
+      imageHashDistance(incoming.imageHash, existing.imageHash) <= IMAGE_HASH_MAX_DISTANCE) {
+    reasons.push('image');
+  }
+  const related = (incoming.brand && incoming.brand === existing.brand) ||
+    (incoming.host && incoming.host === existing.host);
+  if (related && nameSimilarity(incoming.name, existing.name) >= NAME_MIN_SIMILARITY) {
+    reasons.push('name');
+  }
+  return reasons;
+}
+
+/**
+ * Find saved picks (and earlier picks in the same list) that duplicate new ones
+ * picks are { url, name, brand, imageUrl }; pass checkImages: false to skip
+ * image hashing (e.g. when only URLs are known yet).
+ * Returns one entry per pick that has a match:
+ *   { index, duplicateOf, duplicates: [{ pickId, saleId, sameSale, saleName, saleLive, productName, productUrl, imageUrl, matchedBy }] }
+ * where duplicateOf is the index of an earlier pick in the list, or null.
+ */
+export async function findDuplicatePicks(picks, { saleId = null, checkImages = true } = {}) {
+  const incoming = await Promise.all(picks.map(async pick => describe({
+    ...pick,
+    imageHash: checkImages ? await hashImageUrl(pick.imageUrl) : null
+  })));
+
+  const rows = await getPickDuplicateCandidates();
+  const existing = rows.map(row => ({
+    row,
+    ...describe({ url: row.product_url, name: row.product_name, brand: row.brand, imageHash: row.image_hash })
+  }));
+
+  // Saved picks that could match by image but were never hashed
+  if (checkImages) {
+    const related = existing.filter(candidate => !candidate.imageHash && candidate.row.image_url &&
+      incoming.some(pick => (pick.brand && pick.brand === candidate.brand) || (pick.host && pick.host === candidate.host)));
+
+    for (const candidate of related.slice(0, MAX_IMAGES_HASHED_PER_CHECK)) {
+      candidate.imageHash = await hashImageUrl(candidate.row.image_url);
+      if (candidate.imageHash) {
+        await setPickImageHash(candidate.row.id, candidate.imageHash);
+      }
+    }
+  }
+
+  const results = [];
+  incoming.forEach((pick, index) => {
+    const duplicateOf = incoming.findIndex((other, otherIndex) =>
+      otherIndex < index && matchReasons(pick, other).length > 0);
+
+    const duplicates = [];
+    for (const candidate of existing) {
+      const matchedBy = matchReasons(pick, candidate);
+      if (matchedBy.length === 0) continue;
+
+      duplicates.push({
+        pickId: `pg_${candidate.row.id}`,
+        saleId: `pg_${candidate.row.sale_id}`,
+        sameSale: saleId !== null && candidate.row.sale_id === saleId,
+        saleName: candidate.row.sale_name || candidate.row.company_name || 'Unnamed Sale',
+        saleLive: candidate.row.live === 'YES',
+        productName: candidate.row.product_name,
+        productUrl: candidate.row.product_url,
+        imageUrl: candidate.row.image_url,
+        matchedBy
+      });
+    }
+
+    if (duplicates.length > 0 || duplicateOf !== -1) {
+      // Same-sale and URL matches first - those are the ones to act on
+      duplicates.sort((a, b) => (b.sameSale - a.sameSale) || (b.matchedBy.includes('url') - a.matchedBy.includes('url')));
+      results.push({ index, duplicateOf: duplicateOf === -1 ? null : duplicateOf, duplicates });
+    }
+  });
+
+  return results;
+}
+
+/**
+ * Hash a saved pick's image in the background
+ */
+export function hashPickImage(pick) {
+  if (!pick?.image_url) return;
+
+  hashImageUrl(pick.image_url)
+    .then(hash => hash && setPickImageHash(pick.id, hash))
+    .catch(error => console.warn(`⚠️ Failed to store image hash for pick ${pick.id}:`, error.message));
+}
@@ -1,4 +1,8 @@
 import { execSync } from 'child_process';
+import { combineOfferAvailability } from './scrapers/availability.js';
+import { getRetailerAdapter } from './scrapers/retailers/index.js';
+import { extractSizeAvailability, buildSizeAvailability, summarizeSizeAvailability, isEuropeanPage } from './scrapers/sizes.js';
+import { extractCurrency } from './scrapers/currency.js';
 
 let playwrightModule = null;
 let systemChromiumPath = null;
@@ -133,72 +137,20 @@ navigator.getBattery = () => Promise.resolve({
 });
 `;
 
-// Detect department store and return specific handling strategy
-function detectDepartmentStore(url) {
-  const hostname = new URL(url).hostname.toLowerCase();
-  
-  const stores = {
-    'nordstrom.com': {
-      name: 'Nordstrom',
-      waitTime: 6000, // Increased wait time
-      priceSelectors: [
-        '[data-testid="price-regular"]',
-        '[data-testid="price-sale"]',
-        '.price',
-        '[class*="Price"]'
-      ],
-      needsScroll: true,
-      extraDelay: 2000 // Extra time after human behavior
-    },
-    'saksfifthavenue.com': {
-      name: 'Saks Fifth Avenue',
-      waitTime: 5000,
-      priceSelectors: [
-        '[data-test="product-price"]',
-        '.product-price',
-        '[class*="price"]'
-      ],
-      needsScroll: true,
-      extraDelay: 1500
-    },
-    'neimanmarcus.com': {
-      name: 'Neiman Marcus',
-      waitTime: 4000,
-      priceSelectors: [
-        '[data-testid="price"]',
-        '.price-sale',
-        '[class*="Price"]'
-      ],
-      needsScroll: true
-    },
-    'bloomingdales.com': {
-      name: 'Bloomingdales',
-      waitTime: 4000,
-      priceSelectors: [
-        '#priceSale',
-        '.currentPrice',
-        '[class*="price"]'
-      ],
-      needsScroll: false
-    },
-    'bergdorfgoodman.com': {
-      name: 'Bergdorf Goodman',
-      waitTime: 4000,
-      priceSelectors: [
-        '.product-price',
-        '[data-testid="price"]'
-      ],
-      needsScroll: true
-    }
+// Browser handling for retailers with an adapter (see scrapers/retailers)
+// Plain data only - it's passed into page.evaluate
+function getStoreConfig(url) {
+  const adapter = getRetailerAdapter(url);
+  if (!adapter) return null;
+
+  return {
+    name: adapter.name,
+    waitTime: adapter.playwright?.waitTime,
+    needsScroll: adapter.playwright?.needsScroll || false,
+    extraDelay: adapter.playwright?.extraDelay,
+    heavilyProtected: adapter.protection?.level === 'ultra-high',
+    selectors: adapter.selectors || {}
   };
-  
-  for (const [domain, config] of Object.entries(stores)) {
-    if (hostname.includes(domain)) {
-      return config;
-    }
-  }
-  
-  return null;
 }
 
 // IMPROVED: More realistic human behavior with randomization
@@ -267,7 +219,7 @@ export async function scrapeWithPlaywright(url, options = {}) {
   try {
     logger.log('[Playwright] Starting stealth scraper for:', url);
     
-    const storeConfig = detectDepartmentStore(url);
+    const storeConfig = getStoreConfig(url);
     if (storeConfig) {
       logger.log(`[Stealth] Detected ${storeConfig.name} - using specialized handling`);
     }
@@ -331,7 +283,7 @@ export async function scrapeWithPlaywright(url, options = {}) {
     
     logger.log('[Playwright] Navigating to page with stealth...');
     
-    // Set a realistic referer for department stores
+    // Set a realistic referer for known retailers
     if (storeConfig) {
       await page.setExtraHTTPHeaders({
         'Referer': `https://${new URL(url).hostname}/`
@@ -364,7 +316,7 @@ export async function scrapeWithPlaywright(url, options = {}) {
     await page.waitForTimeout(waitTime);
     
     // CRITICAL: Simulate human behavior for department stores
-    if (storeConfig && storeConfig.needsScroll) {
+    if (storeConfig?.needsScroll) {
       await simulateHumanBehavior(page, logger);
       
       // Extra delay for particularly strict stores
@@ -458,12 +410,19 @@ export async function scrapeWithPlaywright(url, options = {}) {
         imageUrl: null,
         originalPrice: null,
         salePrice: null,
+        salePriceText: null,
         percentOff: 0,
-        brand: null
+        brand: null,
+        sizeOptions: [],
+        offerAvailability: [],
+        stockSignal: null
       };
       
-      // Extract name
+      const storeSelectors = storeConfig?.selectors || {};
+      
+      // Extract name (store-specific selectors first)
       const nameSelectors = [
+        ...(storeSelectors.name || []),
         'h1',
         '[data-testid*="product-title"]',
         '[data-test*="product-title"]',
@@ -506,6 +465,7 @@ export async function scrapeWithPlaywright(url, options = {}) {
       
       // Extract image
       const imageSelectors = [
+        ...(storeSelectors.image || []),
         'meta[property="og:image"]',
         'meta[name="og:image"]',
         'meta[property="twitter:image"]',
@@ -526,8 +486,9 @@ export async function scrapeWithPlaywright(url, options = {}) {
         }
       }
       
-      // Extract prices with store-specific selectors
-      let priceSelectors = [
+      // Extract prices (store-specific selectors first)
+      const priceSelectors = [
+        ...(storeSelectors.price || []),
         '[data-testid*="price"]',
         '[data-test*="price"]',
         '[class*="price-sale"]',
@@ -539,11 +500,6 @@ export async function scrapeWithPlaywright(url, options = {}) {
         '[itemprop="price"]'
       ];
       
-      // Add store-specific selectors if available
-      if (storeConfig && storeConfig.priceSelectors) {
-        priceSelectors = [...storeConfig.priceSelectors, ...priceSelectors];
-      }
-      
       const originalPriceSelectors = [
         '[data-testid*="price-regular"]',
         '[data-testid*="original"]',
@@ -587,6 +543,7 @@ export async function scrapeWithPlaywright(url, options = {}) {
           const price = extractPrice(element);
           if (price) {
             data.salePrice = price;
+            data.salePriceText = (element.textContent || '').trim().slice(0, 50);
             break;
           }
         }
@@ -615,9 +572,95 @@ export async function scrapeWithPlaywright(url, options = {}) {
         data.percentOff = 0;
       }
       
+      // Collect schema.org offer availability from JSON-LD (normalized outside the page)
+      document.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+        try {
+          const json = JSON.parse(script.textContent || '');
+          const items = json['@graph'] || (Array.isArray(json) ? json : [json]);
+          for (const item of items) {
+            const type = item['@type'];
+            if (type !== 'Product' && !(Array.isArray(type) && type.includes('Product'))) continue;
+            const offers = Array.isArray(item.offers) ? item.offers : [item.offers];
+            for (const offer of offers) {
+              const nested = Array.isArray(offer?.offers) ? offer.offers : [offer];
+              for (const o of nested) {
+                if (o?.availability) data.offerAvailability.push({ availability: o.availability });
+              }
+            }
+          }
+        } catch (e) {}
+      });
+      
+      // Look for visible stock signals (store-specific selectors first)
+      const soldOutSelectors = [
+        ...(storeSelectors.soldOut || []),
+        '[class*="sold-out"]',
+        '[class*="out-of-stock"]',
+        '[data-testid*="sold-out"]'
+      ];
+      const lowStockSelectors = [
+        ...(storeSelectors.lowStock || []),
+        '[class*="low-stock"]',
+        '[class*="low-inventory"]'
+      ];
+      
+      const addToBagButton = Array.from(document.querySelectorAll('button'))
+        .find(button => /add to (bag|cart|basket)/i.test(button.textContent || ''));
+      const soldOutButton = Array.from(document.querySelectorAll('button'))
+        .find(button => /^\s*(sold out|out of stock)\s*$/i.test(button.textContent || ''));
+      const mainText = (document.querySelector('main') || document.body).innerText || '';
+      
+      if (soldOutButton || (addToBagButton && addToBagButton.disabled) ||
+          soldOutSelectors.some(selector => document.querySelector(selector))) {
+        data.stockSignal = 'Sold Out';
+      } else if (/only \d+ left|low stock|almost gone|few left/i.test(mainText) ||
+                 lowStockSelectors.some(selector => document.querySelector(selector))) {
+        data.stockSignal = 'Low';
+      } else if (addToBagButton) {
+        data.stockSignal = 'In Stock';
+      }
+      
+      // Size pickers (store-specific selectors first); crossed-out or
+      // disabled options are the sold-out sizes
+      const sizeSelectors = [
+        ...(storeSelectors.sizes || []),
+        'select[name*="size" i] option',
+        '[data-testid*="size"] button',
+        '[class*="size-selector"] button',
+        '[class*="SizeSelector"] button'
+      ];
+      
+      for (const selector of sizeSelectors) {
+        document.querySelectorAll(selector).forEach(element => {
+          const size = (element.textContent || '').replace(/\s+/g, ' ').trim();
+          if (!size || size.length > 20 || /guide|chart|select/i.test(size)) return;
+          if (element.tagName === 'OPTION' && !element.value) return;
+          
+          const unavailable = element.disabled ||
+            element.getAttribute('aria-disabled') === 'true' ||
+            /sold|unavailable|disabled|out-of-stock/i.test(element.className || '') ||
+            /sold out|out of stock/i.test(size);
+          data.sizeOptions.push({ size: size.replace(/\s*-?\s*(sold out|out of stock)$/i, ''), available: !unavailable });
+        });
+        if (data.sizeOptions.length > 0) break;
+      }
+      
       return data;
     }, storeConfig);
     
+    const pageHtml = await page.content();
+    
+    // Per-size stock: structured data when the page has it, otherwise the size picker
+    const sizeAvailability = extractSizeAvailability(pageHtml);
+    if (sizeAvailability.length === 0) {
+      sizeAvailability.push(...buildSizeAvailability(productData.sizeOptions, { european: isEuropeanPage(pageHtml) }));
+    }
+    
+    // JSON-LD is the most reliable signal, then what's visible on the page
+    const availability = combineOfferAvailability(productData.offerAvailability) ||
+      productData.stockSignal ||
+      summarizeSizeAvailability(sizeAvailability);
+    
     logger.log('[Playwright] Raw extracted data:', productData);
     
     // Normalize image URL
@@ -663,7 +706,7 @@ export async function scrapeWithPlaywright(url, options = {}) {
     }
     
     // Boost confidence for department stores (they're harder to scrape)
-    if (storeConfig) {
+    if (storeConfig?.heavilyProtected) {
       confidence += 10;
       logger.log(`[Stealth] Confidence boost for ${storeConfig.name}`);
     }
@@ -680,7 +723,8 @@ export async function scrapeWithPlaywright(url, options = {}) {
       name: productData.name,
       brand: productData.brand,
       salePrice: productData.salePrice,
-      originalPrice: productData.originalPrice
+      originalPrice: productData.originalPrice,
+      availability
     });
     
     return {
@@ -692,6 +736,9 @@ export async function scrapeWithPlaywright(url, options = {}) {
         originalPrice: productData.originalPrice,
         salePrice: productData.salePrice,
         percentOff: productData.percentOff || 0,
+        currency: extractCurrency(pageHtml, productData.salePriceText),
+        availability: availability,
+        sizeAvailability: sizeAvailability.length > 0 ? sizeAvailability : undefined,
         url: url,
         confidence: confidence
       },
@@ -5,62 +5,295 @@ const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
 });
 
+// Reviewed rejections are kept for this many rows; unreviewed ones until they age out
 const MAX_REJECTED_EMAILS = 50;
+const REVIEW_WINDOW_DAYS = 30;
 
+// A promotion claims its row while the email is extracted again; a claim this
+// old belongs to a request that died, so the row is open for review again
+const PROMOTION_CLAIM_MINUTES = 10;
+const OPEN_FOR_REVIEW = `(reviewed_at IS NULL OR (review_verdict = 'promoting' AND reviewed_at < NOW() - make_interval(mins => ${PROMOTION_CLAIM_MINUTES})))`;
+
+let rejectedEmailColumnsReady = null;
+
+// Link to the stored email, and whether an admin has reviewed the rejection
+// Reviews themselves go to rejected_email_reviews, which is never pruned, so
+// the false-rejection rate can be measured over time.
+function ensureRejectedEmailColumns() {
+  if (!rejectedEmailColumnsReady) {
+    rejectedEmailColumnsReady = pool.query(`
+      ALTER TABLE rejected_emails ADD COLUMN IF NOT EXISTS inbound_email_id INTEGER;
+      ALTER TABLE rejected_emails ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMP;
+      ALTER TABLE rejected_emails ADD COLUMN IF NOT EXISTS reviewed_by TEXT;
+      ALTER TABLE rejected_emails ADD COLUMN IF NOT EXISTS review_verdict TEXT;
+      ALTER TABLE rejected_emails ADD COLUMN IF NOT EXISTS pending_sale_id TEXT;
+
+      CREATE TABLE IF NOT EXISTS rejected_email_reviews (
+        id SERIAL PRIMARY KEY,
+        rejected_email_id INTEGER,
+        inbound_email_id INTEGER,
+        verdict TEXT NOT NULL,
+        reason TEXT,
+        reason_category TEXT,
+        brand TEXT,
+        subject TEXT,
+        from_address TEXT,
+        confidence INTEGER,
+        pending_sale_id TEXT,
+        reviewed_by TEXT,
+        rejected_at TIMESTAMP,
+        reviewed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE INDEX IF NOT EXISTS idx_rejected_email_reviews_reviewed_at ON rejected_email_reviews (reviewed_at);
+    `).catch(error => {
+      rejectedEmailColumnsReady = null;
+      throw error;
+    });
+  }
+  return rejectedEmailColumnsReady;
+}
+
+/**
+ * Which check rejected an email, from the reason the webhook stored
+ * not_promotional (the AI said so), missing_fields, low_confidence or duplicate
+ */
+export function rejectionCategory(reason) {
+  const text = (reason || '').toLowerCase();
+  if (text.startsWith('low confidence')) return 'low_confidence';
+  if (text.startsWith('missing required fields')) return 'missing_fields';
+  if (text.startsWith('duplicate')) return 'duplicate';
+  return 'not_promotional';
+}
+
+function formatRejectedEmail(row) {
+  const timestamp = row.rejected_at ? row.rejected_at.toISOString() : null;
+  return {
+    id: row.email_id || `rejected_${row.id}`,
+    rejectedEmailId: row.id,
+    inboundEmailId: row.inbound_email_id,
+    brand: row.extracted_data?.brand || 'Unknown',
+    subject: row.subject || 'No subject',
+    reason: row.reason || 'Unknown reason',
+    reasonCategory: rejectionCategory(row.reason),
+    confidence: row.extracted_data?.confidence ?? null,
+    from: row.from_address || 'Unknown sender',
+    timestamp,
+    rejectedAt: timestamp
+  };
+}
+
+/**
+ * Rejections waiting for review, newest first
+ */
 export async function getRejectedEmails() {
   try {
+    await ensureRejectedEmailColumns();
     const result = await pool.query(
-      `SELECT id, email_id, subject, reason, from_address, extracted_data, rejected_at
+      `SELECT id, email_id, inbound_email_id, subject, reason, from_address, extracted_data, rejected_at
        FROM rejected_emails
+       WHERE ${OPEN_FOR_REVIEW}
        ORDER BY rejected_at DESC
        LIMIT $1`,
       [MAX_REJECTED_EMAILS]
     );
-    
-    return result.rows.map(row => ({
-      id: row.email_id || `rejected_${row.id}`,
-      brand: row.extracted_data?.brand || 'Unknown',
-      subject: row.subject || 'No subject',
-      reason: row.reason || 'Unknown reason',
-      from: row.from_address || 'Unknown sender',
-      timestamp: row.rejected_at ? row.rejected_at.toISOString() : null
-    }));
+
+    return result.rows.map(formatRejectedEmail);
   } catch (error) {
     console.error('Error getting rejected emails from database:', error);
     return [];
   }
 }
 
-export async function addRejectedEmail({ brand, subject, reason, from }) {
+export async function getRejectedEmailById(id) {
+  await ensureRejectedEmailColumns();
+  const result = await pool.query('SELECT * FROM rejected_emails WHERE id = $1', [id]);
+  return result.rows[0] || null;
+}
+
+export async function addRejectedEmail({ brand, subject, reason, from, inboundEmailId = null, extractedData = null }) {
   try {
+    await ensureRejectedEmailColumns();
     const emailId = `rejected_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    
+
+    // A reprocessed email that is rejected again replaces its earlier rejection
+    if (inboundEmailId) {
+      await pool.query(
+        'DELETE FROM rejected_emails WHERE inbound_email_id = $1 AND reviewed_at IS NULL',
+        [inboundEmailId]
+      );
+    }
+
     await pool.query(
-      `INSERT INTO rejected_emails (email_id, subject, reason, from_address, extracted_data, rejected_at)
-       VALUES ($1, $2, $3, $4, $5, $6)`,
+      `INSERT INTO rejected_emails (email_id, subject, reason, from_address, extracted_data, rejected_at, inbound_email_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
       [
         emailId,
         subject || 'No subject',
         reason || 'Unknown reason',
         from || 'Unknown sender',
-        JSON.stringify({ brand: brand || 'Unknown' }),
-        new Date()
+        JSON.stringify({
+          brand: brand || 'Unknown',
+          confidence: extractedData?.confidence ?? null
+        }),
+        new Date(),
+        inboundEmailId
       ]
     );
-    
+
     console.log(`📭 Tracked rejected email: ${brand} - ${reason}`);
-    
+
     await pool.query(
       `DELETE FROM rejected_emails
-       WHERE id NOT IN (
-         SELECT id FROM rejected_emails ORDER BY rejected_at DESC LIMIT $1
-       )`,
-      [MAX_REJECTED_EMAILS]
+       WHERE (reviewed_at IS NOT NULL OR rejected_at < NOW() - make_interval(days => $2))
+         AND (review_verdict IS DISTINCT FROM 'promoting' OR ${OPEN_FOR_REVIEW})
+         AND id NOT IN (
+           SELECT id FROM rejected_emails ORDER BY rejected_at DESC LIMIT $1
+         )`,
+      [MAX_REJECTED_EMAILS, REVIEW_WINDOW_DAYS]
     );
-    
+
     return await getRejectedEmails();
   } catch (error) {
     console.error('Error adding rejected email to database:', error);
     throw error;
   }
 }
+
+/**
+ * The rejection of a stored email that is still waiting for review, or null
+ */
+export async function getOpenRejectedEmail(inboundEmailId) {
+  await ensureRejectedEmailColumns();
+  const result = await pool.query(
+    `SELECT * FROM rejected_emails WHERE inbound_email_id = $1 AND ${OPEN_FOR_REVIEW} ORDER BY rejected_at DESC LIMIT 1`,
+    [inboundEmailId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Take a rejection out of the queue while it is promoted, so a second promote
+ * or a dismiss can't act on it at the same time
+ * Returns the claimed row, or null if someone else already reviewed or claimed it
+ */
+export async function claimRejectedEmail(id, reviewedBy) {
+  await ensureRejectedEmailColumns();
+  const result = await pool.query(`
+    UPDATE rejected_emails
+    SET reviewed_at = CURRENT_TIMESTAMP,
+        reviewed_by = $2,
+        review_verdict = 'promoting'
+    WHERE id = $1 AND ${OPEN_FOR_REVIEW}
+    RETURNING *
+  `, [id, reviewedBy]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Put a claimed rejection back in the queue when its promotion failed
+ */
+export async function releaseRejectedEmail(id) {
+  await ensureRejectedEmailColumns();
+  await pool.query(`
+    UPDATE rejected_emails
+    SET reviewed_at = NULL, reviewed_by = NULL, review_verdict = NULL
+    WHERE id = $1 AND review_verdict = 'promoting'
+  `, [id]);
+}
+
+/**
+ * Record an admin's verdict on a rejection and take it out of the queue
+ * verdict is 'sale' (a false rejection, promoted to a pending sale) or 'not_sale'
+ * claimed finishes a promotion started with claimRejectedEmail
+ */
+export async function reviewRejectedEmail(id, { verdict, reviewedBy, pendingSaleId = null, claimed = false }) {
+  await ensureRejectedEmailColumns();
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(`
+      UPDATE rejected_emails
+      SET reviewed_at = CURRENT_TIMESTAMP,
+          reviewed_by = $2,
+          review_verdict = $3,
+          pending_sale_id = $4
+      WHERE id = $1 AND ${claimed ? "review_verdict = 'promoting'" : OPEN_FOR_REVIEW}
+      RETURNING *
+    `, [id, reviewedBy, verdict, pendingSaleId]);
+
+    const row = result.rows[0];
+    if (!row) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    await client.query(`
+      INSERT INTO rejected_email_reviews (
+        rejected_email_id, inbound_email_id, verdict, reason, reason_category,
+        brand, subject, from_address, confidence, pending_sale_id, reviewed_by, rejected_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+    `, [
+      row.id,
+      row.inbound_email_id,
+      verdict,
+      row.reason,
+      rejectionCategory(row.reason),
+      row.extracted_data?.brand || null,
+      row.subject,
+      row.from_address,
+      row.extracted_data?.confidence ?? null,
+      pendingSaleId,
+      reviewedBy,
+      row.rejected_at
+    ]);
+
+    await client.query('COMMIT');
+    return row;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * False-rejection rate of reviewed rejections, per week and per rejection reason
+ */
+export async function getRejectionReviewStats(weeks = 12) {
+  await ensureRejectedEmailColumns();
+
+  const [byWeek, byCategory] = await Promise.all([
+    pool.query(`
+      SELECT to_char(date_trunc('week', rejected_at), 'YYYY-MM-DD') as week,
+        COUNT(*)::int as reviewed,
+        COUNT(*) FILTER (WHERE verdict = 'sale')::int as false_rejections
+      FROM rejected_email_reviews
+      WHERE rejected_at >= date_trunc('week', NOW()) - make_interval(weeks => $1)
+      GROUP BY 1
+      ORDER BY 1 DESC
+    `, [weeks]),
+    pool.query(`
+      SELECT reason_category,
+        COUNT(*)::int as reviewed,
+        COUNT(*) FILTER (WHERE verdict = 'sale')::int as false_rejections
+      FROM rejected_email_reviews
+      WHERE rejected_at >= date_trunc('week', NOW()) - make_interval(weeks => $1)
+      GROUP BY 1
+      ORDER BY 2 DESC
+    `, [weeks])
+  ]);
+
+  const withRate = row => ({
+    reviewed: row.reviewed,
+    falseRejections: row.false_rejections,
+    falseRejectionRate: row.reviewed > 0 ? row.false_rejections / row.reviewed : 0
+  });
+
+  return {
+    weeks: byWeek.rows.map(row => ({ week: row.week, ...withRate(row) })),
+    categories: byCategory.rows.map(row => ({ category: row.reason_category, ...withRate(row) }))
+  };
+}
@@ -0,0 +1,234 @@
+// Filtering, sorting, facets and cursor pagination for GET /sales
+// Mirrors FilterOptions / SortOption in src/types/index.ts and runs on the
+// cached, already-formatted sales list, so it never touches the database.
+
+export const FILTER_KEYS = ['type', 'priceRange', 'discount', 'maxWomensSize', 'values'];
+
+export const SORT_OPTIONS = [
+  'featured',
+  'alphabetically-a-z',
+  'alphabetically-z-a',
+  'discount-high-low',
+  'date-old-new',
+  'date-new-old'
+];
+
+export const DEFAULT_SORT = 'date-new-old';
+const MAX_LIMIT = 100;
+
+// Discount buckets overlap at the edges, matching the original sidebar
+const DISCOUNT_BUCKETS = {
+  'Up to 25% off': discount => discount <= 25,
+  '25-35% off': discount => discount >= 25 && discount <= 35,
+  '35-50% off': discount => discount >= 35 && discount <= 50,
+  '50%+ off': discount => discount >= 50
+};
+
+const HAS_PICKS = 'Has picks';
+
+function discountValue(sale) {
+  return parseInt(sale.discount) || 0;
+}
+
+function createdTime(sale) {
+  return sale.createdTime ? new Date(sale.createdTime).getTime() : 0;
+}
+
+function toList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  const values = Array.isArray(value) ? value : [value];
+  // Accept both ?type=Brand&type=Shop and ?type=Brand,Shop
+  return values.flatMap(v => String(v).split(',')).map(v => v.trim()).filter(Boolean);
+}
+
+/**
+ * Read filters, sort, limit and cursor from the query string
+ * Returns { error } for an unknown sort or malformed cursor.
+ */
+export function parseSalesQuery(query = {}) {
+  const filters = {};
+  for (const key of FILTER_KEYS) {
+    filters[key] = toList(query[key]);
+  }
+
+  const sort = query.sort || DEFAULT_SORT;
+  if (!SORT_OPTIONS.includes(sort)) {
+    return { error: `Unknown sort "${sort}"` };
+  }
+
+  const limit = query.limit ? Math.min(Math.max(parseInt(query.limit) || 0, 1), MAX_LIMIT) : null;
+
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeCursor(query.cursor);
+    if (!cursor) {
+      return { error: 'Invalid cursor' };
+    }
+  }
+
+  return { filters, sort, limit, cursor };
+}
+
+// ============================================
+// FILTERING
+// ============================================
+
+function matchesGroup(sale, key, selected) {
+  if (selected.length === 0) return true;
+
+  switch (key) {
+    case 'type':
+      return selected.some(option => option === HAS_PICKS
+        ? sale.picks && sale.picks.length > 0
+        : sale.companyType === option);
+    case 'priceRange':
+      return !!sale.priceRange && selected.includes(sale.priceRange);
+    case 'discount':
+      return selected.some(option => DISCOUNT_BUCKETS[option]?.(discountValue(sale)));
+    case 'maxWomensSize':
+      return !!sale.maxWomensSize && selected.includes(sale.maxWomensSize);
+    case 'values':
+      // Values narrow the results: a sale must have every selected value
+      return selected.every(value => (sale.values || []).includes(value));
+    default:
+      return true;
+  }
+}
+
+/**
+ * Apply all filter groups, optionally skipping one (for its facet counts)
+ */
+export function filterSales(sales, filters, { except = null } = {}) {
+  return sales.filter(sale =>
+    FILTER_KEYS.every(key => key === except || matchesGroup(sale, key, filters[key] || []))
+  );
+}
+
+/**
+ * Per-option counts for the sidebar
+ * Options within a group are OR'd, so each group is counted with every other
+ * filter applied but its own selection ignored. Values are AND'd, so they're
+ * counted against the fully filtered list.
+ */
+export function computeFacets(sales, filters) {
+  const facets = {};
+
+  for (const key of FILTER_KEYS) {
+    const candidates = key === 'values' ? filterSales(sales, filters) : filterSales(sales, filters, { except: key });
+    const counts = {};
+    const bump = option => { counts[option] = (counts[option] || 0) + 1; };
+
+    for (const sale of candidates) {
+      switch (key) {
+        case 'type':
+          if (sale.companyType) bump(sale.companyType);
+          if (sale.picks && sale.picks.length > 0) bump(HAS_PICKS);
+          break;
+        case 'priceRange':
+          if (sale.priceRange) bump(sale.priceRange);
+          break;
+        case 'discount':
+          for (const [option, matches] of Object.entries(DISCOUNT_BUCKETS)) {
+            if (matches(discountValue(sale))) bump(option);
+          }
+          break;
+        case 'maxWomensSize':
+          if (sale.maxWomensSize) bump(sale.maxWomensSize);
+          break;
+        case 'values':
+          for (const value of sale.values || []) bump(value);
+          break;
+      }
+    }
+
+    facets[key] = counts;
+  }
+
+  return facets;
+}
+
+// ============================================
+// SORTING & PAGINATION
+// ============================================
+
+function compareIds(a, b) {
+  return String(a.id).localeCompare(String(b.id));
+}
+
+/**
+ * Total order for a sort option; ties fall back to id so cursors are stable
+ */
+function compareSales(a, b, sort) {
+  let result = 0;
+
+  switch (sort) {
+    case 'featured':
+      result = (b.featured ? 1 : 0) - (a.featured ? 1 : 0) || createdTime(b) - createdTime(a);
+      break;
+    case 'alphabetically-a-z':
+      result = (a.brandName || '').localeCompare(b.brandName || '');
+      break;
+    case 'alphabetically-z-a':
+      result = (b.brandName || '').localeCompare(a.brandName || '');
+      break;
+    case 'discount-high-low':
+      result = discountValue(b) - discountValue(a);
+      break;
+    case 'date-old-new':
+      result = createdTime(a) - createdTime(b);
+      break;
+    case 'date-new-old':
+      result = createdTime(b) - createdTime(a);
+      break;
+  }
+
+  return result || compareIds(a, b);
+}
+
+export function sortSales(sales, sort) {
+  return [...sales].sort((a, b) => compareSales(a, b, sort));
+}
+
+// The cursor holds the last sale's sort fields rather than an offset, so a
+// sale going live or expiring between pages doesn't skip or repeat results
+function encodeCursor(sale) {
+  const { id, brandName, discount, createdTime: created, featured } = sale;
+  return Buffer.from(JSON.stringify({ id, brandName, discount, createdTime: created, featured })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    return decoded && decoded.id ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+export function paginateSales(sorted, sort, { limit, cursor }) {
+  const start = cursor ? sorted.findIndex(sale => compareSales(sale, cursor, sort) > 0) : 0;
+  const remaining = start === -1 ? [] : sorted.slice(start);
+
+  if (!limit || remaining.length <= limit) {
+    return { sales: remaining, nextCursor: null };
+  }
+
+  const page = remaining.slice(0, limit);
+  return { sales: page, nextCursor: encodeCursor(page[page.length - 1]) };
+}
+
+/**
+ * Filter, count, sort and page the formatted sales list
+ */
+export function querySales(sales, { filters, sort, limit, cursor }) {
+  const filtered = filterSales(sales, filters);
+  const sorted = sortSales(filtered, sort);
+  const page = paginateSales(sorted, sort, { limit, cursor });
+
+  return {
+    sales: page.sales,
+    total: filtered.length,
+    nextCursor: page.nextCursor,
+    facets: computeFacets(sales, filters)
+  };
+}
@@ -0,0 +1,36 @@
+// Public-facing sale formatting shared by /sales, /companies and the newsletter digest
+
+const SHOPMY_REDIRECT_BASE = 'https://go.shopmy.us/apx/l9N1lH';
+
+// Strip query params and hash (tracking, email campaign ids)
+export function cleanUrl(url) {
+  if (!url) return url;
+  try {
+    const urlObj = new URL(url);
+    // Return just origin + pathname (no query params or hash)
+    return `${urlObj.origin}${urlObj.pathname}`;
+  } catch (e) {
+    return url;
+  }
+}
+
+/**
+ * ShopMy affiliate link for a sale, preferring its already-cleaned URL
+ */
+export function buildSaleShopMyUrl(sale) {
+  const rawUrl = sale.clean_url || sale.sale_url;
+  if (!rawUrl) return '#';
+  return `${SHOPMY_REDIRECT_BASE}?url=${encodeURIComponent(cleanUrl(rawUrl))}`;
+}
+
+// Normalize legacy values for backward compatibility
+export function normalizeCompanyValues(values) {
+  if (!Array.isArray(values)) return [];
+
+  return values.map(v => {
+    if (v === 'Female-founded') return 'Women-owned';
+    if (v === 'BIPOC-founded') return 'BIPOC-owned';
+    if (v === 'Ethical manufacturing') return null;
+    return v;
+  }).filter(v => v !== null);
+}
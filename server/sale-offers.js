@@ -0,0 +1,134 @@
+// Offers within a sale
+// One email can carry several offers: spend tiers ("20% off $200, 30% off
+// $400"), a discount limited to a category, separate codes for sale and full
+// price items, a fixed price, free shipping or a gift with purchase. They are
+// stored as a JSON array on pending_sales.offers and sales.offers:
+//   { type, percentOff, tiers: [{ minSpend, percentOff, amountOff }], price,
+//     minSpend, gift, appliesTo, code }
+// The sale's percent_off and promo_code stay the headline (filters, sorting
+// and duplicate checks use them); offers hold the details.
+
+export const OFFER_TYPES = ['percent', 'tiered', 'fixed_price', 'free_shipping', 'gift_with_purchase'];
+
+const MAX_OFFERS = 6;
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = parseFloat(String(value).replace(/[$,%\s]/g, ''));
+  return Number.isFinite(number) ? number : null;
+}
+
+function toText(value) {
+  const text = typeof value === 'string' ? value.trim() : '';
+  return text || null;
+}
+
+function formatMoney(amount) {
+  return `$${Number.isInteger(amount) ? amount : amount.toFixed(2)}`;
+}
+
+function normalizeOffer(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+
+  const type = String(raw.type || '').toLowerCase().replace(/[\s-]+/g, '_');
+  if (!OFFER_TYPES.includes(type)) return null;
+
+  const offer = {
+    type,
+    percentOff: toNumber(raw.percentOff),
+    tiers: [],
+    price: toNumber(raw.price),
+    minSpend: toNumber(raw.minSpend),
+    gift: toText(raw.gift),
+    appliesTo: toText(raw.appliesTo),
+    code: toText(raw.code)
+  };
+
+  if (type === 'tiered') {
+    offer.tiers = (Array.isArray(raw.tiers) ? raw.tiers : [])
+      .map(tier => ({
+        minSpend: toNumber(tier?.minSpend),
+        percentOff: toNumber(tier?.percentOff),
+        amountOff: toNumber(tier?.amountOff)
+      }))
+      .filter(tier => tier.minSpend !== null && (tier.percentOff !== null || tier.amountOff !== null))
+      .sort((a, b) => a.minSpend - b.minSpend);
+    if (offer.tiers.length === 0) return null;
+  }
+
+  if (type === 'percent' && !(offer.percentOff > 0 && offer.percentOff < 100)) return null;
+  if (type === 'fixed_price' && !(offer.price > 0)) return null;
+
+  return offer;
+}
+
+/**
+ * Validate offers as the AI returned them, dropping any that don't make sense
+ */
+export function normalizeOffers(rawOffers) {
+  if (!Array.isArray(rawOffers)) return [];
+  return rawOffers.map(normalizeOffer).filter(Boolean).slice(0, MAX_OFFERS);
+}
+
+/**
+ * Best percentage among the offers (the top tier of a tiered offer counts)
+ */
+export function highestPercentOff(offers) {
+  const percents = offers.flatMap(offer => offer.type === 'tiered'
+    ? offer.tiers.map(tier => tier.percentOff)
+    : [offer.percentOff]);
+  return Math.max(0, ...percents.filter(percent => percent > 0)) || null;
+}
+
+/**
+ * Short text for an offer, e.g. "20% off $200+, 30% off $400+ with code SAVE"
+ */
+export function describeOffer(offer) {
+  let text;
+  switch (offer.type) {
+    case 'percent':
+      text = offer.appliesTo ? `${offer.percentOff}% off ${offer.appliesTo}` : `${offer.percentOff}% off`;
+      break;
+    case 'tiered':
+      text = offer.tiers
+        .map(tier => `${tier.percentOff !== null ? `${tier.percentOff}%` : formatMoney(tier.amountOff)} off ${formatMoney(tier.minSpend)}+`)
+        .join(', ');
+      break;
+    case 'fixed_price':
+      text = `${formatMoney(offer.price)} styles`;
+      break;
+    case 'free_shipping':
+      text = offer.minSpend ? `Free shipping on ${formatMoney(offer.minSpend)}+` : 'Free shipping';
+      break;
+    case 'gift_with_purchase':
+      text = `Free ${offer.gift || 'gift'} with ${offer.minSpend ? `${formatMoney(offer.minSpend)}+` : 'purchase'}`;
+      break;
+    default:
+      text = '';
+  }
+
+  if (offer.appliesTo && offer.type !== 'percent') text += ` (${offer.appliesTo})`;
+  if (offer.code) text += ` with code ${offer.code}`;
+  return text;
+}
+
+/**
+ * Offers for the public site, each with its text and whether it is the
+ * sale's headline (a plain sitewide percentage equal to the sale's percent off)
+ */
+export function publicOffers(offers, percentOff) {
+  if (!Array.isArray(offers) || offers.length === 0) return undefined;
+
+  let headlineFound = false;
+  return offers.map(offer => {
+    const isHeadline = !headlineFound && offer.type === 'percent' && !offer.appliesTo &&
+      Number(offer.percentOff) === Number(percentOff);
+    headlineFound ||= isHeadline;
+    return {
+      type: offer.type,
+      code: offer.code || undefined,
+      text: describeOffer(offer),
+      isHeadline
+    };
+  });
+}
@@ -0,0 +1,77 @@
+import {
+  activateScheduledSales,
+  expireEndedSales,
+  logSaleScheduleTransition
+} from './db.js';
+
+// Days a sale stays live after its end date (retailers often run a day over)
+const SALE_EXPIRY_GRACE_DAYS = parseInt(process.env.SALE_EXPIRY_GRACE_DAYS || '0', 10) || 0;
+
+// How often the lazy check from request handlers is allowed to hit the database
+const LAZY_RUN_INTERVAL_MS = 10 * 60 * 1000;
+
+let lastRunAt = 0;
+let runningSchedule = null;
+
+function toDateString(value) {
+  if (!value) return null;
+  return new Date(value).toISOString().split('T')[0];
+}
+
+/**
+ * Activate sales whose start date has arrived and expire sales past their
+ * end date + grace days. Every transition is written to sale_schedule_log.
+ * Returns { activated, expired } lists of sale rows that changed.
+ */
+export async function runSaleSchedule(options = {}) {
+  const { logger = console, graceDays = SALE_EXPIRY_GRACE_DAYS } = options;
+
+  lastRunAt = Date.now();
+  const today = new Date().toISOString().split('T')[0];
+
+  const activated = await activateScheduledSales(today, graceDays);
+  for (const sale of activated) {
+    logger.log(`📅 Sale went live: ${sale.original_company_name || `pg_${sale.id}`} (start ${toDateString(sale.start_date)})`);
+    await logSaleScheduleTransition({
+      saleId: sale.id,
+      action: 'activated',
+      previousLive: 'NO',
+      newLive: 'YES',
+      startDate: toDateString(sale.start_date),
+      endDate: toDateString(sale.end_date)
+    });
+  }
+
+  const expired = await expireEndedSales(today, graceDays);
+  for (const sale of expired) {
+    logger.log(`⏰ Sale expired: ${sale.original_company_name || `pg_${sale.id}`} (ended ${toDateString(sale.end_date)})`);
+    await logSaleScheduleTransition({
+      saleId: sale.id,
+      action: 'expired',
+      previousLive: 'YES',
+      newLive: 'NO',
+      startDate: toDateString(sale.start_date),
+      endDate: toDateString(sale.end_date)
+    });
+  }
+
+  return { activated, expired };
+}
+
+/**
+ * Run the schedule at most once every few minutes
+ * Used from request handlers so autoscale deployments (no background tasks)
+ * still flip sales on time.
+ */
+export async function runSaleScheduleIfStale(options = {}) {
+  if (Date.now() - lastRunAt < LAZY_RUN_INTERVAL_MS) {
+    return { activated: [], expired: [] };
+  }
+
+  if (!runningSchedule) {
+    runningSchedule = runSaleSchedule(options).finally(() => {
+      runningSchedule = null;
+    });
+  }
+  return runningSchedule;
+}
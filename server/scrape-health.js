@@ -0,0 +1,160 @@
+// Per-domain scraping health and the scraper order learned from it
+// Every orchestrator run stores its attempts (method, outcome, confidence,
+// duration) in scrape_attempts. Recent per-method success rates then adjust
+// the order for that domain: a scraper that keeps failing is skipped, and
+// when the first scraper is unreliable one that reliably works goes first.
+// Skipped scrapers get another try once they haven't run for a week, so a
+// shop that stops blocking one of them is noticed.
+
+import crypto from 'crypto';
+import { recordScrapeAttempts, getScrapeMethodStats, getScrapeDomainStats } from './db.js';
+import { defineCache, getCached, peekCached } from './cache.js';
+import { getRetailerAdapter, getScraperOrder } from './scrapers/retailers/index.js';
+
+// How far back attempts count towards a domain's health
+export const HEALTH_WINDOW_DAYS = 30;
+
+// Attempts a scraper needs on a domain before its record changes the order
+const MIN_ATTEMPTS = 5;
+
+// Below this success rate a scraper is skipped; at or above the second it can go first
+const SKIP_BELOW_SUCCESS_RATE = 0.1;
+const PREFER_FROM_SUCCESS_RATE = 0.8;
+
+const RETRY_SKIPPED_AFTER_MS = 7 * 24 * 60 * 60 * 1000;
+
+function domainOf(url) {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch (e) {
+    return null;
+  }
+}
+
+function formatMethodStats(row) {
+  return {
+    method: row.method,
+    attempts: row.attempts,
+    successes: row.successes,
+    successRate: row.attempts > 0 ? row.successes / row.attempts : 0,
+    medianDurationMs: row.median_duration_ms,
+    avgConfidence: row.avg_confidence,
+    lastBlockedAt: row.last_blocked_at,
+    lastAttemptAt: row.last_attempt_at
+  };
+}
+
+async function loadLearnedStats() {
+  const byDomain = {};
+  for (const row of await getScrapeMethodStats(HEALTH_WINDOW_DAYS)) {
+    (byDomain[row.domain] ||= []).push(formatMethodStats(row));
+  }
+  return byDomain;
+}
+
+// Refreshed in the background; a new domain just uses its default order until then
+defineCache('scrape-health', loadLearnedStats, { ttlMs: 10 * 60 * 1000 });
+
+/**
+ * Adjust a scraper order with a domain's method stats
+ * Returns { order, skipped, preferred }. Scrapers without MIN_ATTEMPTS
+ * attempts keep their place; if every scraper would be skipped the default
+ * order is kept, since the stats don't say which one to try.
+ */
+export function planScraperOrder(order, methodStats = [], now = Date.now()) {
+  const proven = new Map(methodStats
+    .filter(stats => stats.attempts >= MIN_ATTEMPTS)
+    .map(stats => [stats.method, stats]));
+
+  const skipped = order.filter(method => {
+    const stats = proven.get(method);
+    return stats &&
+      stats.successRate < SKIP_BELOW_SUCCESS_RATE &&
+      now - new Date(stats.lastAttemptAt).getTime() < RETRY_SKIPPED_AFTER_MS;
+  });
+
+  if (skipped.length === order.length) {
+    return { order, skipped: [], preferred: null };
+  }
+
+  let planned = order.filter(method => !skipped.includes(method));
+
+  // Only reorder when the scraper that would go first is known to be unreliable.
+  // One below the skip rate here is due a retry, so it keeps its place.
+  const first = proven.get(planned[0]);
+  const preferred = first && first.successRate >= SKIP_BELOW_SUCCESS_RATE && first.successRate < PREFER_FROM_SUCCESS_RATE
+    ? planned
+      .map(method => proven.get(method))
+      .filter(stats => stats && stats.successRate >= PREFER_FROM_SUCCESS_RATE)
+      .sort((a, b) => b.successRate - a.successRate)[0]?.method || null
+    : null;
+
+  if (preferred) {
+    planned = [preferred, ...planned.filter(method => method !== preferred)];
+  }
+
+  return { order: planned, skipped, preferred };
+}
+
+/**
+ * Scraper order for a URL: its retailer's (or the default) order, adjusted
+ * by what has worked on that domain recently. Never waits for the database.
+ */
+export function getLearnedScraperOrder(url) {
+  const defaultOrder = getScraperOrder(getRetailerAdapter(url));
+  const domain = domainOf(url);
+  const learned = domain ? peekCached('scrape-health')?.[domain] : null;
+
+  if (!learned) {
+    return { order: defaultOrder, skipped: [], preferred: null };
+  }
+  return planScraperOrder(defaultOrder, learned);
+}
+
+/**
+ * Store an orchestrator result's attempts in the background
+ */
+export function recordScrape(url, result, logger = console) {
+  const domain = domainOf(url);
+  if (!domain || !result.meta?.attempts?.length) return;
+
+  recordScrapeAttempts({
+    scrapeId: crypto.randomUUID(),
+    domain,
+    url,
+    succeeded: result.success,
+    attempts: result.meta.attempts
+  }).catch(error => {
+    logger.warn(`⚠️  [Scrape health] Could not record attempts for ${domain}: ${error.message}`);
+  });
+}
+
+/**
+ * Per-domain health for the admin dashboard, most recently scraped first
+ */
+export async function getScrapingHealth(days = HEALTH_WINDOW_DAYS) {
+  const [domainRows, methodRows, learned] = await Promise.all([
+    getScrapeDomainStats(days),
+    getScrapeMethodStats(days),
+    getCached('scrape-health').then(({ value }) => value || {})
+  ]);
+
+  return domainRows.map(row => {
+    const defaultOrder = getScraperOrder(getRetailerAdapter(`https://${row.domain}/`));
+    const plan = planScraperOrder(defaultOrder, learned[row.domain] || []);
+
+    return {
+      domain: row.domain,
+      scrapes: row.scrapes,
+      succeeded: row.succeeded,
+      successRate: row.scrapes > 0 ? row.succeeded / row.scrapes : 0,
+      lastBlockedAt: row.last_blocked_at,
+      lastScrapedAt: row.last_scraped_at,
+      methods: methodRows.filter(method => method.domain === row.domain).map(formatMethodStats),
+      defaultOrder,
+      learnedOrder: plan.order,
+      skipped: plan.skipped,
+      preferred: plan.preferred
+    };
+  });
+}
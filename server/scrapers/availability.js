@@ -0,0 +1,69 @@
+// Shared stock-status helpers for all scrapers
+// Every scraper reports availability as one of the Freshness statuses:
+// 'In Stock', 'Low', 'Sold Out' - or null when the page doesn't say.
+
+// schema.org ItemAvailability values (and the short forms some shops use)
+const AVAILABILITY_MAP = {
+  instock: 'In Stock',
+  onlineonly: 'In Stock',
+  instoreonly: 'In Stock',
+  preorder: 'In Stock',
+  presale: 'In Stock',
+  backorder: 'Low',
+  limitedavailability: 'Low',
+  lowstock: 'Low',
+  outofstock: 'Sold Out',
+  soldout: 'Sold Out',
+  discontinued: 'Sold Out',
+  oos: 'Sold Out'
+};
+
+/**
+ * Normalize an availability value from JSON-LD, meta tags or AI output
+ * Accepts "https://schema.org/InStock", "InStock", "in stock", "oos", etc.
+ */
+export function normalizeAvailability(value) {
+  if (!value || typeof value !== 'string') return null;
+
+  const key = value
+    .trim()
+    .replace(/^https?:\/\/schema\.org\//i, '')
+    .toLowerCase()
+    .replace(/[^a-z]/g, '');
+
+  return AVAILABILITY_MAP[key] || null;
+}
+
+/**
+ * Combine availability across multiple offers (e.g. one offer per size)
+ * Any in-stock offer wins; all sold out means sold out.
+ */
+export function combineOfferAvailability(offers) {
+  const statuses = (offers || [])
+    .map(offer => normalizeAvailability(offer?.availability))
+    .filter(Boolean);
+
+  if (statuses.length === 0) return null;
+  if (statuses.every(s => s === 'Sold Out')) return 'Sold Out';
+
+  const inStockCount = statuses.filter(s => s === 'In Stock').length;
+  if (inStockCount === 0) return 'Low';
+
+  // Most sizes gone counts as low stock
+  if (statuses.length >= 3 && inStockCount / statuses.length <= 0.25) return 'Low';
+
+  return 'In Stock';
+}
+
+/**
+ * Look for availability in page meta tags (og:availability, product:availability)
+ */
+export function extractAvailabilityFromMeta(html) {
+  if (!html) return null;
+
+  const match = html.match(/<meta[^>]*(?:property|name|itemprop)=["'](?:og:availability|product:availability|availability)["'][^>]*content=["']([^"']+)["']/i) ||
+    html.match(/<meta[^>]*content=["']([^"']+)["'][^>]*(?:property|name|itemprop)=["'](?:og:availability|product:availability|availability)["']/i) ||
+    html.match(/<link[^>]*itemprop=["']availability["'][^>]*href=["']([^"']+)["']/i);
+
+  return match ? normalizeAvailability(match[1]) : null;
+}
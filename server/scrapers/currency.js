@@ -0,0 +1,51 @@
+// Price currency detection shared by all scrapers
+// Scrapers report product.currency as an ISO code (or null when the page
+// doesn't say); the orchestrator converts prices to USD from it.
+
+import { normalizeCurrency, currencyFromPriceText } from '../currency.js';
+
+// Shops often write the symbols as entities
+function decodeCurrencyEntities(text) {
+  return text
+    .replace(/&pound;|&#163;|&#xa3;/gi, '£')
+    .replace(/&euro;|&#8364;|&#x20ac;/gi, '€')
+    .replace(/&yen;|&#165;|&#xa5;/gi, '¥');
+}
+
+/**
+ * Currency from page meta tags (og:price:currency, product:price:currency, itemprop)
+ */
+export function extractCurrencyFromMeta(html) {
+  if (!html) return null;
+
+  const match = html.match(/<meta[^>]*(?:property|name|itemprop)=["'](?:og:price:currency|product:price:currency|priceCurrency)["'][^>]*content=["']([^"']+)["']/i) ||
+    html.match(/<meta[^>]*content=["']([^"']+)["'][^>]*(?:property|name|itemprop)=["'](?:og:price:currency|product:price:currency|priceCurrency)["']/i);
+
+  return match ? normalizeCurrency(match[1]) : null;
+}
+
+/**
+ * Best guess at the page's price currency, or null
+ * Meta tags first, then priceCurrency in embedded JSON (JSON-LD, app state),
+ * then symbols in the given price text or the page's price elements.
+ */
+export function extractCurrency(html, priceText = null) {
+  if (!html && !priceText) return null;
+
+  const fromMeta = extractCurrencyFromMeta(html);
+  if (fromMeta) return fromMeta;
+
+  const jsonMatch = html?.match(/"priceCurrency"\s*:\s*"([A-Za-z]{3})"/);
+  if (jsonMatch) return jsonMatch[1].toUpperCase();
+
+  const fromText = currencyFromPriceText(priceText);
+  if (fromText) return fromText;
+
+  const priceElements = html?.match(/<[^>]*class="[^"]*price[^"]*"[^>]*>[^<]{0,100}/gi) || [];
+  for (const element of priceElements) {
+    const currency = currencyFromPriceText(decodeCurrencyEntities(element.replace(/<[^>]*>/g, '')));
+    if (currency) return currency;
+  }
+
+  return null;
+}
@@ -1,6 +1,15 @@
 // SIMPLIFIED PRODUCT SCRAPER
 // Flow: AI URL inference → Google Shopping → JSON-LD → AI extraction
 
+import {
+  normalizeAvailability,
+  combineOfferAvailability,
+  extractAvailabilityFromMeta
+} from './availability.js';
+import { extractSizeAvailability, summarizeSizeAvailability } from './sizes.js';
+import { extractCurrency } from './currency.js';
+import { normalizeCurrency } from '../currency.js';
+
 export async function scrapeProduct(url, options = {}) {
   const {
     openai,
@@ -52,6 +61,21 @@ export async function scrapeProduct(url, options = {}) {
         const html = await response.text();
         logger.log(`📄 [Scraper] Fetched ${html.length} characters`);
 
+        // Stock status from meta tags, used when the extraction step doesn't report one
+        const pageAvailability = extractAvailabilityFromMeta(html);
+
+        // Per-size stock and price currency from the page, attached to whichever extraction wins
+        const sizeAvailability = extractSizeAvailability(html);
+        const pageCurrency = extractCurrency(html);
+        const withPageData = (product) => {
+          if (sizeAvailability.length > 0) {
+            product.sizeAvailability = sizeAvailability;
+            product.availability = product.availability || summarizeSizeAvailability(sizeAvailability);
+          }
+          product.currency = product.currency || pageCurrency;
+          return product;
+        };
+
         // ============================================
         // STEP 2: TRY JSON-LD EXTRACTION
         // ============================================
@@ -62,7 +86,7 @@ export async function scrapeProduct(url, options = {}) {
 
           return {
             success: true,
-            product: jsonLdResult,
+            product: withPageData(jsonLdResult),
             meta: {
               method: 'simplified',
               phase: testMetadata.phaseUsed,
@@ -86,6 +110,10 @@ export async function scrapeProduct(url, options = {}) {
           jsonLdResult
         );
 
+        if (!aiResult.availability) {
+          aiResult.availability = jsonLdResult?.availability || pageAvailability;
+        }
+
         testMetadata.phaseUsed = 'ai-extraction';
 
         // If AI extraction has good confidence, return it
@@ -94,7 +122,7 @@ export async function scrapeProduct(url, options = {}) {
 
           return {
             success: true,
-            product: aiResult,
+            product: withPageData(aiResult),
             meta: {
               method: 'simplified',
               phase: testMetadata.phaseUsed,
@@ -114,7 +142,7 @@ export async function scrapeProduct(url, options = {}) {
           logger.log('⚠️  [Google Shopping] No ScraperAPI key, returning low-confidence AI result');
           return {
             success: true,
-            product: aiResult,
+            product: withPageData(aiResult),
             meta: {
               method: 'simplified',
               phase: testMetadata.phaseUsed,
@@ -133,7 +161,7 @@ export async function scrapeProduct(url, options = {}) {
           logger.log('⚠️  [Google Shopping] Could not infer product name, returning AI result');
           return {
             success: true,
-            product: aiResult,
+            product: withPageData(aiResult),
             meta: {
               method: 'simplified',
               phase: testMetadata.phaseUsed,
@@ -163,6 +191,9 @@ export async function scrapeProduct(url, options = {}) {
             salePrice: googleResult.currentPrice,
             percentOff: 0,
             color: urlInfo.color || googleResult.color || null,
+            availability: aiResult.availability || null,
+            // Shopping results are parsed from google.com, which lists US prices
+            currency: 'USD',
             url: url,
             confidence: 85
           };
@@ -177,7 +208,7 @@ export async function scrapeProduct(url, options = {}) {
 
           return {
             success: true,
-            product,
+            product: withPageData(product),
             meta: {
               method: 'simplified',
               phase: testMetadata.phaseUsed,
@@ -192,7 +223,7 @@ export async function scrapeProduct(url, options = {}) {
         logger.log('⚠️  [Google Shopping] Failed, returning AI result');
         return {
           success: true,
-          product: aiResult,
+          product: withPageData(aiResult),
           meta: {
             method: 'simplified',
             phase: testMetadata.phaseUsed,
@@ -627,6 +658,11 @@ async function extractFromJsonLd(html, url, logger) {
 
           if (imageUrl && !imageUrl.startsWith('http')) imageUrl = null;
 
+          // Extract availability across all offers (often one per size)
+          const offerList = (Array.isArray(item.offers) ? item.offers : [item.offers])
+            .flatMap(offer => Array.isArray(offer?.offers) ? offer.offers : [offer]);
+          const availability = combineOfferAvailability(offerList) || extractAvailabilityFromMeta(html);
+
           // Extract prices
           const offers = Array.isArray(item.offers) ? item.offers[0] : item.offers;
           if (offers) {
@@ -656,6 +692,8 @@ async function extractFromJsonLd(html, url, logger) {
                 originalPrice,
                 salePrice,
                 percentOff,
+                currency: normalizeCurrency(offers.priceCurrency),
+                availability,
                 url,
                 confidence: 95,
                 complete: true
@@ -670,7 +708,7 @@ async function extractFromJsonLd(html, url, logger) {
   }
 
   logger.log('⚠️  [JSON-LD] Found Product schema but incomplete data');
-  return { complete: false };
+  return { complete: false, availability: extractAvailabilityFromMeta(html) };
 }
 
 // ============================================
@@ -746,11 +784,15 @@ Return this structure:
   "salePrice": 131.00,
   "percentOff": 70,
   "color": "Black",
+  "currency": "USD",
+  "availability": "InStock",
   "confidence": 85
 }
 
 Rules:
 - If only ONE price exists: originalPrice = null, percentOff = 0
+- currency: ISO 4217 code of the prices as shown ("GBP" for £, "EUR" for €), or null if unclear
+- availability: "InStock", "LimitedAvailability" (e.g. "only 2 left", "low stock"), "OutOfStock" (e.g. "sold out" for the whole product, disabled add-to-bag), or null if unclear
 - originalPrice MUST be > salePrice (if both exist)
 - Extract color from product name or selectors
 - confidence: 90+ for structured data, 70-89 for HTML patterns
@@ -820,6 +862,7 @@ Rules:
   }
 
   const color = productData.color || null;
+  const availability = normalizeAvailability(productData.availability);
 
   logger.log(`✅ [AI] Extracted product (confidence: ${confidence}%)`);
 
@@ -831,6 +874,8 @@ Rules:
     salePrice,
     percentOff,
     color,
+    currency: normalizeCurrency(productData.currency),
+    availability,
     url,
     confidence
   };
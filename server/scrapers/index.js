@@ -1,25 +1,18 @@
 import { scrapeProduct as fastScrape } from './fast-scraper.js';
 import { scrapeWithPlaywright } from '../playwright-scraper.js';
 import { scrapeWithProxy } from './proxy-scraper.js';
+import { getRetailerAdapter } from './retailers/index.js';
+import { convertProductPrices } from '../currency.js';
+import { getLearnedScraperOrder, recordScrape } from '../scrape-health.js';
 
 // Confidence threshold for fallback decisions
 const CONFIDENCE_THRESHOLD = 60;
 
-// Detect if URL is from a department store that needs proxy
-function isDepartmentStore(url) {
-  const hostname = new URL(url).hostname.toLowerCase();
-  const departmentStores = [
-    'nordstrom.com',
-    'saksfifthavenue.com',
-    'neimanmarcus.com',
-    'bloomingdales.com',
-    'bergdorfgoodman.com',
-    'shopbop.com',
-    'ssense.com',
-    'farfetch.com'
-  ];
-  return departmentStores.some(store => hostname.includes(store));
-}
+const METHOD_LABELS = {
+  fast: 'Fast',
+  proxy: 'Proxy',
+  playwright: 'Playwright'
+};
 
 // Determine final errorType from multiple scraper results
 // Logic: RETRYABLE if any scraper had RETRYABLE error (temp issue, worth trying other URLs)
@@ -93,7 +86,8 @@ export async function scrapeProduct(url, options = {}) {
         confidence: result.meta?.confidence || 0,
         durationMs: Date.now() - attemptStart,
         phase: result.meta?.phase,
-        error: result.error
+        error: result.error,
+        errorType: result.errorType
       });
 
       return result;
@@ -125,7 +119,8 @@ export async function scrapeProduct(url, options = {}) {
         confidence: result.meta?.confidence || 0,
         durationMs: Date.now() - attemptStart,
         phase: result.meta?.phase,
-        error: result.error
+        error: result.error,
+        errorType: result.errorType
       });
 
       return result;
@@ -153,7 +148,8 @@ export async function scrapeProduct(url, options = {}) {
         confidence: result.meta?.confidence || 0,
         durationMs: Date.now() - attemptStart,
         phase: result.meta?.phase,
-        error: result.error
+        error: result.error,
+        errorType: result.errorType
       });
 
       return result;
@@ -169,31 +165,15 @@ export async function scrapeProduct(url, options = {}) {
     }
   };
 
-  const shouldFallbackToProxy = (result) => {
-    if (!result.success) {
-      logger.log('⚠️  [Orchestrator] Fast scraper failed, will try proxy');
-      return true;
-    }
-
-    const product = result.product;
-    const confidence = result.meta?.confidence || 0;
-
-    if (confidence < CONFIDENCE_THRESHOLD) {
-      logger.log(`⚠️  [Orchestrator] Low confidence (${confidence}%), will try proxy`);
-      return true;
-    }
-
-    if (!product.name || !product.imageUrl || !product.salePrice) {
-      logger.log('⚠️  [Orchestrator] Missing required fields, will try proxy');
-      return true;
-    }
-
-    return false;
+  const attemptsByMethod = {
+    fast: attemptFastScraper,
+    proxy: attemptProxyScraper,
+    playwright: attemptPlaywrightScraper
   };
 
-  const shouldFallbackToPlaywright = (result) => {
+  const shouldFallback = (result, nextLabel) => {
     if (!result.success) {
-      logger.log('⚠️  [Orchestrator] Previous scraper failed, will try Playwright');
+      logger.log(`⚠️  [Orchestrator] Previous scraper failed, will try ${nextLabel}`);
       return true;
     }
 
@@ -201,146 +181,87 @@ export async function scrapeProduct(url, options = {}) {
     const confidence = result.meta?.confidence || 0;
 
     if (confidence < CONFIDENCE_THRESHOLD) {
-      logger.log(`⚠️  [Orchestrator] Low confidence (${confidence}%), will try Playwright`);
+      logger.log(`⚠️  [Orchestrator] Low confidence (${confidence}%), will try ${nextLabel}`);
       return true;
     }
 
     if (!product.name || !product.imageUrl || !product.salePrice) {
-      logger.log('⚠️  [Orchestrator] Missing required fields, will try Playwright');
+      logger.log(`⚠️  [Orchestrator] Missing required fields, will try ${nextLabel}`);
       return true;
     }
 
     return false;
   };
 
-  // Check if this is a department store that needs proxy
-  const useDepartmentStoreProxy = isDepartmentStore(url);
-
-  if (useDepartmentStoreProxy) {
-    logger.log('🏬 [Orchestrator] Department store detected - using proxy scraper');
-  }
-
-  let fastResult = await attemptFastScraper();
-
-  // For department stores: fast -> proxy -> playwright
-  // For regular sites: fast -> playwright
-  if (useDepartmentStoreProxy && shouldFallbackToProxy(fastResult)) {
-    logger.log('🔄 [Orchestrator] Falling back to proxy scraper...');
-
-    const proxyResult = await attemptProxyScraper();
-
-    if (proxyResult.success) {
-      logger.log('✅ [Orchestrator] Proxy scraper succeeded!');
-      return {
-        success: true,
-        product: proxyResult.product,
-        meta: {
-          extractionMethod: 'proxy',
-          confidence: proxyResult.meta?.confidence || 0,
-          totalDurationMs: Date.now() - startTime,
-          attempts,
-          testMetadata: enableTestMetadata ? proxyResult.meta?.testMetadata : undefined
-        }
-      };
-    }
-
-    // If proxy fails, try Playwright as last resort
-    if (shouldFallbackToPlaywright(proxyResult)) {
-      logger.log('🔄 [Orchestrator] Proxy failed, trying Playwright as last resort...');
-
-      const playwrightResult = await attemptPlaywrightScraper();
-
-      if (playwrightResult.success) {
-        logger.log('✅ [Orchestrator] Playwright succeeded!');
-        return {
-          success: true,
-          product: playwrightResult.product,
-          meta: {
-            extractionMethod: 'playwright',
-            confidence: playwrightResult.meta?.confidence || 0,
-            totalDurationMs: Date.now() - startTime,
-            attempts,
-            testMetadata: enableTestMetadata ? playwrightResult.meta?.testMetadata : undefined
-          }
-        };
-      }
-
-      logger.log('❌ [Orchestrator] All scrapers failed');
-      const finalErrorType = determineErrorType(fastResult, proxyResult, playwrightResult);
-      return {
-        success: false,
-        error: `All scrapers failed. Fast: ${fastResult.error}, Proxy: ${proxyResult.error}, Playwright: ${playwrightResult.error}`,
-        errorType: finalErrorType,
-        meta: {
-          extractionMethod: 'none',
-          confidence: 0,
-          totalDurationMs: Date.now() - startTime,
-          attempts
-        }
-      };
-    }
+  const succeed = (method, result) => {
+    logger.log(`✅ [Orchestrator] ${METHOD_LABELS[method]} scraper succeeded!`);
 
-    logger.log('❌ [Orchestrator] Fast and proxy scrapers failed');
-    const finalErrorType = determineErrorType(fastResult, proxyResult);
+    // Prices are stored in USD; the shop's own prices ride along as local prices
+    const product = convertProductPrices(result.product, logger);
     return {
-      success: false,
-      error: `Both scrapers failed. Fast: ${fastResult.error}, Proxy: ${proxyResult.error}`,
-      errorType: finalErrorType,
+      success: true,
+      product,
       meta: {
-        extractionMethod: 'none',
-        confidence: 0,
+        extractionMethod: method,
+        confidence: Math.min(result.meta?.confidence || 0, product.confidence ?? 100),
         totalDurationMs: Date.now() - startTime,
-        attempts
+        attempts,
+        testMetadata: enableTestMetadata ? result.meta?.testMetadata : undefined
       }
     };
+  };
+
+  // Retailers with an adapter choose their own order (e.g. fast -> proxy -> playwright
+  // for department stores); everything else uses fast -> playwright. Recent
+  // results on the domain can skip or promote scrapers (see scrape-health.js)
+  const adapter = getRetailerAdapter(url);
+  const { order, skipped, preferred } = getLearnedScraperOrder(url);
+
+  if (adapter) {
+    logger.log(`🏬 [Orchestrator] ${adapter.name} detected - trying ${order.join(' -> ')}`);
+  }
+  if (skipped.length > 0 || preferred) {
+    const notes = [
+      preferred && `${METHOD_LABELS[preferred]} first`,
+      skipped.length > 0 && `skipping ${skipped.map(method => METHOD_LABELS[method]).join(', ')}`
+    ].filter(Boolean);
+    logger.log(`📈 [Orchestrator] Learned from recent scrapes: ${notes.join(', ')}`);
   }
 
-  // For non-department stores, use the original logic (fast -> playwright)
-  if (shouldFallbackToPlaywright(fastResult)) {
-    logger.log('🔄 [Orchestrator] Falling back to Playwright...');
-
-    const playwrightResult = await attemptPlaywrightScraper();
-
-    if (playwrightResult.success) {
-      logger.log('✅ [Orchestrator] Playwright succeeded!');
-      return {
-        success: true,
-        product: playwrightResult.product,
-        meta: {
-          extractionMethod: 'playwright',
-          confidence: playwrightResult.meta?.confidence || 0,
-          totalDurationMs: Date.now() - startTime,
-          attempts,
-          testMetadata: enableTestMetadata ? playwrightResult.meta?.testMetadata : undefined
-        }
-      };
+  const results = [];
+  for (const [index, method] of order.entries()) {
+    if (index > 0) {
+      logger.log(`🔄 [Orchestrator] Falling back to ${METHOD_LABELS[method]} scraper...`);
     }
 
-    logger.log('❌ [Orchestrator] Both scrapers failed');
-    const finalErrorType = determineErrorType(fastResult, playwrightResult);
-    return {
-      success: false,
-      error: `Both scrapers failed. Fast: ${fastResult.error}, Playwright: ${playwrightResult.error}`,
-      errorType: finalErrorType,
-      meta: {
-        extractionMethod: 'none',
-        confidence: 0,
-        totalDurationMs: Date.now() - startTime,
-        attempts
-      }
-    };
+    const result = await attemptsByMethod[method]();
+    results.push({ method, result });
+
+    // Only the first scraper has to pass the quality check - the rest are
+    // fallbacks, so any success is taken
+    const nextMethod = order[index + 1];
+    const accepted = result.success && (index > 0 || !nextMethod);
+    if (accepted || (nextMethod && !shouldFallback(result, METHOD_LABELS[nextMethod]))) {
+      const success = succeed(method, result);
+      recordScrape(url, success, logger);
+      return success;
+    }
   }
 
-  logger.log('✅ [Orchestrator] Fast scraper succeeded!');
-  return {
-    success: true,
-    product: fastResult.product,
+  logger.log(`❌ [Orchestrator] ${results.length === 2 ? 'Both' : 'All'} scrapers failed`);
+  const finalErrorType = determineErrorType(...results.map(({ result }) => result));
+  const errors = results.map(({ method, result }) => `${METHOD_LABELS[method]}: ${result.error}`).join(', ');
+  const failure = {
+    success: false,
+    error: `${results.length === 2 ? 'Both' : 'All'} scrapers failed. ${errors}`,
+    errorType: finalErrorType,
     meta: {
-      extractionMethod: 'fast',
-      confidence: fastResult.meta?.confidence || 0,
+      extractionMethod: 'none',
+      confidence: 0,
       totalDurationMs: Date.now() - startTime,
-      attempts,
-      testMetadata: enableTestMetadata ? fastResult.meta?.testMetadata : undefined
+      attempts
     }
   };
-}
\ No newline at end of file
+  recordScrape(url, failure, logger);
+  return failure;
+}
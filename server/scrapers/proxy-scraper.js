@@ -1,6 +1,11 @@
 // NEW FILE: server/scrapers/proxy-scraper.js
 // ScraperAPI integration for department stores with advanced bot detection
 
+import { normalizeAvailability, extractAvailabilityFromMeta } from './availability.js';
+import { extractSizeAvailability, summarizeSizeAvailability } from './sizes.js';
+import { extractCurrency } from './currency.js';
+import { normalizeCurrency } from '../currency.js';
+
 export async function scrapeWithProxy(url, options = {}) {
   const {
     openai,
@@ -154,9 +159,20 @@ Return ONLY this exact JSON structure (no comments, no extra text):
   "originalPrice": 435.00,
   "salePrice": 131.00,
   "percentOff": 70,
+  "currency": "USD",
+  "availability": "InStock",
   "confidence": 85
 }
 
+CURRENCY:
+- ISO 4217 code of the prices as shown ("GBP" for £, "EUR" for €), or null if unclear
+
+AVAILABILITY:
+- "InStock" if the product can be added to bag
+- "LimitedAvailability" for "only X left", "low stock", "almost gone"
+- "OutOfStock" if the whole product is sold out (not just one size) or add-to-bag is disabled
+- null if unclear
+
 Confidence scoring:
 - 90-100: Clear prices with both original and sale in structured markup
 - 70-89: Prices visible but in basic HTML
@@ -262,12 +278,19 @@ Confidence scoring:
       throw new Error(`Low confidence (${confidence}%) - data may be inaccurate`);
     }
 
+    const sizeAvailability = extractSizeAvailability(html);
+    const currency = normalizeCurrency(productData.currency) || extractCurrency(html);
+    const availability = normalizeAvailability(productData.availability) ||
+      extractAvailabilityFromMeta(html) ||
+      summarizeSizeAvailability(sizeAvailability);
+
     logger.log(`✅ [Proxy Scraper] Extracted product (confidence: ${confidence}%):`, {
       name: productData.name,
       brand: productData.brand,
       salePrice,
       originalPrice,
-      percentOff
+      percentOff,
+      availability
     });
 
     return {
@@ -279,6 +302,9 @@ Confidence scoring:
         originalPrice: originalPrice,
         salePrice: salePrice,
         percentOff: percentOff,
+        currency: currency,
+        availability: availability,
+        sizeAvailability: sizeAvailability.length > 0 ? sizeAvailability : undefined,
         url: url,
         confidence: confidence
       },
@@ -0,0 +1,30 @@
+export default {
+  name: 'Bergdorf Goodman',
+  domains: ['bergdorfgoodman.com'],
+  protection: {
+    level: 'ultra-high',
+    successRate: '5-10%',
+    recommendation: 'We recommend manual entry for faster, more reliable results.'
+  },
+  scraperOrder: ['fast', 'proxy', 'playwright'],
+  playwright: {
+    waitTime: 4000,
+    needsScroll: true
+  },
+  selectors: {
+    price: [
+      '.product-price',
+      '[data-testid="price"]'
+    ],
+    soldOut: [
+      '[class*="sold-out"]',
+      '[class*="SoldOut"]'
+    ],
+    lowStock: [
+      '[class*="low-stock"]',
+      '[class*="LowInventory"]'
+    ]
+  },
+  // Product pages end in the prod ID (/p/...-prod123456789)
+  productId: /(prod\d+)/i
+};
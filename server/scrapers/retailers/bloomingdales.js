@@ -0,0 +1,32 @@
+export default {
+  name: 'Bloomingdales',
+  domains: ['bloomingdales.com'],
+  protection: {
+    level: 'ultra-high',
+    successRate: '5-10%',
+    recommendation: 'We recommend manual entry for faster, more reliable results.'
+  },
+  scraperOrder: ['fast', 'proxy', 'playwright'],
+  playwright: {
+    waitTime: 4000,
+    needsScroll: false
+  },
+  selectors: {
+    price: [
+      '#priceSale',
+      '.currentPrice',
+      '[class*="price"]'
+    ],
+    soldOut: [
+      '.unavailable-message',
+      '[class*="sold-out"]'
+    ],
+    lowStock: [
+      '.limited-stock',
+      '[class*="low-inventory"]'
+    ]
+  },
+  // Product pages are keyed by ?ID=
+  keepParams: ['ID'],
+  productId: /[?&]ID=(\d+)/
+};
@@ -0,0 +1,11 @@
+export default {
+  name: 'Farfetch',
+  domains: ['farfetch.com'],
+  protection: {
+    level: 'medium',
+    successRate: '50-60%',
+    recommendation: 'Automated scraping usually works, but data quality may vary.'
+  },
+  scraperOrder: ['fast', 'proxy', 'playwright'],
+  productId: /-item-(\d+)/
+};
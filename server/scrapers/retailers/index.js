@@ -0,0 +1,127 @@
+// Per-retailer scraping adapters
+// Every other .js file in this directory default-exports one adapter:
+//
+//   name          Display name
+//   domains       Hostnames it covers (subdomains match too)
+//   protection    { level, successRate, recommendation } for the admin URL check
+//   scraperOrder  Scrapers to try in order, from SCRAPER_METHODS
+//   playwright    { waitTime, needsScroll, extraDelay } browser timing
+//   selectors     { name, image, price, sizes, soldOut, lowStock } tried before the generic ones
+//   keepParams    Query params that identify the product and survive URL cleanup
+//   productId     RegExp whose first group is the product ID in the URL path/query
+//
+// Only name and domains are required, so adding a shop is a single file here.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+export const SCRAPER_METHODS = ['fast', 'proxy', 'playwright'];
+export const DEFAULT_SCRAPER_ORDER = ['fast', 'playwright'];
+
+const retailersDir = path.dirname(fileURLToPath(import.meta.url));
+
+function validateAdapter(adapter, file) {
+  if (!adapter?.name || !Array.isArray(adapter.domains) || adapter.domains.length === 0) {
+    throw new Error(`Retailer adapter ${file} needs a name and at least one domain`);
+  }
+
+  const unknown = (adapter.scraperOrder || []).filter(method => !SCRAPER_METHODS.includes(method));
+  if (unknown.length > 0) {
+    throw new Error(`Retailer adapter ${file} has unknown scrapers: ${unknown.join(', ')}`);
+  }
+
+  if (adapter.productId && !(adapter.productId instanceof RegExp)) {
+    throw new Error(`Retailer adapter ${file} productId must be a RegExp`);
+  }
+
+  return adapter;
+}
+
+const adapterFiles = fs.readdirSync(retailersDir)
+  .filter(file => file.endsWith('.js') && file !== 'index.js')
+  .sort();
+
+export const RETAILER_ADAPTERS = await Promise.all(adapterFiles.map(async file => {
+  const module = await import(`./${file}`);
+  return validateAdapter(module.default, file);
+}));
+
+function hostnameOf(url) {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Adapter for a URL's retailer, or null for shops without one
+ */
+export function getRetailerAdapter(url) {
+  const hostname = hostnameOf(url);
+  if (!hostname) return null;
+
+  return RETAILER_ADAPTERS.find(adapter =>
+    adapter.domains.some(domain => hostname === domain || hostname.endsWith(`.${domain}`))
+  ) || null;
+}
+
+export function getScraperOrder(adapter) {
+  return adapter?.scraperOrder || DEFAULT_SCRAPER_ORDER;
+}
+
+/**
+ * Strip tracking params and the hash from a product URL
+ * Params the retailer needs to identify the product (its keepParams) stay.
+ */
+export function cleanProductUrl(url) {
+  if (!url) return url;
+  try {
+    const urlObj = new URL(url);
+    const keepParams = getRetailerAdapter(url)?.keepParams || [];
+    const kept = new URLSearchParams();
+
+    for (const param of keepParams) {
+      if (urlObj.searchParams.has(param)) {
+        kept.set(param, urlObj.searchParams.get(param));
+      }
+    }
+
+    const query = kept.toString();
+    return `${urlObj.origin}${urlObj.pathname}${query ? `?${query}` : ''}`;
+  } catch (e) {
+    return url;
+  }
+}
+
+/**
+ * Key that is equal for two URLs of the same product, for duplicate detection
+ * Uses the retailer's product ID when its adapter knows where to find it, or
+ * the handle of a Shopify-style /products/ URL, so category paths, slugs and
+ * locale prefixes don't matter. Params the retailer keeps (e.g. color) count.
+ */
+export function canonicalProductKey(url) {
+  if (!url) return null;
+  const cleaned = cleanProductUrl(url.trim());
+
+  let urlObj;
+  try {
+    urlObj = new URL(cleaned);
+  } catch (e) {
+    return cleaned.toLowerCase();
+  }
+
+  const hostname = urlObj.hostname.toLowerCase().replace(/^www\./, '');
+  const adapter = getRetailerAdapter(cleaned);
+  const productId = adapter?.productId?.exec(`${urlObj.pathname}${urlObj.search}`)?.[1];
+  const handle = urlObj.pathname.match(/\/products\/([^/]+)/)?.[1];
+
+  const identity = productId
+    ? `#${productId}`
+    : handle
+      ? `/products/${handle}`
+      : urlObj.pathname.replace(/\/+$/, '');
+
+  return `${hostname}${identity}${urlObj.search}`.toLowerCase();
+}
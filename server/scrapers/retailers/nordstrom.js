@@ -0,0 +1,34 @@
+export default {
+  name: 'Nordstrom',
+  domains: ['nordstrom.com'],
+  protection: {
+    level: 'ultra-high',
+    successRate: '5-10%',
+    recommendation: 'We recommend manual entry for faster, more reliable results.'
+  },
+  scraperOrder: ['fast', 'proxy', 'playwright'],
+  playwright: {
+    waitTime: 6000,
+    needsScroll: true,
+    extraDelay: 2000 // Extra time after human behavior
+  },
+  selectors: {
+    price: [
+      '[data-testid="price-regular"]',
+      '[data-testid="price-sale"]',
+      '.price',
+      '[class*="Price"]'
+    ],
+    soldOut: [
+      '[data-testid="sold-out"]',
+      '[data-testid*="out-of-stock"]'
+    ],
+    lowStock: [
+      '[data-testid*="low-inventory"]',
+      '[data-testid*="limited-quantity"]'
+    ]
+  },
+  // The selected color lives in the query string
+  keepParams: ['color'],
+  productId: /\/s\/(?:[^/]+\/)?(\d+)/
+};
@@ -0,0 +1,31 @@
+export default {
+  name: 'Saks Fifth Avenue',
+  domains: ['saksfifthavenue.com'],
+  protection: {
+    level: 'ultra-high',
+    successRate: '5-10%',
+    recommendation: 'We recommend manual entry for faster, more reliable results.'
+  },
+  scraperOrder: ['fast', 'proxy', 'playwright'],
+  playwright: {
+    waitTime: 5000,
+    needsScroll: true,
+    extraDelay: 1500
+  },
+  selectors: {
+    price: [
+      '[data-test="product-price"]',
+      '.product-price',
+      '[class*="price"]'
+    ],
+    soldOut: [
+      '[data-test="sold-out"]',
+      '.product-sold-out'
+    ],
+    lowStock: [
+      '[data-test="low-stock"]',
+      '.low-inventory'
+    ]
+  },
+  productId: /-(\d{6,})\.html/
+};
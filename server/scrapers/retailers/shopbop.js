@@ -0,0 +1,11 @@
+export default {
+  name: 'Shopbop',
+  domains: ['shopbop.com'],
+  protection: {
+    level: 'low',
+    successRate: '85%+',
+    recommendation: 'Automated scraping works reliably.'
+  },
+  scraperOrder: ['fast', 'proxy', 'playwright'],
+  productId: /\/vp\/v=1\/(\d+)/
+};
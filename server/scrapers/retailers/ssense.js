@@ -0,0 +1,11 @@
+export default {
+  name: 'SSENSE',
+  domains: ['ssense.com'],
+  protection: {
+    level: 'low',
+    successRate: '85%+',
+    recommendation: 'Automated scraping works reliably.'
+  },
+  scraperOrder: ['fast', 'proxy', 'playwright'],
+  productId: /\/product\/.+\/(\d+)/
+};
@@ -0,0 +1,301 @@
+// Size conversion and per-size stock shared by the scrapers and brand research
+// Scrapers report sizeAvailability as [{ size, usSize, available }]: the
+// shop's own label, its US women's numeric equivalent (null when there isn't
+// one, e.g. shoe sizes or "One Size") and whether it can still be bought.
+
+import { combineOfferAvailability } from './availability.js';
+import { extractCurrency } from './currency.js';
+
+// European to US size conversion (women's)
+const EU_TO_US = {
+  32: 0, 34: 0, 36: 2, 38: 4, 40: 6,
+  42: 8, 44: 10, 46: 12, 48: 14, 50: 16,
+  52: 18, 54: 20
+};
+
+// Shops in these currencies or page languages list EU sizes as bare numbers
+const EUROPEAN_CURRENCIES = new Set(['EUR', 'CHF', 'DKK', 'SEK', 'NOK', 'PLN', 'CZK']);
+const EUROPEAN_LANGUAGES = new Set(['de', 'fr', 'it', 'es', 'nl', 'pt', 'da', 'sv', 'nb', 'no', 'fi', 'pl', 'cs', 'el']);
+
+// Letter sizes to their US numeric equivalent
+const LETTER_SIZES = {
+  'XXS': 0, 'XS': 2, 'S': 6, 'M': 8, 'L': 10,
+  'XL': 14, 'XXL': 18, 'XXXL': 22, '4XL': 26, '5XL': 30
+};
+
+/**
+ * Convert a brand's max size (S/M/L, EU or US) to "Up to <US size>"
+ * Returns '' when the size can't be read.
+ */
+export function convertSizeToUS(sizeString) {
+  if (!sizeString || sizeString === '""' || sizeString.trim() === '') {
+    return '';
+  }
+
+  // Letter size mapping (S/M/L/XL)
+  const letterSizeMap = {
+    'S': 6,
+    'M': 8,
+    'L': 10,
+    'XL': 14,
+    'XXL': 18,
+    '1X': 14,
+    '2X': 18,
+    '3X': 22
+  };
+
+  // Try to extract European numeric size (e.g., "44", "Up to 44", "EU 44")
+  const euMatch = sizeString.match(/(\d{2})/);
+  if (euMatch) {
+    const euSize = parseInt(euMatch[1]);
+    if (EU_TO_US[euSize] !== undefined) {
+      return `Up to ${EU_TO_US[euSize]}`;
+    }
+  }
+
+  // Try to extract letter size (e.g., "L", "Up to L", "XL")
+  const letterMatch = sizeString.match(/(XXL|XL|L|M|S|1X|2X|3X)/i);
+  if (letterMatch) {
+    const size = letterMatch[1].toUpperCase();
+    if (letterSizeMap[size]) {
+      return `Up to ${letterSizeMap[size]}`;
+    }
+  }
+
+  // If already in US numeric format (e.g., "10", "14"), ensure "Up to" prefix
+  const usMatch = sizeString.match(/^(?:Up to )?(\d{1,2})$/i);
+  if (usMatch) {
+    return `Up to ${usMatch[1]}`;
+  }
+
+  // If no match found, return empty string
+  return '';
+}
+
+// Helper to parse size strings from product data
+export function parseSizeValue(sizeStr) {
+  if (!sizeStr) return null;
+
+  const cleaned = String(sizeStr).trim().toUpperCase();
+
+  // Numeric sizes (0-40)
+  const numMatch = cleaned.match(/^(\d{1,2})W?$/);
+  if (numMatch) {
+    const num = parseInt(numMatch[1]);
+    if (num >= 0 && num <= 40) return { type: 'numeric', value: num };
+  }
+
+  // Letter sizes
+  if (LETTER_SIZES[cleaned] !== undefined) {
+    return { type: 'letter', value: LETTER_SIZES[cleaned] };
+  }
+
+  // Plus sizes (1X-6X)
+  const plusMatch = cleaned.match(/^(\d)X$/);
+  if (plusMatch) {
+    const multiplier = parseInt(plusMatch[1]);
+    return { type: 'plus', value: 14 + (multiplier - 1) * 4 };
+  }
+
+  return null;
+}
+
+// Helper to find max size from array of size objects
+export function findMaxSize(sizes) {
+  if (!sizes || sizes.length === 0) return null;
+
+  const parsed = sizes
+    .map(s => parseSizeValue(s))
+    .filter(s => s !== null);
+
+  if (parsed.length === 0) return null;
+
+  const maxSize = Math.max(...parsed.map(s => s.value));
+  return maxSize;
+}
+
+/**
+ * Whether a page is from a European shop, by its price currency or language
+ */
+export function isEuropeanPage(html) {
+  if (!html) return false;
+  if (EUROPEAN_CURRENCIES.has(extractCurrency(html))) return true;
+
+  const lang = html.match(/<html[^>]*\blang=["']([a-z]{2})/i) ||
+    html.match(/<meta[^>]*property=["']og:locale["'][^>]*content=["']([a-z]{2})/i);
+  return !!lang && EUROPEAN_LANGUAGES.has(lang[1].toLowerCase());
+}
+
+/**
+ * Whether a shop's bare numeric labels are EU sizes on their own: all even
+ * and from 32 to 54 ("34", "36", "38"), unlike US waist sizes ("26" to "34")
+ */
+function looksLikeEuSizes(labels) {
+  const numbers = labels.filter(label => /^\d{2}$/.test(label)).map(label => parseInt(label));
+  return numbers.length > 0 && numbers.every(size => size % 2 === 0 && size >= 32 && size <= 54);
+}
+
+/**
+ * US women's numeric size for one variant label, or null
+ * Handles "M", "1X", "8", "US 8", "EU 40", "FR 40", "IT 42" and "UK 12".
+ * A bare number from 30 up ("38") is only read as an EU size when the shop
+ * is European; elsewhere it is a waist or shoe size with no equivalent.
+ */
+export function toUSSize(label, { european = false } = {}) {
+  if (label === null || label === undefined) return null;
+
+  const cleaned = String(label).trim().toUpperCase().replace(/^SIZE\s*/, '');
+
+  const regional = cleaned.match(/^(US|EU|FR|IT|UK)\s*(\d{1,2})$/);
+  if (regional) {
+    const size = parseInt(regional[2]);
+    switch (regional[1]) {
+      case 'US': return size;
+      case 'EU':
+      case 'FR': return EU_TO_US[size] ?? null;
+      case 'IT': return size >= 36 ? size - 36 : null;
+      case 'UK': return size >= 4 ? size - 4 : null;
+    }
+  }
+
+  const bare = cleaned.match(/^(\d{2})$/);
+  if (bare && parseInt(bare[1]) >= 30) {
+    return european ? EU_TO_US[parseInt(bare[1])] ?? null : null;
+  }
+
+  return parseSizeValue(cleaned)?.value ?? null;
+}
+
+/**
+ * Merge raw { size, available } entries into the reported matrix
+ * The same size in several colors is available if any of them is.
+ * european (from isEuropeanPage) reads bare numbers as EU sizes, as does a
+ * label set that can only be EU sizes.
+ */
+export function buildSizeAvailability(entries, { european = false } = {}) {
+  const bySize = new Map();
+
+  for (const entry of entries || []) {
+    const size = String(entry?.size ?? '').trim();
+    if (!size || size.length > 20) continue;
+
+    const existing = bySize.get(size);
+    if (existing) {
+      existing.available = existing.available || !!entry.available;
+    } else {
+      bySize.set(size, { size, usSize: null, available: !!entry.available });
+    }
+  }
+
+  const euSizes = european || looksLikeEuSizes([...bySize.keys()]);
+  for (const entry of bySize.values()) {
+    entry.usSize = toUSSize(entry.size, { european: euSizes });
+  }
+
+  return Array.from(bySize.values());
+}
+
+/**
+ * Overall stock status from the size matrix (same rules as offers), or null
+ */
+export function summarizeSizeAvailability(sizeAvailability) {
+  return combineOfferAvailability((sizeAvailability || []).map(entry => ({
+    availability: entry.available ? 'InStock' : 'OutOfStock'
+  })));
+}
+
+// ============================================
+// EXTRACTION FROM PAGE HTML
+// ============================================
+
+function sizeName(value) {
+  if (!value) return null;
+  if (typeof value === 'string') return value;
+  return value.name || value.value || null;
+}
+
+function offerAvailable(offers) {
+  const list = Array.isArray(offers) ? offers : [offers];
+  return combineOfferAvailability(list) !== 'Sold Out';
+}
+
+// schema.org Product / ProductGroup: hasVariant products or per-size offers
+function sizesFromJsonLd(html) {
+  const entries = [];
+  const scripts = html.match(/<script[^>]*type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi) || [];
+
+  for (const scriptTag of scripts) {
+    let data;
+    try {
+      data = JSON.parse(scriptTag.replace(/<script[^>]*>/, '').replace(/<\/script>/, '').trim());
+    } catch (e) {
+      continue;
+    }
+
+    const items = data['@graph'] || (Array.isArray(data) ? data : [data]);
+    for (const item of items) {
+      const type = [].concat(item?.['@type'] || []);
+      if (!type.includes('Product') && !type.includes('ProductGroup')) continue;
+
+      for (const variant of [].concat(item.hasVariant || [])) {
+        const size = sizeName(variant?.size);
+        if (size && variant.offers) {
+          entries.push({ size, available: offerAvailable(variant.offers) });
+        }
+      }
+
+      for (const offer of [].concat(item.offers || [])) {
+        const size = sizeName(offer?.size) || sizeName(offer?.itemOffered?.size);
+        if (size && offer.availability) {
+          entries.push({ size, available: offerAvailable(offer) });
+        }
+      }
+    }
+  }
+
+  return entries;
+}
+
+// Shopify themes embed the product JSON with its options and variants
+function sizesFromShopifyJson(html) {
+  const scripts = html.match(/<script[^>]*type=["']application\/json["'][^>]*>([\s\S]*?)<\/script>/gi) || [];
+
+  for (const scriptTag of scripts) {
+    if (!scriptTag.includes('"variants"')) continue;
+
+    let data;
+    try {
+      data = JSON.parse(scriptTag.replace(/<script[^>]*>/, '').replace(/<\/script>/, '').trim());
+    } catch (e) {
+      continue;
+    }
+
+    const product = data.product || data;
+    if (!Array.isArray(product.variants) || !Array.isArray(product.options)) continue;
+
+    const sizeIndex = product.options.findIndex(option => /size/i.test(sizeName(option) || ''));
+    if (sizeIndex === -1) continue;
+
+    return product.variants
+      .filter(variant => typeof variant.available === 'boolean')
+      .map(variant => ({
+        size: variant[`option${sizeIndex + 1}`] || variant.options?.[sizeIndex],
+        available: variant.available
+      }));
+  }
+
+  return [];
+}
+
+/**
+ * Size matrix from structured data in the page, or [] when it has none
+ */
+export function extractSizeAvailability(html) {
+  if (!html) return [];
+
+  const european = isEuropeanPage(html);
+  const fromJsonLd = buildSizeAvailability(sizesFromJsonLd(html), { european });
+  if (fromJsonLd.length > 0) return fromJsonLd;
+
+  return buildSizeAvailability(sizesFromShopifyJson(html), { european });
+}
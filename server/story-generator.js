@@ -4,6 +4,7 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import fs from 'fs';
 import { uploadToGoogleDrive } from './google-drive-uploader.js';
+import { formatLocalPrices } from './currency.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -87,6 +88,12 @@ export async function generateStoryImage(pick) {
       priceText = `$${salePrice}`;
     }
 
+    // Picks from shops pricing in another currency show the shop's prices too
+    const localPrices = formatLocalPrices(pick);
+    if (priceText && localPrices) {
+      priceText += ` (${localPrices})`;
+    }
+
     if (!priceText) {
       throw new Error('No price information available');
     }
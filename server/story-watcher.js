@@ -1,5 +1,6 @@
 import { generateStoryImage } from './story-generator.js';
 import { sendStoryToTelegram } from './telegram-bot.js';
+import { enqueueJob } from './job-queue.js';
 
 const AIRTABLE_PAT = process.env.AIRTABLE_PAT;
 const AIRTABLE_BASE_ID = process.env.AIRTABLE_BASE_ID;
@@ -43,51 +44,11 @@ export async function checkForStoryRequests() {
         continue;
       }
       
-      const fields = record.fields;
-      const pick = {
-        id: record.id,
-        name: fields.ProductName || 'Product',
-        brand: fields.Brand || null,
-        imageUrl: fields.ImageURL,
-        productUrl: fields.ProductURL || null,
-        originalPrice: fields.OriginalPrice,
-        salePrice: fields.SalePrice,
-        shopMyUrl: fields.ShopMyURL || '#',
-        company: fields.Company || 'Unknown',
-        saleName: fields.SaleName ? fields.SaleName[0] : 'Unknown Sale'
-      };
-      
-      console.log(`   📸 Processing story for: ${pick.name}`);
-      
       processedRecords.add(record.id);
-      let telegramSent = false;
       
-      try {
-        const storyImage = await generateStoryImage(pick);
-        
-        const caption = `*${pick.name}*\n\nShop now: ${pick.shopMyUrl}`;
-        
-        await sendStoryToTelegram(TELEGRAM_CHAT_ID, storyImage.buffer, caption);
-        telegramSent = true;
-        
-        await updateAirtableField(record.id, 'CreateStory', 'Story Created');
-        
-        console.log(`   ✅ Story created and sent for: ${pick.name}`);
-        
-      } catch (error) {
-        console.error(`   ❌ Failed to process story for ${pick.name}:`, error);
-        
-        if (!telegramSent) {
-          processedRecords.delete(record.id);
-          console.log(`   ♻️  Removed from processed set - can retry`);
-          console.log(`   💡 Tip: Manually change CreateStory field back to "Create Story" to retry`);
-        } else {
-          console.log(`   ⚠️  Telegram sent but Airtable update failed - keeping in processed set to prevent spam`);
-        }
-        
-        // Note: Don't try to update to "Failed" - that option doesn't exist in Airtable
-        // User can manually change the field if needed
-      }
+      // Generation runs from the job queue so failures are retried
+      await enqueueJob('story', { recordId: record.id }, { dedupeKey: record.id });
+      console.log(`   📋 Queued story for: ${record.fields.ProductName || record.id}`);
     }
     
   } catch (error) {
@@ -95,6 +56,66 @@ export async function checkForStoryRequests() {
   }
 }
 
+/**
+ * Generate a story for one Airtable pick, send it to Telegram and mark it created
+ * Job handler for 'story' jobs - throws so the queue can retry.
+ */
+export async function processStoryRequest(recordId) {
+  const url = `https://api.airtable.com/v0/${AIRTABLE_BASE_ID}/${PICKS_TABLE_NAME}/${recordId}`;
+  
+  const response = await fetch(url, {
+    headers: {
+      'Authorization': `Bearer ${AIRTABLE_PAT}`
+    }
+  });
+  
+  if (!response.ok) {
+    throw new Error(`Airtable API error: ${response.status}`);
+  }
+  
+  const record = await response.json();
+  const fields = record.fields;
+  
+  // Already done by an earlier attempt - don't send it twice
+  if (fields.CreateStory === 'Story Created') {
+    return { recordId, skipped: true };
+  }
+  
+  const pick = {
+    id: recordId,
+    name: fields.ProductName || 'Product',
+    brand: fields.Brand || null,
+    imageUrl: fields.ImageURL,
+    productUrl: fields.ProductURL || null,
+    originalPrice: fields.OriginalPrice,
+    salePrice: fields.SalePrice,
+    currency: fields.Currency || 'USD',
+    localSalePrice: fields.LocalSalePrice || null,
+    localOriginalPrice: fields.LocalOriginalPrice || null,
+    shopMyUrl: fields.ShopMyURL || '#',
+    company: fields.Company || 'Unknown',
+    saleName: fields.SaleName ? fields.SaleName[0] : 'Unknown Sale'
+  };
+  
+  console.log(`   📸 Processing story for: ${pick.name}`);
+  
+  const storyImage = await generateStoryImage(pick);
+  const caption = `*${pick.name}*\n\nShop now: ${pick.shopMyUrl}`;
+  
+  await sendStoryToTelegram(TELEGRAM_CHAT_ID, storyImage.buffer, caption);
+  
+  // Telegram already has the story - a failed Airtable update shouldn't resend it on retry
+  try {
+    await updateAirtableField(recordId, 'CreateStory', 'Story Created');
+  } catch (error) {
+    console.log(`   ⚠️  Telegram sent but Airtable update failed - not retrying to prevent spam`);
+  }
+  
+  console.log(`   ✅ Story created and sent for: ${pick.name}`);
+  
+  return { recordId, productName: pick.name };
+}
+
 async function updateAirtableField(recordId, fieldName, value) {
   try {
     const url = `https://api.airtable.com/v0/${AIRTABLE_BASE_ID}/${PICKS_TABLE_NAME}/${recordId}`;
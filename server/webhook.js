@@ -5,6 +5,78 @@ import OpenAI from 'openai';
 import Anthropic from '@anthropic-ai/sdk';
 import { execSync } from 'child_process';
 import { scrapeProduct } from './scrapers/index.js';
+import { getRetailerAdapter, cleanProductUrl, canonicalProductKey } from './scrapers/retailers/index.js';
+import { runNightlyFreshnessCheck, checkPickFreshness } from './freshness-check.js';
+import {
+  getPickById,
+  getSaleById,
+  createCompany,
+  createSale,
+  updateCompany,
+  deleteCompany,
+  updateSale,
+  createPick,
+  getPicksBySaleId,
+  ensurePickScrapedColumns,
+  ensureSaleOfferColumns,
+  updatePick,
+  recordPickPrice,
+  getPriceHistoryByPickId,
+  getPriceHistoryBySaleId,
+  getSaleScheduleLog,
+  getAuditLog,
+  revertAuditEntry,
+  getPendingSaleById,
+  approvePendingSale,
+  createInboundEmail,
+  updateInboundEmailOutcome,
+  deleteInboundEmail,
+  pruneInboundEmails,
+  getInboundEmails,
+  getInboundEmailById,
+  getInboundEmailCounts,
+  getEmailSenderRules,
+  createEmailSenderRule,
+  updateEmailSenderRule,
+  deleteEmailSenderRule,
+  EMAIL_SENDER_POLICIES,
+  getSubscribers,
+  getSubscriberCounts,
+  searchSales,
+  searchCompanies,
+  searchPicks
+} from './db.js';
+import {
+  isValidEmail,
+  subscribe as subscribeToNewsletter,
+  confirmSubscription,
+  unsubscribe as unsubscribeFromNewsletter,
+  renderNewsletterPage,
+  subscribersToCsv
+} from './newsletter.js';
+import { buildWeeklyDigest } from './newsletter-digest.js';
+import { auditContextMiddleware } from './audit-context.js';
+import { cleanUrl, buildSaleShopMyUrl, normalizeCompanyValues } from './sale-links.js';
+import { parseSalesQuery, querySales } from './sale-filters.js';
+import { defineCache, getCached, peekCached, invalidateKey, warmCaches, variantEtag, sendWithEtag } from './cache.js';
+import { runSaleSchedule, runSaleScheduleIfStale } from './sale-scheduler.js';
+import { pickCurrencyFields } from './currency.js';
+import { getScrapingHealth, HEALTH_WINDOW_DAYS } from './scrape-health.js';
+import { findDuplicatePicks, hashPickImage } from './pick-duplicates.js';
+import { findSenderRule, normalizeSender, senderDisplayName } from './email-senders.js';
+import { preparseSaleEmail, describePreparse, PREPARSE_SKIP_AI_CONFIDENCE } from './email-preparser.js';
+import { normalizeOffers, highestPercentOff, describeOffer, publicOffers } from './sale-offers.js';
+import { registerJobHandler, enqueueJob, startJobQueue, getJobs, getJobCounts, retryJob } from './job-queue.js';
+import {
+  ADMIN_ROLES,
+  requireAdmin,
+  login,
+  createServiceToken,
+  logAdminAction,
+  getAdminUsers,
+  createAdminUser,
+  updateAdminUser
+} from './admin-auth.js';
 import crypto from 'crypto';
 import pg from 'pg';
 const { Pool } = pg;
@@ -31,8 +103,10 @@ import {
   getAllDrafts as getAllFinalizeDrafts,
   getDraftById as getFinalizeDraftById,
   saveDraft as saveFinalizeDraft,
+  addToSaleDraft,
   deleteDraft as deleteFinalizeDraft
 } from './finalize-drafts.js';
+import { parseProductUrls, runBatchScrape, MAX_BATCH_URLS } from './batch-scrape.js';
 import { createBrandResearchRouter } from './brand-research.js';
 import {
   getPendingBrands,
@@ -42,7 +116,13 @@ import {
 } from './pending-brands.js';
 import {
   getRejectedEmails,
-  addRejectedEmail
+  getRejectedEmailById,
+  getOpenRejectedEmail,
+  claimRejectedEmail,
+  releaseRejectedEmail,
+  addRejectedEmail,
+  reviewRejectedEmail,
+  getRejectionReviewStats
 } from './rejected-emails.js';
 import {
   getRejectedBrands,
@@ -169,8 +249,7 @@ const TABLE_NAME = 'Sales';
 const PICKS_TABLE_NAME = 'Picks';
 const COMPANY_TABLE_NAME = 'Companies';
 
-// Admin password
-const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD;
+// Admin accounts and sessions live in admin-auth.js (ADMIN_PASSWORD only bootstraps the first owner)
 
 // CloudMailin webhook secret for HMAC verification
 const CLOUDMAIL_SECRET = process.env.CLOUDMAIL_SECRET;
@@ -199,19 +278,6 @@ async function sendCriticalErrorAlert(errorType, details) {
 const GEM_EMAIL = process.env.GEM_EMAIL;
 const GEM_TABLE_NAME = 'Gem';
 
-// Simple in-memory cache for sales data and companies
-const CACHE_TTL_MS = 5 * 60 * 1000; // 5 minutes
-const cache = {
-  sales: {
-    data: null,
-    expiresAt: 0
-  },
-  companies: {
-    data: null,
-    expiresAt: 0
-  }
-};
-
 // In-memory storage for Gem magic links (expires after 5 minutes)
 const gemMagicLinks = {
   link: null,
@@ -229,77 +295,35 @@ const gemSyncProgress = {
   error: null
 };
 
-// Helper functions for cache management
-function getCachedSales() {
-  if (cache.sales.data && Date.now() < cache.sales.expiresAt) {
-    console.log('✨ Cache HIT - returning cached sales data');
-    return cache.sales.data;
-  }
-  console.log('💾 Cache MISS - fetching fresh data from Airtable');
-  return null;
-}
-
-function setCachedSales(data) {
-  cache.sales.data = data;
-  cache.sales.expiresAt = Date.now() + CACHE_TTL_MS;
-  console.log(`📦 Cached ${data.length} sales (expires in ${CACHE_TTL_MS / 1000}s)`);
-}
-
-function clearSalesCache() {
-  cache.sales.data = null;
-  cache.sales.expiresAt = 0;
-  console.log('🗑️  Sales cache cleared');
-}
+// Airtable companies (name, type, domains) for brand auto-fill
+// Throws on failure so the cache keeps serving the last good list
+async function fetchAirtableCompanies() {
+  const url = `https://api.airtable.com/v0/${AIRTABLE_BASE_ID}/${COMPANY_TABLE_NAME}`;
+  const response = await fetch(url, {
+    headers: { 'Authorization': `Bearer ${AIRTABLE_PAT}` }
+  });
 
-// Companies cache helpers
-function getCachedCompanies() {
-  if (cache.companies.data && Date.now() < cache.companies.expiresAt) {
-    return cache.companies.data;
+  if (!response.ok) {
+    throw new Error(`Failed to fetch companies from Airtable (${response.status})`);
   }
-  return null;
-}
 
-function setCachedCompanies(data) {
-  cache.companies.data = data;
-  cache.companies.expiresAt = Date.now() + CACHE_TTL_MS;
+  const data = await response.json();
+  return data.records.map(record => ({
+    name: record.fields.Name,
+    type: record.fields.Type,
+    urls: (record.fields.URLs || []).map(url => {
+      try {
+        const urlObj = new URL(url);
+        return urlObj.hostname.toLowerCase().replace(/^www\./, '');
+      } catch {
+        return null;
+      }
+    }).filter(Boolean)
+  }));
 }
 
-async function fetchCompanies() {
-  try {
-    const cached = getCachedCompanies();
-    if (cached) return cached;
-
-    const url = `https://api.airtable.com/v0/${AIRTABLE_BASE_ID}/${COMPANY_TABLE_NAME}`;
-    const response = await fetch(url, {
-      headers: { 'Authorization': `Bearer ${AIRTABLE_PAT}` }
-    });
-
-    if (!response.ok) {
-      console.warn('⚠️  Failed to fetch companies from Airtable');
-      return [];
-    }
-
-    const data = await response.json();
-    const companies = data.records.map(record => ({
-      name: record.fields.Name,
-      type: record.fields.Type,
-      urls: (record.fields.URLs || []).map(url => {
-        try {
-          const urlObj = new URL(url);
-          return urlObj.hostname.toLowerCase().replace(/^www\./, '');
-        } catch {
-          return null;
-        }
-      }).filter(Boolean)
-    }));
-
-    setCachedCompanies(companies);
-    return companies;
-  } catch (error) {
-    console.warn('⚠️  Error fetching companies:', error.message);
-    return [];
-  }
-}
+// Airtable isn't written through db.js, so brand approval invalidates this by key
+defineCache('airtable-companies', fetchAirtableCompanies);
 
 function shouldAutofillBrand(url) {
   // Returns true if brand should be auto-filled (domain is a Shop), false otherwise
@@ -307,7 +331,7 @@ function shouldAutofillBrand(url) {
     const urlObj = new URL(url);
     const domain = urlObj.hostname.toLowerCase().replace(/^www\./, '');
     
-    const companies = cache.companies.data || [];
+    const companies = peekCached('airtable-companies') || [];
     const matchingCompany = companies.find(company => 
       company.urls.includes(domain)
     );
@@ -325,18 +349,6 @@ function shouldAutofillBrand(url) {
   }
 }
 
-// Helper function to clean URLs (remove all tracking parameters)
-function cleanUrl(url) {
-  if (!url) return url;
-  try {
-    const urlObj = new URL(url);
-    // Return just origin + pathname (no query params or hash)
-    return `${urlObj.origin}${urlObj.pathname}`;
-  } catch (e) {
-    return url;
-  }
-}
-
 // Helper function to fetch all records from Airtable with automatic pagination
 async function fetchAllAirtableRecords(tableName, params = {}) {
   const allRecords = [];
@@ -413,6 +425,9 @@ app.use((req, res, next) => {
   next();
 });
 
+// Lets db.js attribute mutations to the signed-in admin and route
+app.use(auditContextMiddleware);
+
 // Debug middleware to log requests (excluding sensitive headers)
 app.use((req, res, next) => {
   console.log(`📨 ${req.method} ${req.path}`);
@@ -423,7 +438,7 @@ app.use((req, res, next) => {
 const brandResearchRouter = createBrandResearchRouter({
   openai,
   anthropic,
-  adminPassword: ADMIN_PASSWORD,
+  requireAuth: requireAdmin(),
   serperApiKey: process.env.SERPER_API_KEY
 });
 app.use('/admin/brand-research', brandResearchRouter);
@@ -433,12 +448,7 @@ app.use('/admin/brand-research', brandResearchRouter);
 // ============================================
 
 // Get all pending brands
-app.get('/admin/pending-brands', async (req, res) => {
-  const { auth } = req.headers;
-  if (auth !== ADMIN_PASSWORD) {
-    return res.status(401).json({ success: false, message: 'Unauthorized' });
-  }
-  
+app.get('/admin/pending-brands', requireAdmin(), async (req, res) => {
   try {
     let brands = await getPendingBrands();
     
@@ -500,12 +510,7 @@ app.get('/admin/pending-brands', async (req, res) => {
 });
 
 // Update a pending brand (for editing before approval)
-app.put('/admin/pending-brands/:id', async (req, res) => {
-  const { auth } = req.headers;
-  if (auth !== ADMIN_PASSWORD) {
-    return res.status(401).json({ success: false, message: 'Unauthorized' });
-  }
-  
+app.put('/admin/pending-brands/:id', requireAdmin(), async (req, res) => {
   try {
     const brands = await updatePendingBrand(req.params.id, req.body);
     res.json({ success: true, brands });
@@ -516,15 +521,9 @@ app.put('/admin/pending-brands/:id', async (req, res) => {
 });
 
 // Approve a pending brand - update Airtable and remove from pending
-app.post('/admin/pending-brands/:id/approve', async (req, res) => {
+app.post('/admin/pending-brands/:id/approve', requireAdmin('approver'), async (req, res) => {
   console.log('🔄 Approve brand request received for ID:', req.params.id);
   
-  const { auth } = req.headers;
-  if (auth !== ADMIN_PASSWORD) {
-    console.log('❌ Unauthorized - invalid auth header');
-    return res.status(401).json({ success: false, message: 'Unauthorized' });
-  }
-  
   try {
     const brands = await getPendingBrands();
     console.log(`📋 Found ${brands.length} pending brands`);
@@ -593,8 +592,13 @@ app.post('/admin/pending-brands/:id/approve', async (req, res) => {
     
     await removePendingBrand(req.params.id);
     
-    cache.companies.data = null;
-    cache.companies.expiresAt = 0;
+    invalidateKey('airtable-companies');
+    
+    await logAdminAction(req.adminUser, 'approve_brand', {
+      entityType: 'company',
+      entityId: brand.airtableRecordId,
+      details: { name: brand.name }
+    });
     
     res.json({ success: true, message: 'Brand approved and updated in Airtable' });
   } catch (error) {
@@ -604,12 +608,7 @@ app.post('/admin/pending-brands/:id/approve', async (req, res) => {
 });
 
 // Reject a pending brand - save to rejected list, then remove from pending
-app.post('/admin/pending-brands/:id/reject', async (req, res) => {
-  const { auth } = req.headers;
-  if (auth !== ADMIN_PASSWORD) {
-    return res.status(401).json({ success: false, message: 'Unauthorized' });
-  }
-  
+app.post('/admin/pending-brands/:id/reject', requireAdmin('approver'), async (req, res) => {
   try {
     // Get the brand data before removing
     const pendingBrands = await getPendingBrands();
@@ -621,6 +620,13 @@ app.post('/admin/pending-brands/:id/reject', async (req, res) => {
     }
     
     await removePendingBrand(req.params.id);
+    
+    await logAdminAction(req.adminUser, 'reject_brand', {
+      entityType: 'pending_brand',
+      entityId: req.params.id,
+      details: { name: brandToReject?.name || null }
+    });
+    
     res.json({ success: true, message: 'Brand rejected' });
   } catch (error) {
     console.error('Error rejecting brand:', error);
@@ -629,12 +635,7 @@ app.post('/admin/pending-brands/:id/reject', async (req, res) => {
 });
 
 // Get rejected brands
-app.get('/admin/rejected-brands', async (req, res) => {
-  const { auth } = req.headers;
-  if (auth !== ADMIN_PASSWORD) {
-    return res.status(401).json({ success: false, message: 'Unauthorized' });
-  }
-  
+app.get('/admin/rejected-brands', requireAdmin(), async (req, res) => {
   try {
     const rejectedBrands = await getRejectedBrands();
     res.json({ success: true, brands: rejectedBrands });
@@ -645,12 +646,7 @@ app.get('/admin/rejected-brands', async (req, res) => {
 });
 
 // Restore a rejected brand back to pending
-app.post('/admin/rejected-brands/:id/restore', async (req, res) => {
-  const { auth } = req.headers;
-  if (auth !== ADMIN_PASSWORD) {
-    return res.status(401).json({ success: false, message: 'Unauthorized' });
-  }
-  
+app.post('/admin/rejected-brands/:id/restore', requireAdmin('approver'), async (req, res) => {
   try {
     const brand = await getAndRemoveRejectedBrand(req.params.id);
     
@@ -680,177 +676,245 @@ app.get('/health', (req, res) => {
 // PUBLIC ENDPOINTS
 // ============================================
 
-// Get live sales with picks (no auth required - for public homepage)
-// Now reads from PostgreSQL instead of Airtable
-app.get('/sales', async (req, res) => {
+/**
+ * Live sales in the public /sales format, as { value, etag } from the cache
+ * Shared by /sales and /search so both return identical sale objects.
+ */
+async function loadPublicSales() {
+  // Go live / expire sales by date (throttled, so this is usually a no-op)
+  // Any change goes through db.js, which invalidates the cache itself
   try {
-    // Check cache first
-    const cachedSales = getCachedSales();
-    if (cachedSales) {
-      return res.json({ success: true, sales: cachedSales });
+    await runSaleScheduleIfStale();
+  } catch (scheduleError) {
+    console.warn('⚠️ Sale schedule check failed:', scheduleError.message);
+  }
+  
+  return getCached('public-sales');
+}
+
+async function fetchPublicSales() {
+  console.log('💾 Fetching sales from PostgreSQL...');
+  await ensureSaleOfferColumns();
+  
+  // Fetch live sales with company data joined
+  // DISTINCT ON keeps only the most recent sale per company (deduplication)
+  const salesResult = await pool.query(`
+    SELECT DISTINCT ON (COALESCE(s.company_id::text, s.original_company_name))
+      s.id, s.airtable_id, s.company_id, s.original_company_name, s.sale_name,
+      s.percent_off, s.promo_code, s.start_date, s.end_date, 
+      s.sale_url, s.clean_url, s.live, s.featured,
+      s.extra_discount, s.image_url, s.created_at, s.original_created_at, s.offers,
+      c.name as company_name, c.type as company_type, c.price_range,
+      c.max_womens_size, c.values as company_values, c.description
+    FROM sales s
+    LEFT JOIN companies c ON s.company_id = c.id
+    WHERE s.live = 'YES'
+    ORDER BY COALESCE(s.company_id::text, s.original_company_name), s.original_created_at DESC NULLS LAST
+  `);
+  
+  // Re-sort by date after deduplication (DISTINCT ON requires specific ORDER BY)
+  const salesRows = salesResult.rows.sort((a, b) => {
+    const dateA = a.original_created_at ? new Date(a.original_created_at) : new Date(0);
+    const dateB = b.original_created_at ? new Date(b.original_created_at) : new Date(0);
+    return dateB - dateA;
+  });
+  console.log(`📊 Found ${salesRows.length} live sales in PostgreSQL`);
+  
+  // Get sale IDs for picks query
+  const saleIds = salesRows.map(s => s.id);
+  
+  // Fetch picks for these sales
+  let picksRows = [];
+  if (saleIds.length > 0) {
+    await ensurePickScrapedColumns();
+    const picksResult = await pool.query(`
+      SELECT 
+        id, airtable_id, sale_id, product_name, brand, product_url, image_url,
+        original_price, sale_price, percent_off, shopmy_url, size_availability,
+        currency, local_original_price, local_sale_price
+      FROM picks
+      WHERE sale_id = ANY($1)
+    `, [saleIds]);
+    picksRows = picksResult.rows;
+  }
+  
+  console.log(`📦 Found ${picksRows.length} picks for live sales`);
+  
+  // Group picks by sale_id
+  const picksBySale = new Map();
+  picksRows.forEach(pick => {
+    if (!picksBySale.has(pick.sale_id)) {
+      picksBySale.set(pick.sale_id, []);
     }
+    picksBySale.get(pick.sale_id).push(formatPublicPick(pick));
+  });
+  
+  // Map sales to frontend format
+  const sales = salesRows.map(row => {
+    // Generate clean ShopMy URL by stripping tracking params
+    const saleUrl = buildSaleShopMyUrl(row);
     
-    console.log('💾 Fetching sales from PostgreSQL...');
-    
-    // Fetch live sales with company data joined
-    // DISTINCT ON keeps only the most recent sale per company (deduplication)
-    const salesResult = await pool.query(`
-      SELECT DISTINCT ON (COALESCE(s.company_id::text, s.original_company_name))
-        s.id, s.airtable_id, s.company_id, s.original_company_name, s.sale_name,
-        s.percent_off, s.promo_code, s.start_date, s.end_date, 
-        s.sale_url, s.clean_url, s.live, s.featured,
-        s.extra_discount, s.image_url, s.created_at, s.original_created_at,
-        c.name as company_name, c.type as company_type, c.price_range,
-        c.max_womens_size, c.values as company_values, c.description
-      FROM sales s
-      LEFT JOIN companies c ON s.company_id = c.id
-      WHERE s.live = 'YES'
-      ORDER BY COALESCE(s.company_id::text, s.original_company_name), s.original_created_at DESC NULLS LAST
-    `);
-    
-    // Re-sort by date after deduplication (DISTINCT ON requires specific ORDER BY)
-    const salesRows = salesResult.rows.sort((a, b) => {
-      const dateA = a.original_created_at ? new Date(a.original_created_at) : new Date(0);
-      const dateB = b.original_created_at ? new Date(b.original_created_at) : new Date(0);
-      return dateB - dateA;
-    });
-    console.log(`📊 Found ${salesRows.length} live sales in PostgreSQL`);
-    
-    // Get sale IDs for picks query
-    const saleIds = salesRows.map(s => s.id);
-    
-    // Fetch picks for these sales
-    let picksRows = [];
-    if (saleIds.length > 0) {
-      const picksResult = await pool.query(`
-        SELECT 
-          id, airtable_id, sale_id, product_name, brand, product_url, image_url,
-          original_price, sale_price, percent_off, shopmy_url
-        FROM picks
-        WHERE sale_id = ANY($1)
-      `, [saleIds]);
-      picksRows = picksResult.rows;
-    }
-    
-    console.log(`📦 Found ${picksRows.length} picks for live sales`);
-    
-    // Group picks by sale_id
-    const picksBySale = new Map();
-    picksRows.forEach(pick => {
-      if (!picksBySale.has(pick.sale_id)) {
-        picksBySale.set(pick.sale_id, []);
-      }
-      picksBySale.get(pick.sale_id).push({
-        id: pick.airtable_id || `pg_${pick.id}`,
-        name: pick.product_name || '',
-        brand: pick.brand || null,
-        url: pick.product_url || '',
-        imageUrl: pick.image_url || '',
-        originalPrice: parseFloat(pick.original_price) || 0,
-        salePrice: parseFloat(pick.sale_price) || 0,
-        percentOff: parseFloat(pick.percent_off) || 0,
-        shopMyUrl: pick.shopmy_url || '#'
-      });
-    });
+    // Get company name (from joined company or original_company_name)
+    const companyName = row.company_name || row.original_company_name || 'Unknown Brand';
     
-    // Map sales to frontend format
-    const sales = salesRows.map(row => {
-      // Generate clean ShopMy URL by stripping tracking params
-      let saleUrl = '#';
-      const rawUrl = row.clean_url || row.sale_url;
-      if (rawUrl) {
-        const cleanedUrl = cleanUrl(rawUrl);
-        saleUrl = `https://go.shopmy.us/apx/l9N1lH?url=${encodeURIComponent(cleanedUrl)}`;
-      }
-      
-      // Get company name (from joined company or original_company_name)
-      const companyName = row.company_name || row.original_company_name || 'Unknown Brand';
-      
-      // Normalize legacy values for backward compatibility
-      let values = Array.isArray(row.company_values) ? row.company_values : [];
-      values = values.map(v => {
-        if (v === 'Female-founded') return 'Women-owned';
-        if (v === 'BIPOC-founded') return 'BIPOC-owned';
-        if (v === 'Ethical manufacturing') return null;
-        return v;
-      }).filter(v => v !== null);
-      
-      return {
-        id: row.airtable_id || `pg_${row.id}`,
-        brandName: companyName,
-        brandLogo: companyName,
-        discount: `${row.percent_off || 0}% Off`,
-        discountCode: row.promo_code || undefined,
-        extraDiscount: row.extra_discount ? parseFloat(row.extra_discount) : undefined,
-        startDate: row.start_date,
-        endDate: row.end_date,
-        saleUrl: saleUrl,
-        featured: row.featured === 'YES',
-        imageUrl: row.image_url || undefined,
-        createdTime: row.original_created_at || row.created_at,
-        picks: picksBySale.get(row.id) || [],
-        // Company metadata for filtering
-        priceRange: row.price_range,
-        companyType: row.company_type,
-        maxWomensSize: row.max_womens_size,
-        values: values,
-        description: row.description
-      };
-    });
+    const values = normalizeCompanyValues(row.company_values);
     
-    // Cache the sales data before returning
-    setCachedSales(sales);
+    return {
+      id: row.airtable_id || `pg_${row.id}`,
+      brandName: companyName,
+      brandLogo: companyName,
+      discount: `${row.percent_off || 0}% Off`,
+      discountCode: row.promo_code || undefined,
+      extraDiscount: row.extra_discount ? parseFloat(row.extra_discount) : undefined,
+      offers: publicOffers(row.offers, row.percent_off),
+      startDate: row.start_date,
+      endDate: row.end_date,
+      saleUrl: saleUrl,
+      featured: row.featured === 'YES',
+      imageUrl: row.image_url || undefined,
+      createdTime: row.original_created_at || row.created_at,
+      picks: picksBySale.get(row.id) || [],
+      // Company metadata for filtering
+      priceRange: row.price_range,
+      companyType: row.company_type,
+      maxWomensSize: row.max_womens_size,
+      values: values,
+      description: row.description
+    };
+  });
+  
+  console.log(`📦 Cached ${sales.length} sales`);
+  return sales;
+}
+
+// Sales embed company metadata, so company writes refresh them too
+defineCache('public-sales', fetchPublicSales, { tags: ['sales', 'companies'] });
+
+function formatPublicPick(pick) {
+  return {
+    id: pick.airtable_id || `pg_${pick.id}`,
+    name: pick.product_name || '',
+    brand: pick.brand || null,
+    url: pick.product_url || '',
+    imageUrl: pick.image_url || '',
+    originalPrice: parseFloat(pick.original_price) || 0,
+    salePrice: parseFloat(pick.sale_price) || 0,
+    percentOff: parseFloat(pick.percent_off) || 0,
+    shopMyUrl: pick.shopmy_url || '#',
+    sizeAvailability: pick.size_availability || [],
+    currency: pick.currency || 'USD',
+    localOriginalPrice: parseFloat(pick.local_original_price) || null,
+    localSalePrice: parseFloat(pick.local_sale_price) || null
+  };
+}
+
+// Get live sales with picks (no auth required - for public homepage)
+// Now reads from PostgreSQL instead of Airtable
+// Optional ?type=&priceRange=&discount=&maxWomensSize=&values=&sort=&limit=&cursor=
+app.get('/sales', async (req, res) => {
+  const salesQuery = parseSalesQuery(req.query);
+  if (salesQuery.error) {
+    return res.status(400).json({ success: false, message: salesQuery.error });
+  }
+  
+  try {
+    const { value: sales, etag } = await loadPublicSales();
     
-    res.json({ success: true, sales });
+    // Each query string is its own variant of the same cached list
+    const queryString = req.originalUrl.split('?')[1] || '';
+    sendWithEtag(req, res, variantEtag(etag, queryString), () => ({
+      success: true,
+      ...querySales(sales, salesQuery)
+    }));
   } catch (error) {
     console.error('❌ Error fetching sales from PostgreSQL:', error);
     res.status(500).json({ success: false, message: error.message });
   }
 });
 
-// Get all companies/brands (no auth required - for public brands directory)
-app.get('/companies', async (req, res) => {
+// Search sales, brands and picks (no auth required)
+// Sales come back in the /sales format so the homepage can render them as-is
+app.get('/search', async (req, res) => {
+  const query = String(req.query.q || '').trim();
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+  
+  if (query.length < 2) {
+    return res.status(400).json({ success: false, message: 'Search query must be at least 2 characters' });
+  }
+  
   try {
-    // Fetch ALL companies from PostgreSQL
-    const result = await pool.query(`
-      SELECT id, airtable_id, name, type, price_range, category, values, 
-             max_womens_size, description, website, shopmy_url, priority
-      FROM companies
-      ORDER BY name ASC
-    `);
-    
-    console.log(`📦 Fetched ${result.rows.length} companies from PostgreSQL`);
+    const [saleMatches, companyRows, pickRows, { value: publicSales }] = await Promise.all([
+      searchSales(query, { limit }),
+      searchCompanies(query, { limit }),
+      searchPicks(query, { limit }),
+      loadPublicSales()
+    ]);
+    
+    // Only the sales the homepage shows (latest live sale per brand), in rank order
+    const publicSalesById = new Map(publicSales.map(sale => [sale.id, sale]));
+    const sales = saleMatches
+      .map(match => publicSalesById.get(match.airtable_id || `pg_${match.id}`))
+      .filter(Boolean);
+    
+    const picks = pickRows.map(row => ({
+      ...formatPublicPick(row),
+      saleId: row.sale_airtable_id || `pg_${row.sale_id}`,
+      brandName: row.company_name || row.brand || ''
+    }));
     
-    // Map companies to frontend format
-    const companies = result.rows.map(row => {
-      // Values is an array in PostgreSQL
-      let values = Array.isArray(row.values) ? row.values : [];
-      
-      // Normalize legacy values for backward compatibility
-      values = values.map(v => {
-        if (v === 'Female-founded') return 'Women-owned';
-        if (v === 'BIPOC-founded') return 'BIPOC-owned';
-        if (v === 'Ethical manufacturing') return null;
-        return v;
-      }).filter(v => v !== null);
-      
-      return {
-        id: row.airtable_id || `pg_${row.id}`,
-        pgId: row.id,
-        name: row.name || '',
-        type: row.type || '',
-        priceRange: row.price_range || '',
-        category: Array.isArray(row.category) ? row.category.join(', ') : (row.category || ''),
-        maxWomensSize: row.max_womens_size || '',
-        values: values,
-        description: row.description || '',
-        url: row.website || '',
-        shopmyUrl: row.shopmy_url || '',
-        priority: row.priority || ''
-      };
+    res.json({
+      success: true,
+      query,
+      sales,
+      brands: companyRows.map(formatPublicCompany),
+      picks
     });
-    
-    res.json({ success: true, companies });
+  } catch (error) {
+    console.error('❌ Search error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+function formatPublicCompany(row) {
+  return {
+    id: row.airtable_id || `pg_${row.id}`,
+    pgId: row.id,
+    name: row.name || '',
+    type: row.type || '',
+    priceRange: row.price_range || '',
+    category: Array.isArray(row.category) ? row.category.join(', ') : (row.category || ''),
+    maxWomensSize: row.max_womens_size || '',
+    // Values is an array in PostgreSQL
+    values: normalizeCompanyValues(row.values),
+    description: row.description || '',
+    url: row.website || '',
+    shopmyUrl: row.shopmy_url || '',
+    priority: row.priority || ''
+  };
+}
+
+async function fetchPublicCompanies() {
+  // Fetch ALL companies from PostgreSQL
+  const result = await pool.query(`
+    SELECT id, airtable_id, name, type, price_range, category, values, 
+           max_womens_size, description, website, shopmy_url, priority
+    FROM companies
+    ORDER BY name ASC
+  `);
+  
+  console.log(`📦 Fetched ${result.rows.length} companies from PostgreSQL`);
+  
+  // Map companies to frontend format
+  return result.rows.map(formatPublicCompany);
+}
+
+defineCache('public-companies', fetchPublicCompanies, { tags: ['companies'] });
+
+// Get all companies/brands (no auth required - for public brands directory)
+app.get('/companies', async (req, res) => {
+  try {
+    const { value: companies, etag } = await getCached('public-companies');
+    sendWithEtag(req, res, etag, () => ({ success: true, companies }));
   } catch (error) {
     console.error('❌ Error fetching companies from PostgreSQL:', error);
     res.status(500).json({ success: false, message: error.message });
@@ -858,75 +922,55 @@ app.get('/companies', async (req, res) => {
 });
 
 // Update a company (admin only)
-app.patch('/admin/companies/:companyId', async (req, res) => {
-  const { auth } = req.headers;
+app.patch('/admin/companies/:companyId', requireAdmin(), async (req, res) => {
   const { companyId } = req.params;
   
-  if (auth !== ADMIN_PASSWORD) {
-    return res.status(401).json({ success: false, message: 'Unauthorized' });
-  }
-  
   try {
     // Resolve ID (support both rec... and pg_... formats)
-    let pgId;
-    if (companyId.startsWith('rec')) {
-      const lookup = await pool.query('SELECT id FROM companies WHERE airtable_id = $1', [companyId]);
-      if (lookup.rows.length === 0) {
-        return res.status(404).json({ success: false, message: 'Company not found' });
-      }
-      pgId = lookup.rows[0].id;
-    } else if (companyId.startsWith('pg_')) {
-      pgId = parseInt(companyId.replace('pg_', ''));
-    } else {
-      pgId = parseInt(companyId);
+    const pgId = await resolvePostgresId('companies', companyId);
+    if (!pgId) {
+      return res.status(404).json({ success: false, message: 'Company not found' });
     }
     
     const updates = req.body;
-    const setClauses = [];
-    const values = [];
-    let paramCount = 1;
+    const data = {};
     
+    // Request body uses column names; db.js takes camelCase
     const fieldMap = {
       name: 'name',
       type: 'type',
-      price_range: 'price_range',
+      price_range: 'priceRange',
       category: 'category',
-      max_womens_size: 'max_womens_size',
+      max_womens_size: 'maxWomensSize',
       description: 'description',
       website: 'website',
-      shopmy_url: 'shopmy_url',
+      shopmy_url: 'shopmyUrl',
       priority: 'priority'
     };
     
-    for (const [key, dbField] of Object.entries(fieldMap)) {
+    for (const [key, field] of Object.entries(fieldMap)) {
       if (updates[key] !== undefined) {
         let value = updates[key];
         // Convert category string to array if needed
         if (key === 'category' && typeof value === 'string') {
           value = value.split(',').map(v => v.trim()).filter(v => v);
         }
-        setClauses.push(`${dbField} = $${paramCount}`);
-        values.push(value);
-        paramCount++;
+        data[field] = value;
       }
     }
     
-    if (setClauses.length === 0) {
+    if (Object.keys(data).length === 0) {
       return res.json({ success: true, message: 'No updates provided' });
     }
     
-    setClauses.push(`updated_at = NOW()`);
-    values.push(pgId);
+    const company = await updateCompany(pgId, data);
     
-    const query = `UPDATE companies SET ${setClauses.join(', ')} WHERE id = $${paramCount} RETURNING *`;
-    const result = await pool.query(query, values);
-    
-    if (result.rows.length === 0) {
+    if (!company) {
       return res.status(404).json({ success: false, message: 'Company not found' });
     }
     
     console.log(`✅ Updated company ${companyId}`);
-    res.json({ success: true, company: result.rows[0] });
+    res.json({ success: true, company });
   } catch (error) {
     console.error('❌ Error updating company:', error);
     res.status(500).json({ success: false, message: error.message });
@@ -934,14 +978,9 @@ app.patch('/admin/companies/:companyId', async (req, res) => {
 });
 
 // Delete a company (admin only)
-app.delete('/admin/companies/:companyId', async (req, res) => {
-  const { auth } = req.headers;
+app.delete('/admin/companies/:companyId', requireAdmin('owner'), async (req, res) => {
   const { companyId } = req.params;
   
-  if (auth !== ADMIN_PASSWORD) {
-    return res.status(401).json({ success: false, message: 'Unauthorized' });
-  }
-  
   try {
     // Resolve ID (support both rec... and pg_... formats)
     let pgId;
@@ -966,13 +1005,14 @@ app.delete('/admin/companies/:companyId', async (req, res) => {
       });
     }
     
-    const result = await pool.query('DELETE FROM companies WHERE id = $1 RETURNING *', [pgId]);
+    const deleted = await deleteCompany(pgId);
     
-    if (result.rows.length === 0) {
+    if (!deleted) {
       return res.status(404).json({ success: false, message: 'Company not found' });
     }
     
     console.log(`🗑️ Deleted company ${companyId}`);
+    
     res.json({ success: true, message: 'Company deleted' });
   } catch (error) {
     console.error('❌ Error deleting company:', error);
@@ -981,186 +1021,358 @@ app.delete('/admin/companies/:companyId', async (req, res) => {
 });
 
 // Newsletter subscription endpoint (public)
+// New signups stay pending until the emailed confirmation link is clicked
 app.post('/newsletter/subscribe', async (req, res) => {
   try {
-    console.log('📨 Newsletter subscription request:', req.body);
     const { email, source } = req.body;
     
     if (!email) {
-      console.log('❌ No email provided');
       return res.status(400).json({ success: false, message: 'Email is required' });
     }
     
-    // Basic email validation
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email)) {
-      console.log('❌ Invalid email format:', email);
+    if (!isValidEmail(email)) {
+      console.log('❌ Invalid newsletter email format:', email);
       return res.status(400).json({ success: false, message: 'Invalid email address' });
     }
     
-    console.log('✅ Email validated, checking for duplicates...');
-    
-    // Check if email already exists in Newsletter table
-    const existingRecords = await fetch(
-      `https://api.airtable.com/v0/${AIRTABLE_BASE_ID}/Newsletter?filterByFormula={Email}='${email}'`,
-      {
-        headers: {
-          'Authorization': `Bearer ${AIRTABLE_PAT}`,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
-    
-    const existingData = await existingRecords.json();
-    console.log('📊 Duplicate check result:', existingData.records?.length || 0, 'existing records');
+    const result = await subscribeToNewsletter(email, source);
     
-    if (existingData.records && existingData.records.length > 0) {
+    if (result.status === 'already_subscribed') {
       console.log('ℹ️ Email already subscribed:', email);
       return res.json({ success: true, message: 'Already subscribed', duplicate: true });
     }
     
-    console.log('💾 Adding email to Airtable Newsletter table...');
+    console.log(`✅ Newsletter signup pending confirmation: ${email} (source: ${result.subscriber.source})`);
+    res.json({
+      success: true,
+      message: 'Check your inbox to confirm your subscription',
+      pendingConfirmation: true
+    });
+  } catch (error) {
+    console.error('❌ Newsletter subscription error:', error);
+    res.status(500).json({ success: false, message: 'Failed to subscribe' });
+  }
+});
+
+// Double opt-in link from the confirmation email (public)
+app.get('/newsletter/confirm', async (req, res) => {
+  try {
+    const subscriber = await confirmSubscription(req.query.token);
     
-    // Add email to Newsletter table
-    const response = await fetch(
-      `https://api.airtable.com/v0/${AIRTABLE_BASE_ID}/Newsletter`,
-      {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${AIRTABLE_PAT}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          records: [
-            {
-              fields: {
-                Email: email,
-                SubscribedDate: new Date().toISOString().split('T')[0],
-                Source: source || 'Website'
-              }
-            }
-          ]
-        })
-      }
-    );
+    if (!subscriber) {
+      return res.status(404).send(renderNewsletterPage(
+        'Link expired',
+        'This confirmation link is no longer valid. Sign up again on the site to get a new one.'
+      ));
+    }
     
-    const data = await response.json();
-    console.log('📡 Airtable response status:', response.status);
-    console.log('📡 Airtable response data:', JSON.stringify(data, null, 2));
+    console.log(`✅ Newsletter subscription confirmed: ${subscriber.email}`);
+    res.send(renderNewsletterPage(
+      "You're subscribed",
+      'Thanks for confirming. Curated designer deals are on their way to your inbox.'
+    ));
+  } catch (error) {
+    console.error('❌ Newsletter confirmation error:', error);
+    res.status(500).send(renderNewsletterPage('Something went wrong', 'Please try the link again in a moment.'));
+  }
+});
+
+// Unsubscribe link (public); POST supports one-click List-Unsubscribe
+async function handleNewsletterUnsubscribe(req, res) {
+  try {
+    const subscriber = await unsubscribeFromNewsletter(req.query.token);
     
-    if (response.ok) {
-      console.log(`✅ New newsletter subscriber: ${email} (source: ${source})`);
-      res.json({ success: true, message: 'Successfully subscribed' });
-    } else {
-      console.error('❌ Error adding to Newsletter:', data);
-      res.status(500).json({ success: false, message: 'Failed to subscribe' });
+    if (!subscriber) {
+      return res.status(404).send(renderNewsletterPage(
+        'Link not recognized',
+        "We couldn't find a subscription for this link."
+      ));
     }
+    
+    console.log(`👋 Newsletter unsubscribe: ${subscriber.email}`);
+    res.send(renderNewsletterPage(
+      "You've been unsubscribed",
+      "You won't receive any more emails from Well Spent Style. Changed your mind? You can sign up again on the site."
+    ));
   } catch (error) {
-    console.error('❌ Newsletter subscription error:', error);
-    console.error('❌ Error stack:', error.stack);
-    res.status(500).json({ success: false, message: error.message });
+    console.error('❌ Newsletter unsubscribe error:', error);
+    res.status(500).send(renderNewsletterPage('Something went wrong', 'Please try the link again in a moment.'));
   }
-});
+}
+
+app.get('/newsletter/unsubscribe', handleNewsletterUnsubscribe);
+app.post('/newsletter/unsubscribe', handleNewsletterUnsubscribe);
 
 // ============================================
 // ADMIN ENDPOINTS
 // ============================================
 
 // Admin authentication
-app.post('/admin/auth', (req, res) => {
-  const { password } = req.body;
+app.post('/admin/auth', async (req, res) => {
+  const { username, password } = req.body;
   
-  if (password === ADMIN_PASSWORD) {
-    return res.json({ success: true });
+  try {
+    const session = await login(username, password);
+    
+    if (!session) {
+      return res.status(401).json({ success: false, message: 'Invalid username or password' });
+    }
+    
+    console.log(`🔑 Admin signed in: ${session.user.username} (${session.user.role})`);
+    res.json({ success: true, token: session.token, user: session.user });
+    
+  } catch (error) {
+    console.error('❌ Admin sign-in error:', error);
+    res.status(500).json({ success: false, message: 'Authentication failed' });
   }
-  
-  return res.status(401).json({ success: false, message: 'Invalid password' });
 });
 
-// Check URL protection level
-app.post('/admin/check-url-protection', (req, res) => {
-  const { auth } = req.headers;
-  const { url } = req.body;
+// Current admin user (used by the admin UI to check the session and role)
+app.get('/admin/me', requireAdmin(), (req, res) => {
+  res.json({ success: true, user: req.adminUser });
+});
+
+// ============================================
+// ADMIN USERS (owner only)
+// ============================================
+
+app.get('/admin/users', requireAdmin('owner'), async (req, res) => {
+  try {
+    const users = await getAdminUsers();
+    res.json({ success: true, users });
+  } catch (error) {
+    console.error('Error fetching admin users:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+app.post('/admin/users', requireAdmin('owner'), async (req, res) => {
+  const { username, password, role = 'editor' } = req.body;
   
-  if (auth !== ADMIN_PASSWORD) {
-    return res.status(401).json({ success: false, message: 'Unauthorized' });
+  if (!username || !password) {
+    return res.status(400).json({ success: false, message: 'Username and password are required' });
   }
   
-  if (!url) {
-    return res.status(400).json({ success: false, message: 'URL is required' });
+  if (!ADMIN_ROLES.includes(role)) {
+    return res.status(400).json({ success: false, message: `Role must be one of: ${ADMIN_ROLES.join(', ')}` });
   }
   
   try {
-    const hostname = new URL(url).hostname.toLowerCase();
-    
-    // Department store protection levels based on testing
-    const protectionLevels = {
-      // Ultra-high protection (5-10% success rate)
-      'nordstrom.com': { 
-        level: 'ultra-high', 
-        store: 'Nordstrom', 
-        successRate: '5-10%',
-        recommendation: 'We recommend manual entry for faster, more reliable results.'
-      },
-      'saksfifthavenue.com': { 
-        level: 'ultra-high', 
-        store: 'Saks Fifth Avenue', 
-        successRate: '5-10%',
-        recommendation: 'We recommend manual entry for faster, more reliable results.'
-      },
-      'neimanmarcus.com': { 
-        level: 'ultra-high', 
-        store: 'Neiman Marcus', 
-        successRate: '5-10%',
-        recommendation: 'We recommend manual entry for faster, more reliable results.'
-      },
-      'bergdorfgoodman.com': { 
-        level: 'ultra-high', 
-        store: 'Bergdorf Goodman', 
-        successRate: '5-10%',
-        recommendation: 'We recommend manual entry for faster, more reliable results.'
-      },
-      'bloomingdales.com': { 
-        level: 'ultra-high', 
-        store: 'Bloomingdales', 
-        successRate: '5-10%',
-        recommendation: 'We recommend manual entry for faster, more reliable results.'
-      },
-      
-      // Medium protection (50-60% success rate)
-      'farfetch.com': { 
-        level: 'medium', 
-        store: 'Farfetch', 
-        successRate: '50-60%',
-        recommendation: 'Automated scraping usually works, but data quality may vary.'
-      },
-      
-      // Low protection (85%+ success rate)
-      'shopbop.com': { 
-        level: 'low', 
-        store: 'Shopbop', 
-        successRate: '85%+',
-        recommendation: 'Automated scraping works reliably.'
-      },
-      'ssense.com': { 
-        level: 'low', 
-        store: 'SSENSE', 
-        successRate: '85%+',
-        recommendation: 'Automated scraping works reliably.'
-      }
-    };
-    
-    // Check if URL matches any protected store
-    const protectedStore = Object.keys(protectionLevels).find(domain => 
-      hostname.includes(domain)
-    );
+    const user = await createAdminUser({ username, password, role });
+    await logAdminAction(req.adminUser, 'create_admin_user', {
+      entityType: 'admin_user',
+      entityId: user.id,
+      details: { username: user.username, role: user.role }
+    });
     
-    if (protectedStore) {
-      const storeInfo = protectionLevels[protectedStore];
-      return res.json({
-        success: true,
+    res.json({ success: true, user });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ success: false, message: 'Username already exists' });
+    }
+    console.error('Error creating admin user:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+app.patch('/admin/users/:userId', requireAdmin('owner'), async (req, res) => {
+  const { password, role, active } = req.body;
+  
+  if (role !== undefined && !ADMIN_ROLES.includes(role)) {
+    return res.status(400).json({ success: false, message: `Role must be one of: ${ADMIN_ROLES.join(', ')}` });
+  }
+  
+  if (!/^\d+$/.test(req.params.userId)) {
+    return res.status(400).json({ success: false, message: 'Invalid user ID' });
+  }
+  
+  try {
+    const { user, error, status } = await updateAdminUser(parseInt(req.params.userId), { password, role, active });
+    
+    if (error) {
+      return res.status(status).json({ success: false, message: error });
+    }
+    
+    await logAdminAction(req.adminUser, 'update_admin_user', {
+      entityType: 'admin_user',
+      entityId: user.id,
+      details: { role, active, passwordChanged: !!password }
+    });
+    
+    res.json({ success: true, user });
+  } catch (error) {
+    console.error('Error updating admin user:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// ============================================
+// AUDIT LOG
+// ============================================
+
+function formatAuditEntry(row) {
+  return {
+    id: row.id,
+    actor: row.actor,
+    actorId: row.actor_id,
+    route: row.route,
+    action: row.action,
+    entityType: row.entity_type,
+    entityId: row.entity_id,
+    before: row.before,
+    after: row.after,
+    details: row.details,
+    revertedAt: row.reverted_at,
+    revertedBy: row.reverted_by,
+    createdAt: row.created_at
+  };
+}
+
+// Every admin and system mutation, newest first (?actor=&entityType=&entityId=&action=&limit=&offset=)
+app.get('/admin/audit-log', requireAdmin('approver'), async (req, res) => {
+  try {
+    const { actor, entityType, entityId, action } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    const offset = parseInt(req.query.offset) || 0;
+    
+    const rows = await getAuditLog({ limit, offset, actor, entityType, entityId, action });
+    res.json({ success: true, entries: rows.map(formatAuditEntry) });
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Undo a single field edit to a sale, company or pick
+app.post('/admin/audit-log/:entryId/revert', requireAdmin('approver'), async (req, res) => {
+  if (!/^\d+$/.test(req.params.entryId)) {
+    return res.status(400).json({ success: false, message: 'Invalid audit entry ID' });
+  }
+  
+  try {
+    const { row, error, status } = await revertAuditEntry(parseInt(req.params.entryId));
+    
+    if (error) {
+      return res.status(status).json({ success: false, message: error });
+    }
+    
+    console.log(`↩️  Reverted audit entry ${req.params.entryId}`);
+    
+    res.json({ success: true, message: 'Change reverted', record: row });
+  } catch (error) {
+    console.error('Error reverting audit entry:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// ============================================
+// NEWSLETTER SUBSCRIBERS
+// ============================================
+
+function formatSubscriber(row) {
+  return {
+    id: row.id,
+    email: row.email,
+    source: row.source,
+    status: row.status,
+    subscribedAt: row.subscribed_at,
+    confirmedAt: row.confirmed_at,
+    unsubscribedAt: row.unsubscribed_at
+  };
+}
+
+// Subscribers with per-status/source counts (?status=&source=)
+app.get('/admin/newsletter/subscribers', requireAdmin('approver'), async (req, res) => {
+  try {
+    const { status, source } = req.query;
+    const [rows, counts] = await Promise.all([
+      getSubscribers({ status, source }),
+      getSubscriberCounts()
+    ]);
+    
+    res.json({ success: true, subscribers: rows.map(formatSubscriber), counts });
+  } catch (error) {
+    console.error('Error fetching newsletter subscribers:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// CSV export for the email provider (?status=confirmed for the sendable list)
+app.get('/admin/newsletter/subscribers.csv', requireAdmin('approver'), async (req, res) => {
+  try {
+    const { status, source } = req.query;
+    const rows = await getSubscribers({ status, source });
+    const filename = `subscribers-${status || 'all'}-${new Date().toISOString().split('T')[0]}.csv`;
+    
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(subscribersToCsv(rows));
+  } catch (error) {
+    console.error('Error exporting newsletter subscribers:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Weekly digest preview (?days=7)
+app.get('/admin/newsletter/digest', requireAdmin(), async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days) || 7, 1), 31);
+    const digest = await buildWeeklyDigest({ days });
+    
+    res.json({ success: true, digest });
+  } catch (error) {
+    console.error('Error building newsletter digest:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Weekly digest as a ready-to-paste HTML file
+app.get('/admin/newsletter/digest.html', requireAdmin(), async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days) || 7, 1), 31);
+    const digest = await buildWeeklyDigest({ days });
+    const filename = `digest-${digest.generatedAt.split('T')[0]}.html`;
+    
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(digest.html);
+  } catch (error) {
+    console.error('Error exporting newsletter digest:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Per-domain scraper success rates, latency and the learned scraper order
+app.get('/admin/scraping-health', requireAdmin(), async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || HEALTH_WINDOW_DAYS, 1), 365);
+    const domains = await getScrapingHealth(days);
+    res.json({ success: true, days, domains });
+  } catch (error) {
+    console.error('❌ Error fetching scraping health:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Check URL protection level
+app.post('/admin/check-url-protection', requireAdmin(), (req, res) => {
+  const { url } = req.body;
+  
+  if (!url) {
+    return res.status(400).json({ success: false, message: 'URL is required' });
+  }
+  
+  try {
+    new URL(url);
+    
+    // Protection levels (based on testing) live in the retailer adapters
+    const adapter = getRetailerAdapter(url);
+    
+    if (adapter?.protection) {
+      return res.json({
+        success: true,
         protected: true,
-        store: storeInfo
+        store: { store: adapter.name, ...adapter.protection }
       });
     }
     
@@ -1178,13 +1390,7 @@ app.post('/admin/check-url-protection', (req, res) => {
 });
 
 // Get all sales for admin (PostgreSQL)
-app.get('/admin/sales', async (req, res) => {
-  const { auth } = req.headers;
-  
-  if (auth !== ADMIN_PASSWORD) {
-    return res.status(401).json({ success: false, message: 'Unauthorized' });
-  }
-  
+app.get('/admin/sales', requireAdmin(), async (req, res) => {
   try {
     // Fetch ALL sales from PostgreSQL with company data, sorted by created time (newest first)
     const salesResult = await pool.query(`
@@ -1238,89 +1444,41 @@ app.get('/admin/sales', async (req, res) => {
 });
 
 // Update a sale (PATCH) - PostgreSQL
-app.patch('/admin/sales/:saleId', async (req, res) => {
-  const { auth } = req.headers;
+app.patch('/admin/sales/:saleId', requireAdmin('approver'), async (req, res) => {
   const { saleId } = req.params;
   const { percentOff, live, promoCode, endDate, extraDiscount, imageUrl } = req.body;
   
-  if (auth !== ADMIN_PASSWORD) {
-    return res.status(401).json({ success: false, message: 'Unauthorized' });
-  }
-  
-  // Build SET clauses for PostgreSQL update
-  const setClauses = [];
-  const values = [];
-  let paramCount = 1;
+  const updates = {};
   
   if (percentOff !== undefined) {
     if (isNaN(percentOff)) {
       return res.status(400).json({ success: false, message: 'Valid percentOff is required' });
     }
-    setClauses.push(`percent_off = $${paramCount++}`);
-    values.push(parseInt(percentOff));
-  }
-  
-  if (live !== undefined) {
-    setClauses.push(`live = $${paramCount++}`);
-    values.push(live);
-  }
-  
-  if (promoCode !== undefined) {
-    setClauses.push(`promo_code = $${paramCount++}`);
-    values.push(promoCode);
-  }
-  
-  if (endDate !== undefined) {
-    setClauses.push(`end_date = $${paramCount++}`);
-    values.push(endDate || null);
-  }
-  
-  if (extraDiscount !== undefined) {
-    setClauses.push(`extra_discount = $${paramCount++}`);
-    values.push(extraDiscount || null);
+    updates.percentOff = parseInt(percentOff);
   }
   
-  if (imageUrl !== undefined) {
-    setClauses.push(`image_url = $${paramCount++}`);
-    values.push(imageUrl || null);
-  }
+  if (live !== undefined) updates.live = live;
+  if (promoCode !== undefined) updates.promoCode = promoCode;
+  if (endDate !== undefined) updates.endDate = endDate || null;
+  if (extraDiscount !== undefined) updates.extraDiscount = extraDiscount || null;
+  if (imageUrl !== undefined) updates.imageUrl = imageUrl || null;
   
-  if (setClauses.length === 0) {
+  if (Object.keys(updates).length === 0) {
     return res.status(400).json({ success: false, message: 'At least one field to update is required' });
   }
   
-  // Add updated_at
-  setClauses.push(`updated_at = NOW()`);
-  
   try {
     // Support both airtable_id and pg_id formats
-    let whereClause;
-    if (saleId.startsWith('pg_')) {
-      whereClause = `id = $${paramCount}`;
-      values.push(parseInt(saleId.replace('pg_', '')));
-    } else if (saleId.startsWith('rec')) {
-      whereClause = `airtable_id = $${paramCount}`;
-      values.push(saleId);
-    } else {
-      whereClause = `id = $${paramCount}`;
-      values.push(parseInt(saleId));
-    }
-    
-    const result = await pool.query(
-      `UPDATE sales SET ${setClauses.join(', ')} WHERE ${whereClause} RETURNING *`,
-      values
-    );
+    const pgSaleId = await resolvePostgresId('sales', saleId);
+    const sale = pgSaleId ? await updateSale(pgSaleId, updates) : null;
     
-    if (result.rows.length === 0) {
+    if (!sale) {
       return res.status(404).json({ success: false, message: 'Sale not found' });
     }
     
     console.log(`✅ Updated sale ${saleId}`);
     
-    // Invalidate sales cache
-    salesCache = null;
-    
-    res.json({ success: true, sale: result.rows[0] });
+    res.json({ success: true, sale });
   } catch (error) {
     console.error('Error updating sale:', error);
     res.status(500).json({ success: false, message: error.message });
@@ -1328,14 +1486,9 @@ app.patch('/admin/sales/:saleId', async (req, res) => {
 });
 
 // Update or create a brand in PostgreSQL Companies table
-app.post('/admin/update-brand-in-airtable', async (req, res) => {
-  const { auth } = req.headers;
+app.post('/admin/update-brand-in-airtable', requireAdmin(), async (req, res) => {
   const { brandData } = req.body;
   
-  if (auth !== ADMIN_PASSWORD) {
-    return res.status(401).json({ success: false, message: 'Unauthorized' });
-  }
-  
   if (!brandData || !brandData.name) {
     return res.status(400).json({ success: false, message: 'Brand data with name is required' });
   }
@@ -1366,32 +1519,16 @@ app.post('/admin/update-brand-in-airtable', async (req, res) => {
       // Update existing record
       console.log(`✏️ Updating existing brand record ${existingRecord.id}...`);
       
-      const updateResult = await pool.query(`
-        UPDATE companies SET
-          name = $1,
-          type = $2,
-          price_range = $3,
-          category = $4,
-          max_womens_size = $5,
-          values = $6,
-          description = $7,
-          website = $8,
-          updated_at = NOW()
-        WHERE id = $9
-        RETURNING *
-      `, [
-        brandData.name,
-        brandData.type || 'Brand',
-        brandData.priceRange || '',
-        categoryArray,
-        brandData.maxWomensSize || '',
-        valuesArray,
-        brandData.description || '',
-        brandData.url || '',
-        existingRecord.id
-      ]);
-      
-      result = updateResult.rows[0];
+      result = await updateCompany(existingRecord.id, {
+        name: brandData.name,
+        type: brandData.type || 'Brand',
+        priceRange: brandData.priceRange || '',
+        category: categoryArray,
+        maxWomensSize: brandData.maxWomensSize || '',
+        values: valuesArray,
+        description: brandData.description || '',
+        website: brandData.url || ''
+      });
       console.log(`✅ Updated brand "${brandData.name}" in PostgreSQL`);
       
       res.json({ success: true, action: 'updated', record: result });
@@ -1399,22 +1536,16 @@ app.post('/admin/update-brand-in-airtable', async (req, res) => {
       // Create new record
       console.log(`➕ Creating new brand record...`);
       
-      const createResult = await pool.query(`
-        INSERT INTO companies (name, type, price_range, category, max_womens_size, values, description, website)
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-        RETURNING *
-      `, [
-        brandData.name,
-        brandData.type || 'Brand',
-        brandData.priceRange || '',
-        categoryArray,
-        brandData.maxWomensSize || '',
-        valuesArray,
-        brandData.description || '',
-        brandData.url || ''
-      ]);
-      
-      result = createResult.rows[0];
+      result = await createCompany({
+        name: brandData.name,
+        type: brandData.type || 'Brand',
+        priceRange: brandData.priceRange || '',
+        category: categoryArray,
+        maxWomensSize: brandData.maxWomensSize || '',
+        values: valuesArray,
+        description: brandData.description || '',
+        website: brandData.url || ''
+      });
       console.log(`✅ Created new brand "${brandData.name}" in PostgreSQL`);
       
       res.json({ success: true, action: 'created', record: result });
@@ -1426,13 +1557,7 @@ app.post('/admin/update-brand-in-airtable', async (req, res) => {
 });
 
 // Clean all CleanURL fields in Airtable (remove tracking parameters)
-app.post('/admin/clean-urls', async (req, res) => {
-  const { auth } = req.headers;
-  
-  if (auth !== ADMIN_PASSWORD) {
-    return res.status(401).json({ success: false, message: 'Unauthorized' });
-  }
-  
+app.post('/admin/clean-urls', requireAdmin(), async (req, res) => {
   try {
     console.log('🧹 Starting URL cleanup process...');
     
@@ -1480,11 +1605,6 @@ app.post('/admin/clean-urls', async (req, res) => {
     
     console.log(`🎉 Cleanup complete! Updated ${updates.length} records.`);
     
-    // Clear sales cache if any URLs were updated
-    if (updates.length > 0) {
-      clearSalesCache();
-    }
-    
     res.json({ 
       success: true, 
       message: `Cleaned ${updates.length} URLs`,
@@ -1498,14 +1618,9 @@ app.post('/admin/clean-urls', async (req, res) => {
 });
 
 // Extract just the og:image from a URL (lightweight, no AI)
-app.post('/admin/extract-image', async (req, res) => {
-  const { auth } = req.headers;
+app.post('/admin/extract-image', requireAdmin(), async (req, res) => {
   const { url } = req.body;
   
-  if (auth !== ADMIN_PASSWORD) {
-    return res.status(401).json({ success: false, message: 'Unauthorized' });
-  }
-  
   if (!url) {
     return res.status(400).json({ success: false, message: 'URL is required' });
   }
@@ -1562,14 +1677,9 @@ app.post('/admin/extract-image', async (req, res) => {
 });
 
 // Extract sale information from image or text using AI
-app.post('/admin/extract-sale', async (req, res) => {
-  const { auth } = req.headers;
+app.post('/admin/extract-sale', requireAdmin(), async (req, res) => {
   const { image, text, sourceHint } = req.body;
   
-  if (auth !== ADMIN_PASSWORD) {
-    return res.status(401).json({ success: false, message: 'Unauthorized' });
-  }
-  
   if (!image && !text) {
     return res.status(400).json({ success: false, message: 'Either image or text is required' });
   }
@@ -1773,14 +1883,9 @@ function extractDomain(url) {
 }
 
 // Streaming version of scrape-product that sends results as they're scraped
-app.post('/admin/scrape-product-stream', async (req, res) => {
-  const { auth } = req.headers;
+app.post('/admin/scrape-product-stream', requireAdmin(), async (req, res) => {
   const { url, urls, test } = req.body;
   
-  if (auth !== ADMIN_PASSWORD) {
-    return res.status(401).json({ success: false, message: 'Unauthorized' });
-  }
-  
   const urlsToScrape = urls || (url ? [url] : []);
   
   if (!urlsToScrape || urlsToScrape.length === 0) {
@@ -1917,14 +2022,117 @@ app.post('/admin/scrape-product-stream', async (req, res) => {
   }
 });
 
-// Scrape product data from URL(s) using intelligent orchestrator (fast scraper + Playwright fallback)
-app.post('/admin/scrape-product', async (req, res) => {
-  const { auth } = req.headers;
-  const { url, urls, test } = req.body;
+// Bulk import: scrape a list, pasted text or CSV of product URLs for a sale and
+// land the results in the sale's finalize draft for review in FinalizePicks.
+// Streams per-URL progress; the batch keeps going if the editor leaves the page.
+app.post('/admin/picks/bulk-import', requireAdmin(), async (req, res) => {
+  const { saleId, saleName, salePercentOff, urls, text, test } = req.body;
+  
+  if (!saleId) {
+    return res.status(400).json({ success: false, message: 'saleId is required' });
+  }
+  
+  const { urls: urlsToScrape, duplicates } = parseProductUrls(urls || text);
+  
+  if (urlsToScrape.length === 0) {
+    return res.status(400).json({ success: false, message: 'No product URLs found' });
+  }
+  if (urlsToScrape.length > MAX_BATCH_URLS) {
+    return res.status(400).json({ success: false, message: `At most ${MAX_BATCH_URLS} URLs per import (got ${urlsToScrape.length})` });
+  }
+  
+  // Setup SSE
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  
+  let clientConnected = true;
+  res.on('close', () => {
+    clientConnected = false;
+  });
+  
+  const sendEvent = (event, data) => {
+    if (!clientConnected) return;
+    res.write(`event: ${event}\n`);
+    res.write(`data: ${JSON.stringify(data)}\n\n`);
+  };
   
-  if (auth !== ADMIN_PASSWORD) {
-    return res.status(401).json({ success: false, message: 'Unauthorized' });
+  const sale = { saleId, saleName: saleName || 'Sale', salePercentOff: salePercentOff || 0 };
+  const draftSaves = [];
+  let draftId = null;
+  let successCount = 0;
+  let failureCount = 0;
+  
+  // Each result is saved as it arrives so a closed tab doesn't lose finished scrapes
+  const saveToDraft = (update) => {
+    draftSaves.push(addToSaleDraft(sale, update)
+      .then(draft => { draftId = draft.id; })
+      .catch(error => console.error('  ⚠️ Failed to save bulk import result to draft:', error.message)));
+  };
+  
+  try {
+    console.log(`📥 Bulk import of ${urlsToScrape.length} URL(s) for sale ${saleId}${duplicates ? ` (${duplicates} duplicate(s) dropped)` : ''}`);
+    
+    // Advisory only - FinalizePicks shows the matches and offers to merge
+    const pgSaleId = await resolvePostgresId('sales', String(saleId));
+    const knownDuplicates = await findDuplicatePicks(urlsToScrape.map(url => ({ url })), { saleId: pgSaleId, checkImages: false })
+      .catch(error => {
+        console.warn('  ⚠️ Duplicate check failed:', error.message);
+        return [];
+      });
+    
+    sendEvent('start', {
+      total: urlsToScrape.length,
+      duplicates,
+      urls: urlsToScrape,
+      alreadyInSale: knownDuplicates.filter(check => check.duplicates.some(duplicate => duplicate.sameSale)).length,
+      inOtherSales: knownDuplicates.filter(check => check.duplicates.some(duplicate => !duplicate.sameSale)).length
+    });
+    
+    await runBatchScrape(urlsToScrape, {
+      scrape: (productUrl) => scrapeProduct(productUrl, {
+        openai,
+        enableTestMetadata: test || false,
+        logger: console,
+        shouldAutofillBrand
+      }),
+      onEvent: (type, data) => {
+        if (type === 'success') {
+          successCount++;
+          console.log(`  ✅ ${data.url} via ${data.extractionMethod} (confidence: ${data.confidence}%)`);
+          saveToDraft({
+            picks: [{ ...data.product, confidence: data.confidence, extractionMethod: data.extractionMethod }]
+          });
+        } else if (type === 'error' || type === 'skip') {
+          failureCount++;
+          console.log(`  ❌ ${data.url}: ${data.error}`);
+          saveToDraft({ failedUrls: [data.url] });
+        }
+        sendEvent(type, data);
+      }
+    });
+    
+    await Promise.all(draftSaves);
+    
+    console.log(`📊 Bulk import complete: ${successCount} succeeded, ${failureCount} failed`);
+    sendEvent('complete', {
+      successCount,
+      failureCount,
+      total: urlsToScrape.length,
+      draftId
+    });
+    res.end();
+    
+  } catch (error) {
+    console.error('❌ Bulk import error:', error);
+    sendEvent('error', { error: error.message });
+    res.end();
   }
+});
+
+// Scrape product data from URL(s) using intelligent orchestrator (fast scraper + Playwright fallback)
+app.post('/admin/scrape-product', requireAdmin(), async (req, res) => {
+  const { url, urls, test } = req.body;
   
   const urlsToScrape = urls || (url ? [url] : []);
   
@@ -2030,14 +2238,37 @@ app.post('/admin/scrape-product', async (req, res) => {
   }
 });
 
-// Save picks to PostgreSQL
-app.post('/admin/picks', async (req, res) => {
-  const { auth } = req.headers;
-  const { saleId, picks } = req.body;
+// Find saved picks that duplicate new ones (same product URL, image or name)
+app.post('/admin/picks/check-duplicates', requireAdmin(), async (req, res) => {
+  const { saleId, picks, checkImages } = req.body;
+  
+  if (!picks || !Array.isArray(picks)) {
+    return res.status(400).json({ success: false, message: 'picks array required' });
+  }
   
-  if (auth !== ADMIN_PASSWORD) {
-    return res.status(401).json({ success: false, message: 'Unauthorized' });
+  try {
+    const pgSaleId = saleId ? await resolvePostgresId('sales', String(saleId)) : null;
+    const duplicates = await findDuplicatePicks(picks, {
+      saleId: pgSaleId,
+      checkImages: checkImages !== false
+    });
+    
+    if (duplicates.length > 0) {
+      console.log(`🔁 ${duplicates.length} of ${picks.length} new pick(s) look like duplicates`);
+    }
+    res.json({ success: true, duplicates });
+  } catch (error) {
+    console.error('❌ Duplicate check error:', error);
+    res.status(500).json({ success: false, message: error.message });
   }
+});
+
+// Save picks to PostgreSQL
+// A pick with mergeIntoPickId updates that saved pick (in the same sale)
+// instead of adding a new one. A product already in the sale is skipped
+// unless the pick has allowDuplicate.
+app.post('/admin/picks', requireAdmin(), async (req, res) => {
+  const { saleId, picks } = req.body;
   
   if (!saleId || !picks || !Array.isArray(picks)) {
     return res.status(400).json({ success: false, message: 'saleId and picks array required' });
@@ -2095,6 +2326,26 @@ app.post('/admin/picks', async (req, res) => {
     
     // Insert picks into PostgreSQL
     const allRecordIds = [];
+    const mergedRecordIds = [];
+    let duplicateCount = 0;
+    
+    const saleProductKeys = new Set(
+      (await getPicksBySaleId(pgSaleId)).map(row => canonicalProductKey(row.product_url))
+    );
+    
+    // Merge targets are checked up front so a bad one doesn't leave a half-saved batch
+    const mergeTargets = new Map();
+    for (const pick of validPicks.filter(pick => pick.mergeIntoPickId)) {
+      const existingId = await resolvePostgresId('picks', String(pick.mergeIntoPickId));
+      const existing = existingId ? await getPickById(existingId) : null;
+      if (!existing || existing.sale_id !== pgSaleId) {
+        return res.status(400).json({
+          success: false,
+          message: `Pick ${pick.mergeIntoPickId} is not in this sale, so "${pick.name}" can't be merged into it`
+        });
+      }
+      mergeTargets.set(pick, existingId);
+    }
     
     for (const pick of validPicks) {
       // Calculate percentOff if not provided but prices are available
@@ -2103,44 +2354,71 @@ app.post('/admin/picks', async (req, res) => {
         percentOff = Math.round((1 - (pick.salePrice / pick.originalPrice)) * 100);
       }
       
-      const result = await pool.query(`
-        INSERT INTO picks (
-          sale_id, product_name, brand, product_url, image_url,
-          original_price, sale_price, percent_off, shopmy_url,
-          confidence, entry_type, sizes
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
-        RETURNING id
-      `, [
-        pgSaleId,
-        pick.name,
-        pick.brand || null,
-        cleanUrl(pick.url),
-        pick.imageUrl,
-        pick.originalPrice || null,
-        pick.salePrice || null,
-        percentOff || null,
-        pick.shopmyUrl || null,
-        pick.confidence !== undefined ? pick.confidence : null,
-        pick.entryType || null,
-        pick.sizes || null
-      ]);
+      const fields = {
+        productName: pick.name,
+        brand: pick.brand,
+        productUrl: cleanProductUrl(pick.url),
+        imageUrl: pick.imageUrl,
+        originalPrice: pick.originalPrice,
+        salePrice: pick.salePrice,
+        percentOff,
+        shopmyUrl: pick.shopmyUrl,
+        confidence: pick.confidence,
+        sizes: pick.sizes,
+        sizeAvailability: pick.sizeAvailability,
+        ...pickCurrencyFields(pick)
+      };
+      
+      let saved;
+      const existingId = mergeTargets.get(pick);
+      if (existingId) {
+        // Keep the saved pick's ShopMy link unless a new one was entered
+        saved = await updatePick(existingId, { ...fields, shopmyUrl: pick.shopmyUrl || undefined });
+        mergedRecordIds.push(`pg_${existingId}`);
+        console.log(`🔁 Merged "${pick.name}" into pick ${existingId}`);
+      } else {
+        const productKey = canonicalProductKey(pick.url);
+        if (saleProductKeys.has(productKey) && !pick.allowDuplicate) {
+          duplicateCount++;
+          console.log(`⏭️ Skipping duplicate pick already in this sale: ${pick.url}`);
+          continue;
+        }
+        saleProductKeys.add(productKey);
+        
+        saved = await createPick({ ...fields, saleId: pgSaleId, entryType: pick.entryType });
+        allRecordIds.push(`pg_${saved.id}`);
+      }
+      
+      if (!saved) continue;
+      hashPickImage(saved);
       
-      allRecordIds.push(`pg_${result.rows[0].id}`);
+      // Starting point for the pick's price timeline (or its new price when merged)
+      if (pick.salePrice) {
+        await recordPickPrice(saved.id, {
+          originalPrice: pick.originalPrice,
+          salePrice: pick.salePrice,
+          percentOff,
+          source: existingId ? 'merge' : 'add'
+        }).catch(err => console.warn(`⚠️ Failed to record price history:`, err.message));
+      }
     }
     
-    console.log(`✅ Total saved: ${allRecordIds.length} picks`);
-    
-    // Clear sales cache since picks changed
-    clearSalesCache();
+    console.log(`✅ Total saved: ${allRecordIds.length} picks, ${mergedRecordIds.length} merged`);
     
     const skippedCount = picks.length - validPicks.length;
-    const skippedMessage = skippedCount > 0 ? ` (${skippedCount} incomplete picks skipped)` : '';
+    const notes = [
+      mergedRecordIds.length > 0 && `${mergedRecordIds.length} merged into existing picks`,
+      duplicateCount > 0 && `${duplicateCount} already in this sale skipped`,
+      skippedCount > 0 && `${skippedCount} incomplete picks skipped`
+    ].filter(Boolean);
     
     res.json({ 
       success: true, 
-      message: `Saved ${allRecordIds.length} picks${skippedMessage}`,
+      message: `Saved ${allRecordIds.length} picks${notes.length > 0 ? ` (${notes.join(', ')})` : ''}`,
       recordIds: allRecordIds,
-      skippedCount
+      mergedRecordIds,
+      skippedCount,
+      duplicateCount
     });
     
   } catch (error) {
@@ -2150,14 +2428,9 @@ app.post('/admin/picks', async (req, res) => {
 });
 
 // Save manually entered picks to Airtable
-app.post('/admin/manual-picks', async (req, res) => {
-  const { auth } = req.headers;
+app.post('/admin/manual-picks', requireAdmin(), async (req, res) => {
   const { saleId, picks } = req.body;
   
-  if (auth !== ADMIN_PASSWORD) {
-    return res.status(401).json({ success: false, message: 'Unauthorized' });
-  }
-  
   if (!saleId || !picks || !Array.isArray(picks)) {
     return res.status(400).json({ success: false, message: 'saleId and picks array required' });
   }
@@ -2209,7 +2482,7 @@ app.post('/admin/manual-picks', async (req, res) => {
     // Create records for each valid manual pick
     const records = validPicks.map(pick => {
       const fields = {
-        ProductURL: cleanUrl(pick.url),
+        ProductURL: cleanProductUrl(pick.url),
         ProductName: pick.name,
         ImageURL: pick.imageUrl,
         SaleID: [saleId], // Company will be auto-populated via lookup
@@ -2271,9 +2544,6 @@ app.post('/admin/manual-picks', async (req, res) => {
     
     console.log(`✅ Total manual picks saved: ${allRecordIds.length}`);
     
-    // Clear sales cache since picks changed
-    clearSalesCache();
-    
     const skippedCount = picks.length - validPicks.length;
     const skippedMessage = skippedCount > 0 ? ` (${skippedCount} incomplete picks skipped)` : '';
     
@@ -2290,8 +2560,8 @@ app.post('/admin/manual-picks', async (req, res) => {
   }
 });
 
-// Background function for Gem sync that updates progress
-async function runGemSyncInBackground() {
+// Gem sync job handler (runs from the job queue) - updates in-memory progress for the status endpoint
+async function runGemSyncJob() {
   let browser;
   try {
     // Reset progress
@@ -2487,17 +2757,19 @@ async function runGemSyncInBackground() {
     gemSyncProgress.progress = 0;
     gemSyncProgress.error = userMessage;
     gemSyncProgress.isRunning = false;
+    
+    // Let the job queue record the failure and retry
+    throw new Error(userMessage);
   }
+  
+  return gemSyncProgress.result;
 }
 
+// Each attempt sends a new login email, so only retry once
+registerJobHandler('gem_sync', runGemSyncJob, { concurrency: 1, maxAttempts: 2 });
+
 // Sync Gem items - trigger in background
-app.post('/admin/sync-gem', async (req, res) => {
-  const { auth } = req.headers;
-  
-  if (auth !== ADMIN_PASSWORD) {
-    return res.status(401).json({ success: false, message: 'Unauthorized' });
-  }
-  
+app.post('/admin/sync-gem', requireAdmin(), async (req, res) => {
   if (!GEM_EMAIL) {
     return res.status(500).json({ 
       success: false, 
@@ -2514,25 +2786,34 @@ app.post('/admin/sync-gem', async (req, res) => {
     });
   }
   
-  // Start background process (don't await it)
-  runGemSyncInBackground();
-  
-  // Return immediately
-  res.json({
-    success: true,
-    message: 'Gem sync started in background',
-    isRunning: true
-  });
+  try {
+    // Queue the sync (deduped, so a queued or retrying sync isn't started twice)
+    const { job, created } = await enqueueJob('gem_sync', {}, { dedupeKey: 'gem_sync' });
+    
+    if (!created) {
+      return res.json({
+        success: false,
+        message: 'Gem sync is already queued. Please wait for it to complete.',
+        isRunning: true,
+        jobId: job.id
+      });
+    }
+    
+    // Return immediately
+    res.json({
+      success: true,
+      message: 'Gem sync started in background',
+      isRunning: true,
+      jobId: job.id
+    });
+  } catch (error) {
+    console.error('❌ Failed to queue Gem sync:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
 });
 
 // Get Gem sync status
-app.get('/admin/gem-sync-status', (req, res) => {
-  const { auth } = req.headers;
-  
-  if (auth !== ADMIN_PASSWORD) {
-    return res.status(401).json({ success: false, message: 'Unauthorized' });
-  }
-  
+app.get('/admin/gem-sync-status', requireAdmin(), (req, res) => {
   res.json({
     isRunning: gemSyncProgress.isRunning,
     currentStep: gemSyncProgress.currentStep,
@@ -2545,13 +2826,7 @@ app.get('/admin/gem-sync-status', (req, res) => {
 
 
 // Generate featured sales assets
-app.post('/admin/generate-featured-assets', async (req, res) => {
-  const { auth } = req.headers;
-  
-  if (auth !== ADMIN_PASSWORD) {
-    return res.status(401).json({ success: false, message: 'Unauthorized' });
-  }
-  
+app.post('/admin/generate-featured-assets', requireAdmin(), async (req, res) => {
   try {
     const { saleIds } = req.body;
     
@@ -2584,13 +2859,7 @@ app.post('/admin/generate-featured-assets', async (req, res) => {
 });
 
 // Get picks for a specific sale (PostgreSQL)
-app.get('/admin/sale/:saleId/picks', async (req, res) => {
-  const { auth } = req.headers;
-  
-  if (auth !== ADMIN_PASSWORD) {
-    return res.status(401).json({ success: false, message: 'Unauthorized' });
-  }
-  
+app.get('/admin/sale/:saleId/picks', requireAdmin(), async (req, res) => {
   try {
     const { saleId } = req.params;
     
@@ -2627,6 +2896,10 @@ app.get('/admin/sale/:saleId/picks', async (req, res) => {
       productUrl: row.product_url || '',
       shopmyUrl: row.shopmy_url || '',
       sizes: row.sizes || [],
+      sizeAvailability: row.size_availability || [],
+      currency: row.currency || 'USD',
+      localOriginalPrice: parseFloat(row.local_original_price) || null,
+      localSalePrice: parseFloat(row.local_sale_price) || null,
       confidence: row.confidence ? parseFloat(row.confidence) : null,
       entryType: row.entry_type || null
     }));
@@ -2641,142 +2914,105 @@ app.get('/admin/sale/:saleId/picks', async (req, res) => {
 
 // ============== Background Job System for Asset Generation ==============
 
-// In-memory tracking of running jobs (for the current process)
-const runningJobs = new Map();
-
-// Process a job in the background
-async function processAssetJob(jobId) {
-  try {
-    // Get job from database
-    const jobResult = await pool.query('SELECT * FROM asset_jobs WHERE id = $1', [jobId]);
-    if (jobResult.rows.length === 0) return;
-    
-    const job = jobResult.rows[0];
-    // Parse config from JSON if it's a string (PostgreSQL JSONB should auto-parse, but be safe)
-    const config = typeof job.config === 'string' ? JSON.parse(job.config) : job.config;
-    const { saleId, mainAsset, storyPicks } = config;
-    
-    // Update status to processing
-    await pool.query(
-      'UPDATE asset_jobs SET status = $1, updated_at = NOW() WHERE id = $2',
-      ['processing', jobId]
-    );
-    
-    console.log(`\n📸 [Job ${jobId}] Processing asset generation for sale ${saleId}...`);
-    const results = [];
-    
-    const totalSteps = (mainAsset ? 1 : 0) + (storyPicks?.length || 0);
-    let currentStep = 0;
+// Asset generation job handler (runs from the job queue)
+// Per-asset failures are recorded in the results; only fatal errors retry the job.
+async function runAssetGenerationJob(job, { updateProgress }) {
+  const jobId = job.id;
+  const { saleId, mainAsset, storyPicks } = job.config;
+  
+  console.log(`\n📸 [Job ${jobId}] Processing asset generation for sale ${saleId}...`);
+  const results = [];
+  
+  const totalSteps = (mainAsset ? 1 : 0) + (storyPicks?.length || 0);
+  let currentStep = 0;
+  
+  // Generate main asset if requested
+  if (mainAsset) {
+    currentStep++;
+    await updateProgress({ progress: currentStep, total: totalSteps, currentStep: 'Generating main sale story...' });
     
-    // Generate main asset if requested
-    if (mainAsset) {
+    try {
+      const customNote = mainAsset.customNote || '';
+      const result = await generateMainSaleStory(saleId, customNote);
+      results.push({ type: 'main', success: true, ...result });
+    } catch (error) {
+      console.error(`[Job ${jobId}] Main asset generation error:`, error);
+      results.push({ type: 'main', success: false, error: error.message });
+    }
+  }
+  
+  // Generate individual story images
+  if (storyPicks && storyPicks.length > 0) {
+    for (let i = 0; i < storyPicks.length; i++) {
+      const pickConfig = storyPicks[i];
       currentStep++;
-      await pool.query(
-        'UPDATE asset_jobs SET progress = $1, total = $2, current_step = $3, updated_at = NOW() WHERE id = $4',
-        [currentStep, totalSteps, 'Generating main sale story...', jobId]
-      );
+      await updateProgress({ progress: currentStep, total: totalSteps, currentStep: `Generating story ${i + 1} of ${storyPicks.length}...` });
       
       try {
-        const customNote = mainAsset.customNote || '';
-        const result = await generateMainSaleStory(saleId, customNote);
-        results.push({ type: 'main', success: true, ...result });
+        const result = await generatePickStoryWithCopy(pickConfig.pickId, pickConfig.customCopy || '');
+        results.push({ type: 'story', pickId: pickConfig.pickId, success: true, ...result });
       } catch (error) {
-        console.error(`[Job ${jobId}] Main asset generation error:`, error);
-        results.push({ type: 'main', success: false, error: error.message });
-      }
-    }
-    
-    // Generate individual story images
-    if (storyPicks && storyPicks.length > 0) {
-      for (let i = 0; i < storyPicks.length; i++) {
-        const pickConfig = storyPicks[i];
-        currentStep++;
-        await pool.query(
-          'UPDATE asset_jobs SET progress = $1, total = $2, current_step = $3, updated_at = NOW() WHERE id = $4',
-          [currentStep, totalSteps, `Generating story ${i + 1} of ${storyPicks.length}...`, jobId]
-        );
-        
-        try {
-          const result = await generatePickStoryWithCopy(pickConfig.pickId, pickConfig.customCopy || '');
-          results.push({ type: 'story', pickId: pickConfig.pickId, success: true, ...result });
-        } catch (error) {
-          console.error(`[Job ${jobId}] Story generation error for pick ${pickConfig.pickId}:`, error);
-          results.push({ type: 'story', pickId: pickConfig.pickId, success: false, error: error.message });
-        }
+        console.error(`[Job ${jobId}] Story generation error for pick ${pickConfig.pickId}:`, error);
+        results.push({ type: 'story', pickId: pickConfig.pickId, success: false, error: error.message });
       }
     }
-    
-    // Get sale name for display
-    let saleName = 'Unknown Sale';
-    try {
-      const saleUrl = `https://api.airtable.com/v0/${AIRTABLE_BASE_ID}/Sales/${saleId}`;
-      const saleRes = await fetch(saleUrl, {
-        headers: { 'Authorization': `Bearer ${AIRTABLE_PAT}` }
-      });
-      if (saleRes.ok) {
-        const saleData = await saleRes.json();
-        saleName = saleData.fields.OriginalCompanyName || saleData.fields.CompanyName || 'Unknown Sale';
-      }
-    } catch (e) { 
-      console.log(`[Job ${jobId}] Could not fetch sale name:`, e.message);
+  }
+  
+  // Get sale name for display
+  let saleName = 'Unknown Sale';
+  try {
+    const saleUrl = `https://api.airtable.com/v0/${AIRTABLE_BASE_ID}/Sales/${saleId}`;
+    const saleRes = await fetch(saleUrl, {
+      headers: { 'Authorization': `Bearer ${AIRTABLE_PAT}` }
+    });
+    if (saleRes.ok) {
+      const saleData = await saleRes.json();
+      saleName = saleData.fields.OriginalCompanyName || saleData.fields.CompanyName || 'Unknown Sale';
     }
+  } catch (e) { 
+    console.log(`[Job ${jobId}] Could not fetch sale name:`, e.message);
+  }
+  
+  // Save results to generated_assets table
+  try {
+    await pool.query('DELETE FROM generated_assets WHERE sale_id = $1', [saleId]);
     
-    // Save results to generated_assets table
-    try {
-      await pool.query('DELETE FROM generated_assets WHERE sale_id = $1', [saleId]);
-      
-      for (const result of results) {
-        await pool.query(
-          `INSERT INTO generated_assets (sale_id, sale_name, asset_type, pick_id, filename, drive_file_id, drive_url, local_path, success, error)
-           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
-          [
-            saleId,
-            saleName,
-            result.type === 'story' ? 'story' : 'main',
-            result.pickId || null,
-            result.filename || null,
-            result.driveFileId || null,
-            result.driveUrl || null,
-            result.localUrl || null,
-            result.success,
-            result.error || null
-          ]
-        );
-      }
-      console.log(`[Job ${jobId}] 💾 Saved ${results.length} assets to database`);
-    } catch (dbError) {
-      console.error(`[Job ${jobId}] Failed to save assets to database:`, dbError.message);
+    for (const result of results) {
+      await pool.query(
+        `INSERT INTO generated_assets (sale_id, sale_name, asset_type, pick_id, filename, drive_file_id, drive_url, local_path, success, error)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+        [
+          saleId,
+          saleName,
+          result.type === 'story' ? 'story' : 'main',
+          result.pickId || null,
+          result.filename || null,
+          result.driveFileId || null,
+          result.driveUrl || null,
+          result.localUrl || null,
+          result.success,
+          result.error || null
+        ]
+      );
     }
-    
-    // Mark job as completed
-    const successCount = results.filter(r => r.success).length;
-    await pool.query(
-      'UPDATE asset_jobs SET status = $1, progress = $2, total = $3, current_step = $4, results = $5, updated_at = NOW() WHERE id = $6',
-      ['completed', totalSteps, totalSteps, `Generated ${successCount}/${results.length} assets`, JSON.stringify({ saleName, saleId, results }), jobId]
-    );
-    
-    console.log(`[Job ${jobId}] ✅ Completed: ${successCount}/${results.length} assets generated`);
-    runningJobs.delete(jobId);
-    
-  } catch (error) {
-    console.error(`[Job ${jobId}] Fatal error:`, error);
-    await pool.query(
-      'UPDATE asset_jobs SET status = $1, error = $2, updated_at = NOW() WHERE id = $3',
-      ['failed', error.message, jobId]
-    );
-    runningJobs.delete(jobId);
+    console.log(`[Job ${jobId}] 💾 Saved ${results.length} assets to database`);
+  } catch (dbError) {
+    console.error(`[Job ${jobId}] Failed to save assets to database:`, dbError.message);
   }
+  
+  const successCount = results.filter(r => r.success).length;
+  await updateProgress({ progress: totalSteps, total: totalSteps, currentStep: `Generated ${successCount}/${results.length} assets` });
+  
+  console.log(`[Job ${jobId}] ✅ Completed: ${successCount}/${results.length} assets generated`);
+  
+  return { saleName, saleId, results };
 }
 
+registerJobHandler('asset_generation', runAssetGenerationJob, { concurrency: 1, maxAttempts: 2 });
+
 // Start a new asset generation job
-app.post('/admin/asset-jobs', async (req, res) => {
+app.post('/admin/asset-jobs', requireAdmin(), async (req, res) => {
   console.log('📋 POST /admin/asset-jobs received');
-  const { auth } = req.headers;
-  
-  if (auth !== ADMIN_PASSWORD) {
-    console.log('   ❌ Unauthorized');
-    return res.status(401).json({ success: false, message: 'Unauthorized' });
-  }
   
   try {
     const { saleId, mainAsset, storyPicks } = req.body;
@@ -2790,22 +3026,15 @@ app.post('/admin/asset-jobs', async (req, res) => {
     
     const totalSteps = (mainAsset ? 1 : 0) + (storyPicks?.length || 0);
     
-    // Create job in database
-    const result = await pool.query(
-      `INSERT INTO asset_jobs (sale_id, status, config, progress, total, current_step)
-       VALUES ($1, $2, $3, $4, $5, $6) RETURNING id`,
-      [saleId, 'pending', JSON.stringify({ saleId, mainAsset, storyPicks }), 0, totalSteps, 'Queued...']
-    );
+    // Queue the job - the job queue picks it up right away
+    const { job } = await enqueueJob('asset_generation', { saleId, mainAsset, storyPicks }, {
+      saleId,
+      total: totalSteps
+    });
     
-    const jobId = result.rows[0].id;
+    const jobId = job.id;
     console.log(`📋 Created asset job ${jobId} for sale ${saleId}`);
     
-    // Start processing in the background (don't await)
-    runningJobs.set(jobId, true);
-    processAssetJob(jobId).catch(err => {
-      console.error(`Job ${jobId} failed:`, err);
-    });
-    
     res.json({ success: true, jobId, message: 'Job started' });
     
   } catch (error) {
@@ -2815,20 +3044,14 @@ app.post('/admin/asset-jobs', async (req, res) => {
 });
 
 // Get active job for a sale (MUST come before /:jobId to avoid route conflict)
-app.get('/admin/asset-jobs/active/:saleId', async (req, res) => {
-  const { auth } = req.headers;
-  
-  if (auth !== ADMIN_PASSWORD) {
-    return res.status(401).json({ success: false, message: 'Unauthorized' });
-  }
-  
+app.get('/admin/asset-jobs/active/:saleId', requireAdmin(), async (req, res) => {
   try {
     const { saleId } = req.params;
     
     // Find active or recent job for this sale
     const result = await pool.query(
       `SELECT * FROM asset_jobs 
-       WHERE sale_id = $1 AND status IN ('pending', 'processing')
+       WHERE sale_id = $1 AND job_type = 'asset_generation' AND status IN ('pending', 'processing')
        ORDER BY created_at DESC LIMIT 1`,
       [saleId]
     );
@@ -2859,13 +3082,7 @@ app.get('/admin/asset-jobs/active/:saleId', async (req, res) => {
 });
 
 // Get job status by ID
-app.get('/admin/asset-jobs/:jobId', async (req, res) => {
-  const { auth } = req.headers;
-  
-  if (auth !== ADMIN_PASSWORD) {
-    return res.status(401).json({ success: false, message: 'Unauthorized' });
-  }
-  
+app.get('/admin/asset-jobs/:jobId', requireAdmin(), async (req, res) => {
   try {
     const { jobId } = req.params;
     const result = await pool.query('SELECT * FROM asset_jobs WHERE id = $1', [jobId]);
@@ -2898,13 +3115,7 @@ app.get('/admin/asset-jobs/:jobId', async (req, res) => {
 });
 
 // Save asset configuration for a sale
-app.post('/admin/asset-config/:saleId', async (req, res) => {
-  const { auth } = req.headers;
-  
-  if (auth !== ADMIN_PASSWORD) {
-    return res.status(401).json({ success: false, message: 'Unauthorized' });
-  }
-  
+app.post('/admin/asset-config/:saleId', requireAdmin(), async (req, res) => {
   try {
     const { saleId } = req.params;
     const config = req.body;
@@ -2925,13 +3136,7 @@ app.post('/admin/asset-config/:saleId', async (req, res) => {
 });
 
 // Get asset configuration for a sale
-app.get('/admin/asset-config/:saleId', async (req, res) => {
-  const { auth } = req.headers;
-  
-  if (auth !== ADMIN_PASSWORD) {
-    return res.status(401).json({ success: false, message: 'Unauthorized' });
-  }
-  
+app.get('/admin/asset-config/:saleId', requireAdmin(), async (req, res) => {
   try {
     const { saleId } = req.params;
     const result = await pool.query('SELECT * FROM asset_configs WHERE sale_id = $1', [saleId]);
@@ -2948,17 +3153,72 @@ app.get('/admin/asset-config/:saleId', async (req, res) => {
   }
 });
 
+// List queued, running, failed and recent jobs of every type
+app.get('/admin/jobs', requireAdmin(), async (req, res) => {
+  try {
+    const { status, type } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    
+    const [jobs, counts] = await Promise.all([
+      getJobs({ status, jobType: type, limit }),
+      getJobCounts()
+    ]);
+    
+    res.json({
+      success: true,
+      counts,
+      jobs: jobs.map(job => ({
+        id: job.id,
+        type: job.job_type,
+        saleId: job.sale_id,
+        status: job.status,
+        progress: job.progress,
+        total: job.total,
+        currentStep: job.current_step,
+        attempts: job.attempts,
+        maxAttempts: job.max_attempts,
+        runAt: job.run_at,
+        error: job.error,
+        config: job.config,
+        createdAt: job.created_at,
+        startedAt: job.started_at,
+        finishedAt: job.finished_at,
+        updatedAt: job.updated_at
+      }))
+    });
+    
+  } catch (error) {
+    console.error('Error fetching jobs:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Retry a failed job
+app.post('/admin/jobs/:jobId/retry', requireAdmin(), async (req, res) => {
+  if (!/^\d+$/.test(req.params.jobId)) {
+    return res.status(400).json({ success: false, message: 'Invalid job ID' });
+  }
+  
+  try {
+    const job = await retryJob(parseInt(req.params.jobId));
+    
+    if (!job) {
+      return res.status(404).json({ success: false, message: 'Failed job not found' });
+    }
+    
+    res.json({ success: true, message: `Job ${job.id} queued for retry` });
+    
+  } catch (error) {
+    console.error('Error retrying job:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
 // ============== End Background Job System ==============
 
 // Generate custom assets with configuration
 // SSE endpoint for asset generation with progress updates (legacy - kept for compatibility)
-app.post('/admin/generate-custom-assets-stream', async (req, res) => {
-  const { auth } = req.headers;
-  
-  if (auth !== ADMIN_PASSWORD) {
-    return res.status(401).json({ success: false, message: 'Unauthorized' });
-  }
-  
+app.post('/admin/generate-custom-assets-stream', requireAdmin(), async (req, res) => {
   // Set up SSE
   res.setHeader('Content-Type', 'text/event-stream');
   res.setHeader('Cache-Control', 'no-cache');
@@ -3088,13 +3348,7 @@ app.post('/admin/generate-custom-assets-stream', async (req, res) => {
 });
 
 // Legacy non-streaming endpoint (kept for compatibility)
-app.post('/admin/generate-custom-assets', async (req, res) => {
-  const { auth } = req.headers;
-  
-  if (auth !== ADMIN_PASSWORD) {
-    return res.status(401).json({ success: false, message: 'Unauthorized' });
-  }
-  
+app.post('/admin/generate-custom-assets', requireAdmin(), async (req, res) => {
   try {
     const { saleId, mainAsset, storyPicks } = req.body;
     
@@ -3193,11 +3447,7 @@ app.post('/admin/generate-custom-assets', async (req, res) => {
 });
 
 // Helper function for fetching generated assets
-async function fetchGeneratedAssets(saleId, res, auth, ADMIN_PASSWORD, pool) {
-  if (auth !== ADMIN_PASSWORD) {
-    return res.status(401).json({ success: false, message: 'Unauthorized' });
-  }
-  
+async function fetchGeneratedAssets(saleId, res, pool) {
   try {
     let result;
     if (saleId) {
@@ -3249,26 +3499,18 @@ async function fetchGeneratedAssets(saleId, res, auth, ADMIN_PASSWORD, pool) {
 }
 
 // Get generated assets for a specific sale
-app.get('/admin/generated-assets/:saleId', async (req, res) => {
-  const { auth } = req.headers;
+app.get('/admin/generated-assets/:saleId', requireAdmin(), async (req, res) => {
   const { saleId } = req.params;
-  return fetchGeneratedAssets(saleId, res, auth, ADMIN_PASSWORD, pool);
+  return fetchGeneratedAssets(saleId, res, pool);
 });
 
 // Get most recent generated assets
-app.get('/admin/generated-assets', async (req, res) => {
-  const { auth } = req.headers;
-  return fetchGeneratedAssets(null, res, auth, ADMIN_PASSWORD, pool);
+app.get('/admin/generated-assets', requireAdmin(), async (req, res) => {
+  return fetchGeneratedAssets(null, res, pool);
 });
 
 // Get all sales with saved assets (ready to post)
-app.get('/admin/saved-assets', async (req, res) => {
-  const { auth } = req.headers;
-  
-  if (auth !== ADMIN_PASSWORD) {
-    return res.status(401).json({ success: false, message: 'Unauthorized' });
-  }
-  
+app.get('/admin/saved-assets', requireAdmin(), async (req, res) => {
   try {
     const result = await pool.query(`
       SELECT 
@@ -3298,13 +3540,7 @@ app.get('/admin/saved-assets', async (req, res) => {
 });
 
 // Clear generated assets for a sale
-app.delete('/admin/generated-assets/:saleId', async (req, res) => {
-  const { auth } = req.headers;
-  
-  if (auth !== ADMIN_PASSWORD) {
-    return res.status(401).json({ success: false, message: 'Unauthorized' });
-  }
-  
+app.delete('/admin/generated-assets/:saleId', requireAdmin(), async (req, res) => {
   try {
     const { saleId } = req.params;
     await pool.query('DELETE FROM generated_assets WHERE sale_id = $1', [saleId]);
@@ -3318,13 +3554,7 @@ app.delete('/admin/generated-assets/:saleId', async (req, res) => {
 // ========== INSTAGRAM POSTING ENDPOINTS ==========
 
 // Test Instagram connection
-app.get('/admin/instagram/test', async (req, res) => {
-  const { auth } = req.headers;
-  
-  if (auth !== ADMIN_PASSWORD) {
-    return res.status(401).json({ success: false, message: 'Unauthorized' });
-  }
-  
+app.get('/admin/instagram/test', requireAdmin(), async (req, res) => {
   try {
     const result = await testInstagramConnection();
     res.json(result);
@@ -3334,13 +3564,7 @@ app.get('/admin/instagram/test', async (req, res) => {
 });
 
 // Get connected Instagram accounts
-app.get('/admin/instagram/accounts', async (req, res) => {
-  const { auth } = req.headers;
-  
-  if (auth !== ADMIN_PASSWORD) {
-    return res.status(401).json({ success: false, message: 'Unauthorized' });
-  }
-  
+app.get('/admin/instagram/accounts', requireAdmin(), async (req, res) => {
   try {
     const accounts = await getConnectedAccounts();
     res.json({ success: true, accounts });
@@ -3350,13 +3574,7 @@ app.get('/admin/instagram/accounts', async (req, res) => {
 });
 
 // Post a single image to Instagram
-app.post('/admin/instagram/post', async (req, res) => {
-  const { auth } = req.headers;
-  
-  if (auth !== ADMIN_PASSWORD) {
-    return res.status(401).json({ success: false, message: 'Unauthorized' });
-  }
-  
+app.post('/admin/instagram/post', requireAdmin(), async (req, res) => {
   try {
     const { imageUrl, caption, isStory } = req.body;
     
@@ -3374,13 +3592,7 @@ app.post('/admin/instagram/post', async (req, res) => {
 });
 
 // Post a carousel to Instagram
-app.post('/admin/instagram/carousel', async (req, res) => {
-  const { auth } = req.headers;
-  
-  if (auth !== ADMIN_PASSWORD) {
-    return res.status(401).json({ success: false, message: 'Unauthorized' });
-  }
-  
+app.post('/admin/instagram/carousel', requireAdmin(), async (req, res) => {
   try {
     const { imageUrls, caption } = req.body;
     
@@ -3398,13 +3610,7 @@ app.post('/admin/instagram/carousel', async (req, res) => {
 });
 
 // Schedule a post for later
-app.post('/admin/instagram/schedule', async (req, res) => {
-  const { auth } = req.headers;
-  
-  if (auth !== ADMIN_PASSWORD) {
-    return res.status(401).json({ success: false, message: 'Unauthorized' });
-  }
-  
+app.post('/admin/instagram/schedule', requireAdmin(), async (req, res) => {
   try {
     const { imageUrl, caption, scheduledFor, isStory } = req.body;
     
@@ -3422,13 +3628,7 @@ app.post('/admin/instagram/schedule', async (req, res) => {
 });
 
 // Generate asset AND post to Instagram in one step
-app.post('/admin/generate-and-post', async (req, res) => {
-  const { auth } = req.headers;
-  
-  if (auth !== ADMIN_PASSWORD) {
-    return res.status(401).json({ success: false, message: 'Unauthorized' });
-  }
-  
+app.post('/admin/generate-and-post', requireAdmin(), async (req, res) => {
   try {
     const { saleId, mainAsset, storyPicks, caption, postMainAsset, postStories } = req.body;
     
@@ -3516,13 +3716,7 @@ app.post('/admin/generate-and-post', async (req, res) => {
 // ========== FRESHNESS TRACKING ENDPOINTS ==========
 
 // Get all picks with freshness data for admin panel (PostgreSQL)
-app.get('/admin/picks', async (req, res) => {
-  const { auth } = req.headers;
-  
-  if (auth !== ADMIN_PASSWORD) {
-    return res.status(401).json({ success: false, message: 'Unauthorized' });
-  }
-  
+app.get('/admin/picks', requireAdmin(), async (req, res) => {
   try {
     // Fetch all picks from PostgreSQL with sale and company data
     const picksResult = await pool.query(`
@@ -3589,13 +3783,7 @@ app.get('/admin/picks', async (req, res) => {
 });
 
 // Refresh specific picks (check availability) - PostgreSQL
-app.post('/admin/picks/refresh', async (req, res) => {
-  const { auth } = req.headers;
-  
-  if (auth !== ADMIN_PASSWORD) {
-    return res.status(401).json({ success: false, message: 'Unauthorized' });
-  }
-  
+app.post('/admin/picks/refresh', requireAdmin(), async (req, res) => {
   try {
     const { pickIds } = req.body;
     
@@ -3636,58 +3824,34 @@ app.post('/admin/picks/refresh', async (req, res) => {
         }
         
         // Fetch the pick data
-        const pickResult = await pool.query('SELECT * FROM picks WHERE id = $1', [pgPickId]);
+        const pickData = await getPickById(pgPickId);
         
-        if (pickResult.rows.length === 0) {
+        if (!pickData) {
           results.push({ pickId, success: false, error: 'Pick not found' });
           continue;
         }
         
-        const pickData = pickResult.rows[0];
-        const productUrl = pickData.product_url;
-        
-        if (!productUrl) {
+        if (!pickData.product_url) {
           results.push({ pickId, success: false, error: 'No product URL' });
           continue;
         }
         
         console.log(`  Checking: ${pickData.product_name}`);
         
-        // Use the existing hybrid scraper to check the product
-        const scrapeResult = await scrapeProduct(productUrl);
-        
-        let availabilityStatus = 'Unknown';
-        let confidence = scrapeResult.confidence || 0;
-        
-        // Determine availability based on scrape results
-        if (scrapeResult.success && confidence > 50) {
-          availabilityStatus = 'In Stock';
-        } else if (confidence <= 50) {
-          availabilityStatus = 'Unknown';
-        }
-        
-        // Calculate next check date (14 days from now)
-        const today = new Date();
-        const nextCheckDue = new Date(today.getTime() + (14 * 24 * 60 * 60 * 1000));
-        
-        // Update the pick in PostgreSQL
-        await pool.query(`
-          UPDATE picks SET
-            availability_status = $1,
-            last_validated_at = $2,
-            next_check_due = $3,
-            hidden_until_fresh = false,
-            updated_at = NOW()
-          WHERE id = $4
-        `, [availabilityStatus, today, nextCheckDue, pgPickId]);
+        const sale = pickData.sale_id ? await getSaleById(pickData.sale_id) : null;
+        const check = await checkPickFreshness(pickData, sale, {
+          openai,
+          shouldAutofillBrand,
+          logger: console
+        });
         
         results.push({ 
           pickId, 
           success: true, 
-          status: availabilityStatus,
-          confidence
+          ...check,
+          nextCheckDue: check.nextCheckDue.toISOString()
         });
-        console.log(`  ✅ Updated: ${availabilityStatus} (confidence: ${confidence}%)`);
+        console.log(`  ✅ Updated: ${check.status} (confidence: ${check.confidence}%)`);
         
       } catch (error) {
         console.error(`  ❌ Error checking pick ${pickId}:`, error.message);
@@ -3695,14 +3859,13 @@ app.post('/admin/picks/refresh', async (req, res) => {
       }
     }
     
-    // Clear sales cache after updating picks
-    clearSalesCache();
-    
     const successCount = results.filter(r => r.success).length;
+    const priceDropCount = results.filter(r => r.priceChange?.direction === 'drop').length;
     
     res.json({
       success: true,
-      message: `Refreshed ${successCount}/${pickIds.length} picks`,
+      message: `Refreshed ${successCount}/${pickIds.length} picks` +
+        (priceDropCount > 0 ? ` (${priceDropCount} price drop${priceDropCount === 1 ? '' : 's'})` : ''),
       results
     });
     
@@ -3716,13 +3879,7 @@ app.post('/admin/picks/refresh', async (req, res) => {
 });
 
 // Mark picks as sold out - PostgreSQL
-app.post('/admin/picks/mark-sold-out', async (req, res) => {
-  const { auth } = req.headers;
-  
-  if (auth !== ADMIN_PASSWORD) {
-    return res.status(401).json({ success: false, message: 'Unauthorized' });
-  }
-  
+app.post('/admin/picks/mark-sold-out', requireAdmin(), async (req, res) => {
   try {
     const { pickIds } = req.body;
     
@@ -3763,13 +3920,10 @@ app.post('/admin/picks/mark-sold-out', async (req, res) => {
           continue;
         }
         
-        await pool.query(`
-          UPDATE picks SET
-            availability_status = 'Sold Out',
-            last_validated_at = $1,
-            updated_at = NOW()
-          WHERE id = $2
-        `, [today, pgPickId]);
+        await updatePick(pgPickId, {
+          availabilityStatus: 'Sold Out',
+          lastValidatedAt: today
+        });
         
         results.push({ pickId, success: true });
         console.log(`  ✅ Marked sold out: ${pickId}`);
@@ -3779,9 +3933,6 @@ app.post('/admin/picks/mark-sold-out', async (req, res) => {
       }
     }
     
-    // Clear sales cache
-    clearSalesCache();
-    
     const successCount = results.filter(r => r.success).length;
     
     res.json({
@@ -3799,59 +3950,18 @@ app.post('/admin/picks/mark-sold-out', async (req, res) => {
   }
 });
 
-// Nightly freshness check - checks picks from active sales
-app.post('/admin/picks/nightly-check', async (req, res) => {
-  const { auth } = req.headers;
-  
-  if (auth !== ADMIN_PASSWORD) {
-    return res.status(401).json({ success: false, message: 'Unauthorized' });
-  }
-  
+// Nightly freshness check - checks all due picks from live sales (PostgreSQL)
+app.post('/admin/picks/nightly-check', requireAdmin(), async (req, res) => {
   try {
     console.log(`\n🌙 Running nightly freshness check...`);
     
-    // Fetch active sales
-    const salesUrl = `https://api.airtable.com/v0/${AIRTABLE_BASE_ID}/${TABLE_NAME}?filterByFormula={Live}='YES'&fields[]=Company`;
-    const salesResponse = await fetch(salesUrl, {
-      headers: {
-        'Authorization': `Bearer ${AIRTABLE_PAT}`,
-      },
-    });
-    
-    if (!salesResponse.ok) {
-      throw new Error('Failed to fetch active sales');
-    }
-    
-    const salesData = await salesResponse.json();
-    const activeSaleIds = salesData.records.map(r => r.id);
-    
-    console.log(`  Found ${activeSaleIds.length} active sales`);
-    
-    // Fetch picks from active sales that are due for checking
-    const today = new Date().toISOString().split('T')[0];
-    
-    // Build filter: picks linked to active sales AND (no NextCheckDue OR NextCheckDue <= today)
-    const saleIdFilters = activeSaleIds.map(id => `FIND('${id}', ARRAYJOIN({SaleID}))`).join(',');
-    const filterFormula = `AND(OR(${saleIdFilters}), OR({NextCheckDue}='', {NextCheckDue}<='${today}'))`;
-    
-    const picksUrl = `https://api.airtable.com/v0/${AIRTABLE_BASE_ID}/${PICKS_TABLE_NAME}?filterByFormula=${encodeURIComponent(filterFormula)}&pageSize=20&fields[]=ProductURL&fields[]=ProductName`;
-    
-    const picksResponse = await fetch(picksUrl, {
-      headers: {
-        'Authorization': `Bearer ${AIRTABLE_PAT}`,
-      },
+    const { dueCount, results } = await runNightlyFreshnessCheck({
+      openai,
+      shouldAutofillBrand,
+      logger: console
     });
     
-    if (!picksResponse.ok) {
-      throw new Error('Failed to fetch picks for checking');
-    }
-    
-    const picksData = await picksResponse.json();
-    const pickIds = picksData.records.map(r => r.id);
-    
-    console.log(`  Found ${pickIds.length} picks to check`);
-    
-    if (pickIds.length === 0) {
+    if (dueCount === 0) {
       return res.json({
         success: true,
         message: 'No picks due for checking',
@@ -3859,62 +3969,12 @@ app.post('/admin/picks/nightly-check', async (req, res) => {
       });
     }
     
-    // Use the refresh endpoint logic to check these picks
-    const results = [];
-    
-    for (const pickId of pickIds) {
-      try {
-        const pickData = picksData.records.find(r => r.id === pickId);
-        const productUrl = pickData.fields.ProductURL;
-        
-        if (!productUrl) continue;
-        
-        console.log(`  Checking: ${pickData.fields.ProductName}`);
-        
-        const scrapeResult = await scrapeProduct(productUrl);
-        
-        let availabilityStatus = 'Unknown';
-        let confidence = scrapeResult.confidence || 0;
-        
-        if (scrapeResult.success && confidence > 50) {
-          availabilityStatus = 'In Stock';
-        } else if (confidence <= 50) {
-          availabilityStatus = 'Unknown';
-        }
-        
-        const nextCheckDue = new Date(new Date().getTime() + (14 * 24 * 60 * 60 * 1000));
-        
-        const updateUrl = `https://api.airtable.com/v0/${AIRTABLE_BASE_ID}/${PICKS_TABLE_NAME}/${pickId}`;
-        const updateResponse = await fetch(updateUrl, {
-          method: 'PATCH',
-          headers: {
-            'Authorization': `Bearer ${AIRTABLE_PAT}`,
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify({
-            fields: {
-              AvailabilityStatus: availabilityStatus,
-              LastValidatedAt: today,
-              NextCheckDue: nextCheckDue.toISOString().split('T')[0]
-            }
-          })
-        });
-        
-        if (updateResponse.ok) {
-          results.push({ pickId, success: true, status: availabilityStatus });
-        }
-        
-      } catch (error) {
-        console.error(`  ❌ Error checking pick:`, error.message);
-      }
-    }
-    
-    clearSalesCache();
+    const checkedCount = results.filter(r => r.success).length;
     
     res.json({
       success: true,
-      message: `Checked ${results.length} picks`,
-      checkedCount: results.length,
+      message: `Checked ${checkedCount}/${dueCount} picks`,
+      checkedCount,
       results
     });
     
@@ -3927,6 +3987,123 @@ app.post('/admin/picks/nightly-check', async (req, res) => {
   }
 });
 
+/**
+ * Resolve a pick/sale ID (pg_123, rec..., or 123) to its PostgreSQL ID
+ */
+async function resolvePostgresId(table, id) {
+  if (id.startsWith('pg_')) {
+    const numericPart = id.replace('pg_', '');
+    return /^\d+$/.test(numericPart) ? parseInt(numericPart) : null;
+  }
+  if (id.startsWith('rec')) {
+    const result = await pool.query(`SELECT id FROM ${table} WHERE airtable_id = $1`, [id]);
+    return result.rows[0]?.id || null;
+  }
+  return /^\d+$/.test(id) ? parseInt(id) : null;
+}
+
+function formatPriceHistoryRow(row) {
+  return {
+    pickId: `pg_${row.pick_id}`,
+    productName: row.product_name,
+    originalPrice: row.original_price !== null ? parseFloat(row.original_price) : null,
+    salePrice: row.sale_price !== null ? parseFloat(row.sale_price) : null,
+    percentOff: row.percent_off !== null ? parseFloat(row.percent_off) : null,
+    availabilityStatus: row.availability_status,
+    source: row.source,
+    recordedAt: row.recorded_at
+  };
+}
+
+// Price timeline for a pick (?pickId=) or every pick in a sale (?saleId=)
+app.get('/admin/price-history', requireAdmin(), async (req, res) => {
+  try {
+    const { pickId, saleId } = req.query;
+    
+    if (pickId) {
+      const pgPickId = await resolvePostgresId('picks', String(pickId));
+      if (!pgPickId) {
+        return res.status(404).json({ success: false, message: 'Pick not found' });
+      }
+      
+      const rows = await getPriceHistoryByPickId(pgPickId);
+      return res.json({ success: true, history: rows.map(formatPriceHistoryRow) });
+    }
+    
+    if (saleId) {
+      const pgSaleId = await resolvePostgresId('sales', String(saleId));
+      if (!pgSaleId) {
+        return res.status(404).json({ success: false, message: 'Sale not found' });
+      }
+      
+      const rows = await getPriceHistoryBySaleId(pgSaleId);
+      return res.json({ success: true, history: rows.map(formatPriceHistoryRow) });
+    }
+    
+    res.status(400).json({ success: false, message: 'Please provide a pickId or saleId' });
+    
+  } catch (error) {
+    console.error('❌ Error fetching price history:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: error.message 
+    });
+  }
+});
+
+// ========== SALE SCHEDULE ENDPOINTS ==========
+
+// Run the go-live / expiry schedule now
+app.post('/admin/sales/run-schedule', requireAdmin('approver'), async (req, res) => {
+  try {
+    const { activated, expired } = await runSaleSchedule();
+    
+    res.json({
+      success: true,
+      message: `Activated ${activated.length} sales, expired ${expired.length} sales`,
+      activated: activated.map(s => `pg_${s.id}`),
+      expired: expired.map(s => `pg_${s.id}`)
+    });
+    
+  } catch (error) {
+    console.error('❌ Sale schedule error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: error.message 
+    });
+  }
+});
+
+// Audit log of automatic go-live / expiry transitions
+app.get('/admin/sales/schedule-log', requireAdmin(), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    const rows = await getSaleScheduleLog(limit);
+    
+    res.json({
+      success: true,
+      log: rows.map(row => ({
+        id: row.id,
+        saleId: `pg_${row.sale_id}`,
+        company: row.company_name,
+        action: row.action,
+        previousLive: row.previous_live,
+        newLive: row.new_live,
+        startDate: row.start_date,
+        endDate: row.end_date,
+        createdAt: row.created_at
+      }))
+    });
+    
+  } catch (error) {
+    console.error('❌ Error fetching schedule log:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: error.message 
+    });
+  }
+});
+
 // ========================================
 // COMPANY AUTO-LINKING HELPERS
 // ========================================
@@ -4011,14 +4188,9 @@ async function findOrCreateCompany(companyName) {
     // No match found - create new Company record in PostgreSQL
     console.log(`➕ Creating new company record: "${companyName}"`);
     
-    const insertResult = await pool.query(
-      `INSERT INTO companies (name, type, created_at) 
-       VALUES ($1, $2, NOW()) 
-       RETURNING id`,
-      [companyName, 'Brand']
-    );
+    const company = await createCompany({ name: companyName, type: 'Brand' });
     
-    const newId = insertResult.rows[0].id;
+    const newId = company.id;
     console.log(`✅ Created new company: pg_${newId}`);
     return `pg_${newId}`;
     
@@ -4111,250 +4283,311 @@ async function findLiveSaleForCompany(companyRecordId, companyName) {
 }
 
 /**
- * Transfer picks from one sale to another (using PostgreSQL)
- * Updates the sale_id field on pick records
+ * Approve a pending sale into PostgreSQL
+ * The sale it supersedes is either the one chosen by the admin (replaceSaleId,
+ * deleted) or the company's current live sale (deactivated) - one live sale
+ * per company. Picks move to the new sale in the same transaction.
+ * Returns { success, status?, error?, sale, picksTransferred, replacedSaleId }
  */
-async function transferPicksToNewSale(oldSaleId, newSaleId) {
-  console.log(`🔄 Transferring picks from sale ${oldSaleId} to ${newSaleId}`);
+async function approveSale(pendingSaleId, { replaceSaleId = null, approvedVia = 'admin' } = {}) {
+  const pendingSale = await getPendingSaleById(pendingSaleId);
   
-  try {
-    // Resolve old sale ID to PostgreSQL ID
-    let pgOldSaleId = null;
-    if (oldSaleId.startsWith('pg_')) {
-      pgOldSaleId = parseInt(oldSaleId.replace('pg_', ''));
-    } else if (oldSaleId.startsWith('rec')) {
-      const saleResult = await pool.query(
-        'SELECT id FROM sales WHERE airtable_id = $1',
-        [oldSaleId]
-      );
-      if (saleResult.rows.length > 0) {
-        pgOldSaleId = saleResult.rows[0].id;
-      }
-    }
-    
-    // Resolve new sale ID to PostgreSQL ID
-    let pgNewSaleId = null;
-    if (newSaleId.startsWith('pg_')) {
-      pgNewSaleId = parseInt(newSaleId.replace('pg_', ''));
-    } else if (newSaleId.startsWith('rec')) {
-      const saleResult = await pool.query(
-        'SELECT id FROM sales WHERE airtable_id = $1',
-        [newSaleId]
-      );
-      if (saleResult.rows.length > 0) {
-        pgNewSaleId = saleResult.rows[0].id;
-      }
-    }
-    
-    if (!pgOldSaleId || !pgNewSaleId) {
-      console.log('⚠️ Could not resolve sale IDs');
-      return { transferred: 0, error: 'Could not resolve sale IDs' };
+  if (!pendingSale) {
+    return { success: false, status: 404, error: 'Sale not found or already processed' };
+  }
+  
+  console.log(`✅ Approving sale: ${pendingSale.company} ${pendingSale.percentOff}%`);
+  
+  let oldSaleId = null;
+  let deleteOldSale = false;
+  
+  if (replaceSaleId) {
+    oldSaleId = await resolvePostgresId('sales', replaceSaleId);
+    if (!oldSaleId) {
+      return { success: false, status: 400, error: `Sale to replace not found: ${replaceSaleId}` };
     }
-    
-    // Update picks linked to the old sale
-    const result = await pool.query(
-      'UPDATE picks SET sale_id = $1 WHERE sale_id = $2 RETURNING id',
-      [pgNewSaleId, pgOldSaleId]
-    );
-    
-    const transferred = result.rowCount;
-    console.log(`✅ Transferred ${transferred} picks`);
-    return { transferred, total: transferred };
-    
-  } catch (error) {
-    console.error('❌ Error transferring picks:', error);
-    return { transferred: 0, error: error.message };
+    console.log(`🔄 Will replace existing sale: ${replaceSaleId}`);
+    deleteOldSale = true;
+  } else {
+    // One-live-sale-per-company rule
+    const existingLiveSale = await findLiveSaleForCompany(pendingSale.companyRecordId, pendingSale.company);
+    if (existingLiveSale) {
+      console.log(`📦 Found existing live sale for ${pendingSale.company}: ${existingLiveSale.id}`);
+      oldSaleId = existingLiveSale.pgId;
+    }
+  }
+  
+  const companyId = pendingSale.companyRecordId
+    ? await resolvePostgresId('companies', pendingSale.companyRecordId)
+    : null;
+  
+  const description = JSON.stringify({
+    source: 'email',
+    aiReasoning: pendingSale.reasoning,
+    confidence: pendingSale.confidence,
+    originalEmail: {
+      from: pendingSale.emailFrom,
+      subject: pendingSale.emailSubject,
+      receivedAt: pendingSale.receivedAt
+    },
+    approved: true,
+    approvedVia,
+    approvedAt: new Date().toISOString()
+  });
+  
+  const result = await approvePendingSale(pendingSaleId, { companyId, oldSaleId, deleteOldSale, description });
+  
+  if (!result) {
+    return { success: false, status: 404, error: 'Sale not found or already processed' };
   }
+  
+  console.log(`✅ Created PostgreSQL sale pg_${result.sale.id}` +
+    (oldSaleId ? ` (${deleteOldSale ? 'replaced' : 'deactivated'} pg_${oldSaleId}, moved ${result.picksTransferred} picks)` : ''));
+  
+  return {
+    success: true,
+    sale: result.sale,
+    pendingSale: result.pendingSale,
+    picksTransferred: result.picksTransferred,
+    replacedSaleId: oldSaleId ? `pg_${oldSaleId}` : null
+  };
 }
 
-/**
- * Deactivate (set Live=NO) an existing sale (using PostgreSQL)
- */
-async function deactivateSale(saleId) {
-  console.log(`🔒 Deactivating sale ${saleId}`);
+// ============================================
+// SALE EMAIL PROCESSING
+// ============================================
+
+// Raw emails are kept this long so they can be read and reprocessed
+const INBOUND_EMAIL_RETENTION_DAYS = parseInt(process.env.INBOUND_EMAIL_RETENTION_DAYS || '90', 10) || 90;
+
+// IMPROVED: Extract metadata with multiple fallback paths
+function emailMetadata(emailData) {
+  const from = emailData.envelope?.from || 
+               emailData.headers?.from || 
+               emailData.from || 
+               'unknown';
+  
+  const subject = emailData.headers?.subject || 
+                  emailData.headers?.Subject ||
+                  emailData.subject || 
+                  'No subject';
+  
+  return { from, subject };
+}
+
+// The parts of a CloudMailin payload worth keeping - attachment content is dropped
+function inboundEmailFields(emailData) {
+  const attachments = Array.isArray(emailData.attachments) ? emailData.attachments : [];
+  
+  return {
+    ...emailMetadata(emailData),
+    headers: emailData.headers,
+    envelope: emailData.envelope,
+    plain: emailData.plain || emailData.text || emailData.body || null,
+    html: emailData.html || null,
+    attachments: attachments.map(attachment => ({
+      fileName: attachment.file_name || attachment.filename || null,
+      contentType: attachment.content_type || null,
+      size: attachment.size ?? null,
+      disposition: attachment.disposition || null,
+      url: attachment.url || null
+    }))
+  };
+}
+
+// A stored email rebuilt into the payload shape processSaleEmail reads
+function inboundEmailPayload(row) {
+  return {
+    headers: row.headers || {},
+    envelope: row.envelope || {},
+    plain: row.plain,
+    html: row.html,
+    from: row.from_address,
+    subject: row.subject
+  };
+}
+
+// What processing an email produced: the webhook response plus the outcome
+// (no_content, gem_login, denied, content_filtered, parse_failed, rejected,
+// duplicate, pending_approval, created or error) stored on the inbound email
+function emailOutcome(outcome, response, details = {}) {
+  return { outcome, response, ...details };
+}
+
+async function saveEmailOutcome(inboundEmailId, result) {
+  if (!inboundEmailId) return;
   
   try {
-    // Resolve sale ID to PostgreSQL ID
-    let pgSaleId = null;
-    if (saleId.startsWith('pg_')) {
-      pgSaleId = parseInt(saleId.replace('pg_', ''));
-    } else if (saleId.startsWith('rec')) {
-      const saleResult = await pool.query(
-        'SELECT id FROM sales WHERE airtable_id = $1',
-        [saleId]
-      );
-      if (saleResult.rows.length > 0) {
-        pgSaleId = saleResult.rows[0].id;
-      }
-    }
-    
-    if (!pgSaleId) {
-      console.error('❌ Could not resolve sale ID');
-      return false;
-    }
-    
-    const result = await pool.query(
-      'UPDATE sales SET live = $1 WHERE id = $2',
-      ['NO', pgSaleId]
-    );
-    
-    if (result.rowCount === 0) {
-      console.error('❌ No sale found to deactivate');
-      return false;
+    // Gem login emails carry a live magic link - don't keep them
+    if (result.outcome === 'gem_login') {
+      await deleteInboundEmail(inboundEmailId);
+      return;
     }
     
-    console.log(`✅ Deactivated sale ${saleId}`);
-    return true;
-    
+    await updateInboundEmailOutcome(inboundEmailId, {
+      outcome: result.outcome,
+      message: result.response.message,
+      extractedData: result.extractedData,
+      pendingSaleId: result.pendingSaleId,
+      saleId: result.saleId
+    });
   } catch (error) {
-    console.error('❌ Error deactivating sale:', error);
-    return false;
+    console.error(`⚠️ Failed to save outcome for inbound email ${inboundEmailId}:`, error.message);
   }
 }
 
-// CloudMailin/AgentMail webhook endpoint - IMPROVED VERSION
-app.post('/webhook/agentmail', upload.none(), async (req, res) => {
-  console.log('📧 Received email webhook');
-  console.log('📦 Headers:', JSON.stringify(req.headers, null, 2));
-  
-  // SECURITY: Verify webhook authenticity
-  if (CLOUDMAIL_SECRET) {
-    const authHeader = req.headers.authorization;
-    
-    if (!authHeader || !authHeader.startsWith('Basic ')) {
-      console.error('❌ Unauthorized webhook request - missing Basic Auth');
-      return res.status(401).json({ success: false, message: 'Unauthorized' });
-    }
-    
-    const base64Credentials = authHeader.split(' ')[1];
-    const credentials = Buffer.from(base64Credentials, 'base64').toString('utf-8');
-    const [username, ...passwordParts] = credentials.split(':');
-    const password = passwordParts.join(':'); // Handle colons in password
-    
-    // CloudMailin sends the secret as either username OR password depending on config
-    if (password !== CLOUDMAIL_SECRET && username !== CLOUDMAIL_SECRET) {
-      console.error('❌ Unauthorized webhook request - invalid credentials');
-      console.error('   Expected:', CLOUDMAIL_SECRET);
-      console.error('   Got username:', username);
-      console.error('   Got password:', password);
-      return res.status(401).json({ success: false, message: 'Unauthorized' });
-    }
-    
-    console.log('✅ Webhook authenticated successfully');
-  } else {
-    console.warn('⚠️  CLOUDMAIL_SECRET not configured - webhook is UNPROTECTED!');
+/**
+ * Extract a sale from an email and queue it for approval (or create it)
+ * Shared by the CloudMailin webhook and reprocessing of stored emails.
+ * With confirmedSale (an admin promoting a rejected email) the rejection
+ * checks are skipped and the sale always goes to pending approval.
+ */
+async function processSaleEmail(emailData, { inboundEmailId = null, confirmedSale = false } = {}) {
+  // IMPROVED: Log full structure for debugging
+  console.log('📦 Raw email data keys:', Object.keys(emailData || {}));
+  console.log('📦 Email data structure:', JSON.stringify(emailData, null, 2).substring(0, 1000));
+  
+  const { from, subject } = emailMetadata(emailData);
+  
+  console.log('📧 From:', from);
+  console.log('📧 Subject:', subject);
+  
+  // IMPROVED: Extract and clean email content with better HTML handling
+  let emailContent = '';
+  
+  // Try plain text first (best for AI parsing)
+  if (emailData.plain) {
+    emailContent = emailData.plain;
+    console.log('✅ Using plain text content');
+  } 
+  // Fallback to HTML, but strip tags
+  else if (emailData.html) {
+    console.log('⚠️  No plain text, parsing HTML...');
+    emailContent = emailData.html
+      .replace(/<style[^>]*>[\s\S]*?<\/style>/gi, '') // Remove styles
+      .replace(/<script[^>]*>[\s\S]*?<\/script>/gi, '') // Remove scripts
+      .replace(/<[^>]+>/g, ' ') // Remove HTML tags
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&amp;/g, '&')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/\s+/g, ' ') // Normalize whitespace
+      .trim();
+  }
+  // Last resort fallbacks
+  else if (emailData.text) {
+    emailContent = emailData.text;
+  } else if (emailData.body) {
+    emailContent = emailData.body;
+  }
+  
+  if (!emailContent) {
+    console.error('❌ No email content found in any field');
+    console.error('Available fields:', Object.keys(emailData));
+    return emailOutcome('no_content', { 
+      success: false, 
+      message: 'No content found',
+      availableFields: Object.keys(emailData)
+    });
   }
   
-  try {
-    const emailData = req.body;
-    
-    // IMPROVED: Log full structure for debugging
-    console.log('📦 Raw email data keys:', Object.keys(emailData || {}));
-    console.log('📦 Email data structure:', JSON.stringify(emailData, null, 2).substring(0, 1000));
-    
-    // IMPROVED: Extract metadata with multiple fallback paths
-    const from = emailData.envelope?.from || 
-                 emailData.headers?.from || 
-                 emailData.from || 
-                 'unknown';
-    
-    const subject = emailData.headers?.subject || 
-                    emailData.headers?.Subject ||
-                    emailData.subject || 
-                    'No subject';
-    
-    console.log('📧 From:', from);
-    console.log('📧 Subject:', subject);
-    
-    // IMPROVED: Extract and clean email content with better HTML handling
-    let emailContent = '';
-    
-    // Try plain text first (best for AI parsing)
-    if (emailData.plain) {
-      emailContent = emailData.plain;
-      console.log('✅ Using plain text content');
-    } 
-    // Fallback to HTML, but strip tags
-    else if (emailData.html) {
-      console.log('⚠️  No plain text, parsing HTML...');
-      emailContent = emailData.html
-        .replace(/<style[^>]*>[\s\S]*?<\/style>/gi, '') // Remove styles
-        .replace(/<script[^>]*>[\s\S]*?<\/script>/gi, '') // Remove scripts
-        .replace(/<[^>]+>/g, ' ') // Remove HTML tags
-        .replace(/&nbsp;/g, ' ')
-        .replace(/&amp;/g, '&')
-        .replace(/&lt;/g, '<')
-        .replace(/&gt;/g, '>')
-        .replace(/\s+/g, ' ') // Normalize whitespace
-        .trim();
-    }
-    // Last resort fallbacks
-    else if (emailData.text) {
-      emailContent = emailData.text;
-    } else if (emailData.body) {
-      emailContent = emailData.body;
-    }
-    
-    if (!emailContent) {
-      console.error('❌ No email content found in any field');
-      console.error('Available fields:', Object.keys(emailData));
-      return res.status(200).json({ 
-        success: false, 
-        message: 'No content found',
-        availableFields: Object.keys(emailData)
-      });
-    }
-    
-    console.log('📧 Content length:', emailContent.length);
-    console.log('📧 Content preview:', emailContent.substring(0, 300));
+  console.log('📧 Content length:', emailContent.length);
+  console.log('📧 Content preview:', emailContent.substring(0, 300));
+  
+  // Check if this is a Gem login email (unchanged)
+  const subjectLower = subject.toLowerCase();
+  const isGemEmail = from.includes('gem.app') || 
+                     subjectLower.includes('gem') ||
+                     (subjectLower.includes('log') && subjectLower.includes('in')) ||
+                     subjectLower.includes('login');
+  
+  if (isGemEmail) {
+    console.log('🔐 Detected Gem login email - processing...');
     
-    // Check if this is a Gem login email (unchanged)
-    const subjectLower = subject.toLowerCase();
-    const isGemEmail = from.includes('gem.app') || 
-                       subjectLower.includes('gem') ||
-                       (subjectLower.includes('log') && subjectLower.includes('in')) ||
-                       subjectLower.includes('login');
+    const magicLinkMatch = emailContent.match(/https:\/\/gem\.app\/emailLogIn\?[^\s<>"'\r\n]+/i);
     
-    if (isGemEmail) {
-      console.log('🔐 Detected Gem login email - processing...');
+    if (magicLinkMatch) {
+      const magicLink = magicLinkMatch[0];
+      console.log('✅ Extracted Gem magic link');
       
-      const magicLinkMatch = emailContent.match(/https:\/\/gem\.app\/emailLogIn\?[^\s<>"'\r\n]+/i);
+      gemMagicLinks.link = magicLink;
+      gemMagicLinks.expiresAt = Date.now() + (5 * 60 * 1000);
       
-      if (magicLinkMatch) {
-        const magicLink = magicLinkMatch[0];
-        console.log('✅ Extracted Gem magic link');
-        
-        gemMagicLinks.link = magicLink;
-        gemMagicLinks.expiresAt = Date.now() + (5 * 60 * 1000);
-        
-        if (gemMagicLinks.pendingRequest) {
-          gemMagicLinks.pendingRequest.resolve(magicLink);
-          gemMagicLinks.pendingRequest = null;
-        }
-        
-        return res.status(200).json({ 
-          success: true, 
-          message: 'Gem magic link received and stored'
-        });
-      } else {
-        console.log('❌ Could not extract magic link from Gem email');
-        
-        if (gemMagicLinks.pendingRequest) {
-          gemMagicLinks.pendingRequest.reject(new Error('Magic link not found in email'));
-          gemMagicLinks.pendingRequest = null;
-        }
-        
-        return res.status(200).json({ 
-          success: false, 
-          message: 'Magic link not found in email' 
-        });
+      if (gemMagicLinks.pendingRequest) {
+        gemMagicLinks.pendingRequest.resolve(magicLink);
+        gemMagicLinks.pendingRequest = null;
+      }
+      
+      return emailOutcome('gem_login', { 
+        success: true, 
+        message: 'Gem magic link received and stored'
+      });
+    } else {
+      console.log('❌ Could not extract magic link from Gem email');
+      
+      if (gemMagicLinks.pendingRequest) {
+        gemMagicLinks.pendingRequest.reject(new Error('Magic link not found in email'));
+        gemMagicLinks.pendingRequest = null;
       }
+      
+      return emailOutcome('gem_login', { 
+        success: false, 
+        message: 'Magic link not found in email' 
+      });
     }
-    
+  }
+  
+  // Sender rules: deny known non-sale senders before spending an AI call,
+  // and know the brand up front for mapped senders
+  let senderRule = null;
+  try {
+    senderRule = await findSenderRule(from);
+  } catch (error) {
+    console.error('⚠️ Sender rule lookup failed:', error.message);
+  }
+  
+  if (senderRule) {
+    console.log(`📇 Sender rule ${senderRule.sender}: ${senderRule.policy}${senderRule.company_name ? ` → ${senderRule.company_name}` : ''}`);
+  }
+  
+  if (senderRule?.policy === 'deny' && !confirmedSale) {
+    return emailOutcome('denied', {
+      success: false,
+      message: `Sender ${senderRule.sender} is on the deny list`,
+      from: from,
+      subject: subject
+    });
+  }
+  
+  const senderCompany = senderRule?.company_name || null;
+  
+  // Rule-based pre-parse: hints for the AI, and the extraction itself when
+  // it is conclusive or the AI can't be used
+  const preparse = preparseSaleEmail({ subject, text: emailContent, html: emailData.html || '', company: senderCompany });
+  console.log(`📐 Pre-parse (${preparse.confidence}%): ${describePreparse(preparse)}`);
+  
+  const preparseFallback = (why) => {
+    if (!preparse.percentOff) return null;
+    console.log(`📐 ${why} - using the pre-parse instead`);
+    return {
+      ...preparse,
+      company: preparse.company || senderDisplayName(from),
+      reasoning: `${why}. ${preparse.reasoning}`
+    };
+  };
+  
+  // A mapped brand plus an unambiguous discount, end date and link needs no AI
+  const skipAi = !!senderCompany && !!preparse.saleUrl && preparse.confidence >= PREPARSE_SKIP_AI_CONFIDENCE;
+  
+  let aiResponse = null;
+  let saleData = null;
+  if (skipAi) {
+    console.log('⏩ Pre-parse is conclusive - skipping AI extraction');
+    saleData = { ...preparse };
+  } else {
     console.log('📝 Extracting sale information with AI...');
-    
+  
     // IMPROVED: Better AI prompt with clearer instructions + Azure content filter handling
-    let aiResponse;
     try {
       const completion = await openai.chat.completions.create({
         model: 'gpt-4o-mini',
@@ -4379,14 +4612,19 @@ ACCEPT these types of emails:
 
 Return this JSON structure for VALID PROMOTIONAL SALES:
 {
-  "company": "Brand Name (as it appears in email)",
-  "percentOff": 30,
-  "saleUrl": "https://actual-url-from-email.com/sale",
-  "discountCode": "CODE123",
-  "startDate": "2025-11-22",
-  "endDate": "2025-11-25",
-  "confidence": 85,
-  "reasoning": "Brief explanation of why this is/isn't a promotional sale"
+"company": "Brand Name (as it appears in email)",
+"percentOff": 30,
+"saleUrl": "https://actual-url-from-email.com/sale",
+"discountCode": "CODE123",
+"startDate": "2025-11-22",
+"endDate": "2025-11-25",
+"offers": [
+  {"type": "tiered", "tiers": [{"minSpend": 200, "percentOff": 20}, {"minSpend": 400, "percentOff": 30}], "appliesTo": null, "code": "CODE123"},
+  {"type": "percent", "percentOff": 15, "appliesTo": "full price styles", "code": "FULL15"},
+  {"type": "free_shipping", "minSpend": 100, "appliesTo": null, "code": null}
+],
+"confidence": 85,
+"reasoning": "Brief explanation of why this is/isn't a promotional sale"
 }
 
 Confidence scoring:
@@ -4397,11 +4635,18 @@ Confidence scoring:
 
 Rules:
 - company: Extract exact brand name from email. NEVER use "Well Spent Style", "WellSpentStyle", or "wellspentstyle" as the company name - that is the newsletter name, not the brand running the sale.
-- percentOff: Extract percentage as number (estimate if range like "up to 30%", use midpoint)
+- percentOff: Extract percentage as number (estimate if range like "up to 30%", use midpoint). This is the headline discount - for spend tiers use the highest tier
 - saleUrl: ONLY use a URL that ACTUALLY appears in the email content. If no sale URL is found in the email, return null. NEVER make up or guess a URL. Do not use example.com or placeholder URLs.
-- discountCode: Only if explicitly mentioned (use null if auto-applied at checkout)
+- discountCode: Only if explicitly mentioned (use null if auto-applied at checkout). The code for the headline discount
 - startDate: Use today's date (2025-11-22) in YYYY-MM-DD format
 - endDate: Extract if mentioned, otherwise null
+- offers: Every distinct offer in the email, one entry each (a single plain sitewide discount is one "percent" offer). type is one of:
+  - "percent": percentOff
+  - "tiered": tiers of minSpend with percentOff (or amountOff in dollars), lowest spend first
+  - "fixed_price": price (e.g. "everything $50")
+  - "free_shipping": minSpend if there is one
+  - "gift_with_purchase": gift (what it is) and minSpend if there is one
+  appliesTo is the category or items the offer is limited to (e.g. "sale styles", "dresses"), or null when sitewide. code is that offer's code - separate codes for sale and full-price items are separate offers
 - confidence: 1-100 based on clarity
 - reasoning: Brief explanation of your decision
 
@@ -4413,12 +4658,18 @@ Return ONLY valid JSON, no markdown formatting.`
 Subject: ${subject}
 
 Content:
-${emailContent.substring(0, 4000)}`
+${emailContent.substring(0, 4000)}${senderCompany ? `
+
+This sender is known to be the brand "${senderCompany}" - use that as the company.` : ''}${preparse.percentOff ? `
+
+A rule-based scan of this email found: ${describePreparse(preparse)}. Use these where they agree with the email.` : ''}${confirmedSale ? `
+
+An admin has confirmed this email IS a promotional sale. Do not reject it - extract the sale details as best you can.` : ''}`
           }
         ],
         temperature: 0.1,
       });
-      
+    
       aiResponse = completion.choices[0].message.content.trim();
     } catch (error) {
       // Handle Azure OpenAI content filter (common false positive)
@@ -4426,383 +4677,495 @@ ${emailContent.substring(0, 4000)}`
         console.log('⚠️ Azure content filter triggered - likely a false positive');
         console.log('📧 Email from:', from);
         console.log('📧 Subject:', subject);
-        
-        return res.status(200).json({ 
-          success: false, 
-          message: 'Content filter triggered - email skipped',
-          reason: 'azure_content_filter',
-          from: from,
-          subject: subject
-        });
-      }
       
-      // Re-throw other errors
-      throw error;
+        saleData = preparseFallback('AI content filter triggered');
+        if (!saleData) {
+          return emailOutcome('content_filtered', { 
+            success: false, 
+            message: 'Content filter triggered - email skipped',
+            reason: 'azure_content_filter',
+            from: from,
+            subject: subject
+          });
+        }
+      } else {
+        console.error('❌ AI extraction failed:', error.message);
+        saleData = preparseFallback('AI extraction failed');
+        // Re-throw other errors when there's nothing to fall back on
+        if (!saleData) throw error;
+      }
     }
-    
+  }
+  
+  if (aiResponse) {
     console.log('🤖 AI Response:', aiResponse);
     
     // Parse AI response with better error handling
-    let saleData;
     try {
       const jsonString = aiResponse
         .replace(/```json\n?/g, '')
         .replace(/```\n?/g, '')
         .trim();
-      saleData = JSON.parse(jsonString);
+      saleData = { ...JSON.parse(jsonString), source: 'ai' };
     } catch (parseError) {
       console.error('❌ Failed to parse AI response:', parseError);
       console.error('Raw response:', aiResponse);
-      return res.status(200).json({ 
-        success: false, 
-        message: 'AI response parsing failed',
-        aiResponse: aiResponse
-      });
+      saleData = preparseFallback('AI response parsing failed');
+      if (!saleData) {
+        return emailOutcome('parse_failed', { 
+          success: false, 
+          message: 'AI response parsing failed',
+          aiResponse: aiResponse
+        });
+      }
     }
+  }
+  
+  // IMPROVED: Log reasoning for transparency
+  console.log('🤖 AI Reasoning:', saleData.reasoning || 'No reasoning provided');
+  console.log('🤖 AI Confidence:', saleData.confidence);
+  
+  // A mapped sender settles the brand, whatever name the email used
+  if (senderCompany && !saleData.error) {
+    saleData.company = senderCompany;
+  }
+  
+  // Keep the offers that make sense; a tiers-only email still gets a headline
+  saleData.offers = normalizeOffers(saleData.offers);
+  if (!saleData.percentOff && saleData.offers.length > 0) {
+    saleData.percentOff = highestPercentOff(saleData.offers);
+  }
+  if (saleData.offers.length > 0) {
+    console.log('🏷️  Offers:', saleData.offers.map(describeOffer).join(' | '));
+  }
+  
+  // Only trust the pre-parse's end date when it also found the discount, so a
+  // stray "48 hours" elsewhere in the email can't expire a sale early
+  if (!saleData.error && !saleData.endDate && preparse.endDate && preparse.percentOff) {
+    console.log(`📅 Using the end date found by the pre-parse: ${preparse.endDate} ("${preparse.datePhrase}")`);
+    saleData.endDate = preparse.endDate;
+  }
+  
+  // Check if rejected
+  if (saleData.error && !confirmedSale) {
+    console.log('ℹ️  Email rejected:', saleData.error);
+    console.log('   Reasoning:', saleData.reasoning);
     
-    // IMPROVED: Log reasoning for transparency
-    console.log('🤖 AI Reasoning:', saleData.reasoning || 'No reasoning provided');
-    console.log('🤖 AI Confidence:', saleData.confidence);
+    // Track rejected email
+    await addRejectedEmail({
+      brand: saleData.company || 'Unknown',
+      subject: subject,
+      reason: saleData.error,
+      from: from,
+      inboundEmailId,
+      extractedData: saleData
+    });
     
-    // Check if rejected
-    if (saleData.error) {
-      console.log('ℹ️  Email rejected:', saleData.error);
-      console.log('   Reasoning:', saleData.reasoning);
-      
-      // Track rejected email
-      await addRejectedEmail({
-        brand: saleData.company || 'Unknown',
-        subject: subject,
-        reason: saleData.error,
-        from: from
-      });
-      
-      return res.status(200).json({ 
-        success: false, 
-        message: saleData.error,
-        reasoning: saleData.reasoning,
-        from: from,
-        subject: subject
-      });
+    return emailOutcome('rejected', { 
+      success: false, 
+      message: saleData.error,
+      reasoning: saleData.reasoning,
+      from: from,
+      subject: subject
+    }, { extractedData: saleData });
+  }
+  
+  // Check for placeholder/example URLs
+  const isPlaceholderUrl = (url) => {
+    if (!url) return true;
+    const placeholderPatterns = [
+      /example\.com/i,
+      /placeholder/i,
+      /test\.com/i,
+      /sample\.com/i,
+      /fake/i,
+      /^https?:\/\/(www\.)?[a-z]+\.com\/sale$/i // Generic patterns like "brand.com/sale"
+    ];
+    return placeholderPatterns.some(p => p.test(url));
+  };
+  
+  // Only an http(s) URL is kept or followed; anything else counts as missing
+  const httpUrl = (url) => {
+    try {
+      const parsed = new URL(url);
+      return parsed.protocol === 'http:' || parsed.protocol === 'https:' ? parsed.href : null;
+    } catch {
+      return null;
     }
+  };
+  saleData.saleUrl = httpUrl(saleData.saleUrl);
+  
+  // Flag for missing/placeholder URL
+  let missingUrl = false;
+  let urlSource = 'email';
+  
+  // A link from the email itself beats falling back to the brand homepage
+  if ((!saleData.saleUrl || isPlaceholderUrl(saleData.saleUrl)) && preparse.saleUrl && !isPlaceholderUrl(preparse.saleUrl)) {
+    console.log('🔗 Using the sale link found by the pre-parse:', preparse.saleUrl);
+    saleData.saleUrl = preparse.saleUrl;
+  }
+  
+  // Detect and handle missing/placeholder URLs
+  if (!saleData.saleUrl || isPlaceholderUrl(saleData.saleUrl)) {
+    console.log('⚠️ Missing or placeholder URL detected, searching for brand homepage...');
+    missingUrl = true;
     
-    // Check for placeholder/example URLs
-    const isPlaceholderUrl = (url) => {
-      if (!url) return true;
-      const placeholderPatterns = [
-        /example\.com/i,
-        /placeholder/i,
-        /test\.com/i,
-        /sample\.com/i,
-        /fake/i,
-        /^https?:\/\/(www\.)?[a-z]+\.com\/sale$/i // Generic patterns like "brand.com/sale"
-      ];
-      return placeholderPatterns.some(p => p.test(url));
-    };
-    
-    // Flag for missing/placeholder URL
-    let missingUrl = false;
-    let urlSource = 'email';
-    
-    // Detect and handle missing/placeholder URLs
-    if (!saleData.saleUrl || isPlaceholderUrl(saleData.saleUrl)) {
-      console.log('⚠️ Missing or placeholder URL detected, searching for brand homepage...');
-      missingUrl = true;
-      
-      // Try to find brand homepage from PostgreSQL companies table
-      if (saleData.company) {
-        try {
-          // Use SQL-based case-insensitive search for efficiency
-          const companiesResult = await pool.query(
-            `SELECT name, website FROM companies 
-             WHERE website IS NOT NULL AND website != '' 
-             AND LOWER(name) = LOWER($1)
-             LIMIT 1`,
-            [saleData.company.trim()]
-          );
-          
-          if (companiesResult.rows.length > 0 && companiesResult.rows[0].website) {
-            console.log(`✅ Found brand homepage: ${companiesResult.rows[0].website}`);
-            saleData.saleUrl = companiesResult.rows[0].website;
-            urlSource = 'brand_homepage';
-          }
-        } catch (error) {
-          console.error('Error looking up brand homepage:', error.message);
+    // Try to find brand homepage from PostgreSQL companies table
+    if (saleData.company) {
+      try {
+        // Use SQL-based case-insensitive search for efficiency
+        const companiesResult = await pool.query(
+          `SELECT name, website FROM companies 
+           WHERE website IS NOT NULL AND website != '' 
+           AND LOWER(name) = LOWER($1)
+           LIMIT 1`,
+          [saleData.company.trim()]
+        );
+        
+        if (companiesResult.rows.length > 0 && companiesResult.rows[0].website) {
+          console.log(`✅ Found brand homepage: ${companiesResult.rows[0].website}`);
+          saleData.saleUrl = companiesResult.rows[0].website;
+          urlSource = 'brand_homepage';
         }
+      } catch (error) {
+        console.error('Error looking up brand homepage:', error.message);
       }
     }
+  }
+  
+  // Validate required fields (company and percentOff required, URL can be null with flag)
+  if (!saleData.company || !saleData.percentOff) {
+    console.log('❌ Missing required fields:', {
+      hasCompany: !!saleData.company,
+      hasPercentOff: !!saleData.percentOff
+    });
     
-    // Validate required fields (company and percentOff required, URL can be null with flag)
-    if (!saleData.company || !saleData.percentOff) {
-      console.log('❌ Missing required fields:', {
-        hasCompany: !!saleData.company,
-        hasPercentOff: !!saleData.percentOff
-      });
-      
-      // Track rejected email
+    // Track rejected email (a promoted email is already in the rejection queue)
+    if (!confirmedSale) {
       await addRejectedEmail({
         brand: saleData.company || 'Unknown',
         subject: subject,
         reason: 'Missing required fields (company or discount)',
-        from: from
-      });
-      
-      return res.status(200).json({ 
-        success: false, 
-        message: 'Missing required fields',
-        extractedData: saleData
-      });
-    }
-    
-    // Add missing URL flag to sale data for approval UI
-    saleData.missingUrl = missingUrl;
-    saleData.urlSource = urlSource;
-    
-    // IMPROVED: Lower confidence threshold and log borderline cases
-    const confidenceThreshold = 60; // Lowered from 70
-    if (saleData.confidence && saleData.confidence < confidenceThreshold) {
-      console.log(`⚠️  Low confidence (${saleData.confidence}%) - rejecting`);
-      console.log('   Reasoning:', saleData.reasoning);
-      console.log('   Email from:', from);
-      console.log('   Subject:', subject);
-      
-      // Track rejected email
-      await addRejectedEmail({
-        brand: saleData.company || 'Unknown',
-        subject: subject,
-        reason: `Low confidence (${saleData.confidence}%) - ${saleData.reasoning || 'unclear sale details'}`,
-        from: from
-      });
-      
-      // Log to help debug false negatives
-      return res.status(200).json({ 
-        success: false, 
-        message: `Low confidence extraction (${saleData.confidence}%)`,
-        reasoning: saleData.reasoning,
-        extractedData: saleData,
         from: from,
-        subject: subject
+        inboundEmailId,
+        extractedData: saleData
       });
     }
     
-    console.log('✅ Parsed sale data:', saleData);
-    
-    // Auto-link Company field by looking up existing Company records
-    console.log('🔗 Looking up Company record...');
-    const companyRecordId = await findOrCreateCompany(saleData.company);
-    console.log(`✅ Company record: ${companyRecordId}`);
-    
-    // IMPROVED: Smarter duplicate detection with fuzzy matching (using PostgreSQL)
-    console.log('🔍 Checking for duplicates in PostgreSQL...');
-    const twoWeeksAgo = new Date();
-    twoWeeksAgo.setDate(twoWeeksAgo.getDate() - 14);
+    return emailOutcome('rejected', { 
+      success: false, 
+      message: 'Missing required fields',
+      extractedData: saleData
+    }, { extractedData: saleData });
+  }
+  
+  // Add missing URL flag to sale data for approval UI
+  saleData.missingUrl = missingUrl;
+  saleData.urlSource = urlSource;
+  
+  // IMPROVED: Lower confidence threshold and log borderline cases
+  const confidenceThreshold = 60; // Lowered from 70
+  const trustedSender = senderRule?.policy === 'trust';
+  if (!confirmedSale && !trustedSender && saleData.confidence && saleData.confidence < confidenceThreshold) {
+    console.log(`⚠️  Low confidence (${saleData.confidence}%) - rejecting`);
+    console.log('   Reasoning:', saleData.reasoning);
+    console.log('   Email from:', from);
+    console.log('   Subject:', subject);
+    
+    // Track rejected email
+    await addRejectedEmail({
+      brand: saleData.company || 'Unknown',
+      subject: subject,
+      reason: `Low confidence (${saleData.confidence}%) - ${saleData.reasoning || 'unclear sale details'}`,
+      from: from,
+      inboundEmailId,
+      extractedData: saleData
+    });
     
-    // Normalize company name for comparison
-    const normalizedCompany = saleData.company
+    // Log to help debug false negatives
+    return emailOutcome('rejected', { 
+      success: false, 
+      message: `Low confidence extraction (${saleData.confidence}%)`,
+      reasoning: saleData.reasoning,
+      extractedData: saleData,
+      from: from,
+      subject: subject
+    }, { extractedData: saleData });
+  }
+  
+  console.log('✅ Parsed sale data:', saleData);
+  
+  // Auto-link Company field by looking up existing Company records
+  console.log('🔗 Looking up Company record...');
+  const companyRecordId = senderRule?.company_id && senderCompany
+    ? `pg_${senderRule.company_id}`
+    : await findOrCreateCompany(saleData.company);
+  console.log(`✅ Company record: ${companyRecordId}`);
+  
+  // IMPROVED: Smarter duplicate detection with fuzzy matching (using PostgreSQL)
+  console.log('🔍 Checking for duplicates in PostgreSQL...');
+  const twoWeeksAgo = new Date();
+  twoWeeksAgo.setDate(twoWeeksAgo.getDate() - 14);
+  
+  // Normalize company name for comparison
+  const normalizedCompany = saleData.company
+    .toLowerCase()
+    .replace(/\s+/g, '')
+    .replace(/[^a-z0-9]/g, '');
+  
+  // Fetch recent sales from PostgreSQL (within 2 weeks)
+  const recentSalesResult = await pool.query(
+    `SELECT s.id, s.percent_off, s.start_date, c.name as company_name
+     FROM sales s
+     LEFT JOIN companies c ON s.company_id = c.id
+     WHERE s.start_date >= $1`,
+    [twoWeeksAgo]
+  );
+  
+  // Check for fuzzy duplicates
+  let isDuplicate = false;
+  for (const row of recentSalesResult.rows) {
+    const companyValue = row.company_name;
+    
+    if (!companyValue) continue;
+    
+    const recordCompany = companyValue
       .toLowerCase()
       .replace(/\s+/g, '')
       .replace(/[^a-z0-9]/g, '');
     
-    // Fetch recent sales from PostgreSQL (within 2 weeks)
-    const recentSalesResult = await pool.query(
-      `SELECT s.id, s.percent_off, s.start_date, c.name as company_name
-       FROM sales s
-       LEFT JOIN companies c ON s.company_id = c.id
-       WHERE s.start_date >= $1`,
-      [twoWeeksAgo]
-    );
+    const recordPercent = row.percent_off;
     
-    // Check for fuzzy duplicates
-    let isDuplicate = false;
-    for (const row of recentSalesResult.rows) {
-      const companyValue = row.company_name;
-      
-      if (!companyValue) continue;
-      
-      const recordCompany = companyValue
-        .toLowerCase()
-        .replace(/\s+/g, '')
-        .replace(/[^a-z0-9]/g, '');
-      
-      const recordPercent = row.percent_off;
-      
-      const companySimilar = recordCompany === normalizedCompany || 
-                             recordCompany.includes(normalizedCompany) || 
-                             normalizedCompany.includes(recordCompany);
-      
-      const percentSimilar = Math.abs(recordPercent - saleData.percentOff) <= 5;
-      
-      if (companySimilar && percentSimilar) {
-        console.log(`⏭️  Duplicate found: ${companyValue} ${recordPercent}%`);
-        isDuplicate = true;
-        break;
-      }
-    }
+    const companySimilar = recordCompany === normalizedCompany || 
+                           recordCompany.includes(normalizedCompany) || 
+                           normalizedCompany.includes(recordCompany);
     
-    if (isDuplicate) {
-      await addRejectedEmail({
-        brand: saleData.company,
-        subject: subject,
-        reason: `Duplicate - similar ${saleData.percentOff}% sale already exists`,
-        from: from
-      });
-      
-      return res.status(200).json({ 
-        success: false, 
-        message: 'Duplicate sale - similar sale exists in past 2 weeks',
-        newSale: saleData
-      });
-    }
+    const percentSimilar = Math.abs(recordPercent - saleData.percentOff) <= 5;
     
-    console.log('✅ No duplicates found');
+    if (companySimilar && percentSimilar) {
+      console.log(`⏭️  Duplicate found: ${companyValue} ${recordPercent}%`);
+      isDuplicate = true;
+      break;
+    }
+  }
+  
+  if (isDuplicate && !confirmedSale) {
+    await addRejectedEmail({
+      brand: saleData.company,
+      subject: subject,
+      reason: `Duplicate - similar ${saleData.percentOff}% sale already exists`,
+      from: from,
+      inboundEmailId,
+      extractedData: saleData
+    });
     
-    // Clean the URL
-    console.log('🔄 Cleaning URL...');
-    let cleanUrl = saleData.saleUrl;
+    return emailOutcome('duplicate', { 
+      success: false, 
+      message: 'Duplicate sale - similar sale exists in past 2 weeks',
+      newSale: saleData
+    }, { extractedData: saleData });
+  }
+  
+  console.log('✅ No duplicates found');
+  
+  // Clean the URL
+  console.log('🔄 Cleaning URL...');
+  let cleanUrl = saleData.saleUrl;
+  if (httpUrl(saleData.saleUrl)) {
     try {
-      cleanUrl = execSync(
-        `curl -sL -o /dev/null -w '%{url_effective}' '${saleData.saleUrl}'`,
-        { encoding: 'utf-8', timeout: 10000 }
-      ).trim();
+      const response = await fetch(httpUrl(saleData.saleUrl), {
+        redirect: 'follow',
+        signal: AbortSignal.timeout(10000)
+      });
+      await response.body?.cancel();
+      cleanUrl = response.url || saleData.saleUrl;
       console.log('✅ Clean URL:', cleanUrl);
     } catch (error) {
       console.error('⚠️  URL cleaning failed, using original URL:', error.message);
     }
+  }
+  
+  // Check if approvals are enabled (a promoted email, or one the AI didn't
+  // read, is always reviewed first)
+  if (confirmedSale || saleData.source === 'rules' || await isApprovalsEnabled()) {
+    console.log('⏸️  Approvals enabled - adding to pending sales');
     
-    // Check if approvals are enabled
-    if (await isApprovalsEnabled()) {
-      console.log('⏸️  Approvals enabled - adding to pending sales');
-      
-      const pendingSale = await addPendingSale({
+    const pendingSale = await addPendingSale({
+      company: saleData.company,
+      percentOff: saleData.percentOff,
+      saleUrl: saleData.saleUrl,
+      cleanUrl: cleanUrl,
+      discountCode: saleData.discountCode,
+      startDate: saleData.startDate,
+      endDate: saleData.endDate,
+      confidence: saleData.confidence,
+      reasoning: saleData.reasoning,
+      companyRecordId: companyRecordId,
+      emailFrom: from,
+      emailSubject: subject,
+      missingUrl: saleData.missingUrl,
+      urlSource: saleData.urlSource,
+      offers: saleData.offers
+    });
+    
+    // Send Telegram alert with approve/reject buttons
+    if (TELEGRAM_CHAT_ID) {
+      sendSaleApprovalAlert(TELEGRAM_CHAT_ID, {
+        id: pendingSale.id,
         company: saleData.company,
         percentOff: saleData.percentOff,
-        saleUrl: saleData.saleUrl,
-        cleanUrl: cleanUrl,
-        discountCode: saleData.discountCode,
-        startDate: saleData.startDate,
-        endDate: saleData.endDate,
         confidence: saleData.confidence,
-        reasoning: saleData.reasoning,
-        companyRecordId: companyRecordId,
-        emailFrom: from,
-        emailSubject: subject,
-        missingUrl: saleData.missingUrl,
-        urlSource: saleData.urlSource
-      });
-      
-      // Send Telegram alert with approve/reject buttons
-      if (TELEGRAM_CHAT_ID) {
-        sendSaleApprovalAlert(TELEGRAM_CHAT_ID, {
-          id: pendingSale.id,
-          company: saleData.company,
-          percentOff: saleData.percentOff,
-          confidence: saleData.confidence,
-          discountCode: saleData.discountCode,
-          saleUrl: cleanUrl || saleData.saleUrl,
-          emailFrom: from
-        }).catch(err => {
-          console.error('Failed to send Telegram alert:', err.message);
-        });
-      }
-      
-      return res.status(200).json({
-        success: true,
-        message: 'Sale pending approval',
-        pendingSaleId: pendingSale.id,
-        requiresApproval: true
+        discountCode: saleData.discountCode,
+        saleUrl: cleanUrl || saleData.saleUrl,
+        emailFrom: from
+      }).catch(err => {
+        console.error('Failed to send Telegram alert:', err.message);
       });
     }
     
-    // Create PostgreSQL record
-    console.log('💾 Creating PostgreSQL record...');
+    return emailOutcome('pending_approval', {
+      success: true,
+      message: 'Sale pending approval',
+      pendingSaleId: pendingSale.id,
+      requiresApproval: true
+    }, { extractedData: saleData, pendingSaleId: pendingSale.id });
+  }
+  
+  // Create PostgreSQL record
+  console.log('💾 Creating PostgreSQL record...');
+  
+  const today = new Date().toISOString().split('T')[0];
+  const isLive = saleData.startDate <= today;
+  
+  // Resolve company ID for PostgreSQL
+  let pgCompanyId = null;
+  if (companyRecordId) {
+    if (companyRecordId.startsWith('pg_')) {
+      pgCompanyId = parseInt(companyRecordId.replace('pg_', ''));
+    } else if (companyRecordId.startsWith('rec')) {
+      const companyResult = await pool.query(
+        'SELECT id FROM companies WHERE airtable_id = $1',
+        [companyRecordId]
+      );
+      if (companyResult.rows.length > 0) {
+        pgCompanyId = companyResult.rows[0].id;
+      }
+    }
+  }
+  
+  const descriptionJson = JSON.stringify({
+    source: 'email',
+    aiReasoning: saleData.reasoning,
+    confidence: saleData.confidence,
+    originalEmail: {
+      from: from,
+      subject: subject,
+      receivedAt: new Date().toISOString()
+    }
+  });
+  
+  try {
+    const sale = await createSale({
+      companyId: pgCompanyId,
+      percentOff: saleData.percentOff,
+      saleUrl: saleData.saleUrl,
+      cleanUrl: cleanUrl !== saleData.saleUrl ? cleanUrl : saleData.saleUrl,
+      startDate: saleData.startDate,
+      endDate: saleData.endDate || null,
+      promoCode: saleData.discountCode || null,
+      live: isLive ? 'YES' : 'NO',
+      description: descriptionJson,
+      offers: saleData.offers
+    });
     
-    const today = new Date().toISOString().split('T')[0];
-    const isLive = saleData.startDate <= today;
+    const newSaleId = sale.id;
+    console.log('✅ Created PostgreSQL record:', `pg_${newSaleId}`);
     
-    // Resolve company ID for PostgreSQL
-    let pgCompanyId = null;
-    if (companyRecordId) {
-      if (companyRecordId.startsWith('pg_')) {
-        pgCompanyId = parseInt(companyRecordId.replace('pg_', ''));
-      } else if (companyRecordId.startsWith('rec')) {
-        const companyResult = await pool.query(
-          'SELECT id FROM companies WHERE airtable_id = $1',
-          [companyRecordId]
-        );
-        if (companyResult.rows.length > 0) {
-          pgCompanyId = companyResult.rows[0].id;
-        }
+    return emailOutcome('created', { 
+      success: true, 
+      message: 'Sale processed and added to PostgreSQL',
+      recordId: `pg_${newSaleId}`,
+      saleData: {
+        company: saleData.company,
+        percentOff: saleData.percentOff,
+        cleanUrl: cleanUrl,
+        confidence: saleData.confidence,
+        reasoning: saleData.reasoning
       }
+    }, { extractedData: saleData, saleId: newSaleId });
+  } catch (dbError) {
+    console.error('❌ PostgreSQL error:', dbError.message);
+    
+    sendCriticalErrorAlert(
+      'Database Error',
+      `Failed to save sale for ${saleData.company}: ${dbError.message.substring(0, 100)}`
+    );
+    
+    return emailOutcome('error', { 
+      success: false, 
+      message: 'Database error',
+      error: dbError.message
+    }, { extractedData: saleData });
+  }
+}
+
+// CloudMailin/AgentMail webhook endpoint - IMPROVED VERSION
+app.post('/webhook/agentmail', upload.none(), async (req, res) => {
+  console.log('📧 Received email webhook');
+  console.log('📦 Headers:', JSON.stringify(req.headers, null, 2));
+  
+  // SECURITY: Verify webhook authenticity
+  if (CLOUDMAIL_SECRET) {
+    const authHeader = req.headers.authorization;
+    
+    if (!authHeader || !authHeader.startsWith('Basic ')) {
+      console.error('❌ Unauthorized webhook request - missing Basic Auth');
+      return res.status(401).json({ success: false, message: 'Unauthorized' });
     }
     
-    const descriptionJson = JSON.stringify({
-      source: 'email',
-      aiReasoning: saleData.reasoning,
-      confidence: saleData.confidence,
-      originalEmail: {
-        from: from,
-        subject: subject,
-        receivedAt: new Date().toISOString()
-      }
-    });
+    const base64Credentials = authHeader.split(' ')[1];
+    const credentials = Buffer.from(base64Credentials, 'base64').toString('utf-8');
+    const [username, ...passwordParts] = credentials.split(':');
+    const password = passwordParts.join(':'); // Handle colons in password
     
-    try {
-      const insertResult = await pool.query(
-        `INSERT INTO sales (
-          company_id, percent_off, sale_url, clean_url, start_date, end_date,
-          promo_code, live, description, created_at, original_created_at
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW(), NOW())
-        RETURNING id`,
-        [
-          pgCompanyId,
-          saleData.percentOff,
-          saleData.saleUrl,
-          cleanUrl !== saleData.saleUrl ? cleanUrl : saleData.saleUrl,
-          saleData.startDate,
-          saleData.endDate || null,
-          saleData.discountCode || null,
-          isLive ? 'YES' : 'NO',
-          descriptionJson
-        ]
-      );
-      
-      const newSaleId = insertResult.rows[0].id;
-      console.log('✅ Created PostgreSQL record:', `pg_${newSaleId}`);
-      
-      // Clear sales cache
-      clearSalesCache();
-      
-      res.status(200).json({ 
-        success: true, 
-        message: 'Sale processed and added to PostgreSQL',
-        recordId: `pg_${newSaleId}`,
-        saleData: {
-          company: saleData.company,
-          percentOff: saleData.percentOff,
-          cleanUrl: cleanUrl,
-          confidence: saleData.confidence,
-          reasoning: saleData.reasoning
-        }
-      });
-    } catch (dbError) {
-      console.error('❌ PostgreSQL error:', dbError.message);
-      
-      sendCriticalErrorAlert(
-        'Database Error',
-        `Failed to save sale for ${saleData.company}: ${dbError.message.substring(0, 100)}`
-      );
-      
-      return res.status(200).json({ 
-        success: false, 
-        message: 'Database error',
-        error: dbError.message
-      });
+    // CloudMailin sends the secret as either username OR password depending on config
+    if (password !== CLOUDMAIL_SECRET && username !== CLOUDMAIL_SECRET) {
+      console.error('❌ Unauthorized webhook request - invalid credentials');
+      console.error('   Expected:', CLOUDMAIL_SECRET);
+      console.error('   Got username:', username);
+      console.error('   Got password:', password);
+      return res.status(401).json({ success: false, message: 'Unauthorized' });
     }
     
+    console.log('✅ Webhook authenticated successfully');
+  } else {
+    console.warn('⚠️  CLOUDMAIL_SECRET not configured - webhook is UNPROTECTED!');
+  }
+  
+  const emailData = req.body || {};
+  
+  // Keep the original email so it can be read and reprocessed later
+  let inboundEmailId = null;
+  try {
+    const stored = await createInboundEmail(inboundEmailFields(emailData));
+    inboundEmailId = stored.id;
+    pruneInboundEmails(INBOUND_EMAIL_RETENTION_DAYS)
+      .catch(error => console.error('⚠️ Failed to prune inbound emails:', error.message));
+  } catch (error) {
+    console.error('⚠️ Failed to store inbound email:', error.message);
+  }
+  
+  try {
+    const result = await processSaleEmail(emailData, { inboundEmailId });
+    await saveEmailOutcome(inboundEmailId, result);
+    res.status(200).json(result.response);
+    
   } catch (error) {
     console.error('❌ Webhook processing error:', error);
     console.error('Stack trace:', error.stack);
     
+    await saveEmailOutcome(inboundEmailId, emailOutcome('error', { success: false, message: error.message }));
+    
     // Send critical error alert
     sendCriticalErrorAlert(
       'Email Processing Failed',
@@ -4817,6 +5180,261 @@ ${emailContent.substring(0, 4000)}`
   }
 });
 
+function formatInboundEmail(row) {
+  return {
+    id: row.id,
+    from: row.from_address,
+    subject: row.subject,
+    outcome: row.outcome,
+    outcomeMessage: row.outcome_message,
+    extractedData: row.extracted_data,
+    pendingSaleId: row.pending_sale_id,
+    saleId: row.sale_id ? `pg_${row.sale_id}` : null,
+    processCount: row.process_count,
+    receivedAt: row.received_at,
+    processedAt: row.processed_at,
+    attachmentCount: row.attachment_count ?? (row.attachments || []).length
+  };
+}
+
+// List stored inbound emails with per-outcome counts
+app.get('/admin/inbound-emails', requireAdmin('approver'), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    const [{ emails, total }, counts] = await Promise.all([
+      getInboundEmails({
+        outcome: req.query.outcome || null,
+        search: req.query.search?.trim() || null,
+        limit,
+        offset
+      }),
+      getInboundEmailCounts()
+    ]);
+
+    res.json({
+      success: true,
+      emails: emails.map(formatInboundEmail),
+      total,
+      counts,
+      retentionDays: INBOUND_EMAIL_RETENTION_DAYS
+    });
+  } catch (error) {
+    console.error('Error getting inbound emails:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// One stored email with its original headers, bodies and attachments
+app.get('/admin/inbound-emails/:id', requireAdmin('approver'), async (req, res) => {
+  try {
+    const row = await getInboundEmailById(parseInt(req.params.id));
+    if (!row) {
+      return res.status(404).json({ success: false, message: 'Email not found' });
+    }
+
+    res.json({
+      success: true,
+      email: {
+        ...formatInboundEmail(row),
+        headers: row.headers,
+        envelope: row.envelope,
+        plain: row.plain,
+        html: row.html,
+        attachments: row.attachments || []
+      }
+    });
+  } catch (error) {
+    console.error('Error getting inbound email:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Run a stored email through extraction again with the current prompt
+// Outcomes that already produced a sale: reprocessing them would queue a
+// second pending sale (and Telegram alert), so it takes { force: true }
+const SALE_SAVED_OUTCOMES = ['pending_approval', 'created'];
+
+app.post('/admin/inbound-emails/:id/reprocess', requireAdmin('approver'), async (req, res) => {
+  try {
+    const row = await getInboundEmailById(parseInt(req.params.id));
+    if (!row) {
+      return res.status(404).json({ success: false, message: 'Email not found' });
+    }
+    
+    if (SALE_SAVED_OUTCOMES.includes(row.outcome) && (req.body || {}).force !== true) {
+      return res.status(409).json({
+        success: false,
+        outcome: row.outcome,
+        message: 'This email already produced a sale - reprocess with force to run it again'
+      });
+    }
+
+    console.log(`🔁 Reprocessing inbound email ${row.id}: ${row.subject}`);
+
+    let result;
+    try {
+      result = await processSaleEmail(inboundEmailPayload(row), { inboundEmailId: row.id });
+    } catch (error) {
+      result = emailOutcome('error', { success: false, message: error.message });
+    }
+    await saveEmailOutcome(row.id, result);
+    
+    // A rejection that now goes through was a false rejection
+    if (result.outcome === 'pending_approval' || result.outcome === 'created') {
+      const openRejection = await getOpenRejectedEmail(row.id);
+      if (openRejection) {
+        await reviewRejectedEmail(openRejection.id, {
+          verdict: 'sale',
+          reviewedBy: req.adminUser.username,
+          pendingSaleId: result.pendingSaleId ? String(result.pendingSaleId) : null
+        });
+      }
+    }
+
+    await logAdminAction(req.adminUser, 'reprocess_inbound_email', {
+      entityType: 'inbound_email',
+      entityId: row.id,
+      details: { subject: row.subject, outcome: result.outcome, previousOutcome: row.outcome }
+    });
+
+    const updated = await getInboundEmailById(row.id);
+    res.json({
+      success: result.response.success !== false,
+      outcome: result.outcome,
+      message: result.response.message,
+      email: updated ? formatInboundEmail(updated) : null
+    });
+  } catch (error) {
+    console.error('Error reprocessing inbound email:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// ============================================
+// EMAIL SENDER RULES (approver)
+// ============================================
+
+function formatSenderRule(row) {
+  return {
+    id: row.id,
+    sender: row.sender,
+    companyId: row.company_id ? `pg_${row.company_id}` : null,
+    companyName: row.company_name || null,
+    policy: row.policy,
+    notes: row.notes,
+    matchCount: row.match_count,
+    lastMatchedAt: row.last_matched_at,
+    createdAt: row.created_at
+  };
+}
+
+// Validate a rule from the request body into db.js fields; returns { data } or { error }
+async function senderRuleFields(body, { partial = false } = {}) {
+  const data = {};
+
+  if (body.sender !== undefined || !partial) {
+    data.sender = normalizeSender(body.sender);
+    if (!data.sender) {
+      return { error: 'Sender must be an email address or a domain' };
+    }
+  }
+
+  if (body.policy !== undefined || !partial) {
+    data.policy = body.policy || 'default';
+    if (!EMAIL_SENDER_POLICIES.includes(data.policy)) {
+      return { error: `Policy must be one of ${EMAIL_SENDER_POLICIES.join(', ')}` };
+    }
+  }
+
+  if (body.companyId !== undefined) {
+    if (body.companyId === null || body.companyId === '') {
+      data.companyId = null;
+    } else {
+      data.companyId = await resolvePostgresId('companies', String(body.companyId));
+      if (!data.companyId) {
+        return { error: 'Company not found' };
+      }
+    }
+  }
+
+  if (body.notes !== undefined) {
+    data.notes = body.notes?.trim() || null;
+  }
+
+  return { data };
+}
+
+app.get('/admin/email-sender-rules', requireAdmin('approver'), async (req, res) => {
+  try {
+    const rules = await getEmailSenderRules();
+    res.json({ success: true, rules: rules.map(formatSenderRule), policies: EMAIL_SENDER_POLICIES });
+  } catch (error) {
+    console.error('Error getting email sender rules:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+app.post('/admin/email-sender-rules', requireAdmin('approver'), async (req, res) => {
+  try {
+    const { data, error } = await senderRuleFields(req.body || {});
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const rule = await createEmailSenderRule(data);
+    console.log(`📇 Added sender rule ${rule.sender} (${rule.policy})`);
+    res.json({ success: true, rule: formatSenderRule(rule) });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ success: false, message: 'A rule for this sender already exists' });
+    }
+    if (error.code === '23503') {
+      return res.status(400).json({ success: false, message: 'Company not found' });
+    }
+    console.error('Error creating email sender rule:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+app.patch('/admin/email-sender-rules/:id', requireAdmin('approver'), async (req, res) => {
+  try {
+    const { data, error } = await senderRuleFields(req.body || {}, { partial: true });
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const rule = await updateEmailSenderRule(parseInt(req.params.id), data);
+    if (!rule) {
+      return res.status(404).json({ success: false, message: 'Rule not found' });
+    }
+    res.json({ success: true, rule: formatSenderRule(rule) });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ success: false, message: 'A rule for this sender already exists' });
+    }
+    if (error.code === '23503') {
+      return res.status(400).json({ success: false, message: 'Company not found' });
+    }
+    console.error('Error updating email sender rule:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+app.delete('/admin/email-sender-rules/:id', requireAdmin('approver'), async (req, res) => {
+  try {
+    const rule = await deleteEmailSenderRule(parseInt(req.params.id));
+    if (!rule) {
+      return res.status(404).json({ success: false, message: 'Rule not found' });
+    }
+    res.json({ success: true, message: `Removed rule for ${rule.sender}` });
+  } catch (error) {
+    console.error('Error deleting email sender rule:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
 // ============================================
 // AIRTABLE STORY GENERATION WEBHOOK
 // ============================================
@@ -4833,67 +5451,11 @@ app.post('/webhook/airtable-story', async (req, res) => {
       return res.status(400).json({ success: false, error: 'Record ID is required' });
     }
     
-    console.log(`Processing story for record: ${recordId}`);
-    
-    // Fetch the specific record from Airtable
-    const url = `https://api.airtable.com/v0/${AIRTABLE_BASE_ID}/Picks/${recordId}`;
-    
-    const response = await fetch(url, {
-      headers: {
-        'Authorization': `Bearer ${AIRTABLE_PAT}`
-      }
-    });
-    
-    if (!response.ok) {
-      throw new Error(`Airtable API error: ${response.status}`);
-    }
-    
-    const data = await response.json();
-    const fields = data.fields;
-    
-    // Build pick object
-    const pick = {
-      id: recordId,
-      name: fields.ProductName || 'Product',
-      brand: fields.Brand || null,
-      imageUrl: fields.ImageURL,
-      productUrl: fields.ProductURL || null,
-      originalPrice: fields.OriginalPrice,
-      salePrice: fields.SalePrice,
-      shopMyUrl: fields.ShopMyURL || '#',
-      company: fields.Company || 'Unknown', // Company is a lookup field for display
-      saleName: fields.SaleName ? fields.SaleName[0] : 'Unknown Sale'
-    };
-    
-    console.log(`📸 Generating story for: ${pick.name}`);
-    
-    // Import story generator functions
-    const { generateStoryImage } = await import('./story-generator.js');
-    const { sendStoryToTelegram } = await import('./telegram-bot.js');
-    
-    // Generate and send story
-    const storyImage = await generateStoryImage(pick);
-    const caption = `*${pick.name}*\n\nShop now: ${pick.shopMyUrl}`;
-    
-    await sendStoryToTelegram(TELEGRAM_CHAT_ID, storyImage.buffer, caption);
-    
-    // Update Airtable field to "Story Created"
-    await fetch(url, {
-      method: 'PATCH',
-      headers: {
-        'Authorization': `Bearer ${AIRTABLE_PAT}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        fields: {
-          CreateStory: 'Story Created'
-        }
-      })
-    });
-    
-    console.log(`✅ Story created and sent for: ${pick.name}`);
+    // Generation runs from the job queue so failures are retried
+    const { job } = await enqueueJob('story', { recordId }, { dedupeKey: recordId });
+    console.log(`📋 Queued story for record: ${recordId} (job ${job.id})`);
     
-    res.json({ success: true, message: 'Story generated successfully' });
+    res.json({ success: true, message: 'Story generation queued', jobId: job.id });
     
   } catch (error) {
     console.error('❌ Story generation error:', error);
@@ -4901,16 +5463,16 @@ app.post('/webhook/airtable-story', async (req, res) => {
   }
 });
 
+// Story job handler - story generator is loaded lazily, only when a story is requested
+registerJobHandler('story', async (job) => {
+  const { processStoryRequest } = await import('./story-watcher.js');
+  return processStoryRequest(job.config.recordId);
+}, { concurrency: 2, maxAttempts: 3 });
+
 // ==================== PENDING SALES APPROVAL API ====================
 
 // Get all pending sales
-app.get('/pending-sales', async (req, res) => {
-  const { auth } = req.headers;
-  
-  if (auth !== ADMIN_PASSWORD) {
-    return res.status(401).json({ success: false, message: 'Unauthorized' });
-  }
-  
+app.get('/pending-sales', requireAdmin(), async (req, res) => {
   try {
     const pending = await getPendingSales();
     res.json({ success: true, sales: pending });
@@ -4921,13 +5483,7 @@ app.get('/pending-sales', async (req, res) => {
 });
 
 // Get rejected emails (emails that weren't added to approval queue)
-app.get('/rejected-emails', async (req, res) => {
-  const { auth } = req.headers;
-  
-  if (auth !== ADMIN_PASSWORD) {
-    return res.status(401).json({ success: false, message: 'Unauthorized' });
-  }
-  
+app.get('/rejected-emails', requireAdmin(), async (req, res) => {
   try {
     const rejected = await getRejectedEmails();
     const limit = parseInt(req.query.limit) || 5;
@@ -4938,14 +5494,111 @@ app.get('/rejected-emails', async (req, res) => {
   }
 });
 
-// Add a manual pending sale
-app.post('/pending-sales/manual', async (req, res) => {
-  const { auth } = req.headers;
-  
-  if (auth !== ADMIN_PASSWORD) {
-    return res.status(401).json({ success: false, message: 'Unauthorized' });
+// False-rejection rate from reviewed rejections (used by tools/analyze-rejection.js --stats)
+app.get('/rejected-emails/stats', requireAdmin('approver'), async (req, res) => {
+  try {
+    const weeks = Math.min(parseInt(req.query.weeks) || 12, 104);
+    const stats = await getRejectionReviewStats(weeks);
+    res.json({ success: true, ...stats });
+  } catch (error) {
+    console.error('Error getting rejection stats:', error);
+    res.status(500).json({ success: false, message: error.message });
   }
-  
+});
+
+// "This is actually a sale": extract the stored email again without the
+// rejection checks and queue it as a pending sale
+app.post('/rejected-emails/:id/promote', requireAdmin('approver'), async (req, res) => {
+  let claimedId = null;
+  try {
+    const id = parseInt(req.params.id);
+    const rejected = await getRejectedEmailById(id);
+    if (!rejected) {
+      return res.status(404).json({ success: false, message: 'Rejected email not found' });
+    }
+
+    // Claim the row before extracting, so two approvers can't both turn it into a pending sale
+    const claimed = await claimRejectedEmail(id, req.adminUser.username);
+    if (!claimed) {
+      const current = await getRejectedEmailById(id);
+      return res.status(409).json({ success: false, message: `Already reviewed by ${current?.reviewed_by || 'someone else'}` });
+    }
+    claimedId = claimed.id;
+
+    const inbound = claimed.inbound_email_id ? await getInboundEmailById(claimed.inbound_email_id) : null;
+    if (!inbound) {
+      await releaseRejectedEmail(claimedId);
+      return res.status(422).json({
+        success: false,
+        message: 'The original email is no longer stored - add this sale manually'
+      });
+    }
+
+    console.log(`📬 Promoting rejected email ${claimed.id} (${claimed.subject}) to a pending sale`);
+
+    const result = await processSaleEmail(inboundEmailPayload(inbound), {
+      inboundEmailId: inbound.id,
+      confirmedSale: true
+    });
+
+    if (result.outcome !== 'pending_approval') {
+      await releaseRejectedEmail(claimedId);
+      await saveEmailOutcome(inbound.id, result);
+      return res.status(422).json({
+        success: false,
+        message: `Could not extract a sale from this email: ${result.response.message} - add it manually`
+      });
+    }
+
+    // The pending sale exists now, so the row stays claimed even if recording the verdict fails
+    const pendingSaleId = String(result.pendingSaleId);
+    claimedId = null;
+    await reviewRejectedEmail(claimed.id, {
+      verdict: 'sale',
+      reviewedBy: req.adminUser.username,
+      pendingSaleId,
+      claimed: true
+    });
+    await saveEmailOutcome(inbound.id, result);
+
+    await logAdminAction(req.adminUser, 'promote_rejected_email', {
+      entityType: 'rejected_email',
+      entityId: claimed.id,
+      details: { subject: claimed.subject, reason: claimed.reason, pendingSaleId }
+    });
+
+    res.json({ success: true, message: 'Added to pending sales', pendingSaleId });
+  } catch (error) {
+    console.error('Error promoting rejected email:', error);
+    if (claimedId) {
+      await releaseRejectedEmail(claimedId).catch(releaseError =>
+        console.error('⚠️  Could not release rejected email claim:', releaseError.message)
+      );
+    }
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Confirm a rejection was right, taking it out of the review queue
+app.post('/rejected-emails/:id/dismiss', requireAdmin('approver'), async (req, res) => {
+  try {
+    const reviewed = await reviewRejectedEmail(parseInt(req.params.id), {
+      verdict: 'not_sale',
+      reviewedBy: req.adminUser.username
+    });
+    if (!reviewed) {
+      return res.status(404).json({ success: false, message: 'Rejected email not found or already reviewed' });
+    }
+
+    res.json({ success: true, message: 'Marked as not a sale' });
+  } catch (error) {
+    console.error('Error dismissing rejected email:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Add a manual pending sale
+app.post('/pending-sales/manual', requireAdmin(), async (req, res) => {
   try {
     const { company, percentOff, saleUrl, discountCode, startDate, endDate } = req.body;
     
@@ -4980,13 +5633,7 @@ app.post('/pending-sales/manual', async (req, res) => {
 });
 
 // Add a sale directly to Airtable (bypasses pending queue)
-app.post('/sales/add-direct', async (req, res) => {
-  const { auth } = req.headers;
-  
-  if (auth !== ADMIN_PASSWORD) {
-    return res.status(401).json({ success: false, message: 'Unauthorized' });
-  }
-  
+app.post('/sales/add-direct', requireAdmin('approver'), async (req, res) => {
   try {
     const { company, percentOff, saleUrl, discountCode, startDate, endDate } = req.body;
     
@@ -5059,8 +5706,11 @@ app.post('/sales/add-direct', async (req, res) => {
     const airtableData = await airtableResponse.json();
     console.log('✅ Created Airtable record:', airtableData.id);
     
-    // Clear sales cache
-    clearSalesCache();
+    await logAdminAction(req.adminUser, 'add_sale', {
+      entityType: 'sale',
+      entityId: airtableData.id,
+      details: { company, percentOff }
+    });
     
     res.json({ 
       success: true, 
@@ -5074,14 +5724,8 @@ app.post('/sales/add-direct', async (req, res) => {
   }
 });
 
-// Check for duplicate sales in Airtable
-app.post('/check-duplicates/:id', async (req, res) => {
-  const { auth } = req.headers;
-  
-  if (auth !== ADMIN_PASSWORD) {
-    return res.status(401).json({ success: false, message: 'Unauthorized' });
-  }
-  
+// Check for duplicate sales before approving
+app.post('/check-duplicates/:id', requireAdmin(), async (req, res) => {
   try {
     const { id } = req.params;
     const pendingSales = await getPendingSales();
@@ -5091,41 +5735,33 @@ app.post('/check-duplicates/:id', async (req, res) => {
       return res.status(404).json({ success: false, error: 'Sale not found' });
     }
     
-    // Check for duplicates in Airtable
+    // Recent sales for the same company (either name contains the other)
     const normalizedCompany = pendingSale.company.toLowerCase().trim();
     const twoWeeksAgo = new Date(Date.now() - 14 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
     
-    const filterFormula = `AND(
-      {StartDate} >= '${twoWeeksAgo}',
-      OR(
-        FIND(LOWER("${normalizedCompany}"), LOWER({OriginalCompanyName})),
-        FIND(LOWER({OriginalCompanyName}), LOWER("${normalizedCompany}"))
-      )
-    )`;
-    
-    const duplicatesUrl = `https://api.airtable.com/v0/${AIRTABLE_BASE_ID}/${TABLE_NAME}?filterByFormula=${encodeURIComponent(filterFormula)}`;
-    
-    const response = await fetch(duplicatesUrl, {
-      headers: { 'Authorization': `Bearer ${AIRTABLE_PAT}` }
-    });
-    
-    if (!response.ok) {
-      throw new Error('Failed to check duplicates');
-    }
-    
-    const data = await response.json();
+    const result = await pool.query(`
+      SELECT s.*, COALESCE(c.name, s.original_company_name) AS company_name
+      FROM sales s
+      LEFT JOIN companies c ON s.company_id = c.id
+      WHERE s.start_date >= $1
+        AND COALESCE(c.name, s.original_company_name) IS NOT NULL
+        AND (
+          POSITION($2 IN LOWER(COALESCE(c.name, s.original_company_name))) > 0
+          OR POSITION(LOWER(COALESCE(c.name, s.original_company_name)) IN $2) > 0
+        )
+      ORDER BY s.start_date DESC
+    `, [twoWeeksAgo, normalizedCompany]);
     
     // Filter for sales with similar discount percentage (within 5%)
-    const duplicates = data.records.filter(record => {
-      const recordPercent = record.fields.PercentOff;
-      return Math.abs(recordPercent - pendingSale.percentOff) <= 5;
-    }).map(record => ({
-      id: record.id,
-      company: record.fields.OriginalCompanyName,
-      percentOff: record.fields.PercentOff,
-      startDate: record.fields.StartDate,
-      endDate: record.fields.EndDate,
-      saleUrl: record.fields.SaleURL
+    const duplicates = result.rows.filter(row => {
+      return Math.abs(row.percent_off - pendingSale.percentOff) <= 5;
+    }).map(row => ({
+      id: row.airtable_id || `pg_${row.id}`,
+      company: row.company_name,
+      percentOff: row.percent_off,
+      startDate: row.start_date ? row.start_date.toISOString().split('T')[0] : null,
+      endDate: row.end_date ? row.end_date.toISOString().split('T')[0] : null,
+      saleUrl: row.sale_url
     }));
     
     res.json({ 
@@ -5139,188 +5775,38 @@ app.post('/check-duplicates/:id', async (req, res) => {
   }
 });
 
-// Approve a pending sale (move to Airtable)
-app.post('/approve-sale/:id', async (req, res) => {
-  const { auth } = req.headers;
-  
-  if (auth !== ADMIN_PASSWORD) {
-    return res.status(401).json({ success: false, message: 'Unauthorized' });
-  }
-  
+// Approve a pending sale (publish it in PostgreSQL)
+app.post('/approve-sale/:id', requireAdmin('approver'), async (req, res) => {
   try {
     const { id } = req.params;
     const { replaceSaleId } = req.body;
-    const pendingSale = await removePendingSale(id);
-    
-    if (!pendingSale) {
-      return res.status(404).json({ success: false, error: 'Sale not found' });
-    }
-    
-    console.log(`✅ Approving sale: ${pendingSale.company} ${pendingSale.percentOff}%`);
-    
-    // Track old sale for pick transfer and cleanup (will be set if we find an existing live sale)
-    let oldSaleToTransferFrom = null;
-    let shouldDeleteOldSale = false;
-    
-    // Identify old sale BEFORE creating new one (but don't delete/deactivate yet)
-    if (replaceSaleId) {
-      console.log(`🔄 Will replace existing sale: ${replaceSaleId}`);
-      oldSaleToTransferFrom = replaceSaleId;
-      shouldDeleteOldSale = true; // Delete after new sale created and picks transferred
-    } else {
-      // Check for existing live sale for this company (one-live-sale-per-company rule)
-      const existingLiveSale = await findLiveSaleForCompany(
-        pendingSale.companyRecordId, 
-        pendingSale.company
-      );
-      
-      if (existingLiveSale) {
-        console.log(`📦 Found existing live sale for ${pendingSale.company}: ${existingLiveSale.id}`);
-        oldSaleToTransferFrom = existingLiveSale.id;
-        // Don't delete - just deactivate after new sale is created
-      }
-    }
-    
-    // Create Airtable record
-    const airtableUrl = `https://api.airtable.com/v0/${AIRTABLE_BASE_ID}/${TABLE_NAME}`;
-    
-    const today = new Date().toISOString().split('T')[0];
-    const isLive = pendingSale.startDate <= today ? 'YES' : 'NO';
-    
-    const fields = {
-      OriginalCompanyName: pendingSale.company,
-      PercentOff: pendingSale.percentOff,
-      SaleURL: pendingSale.saleUrl,
-      CleanURL: pendingSale.cleanUrl,
-      StartDate: pendingSale.startDate,
-      Confidence: pendingSale.confidence || 60,
-      Live: isLive,
-      Description: JSON.stringify({
-        source: 'email',
-        aiReasoning: pendingSale.reasoning,
-        confidence: pendingSale.confidence,
-        originalEmail: {
-          from: pendingSale.emailFrom,
-          subject: pendingSale.emailSubject,
-          receivedAt: pendingSale.receivedAt
-        },
-        approved: true,
-        approvedAt: new Date().toISOString()
-      })
-    };
-    
-    if (pendingSale.companyRecordId) {
-      fields.Company = [pendingSale.companyRecordId];
-    }
-    
-    if (pendingSale.discountCode) {
-      fields.PromoCode = pendingSale.discountCode;
-    }
-    if (pendingSale.extraDiscount) {
-      fields.ExtraDiscount = pendingSale.extraDiscount;
-    }
-    if (pendingSale.endDate) {
-      fields.EndDate = pendingSale.endDate;
-    }
     
-    const airtableResponse = await fetch(airtableUrl, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${AIRTABLE_PAT}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({ fields })
-    });
+    const result = await approveSale(id, { replaceSaleId });
     
-    if (!airtableResponse.ok) {
-      const errorText = await airtableResponse.text();
-      console.error('❌ Airtable error:', errorText);
-      return res.status(500).json({ 
-        success: false, 
-        error: 'Airtable error',
-        details: errorText
-      });
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, error: result.error });
     }
     
-    const airtableData = await airtableResponse.json();
-    const newSaleId = airtableData.id;
-    console.log('✅ Created Airtable record:', newSaleId);
-    
-    // Transfer picks and cleanup old sale with proper error handling
-    let picksTransferred = 0;
-    let cleanupError = null;
+    const message = result.picksTransferred > 0 
+      ? `Sale approved and published. Transferred ${result.picksTransferred} picks from previous sale.`
+      : 'Sale approved and published';
     
-    if (oldSaleToTransferFrom && newSaleId) {
-      try {
-        // Step 1: Transfer picks
-        console.log(`🔄 Transferring picks from ${oldSaleToTransferFrom} to ${newSaleId}`);
-        const transferResult = await transferPicksToNewSale(oldSaleToTransferFrom, newSaleId);
-        picksTransferred = transferResult.transferred || 0;
-        if (picksTransferred > 0) {
-          console.log(`✅ Transferred ${picksTransferred} picks to new sale`);
-        }
-        
-        // Step 2: Cleanup old sale (delete if replacing, deactivate otherwise)
-        if (shouldDeleteOldSale) {
-          console.log(`🗑️  Deleting old sale: ${oldSaleToTransferFrom}`);
-          const deleteUrl = `https://api.airtable.com/v0/${AIRTABLE_BASE_ID}/${TABLE_NAME}/${oldSaleToTransferFrom}`;
-          const deleteResponse = await fetch(deleteUrl, {
-            method: 'DELETE',
-            headers: {
-              'Authorization': `Bearer ${AIRTABLE_PAT}`
-            }
-          });
-          
-          if (!deleteResponse.ok) {
-            throw new Error(`Failed to delete old sale: ${await deleteResponse.text()}`);
-          }
-          console.log('✅ Deleted old sale successfully');
-        } else {
-          // Deactivate the old sale to prevent duplicate live sales
-          const deactivated = await deactivateSale(oldSaleToTransferFrom);
-          if (!deactivated) {
-            throw new Error('Failed to deactivate old sale');
-          }
-          console.log(`✅ Deactivated old sale ${oldSaleToTransferFrom}`);
-        }
-      } catch (error) {
-        cleanupError = error;
-        console.error('❌ Cleanup failed, rolling back new sale:', error.message);
-        
-        // Rollback: Delete the newly created sale to prevent duplicate live sales
-        try {
-          const rollbackUrl = `https://api.airtable.com/v0/${AIRTABLE_BASE_ID}/${TABLE_NAME}/${newSaleId}`;
-          await fetch(rollbackUrl, {
-            method: 'DELETE',
-            headers: {
-              'Authorization': `Bearer ${AIRTABLE_PAT}`
-            }
-          });
-          console.log('✅ Rolled back new sale creation');
-        } catch (rollbackError) {
-          console.error('❌ Rollback failed:', rollbackError.message);
-        }
-        
-        return res.status(500).json({
-          success: false,
-          error: 'Failed to cleanup old sale. Approval rolled back.',
-          details: error.message
-        });
+    await logAdminAction(req.adminUser, 'approve_sale', {
+      entityType: 'sale',
+      entityId: result.sale.id,
+      details: {
+        company: result.pendingSale.company,
+        percentOff: result.pendingSale.percentOff,
+        replacedSaleId: result.replacedSaleId,
+        picksTransferred: result.picksTransferred
       }
-    }
-    
-    // Clear sales cache only after successful completion
-    clearSalesCache();
-    
-    const message = picksTransferred > 0 
-      ? `Sale approved and added to Airtable. Transferred ${picksTransferred} picks from previous sale.`
-      : 'Sale approved and added to Airtable';
+    });
     
     res.json({ 
       success: true, 
       message,
-      recordId: newSaleId,
-      picksTransferred
+      recordId: `pg_${result.sale.id}`,
+      picksTransferred: result.picksTransferred
     });
     
   } catch (error) {
@@ -5330,13 +5816,7 @@ app.post('/approve-sale/:id', async (req, res) => {
 });
 
 // Reject a pending sale (delete it)
-app.post('/reject-sale/:id', async (req, res) => {
-  const { auth } = req.headers;
-  
-  if (auth !== ADMIN_PASSWORD) {
-    return res.status(401).json({ success: false, message: 'Unauthorized' });
-  }
-  
+app.post('/reject-sale/:id', requireAdmin('approver'), async (req, res) => {
   try {
     const { id } = req.params;
     const pendingSale = await removePendingSale(id);
@@ -5347,6 +5827,12 @@ app.post('/reject-sale/:id', async (req, res) => {
     
     console.log(`❌ Rejected sale: ${pendingSale.company} ${pendingSale.percentOff}%`);
     
+    await logAdminAction(req.adminUser, 'reject_sale', {
+      entityType: 'pending_sale',
+      entityId: id,
+      details: { company: pendingSale.company, percentOff: pendingSale.percentOff }
+    });
+    
     res.json({ 
       success: true, 
       message: 'Sale rejected',
@@ -5360,13 +5846,7 @@ app.post('/reject-sale/:id', async (req, res) => {
 });
 
 // Get approval settings
-app.get('/approval-settings', async (req, res) => {
-  const { auth } = req.headers;
-  
-  if (auth !== ADMIN_PASSWORD) {
-    return res.status(401).json({ success: false, message: 'Unauthorized' });
-  }
-  
+app.get('/approval-settings', requireAdmin(), async (req, res) => {
   try {
     const settings = await getApprovalSettings();
     res.json({ success: true, settings });
@@ -5377,13 +5857,7 @@ app.get('/approval-settings', async (req, res) => {
 });
 
 // Update approval settings
-app.post('/approval-settings', async (req, res) => {
-  const { auth } = req.headers;
-  
-  if (auth !== ADMIN_PASSWORD) {
-    return res.status(401).json({ success: false, message: 'Unauthorized' });
-  }
-  
+app.post('/approval-settings', requireAdmin('approver'), async (req, res) => {
   try {
     const { approvalsEnabled } = req.body;
     
@@ -5414,13 +5888,7 @@ app.post('/approval-settings', async (req, res) => {
 // ============================================
 
 // Get all drafts
-app.get('/admin/manual-picks/drafts', async (req, res) => {
-  const { auth } = req.headers;
-  
-  if (auth !== ADMIN_PASSWORD) {
-    return res.status(401).json({ success: false, message: 'Unauthorized' });
-  }
-  
+app.get('/admin/manual-picks/drafts', requireAdmin(), async (req, res) => {
   try {
     const drafts = await getAllDrafts();
     res.json({ success: true, drafts });
@@ -5431,13 +5899,7 @@ app.get('/admin/manual-picks/drafts', async (req, res) => {
 });
 
 // Get a specific draft
-app.get('/admin/manual-picks/drafts/:id', async (req, res) => {
-  const { auth } = req.headers;
-  
-  if (auth !== ADMIN_PASSWORD) {
-    return res.status(401).json({ success: false, message: 'Unauthorized' });
-  }
-  
+app.get('/admin/manual-picks/drafts/:id', requireAdmin(), async (req, res) => {
   try {
     const { id } = req.params;
     const draft = await getDraftById(id);
@@ -5454,13 +5916,7 @@ app.get('/admin/manual-picks/drafts/:id', async (req, res) => {
 });
 
 // Save or update a draft
-app.post('/admin/manual-picks/drafts', async (req, res) => {
-  const { auth } = req.headers;
-  
-  if (auth !== ADMIN_PASSWORD) {
-    return res.status(401).json({ success: false, message: 'Unauthorized' });
-  }
-  
+app.post('/admin/manual-picks/drafts', requireAdmin(), async (req, res) => {
   try {
     const { id, saleId, saleName, salePercentOff, picks } = req.body;
     
@@ -5502,13 +5958,7 @@ app.post('/admin/manual-picks/drafts', async (req, res) => {
 });
 
 // Delete a draft
-app.delete('/admin/manual-picks/drafts/:id', async (req, res) => {
-  const { auth } = req.headers;
-  
-  if (auth !== ADMIN_PASSWORD) {
-    return res.status(401).json({ success: false, message: 'Unauthorized' });
-  }
-  
+app.delete('/admin/manual-picks/drafts/:id', requireAdmin(), async (req, res) => {
   try {
     const { id } = req.params;
     const deleted = await deleteDraft(id);
@@ -5535,11 +5985,7 @@ app.delete('/admin/manual-picks/drafts/:id', async (req, res) => {
 // ============================================
 
 // Get all finalize drafts
-app.get('/admin/finalize-drafts', async (req, res) => {
-  const { auth } = req.headers;
-  if (auth !== ADMIN_PASSWORD) {
-    return res.status(401).json({ success: false, message: 'Unauthorized' });
-  }
+app.get('/admin/finalize-drafts', requireAdmin(), async (req, res) => {
   try {
     const drafts = await getAllFinalizeDrafts();
     res.json({ success: true, drafts });
@@ -5550,13 +5996,12 @@ app.get('/admin/finalize-drafts', async (req, res) => {
 });
 
 // Save finalize draft
-app.post('/admin/finalize-drafts', async (req, res) => {
-  const { auth } = req.headers;
-  if (auth !== ADMIN_PASSWORD) {
-    return res.status(401).json({ success: false, message: 'Unauthorized' });
-  }
+app.post('/admin/finalize-drafts', requireAdmin(), async (req, res) => {
   try {
-    const draft = await saveFinalizeDraft(req.body);
+    const { draft, error, status } = await saveFinalizeDraft(req.body);
+    if (error) {
+      return res.status(status).json({ success: false, error, draft });
+    }
     res.json({ success: true, draft });
   } catch (error) {
     console.error('Error saving finalize draft:', error);
@@ -5565,11 +6010,7 @@ app.post('/admin/finalize-drafts', async (req, res) => {
 });
 
 // Delete finalize draft
-app.delete('/admin/finalize-drafts/:id', async (req, res) => {
-  const { auth } = req.headers;
-  if (auth !== ADMIN_PASSWORD) {
-    return res.status(401).json({ success: false, message: 'Unauthorized' });
-  }
+app.delete('/admin/finalize-drafts/:id', requireAdmin(), async (req, res) => {
   try {
     const deleted = await deleteFinalizeDraft(req.params.id);
     if (!deleted) {
@@ -5876,7 +6317,7 @@ app.use((req, res) => {
   res.sendFile(path.join(buildPath, 'index.html'));
 });
 
-// Background job to auto-detect incomplete companies and research them
+// Background scan for incomplete companies - queues a research job for each one
 async function checkForIncompleteBrands() {
   try {
     console.log('🔍 Checking for incomplete brands...');
@@ -5922,61 +6363,14 @@ async function checkForIncompleteBrands() {
       const isIncomplete = !fields.PriceRange || !fields.Category || !fields.Description;
       
       if (isIncomplete) {
-        console.log(`📋 Found incomplete brand: ${name}, triggering research...`);
+        // Deduped by brand name, so a brand already queued or retrying isn't queued again
+        const { created } = await enqueueJob('brand_research', {
+          brandName: name,
+          airtableRecordId: company.id
+        }, { dedupeKey: name.toLowerCase() });
         
-        try {
-          const researchResponse = await fetch('http://localhost:3001/admin/brand-research', {
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/json',
-              'auth': ADMIN_PASSWORD
-            },
-            body: JSON.stringify({ brandName: name })
-          });
-          
-          if (researchResponse.ok) {
-            const result = await researchResponse.json();
-            
-            // Check if research was successful and returned brand data
-            if (!result.success || !result.brand) {
-              console.log(`⚠️  Research for ${name} returned no data: ${result.error || 'Unknown error'}`);
-              continue;
-            }
-            
-            await addPendingBrand({
-              name: name,
-              airtableRecordId: company.id,
-              type: result.brand.type,
-              priceRange: result.brand.priceRange,
-              category: result.brand.category,
-              values: result.brand.values,
-              maxWomensSize: result.brand.maxWomensSize,
-              sizingSource: result.brand.sizingSource,
-              description: result.brand.description,
-              notes: result.brand.notes,
-              url: result.brand.url,
-              qualityScore: result.qualityScore
-            });
-            
-            console.log(`✅ Researched and queued ${name} for approval (${result.qualityScore}% quality)`);
-            
-            // Send Telegram notification for new brand
-            if (TELEGRAM_CHAT_ID) {
-              const brandAlert = `🏷️ *New Brand Researched*\n\n` +
-                `*${name}*\n` +
-                `Quality: ${result.qualityScore}%\n` +
-                `Price: ${result.brand.priceRange || 'N/A'}\n` +
-                `Category: ${result.brand.category || 'N/A'}\n` +
-                (result.brand.url ? `🔗 ${result.brand.url}\n` : '') +
-                `\n_Review in Admin → Add Brands_`;
-              
-              sendAlertToTelegram(TELEGRAM_CHAT_ID, brandAlert).catch(err => {
-                console.error('Failed to send brand Telegram alert:', err.message);
-              });
-            }
-          }
-        } catch (error) {
-          console.error(`❌ Failed to research ${name}:`, error.message);
+        if (created) {
+          console.log(`📋 Found incomplete brand: ${name}, queued research...`);
         }
       }
     }
@@ -5985,71 +6379,92 @@ async function checkForIncompleteBrands() {
   }
 }
 
+// Brand research job handler (runs from the job queue)
+async function runBrandResearchJob(job) {
+  const { brandName: name, airtableRecordId } = job.config;
+  
+  const researchResponse = await fetch('http://localhost:3001/admin/brand-research', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'auth': createServiceToken()
+    },
+    body: JSON.stringify({ brandName: name })
+  });
+  
+  if (!researchResponse.ok) {
+    throw new Error(`Brand research request failed: ${researchResponse.status}`);
+  }
+  
+  const result = await researchResponse.json();
+  
+  // Check if research was successful and returned brand data
+  if (!result.success || !result.brand) {
+    console.log(`⚠️  Research for ${name} returned no data: ${result.error || 'Unknown error'}`);
+    return { brandName: name, queued: false, error: result.error || 'No data' };
+  }
+  
+  await addPendingBrand({
+    name: name,
+    airtableRecordId,
+    type: result.brand.type,
+    priceRange: result.brand.priceRange,
+    category: result.brand.category,
+    values: result.brand.values,
+    maxWomensSize: result.brand.maxWomensSize,
+    sizingSource: result.brand.sizingSource,
+    description: result.brand.description,
+    notes: result.brand.notes,
+    url: result.brand.url,
+    qualityScore: result.qualityScore
+  });
+  
+  console.log(`✅ Researched and queued ${name} for approval (${result.qualityScore}% quality)`);
+  
+  // Send Telegram notification for new brand
+  if (TELEGRAM_CHAT_ID) {
+    const brandAlert = `🏷️ *New Brand Researched*\n\n` +
+      `*${name}*\n` +
+      `Quality: ${result.qualityScore}%\n` +
+      `Price: ${result.brand.priceRange || 'N/A'}\n` +
+      `Category: ${result.brand.category || 'N/A'}\n` +
+      (result.brand.url ? `🔗 ${result.brand.url}\n` : '') +
+      `\n_Review in Admin → Add Brands_`;
+    
+    sendAlertToTelegram(TELEGRAM_CHAT_ID, brandAlert).catch(err => {
+      console.error('Failed to send brand Telegram alert:', err.message);
+    });
+  }
+  
+  return { brandName: name, queued: true, qualityScore: result.qualityScore };
+}
+
+registerJobHandler('brand_research', runBrandResearchJob, { concurrency: 1, maxAttempts: 3 });
+
 // Telegram approval handler - defined at module level for reuse
 const handleTelegramApproval = async (action, saleId) => {
   try {
     console.log(`📱 Telegram ${action} request for sale: ${saleId}`);
     
     if (action === 'approve') {
-      // Get the pending sale
-      const pendingSales = await getPendingSales();
-      const sale = pendingSales.find(s => s.id === saleId);
-      
-      if (!sale) {
-        return { success: false, error: 'Sale not found or already processed' };
-      }
-      
-      // Add to Airtable
-      const today = new Date().toISOString().split('T')[0];
-      const isLive = sale.startDate <= today ? 'YES' : 'NO';
-      
-      const fields = {
-        OriginalCompanyName: sale.company,
-        PercentOff: sale.percentOff,
-        StartDate: sale.startDate,
-        Confidence: sale.confidence || 100,
-        Live: isLive,
-        Description: JSON.stringify({
-          source: 'email',
-          approvedVia: 'telegram',
-          approvedAt: new Date().toISOString()
-        })
-      };
+      const result = await approveSale(saleId, { approvedVia: 'telegram' });
       
-      if (sale.saleUrl) {
-        fields.SaleURL = sale.saleUrl;
-        fields.CleanURL = sale.cleanUrl || sale.saleUrl;
-      }
-      if (sale.companyRecordId) {
-        fields.Company = [sale.companyRecordId];
-      }
-      if (sale.discountCode) {
-        fields.PromoCode = sale.discountCode;
-      }
-      if (sale.endDate) {
-        fields.EndDate = sale.endDate;
+      if (!result.success) {
+        return { success: false, error: result.error };
       }
       
-      const airtableUrl = `https://api.airtable.com/v0/${AIRTABLE_BASE_ID}/${TABLE_NAME}`;
-      const response = await fetch(airtableUrl, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${AIRTABLE_PAT}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({ fields })
+      await logAdminAction({ id: null, username: 'telegram' }, 'approve_sale', {
+        entityType: 'sale',
+        entityId: result.sale.id,
+        details: {
+          company: result.pendingSale.company,
+          percentOff: result.pendingSale.percentOff,
+          replacedSaleId: result.replacedSaleId,
+          picksTransferred: result.picksTransferred
+        }
       });
       
-      if (!response.ok) {
-        const errorText = await response.text();
-        return { success: false, error: errorText };
-      }
-      
-      // Remove from pending
-      await removePendingSale(saleId);
-      clearSalesCache();
-      
-      console.log(`✅ Sale approved via Telegram: ${sale.company}`);
+      console.log(`✅ Sale approved via Telegram: ${result.pendingSale.company}`);
       return { success: true };
       
     } else if (action === 'reject') {
@@ -6075,12 +6490,18 @@ app.listen(PORT, '0.0.0.0', () => {
   console.log(`📬 AgentMail webhook endpoint: http://0.0.0.0:${PORT}/webhook/agentmail`);
   console.log(`📦 Serving React build from: ${buildPath}`);
   
+  // Job queue runs in every environment - it resumes jobs interrupted by a restart
+  startJobQueue().catch(err => {
+    console.error('❌ Failed to start job queue:', err.message);
+  });
+  
   // For autoscale deployments (production), skip background tasks entirely
   // These will run on-demand via webhooks or admin actions
   if (isProduction) {
     console.log('🚀 Production mode: Background tasks disabled for autoscale');
     console.log('   - Brand research: Triggered via admin panel');
-    console.log('   - Company cache: Lazy-loaded on first request');
+    console.log('   - Caches: Loaded on first request');
+    console.log('   - Sale go-live/expiry: Checked lazily on /sales requests');
     console.log('   - Telegram: Webhook-only (no polling)');
     return;
   }
@@ -6088,12 +6509,8 @@ app.listen(PORT, '0.0.0.0', () => {
   // Development mode: Run background tasks
   console.log('🔧 Development mode: Starting background tasks...');
   
-  // Pre-fetch companies to cache for brand auto-fill logic (non-blocking)
-  fetchCompanies().then(companies => {
-    console.log(`✅ Cached ${companies.length} companies for brand auto-fill`);
-  }).catch(err => {
-    console.warn('⚠️  Failed to pre-fetch companies:', err.message);
-  });
+  // Pre-load public sales, companies and the brand auto-fill list (non-blocking)
+  warmCaches();
   
   // Run initial brand auto-detection (non-blocking, with error handling)
   Promise.resolve().then(() => checkForIncompleteBrands()).catch(err => {
@@ -6107,6 +6524,13 @@ app.listen(PORT, '0.0.0.0', () => {
     });
   }, 15 * 60 * 1000);
   
+  // Go live / expire sales by start and end date every 15 minutes (development only)
+  setInterval(() => {
+    runSaleSchedule().catch(err => {
+      console.warn('⚠️  Scheduled sale go-live/expiry failed:', err.message);
+    });
+  }, 15 * 60 * 1000);
+  
   // Initialize Telegram bot with polling (development only)
   if (TELEGRAM_BOT_TOKEN && TELEGRAM_CHAT_ID) {
     console.log('📱 Initializing Telegram bot...');
@@ -16,6 +16,14 @@ import { SalesApprovals } from './pages/SalesApprovals';
 import { ManualSaleEntry } from './pages/ManualSaleEntry';
 import { ManageSales } from './pages/ManageSales';
 import { ManageBrands } from './pages/ManageBrands';
+import { Jobs } from './pages/Jobs';
+import { ScrapingHealth } from './pages/ScrapingHealth';
+import { InboundEmails } from './pages/InboundEmails';
+import { EmailSenders } from './pages/EmailSenders';
+import { AdminUsers } from './pages/AdminUsers';
+import { AuditLog } from './pages/AuditLog';
+import { Subscribers } from './pages/Subscribers';
+import { NewsletterDigest } from './pages/NewsletterDigest';
 import { Toaster } from './components/ui/sonner';
 
 function ScrollToTop() {
@@ -51,6 +59,14 @@ export default function App() {
           <Route path="assets/results" element={<AssetResults />} />
           <Route path="freshness" element={<Freshness />} />
           <Route path="sync" element={<SyncGem />} />
+          <Route path="jobs" element={<Jobs />} />
+          <Route path="scraping-health" element={<ScrapingHealth />} />
+          <Route path="inbound-emails" element={<InboundEmails />} />
+          <Route path="email-senders" element={<EmailSenders />} />
+          <Route path="users" element={<AdminUsers />} />
+          <Route path="audit-log" element={<AuditLog />} />
+          <Route path="subscribers" element={<Subscribers />} />
+          <Route path="digest" element={<NewsletterDigest />} />
         </Route>
       </Routes>
       <Toaster />
@@ -1,16 +1,18 @@
 import { useState, useEffect } from 'react';
-import { FilterOptions } from '../types';
+import { FilterOptions, SaleFacets } from '../types';
 import { Checkbox } from './ui/checkbox';
 import { ChevronDown, ChevronRight, X } from 'lucide-react';
 
 interface FilterSidebarProps {
   filters: FilterOptions;
+  // Counts from the server for the current selection; hidden until loaded
+  facets?: SaleFacets;
   onFilterChange: (filters: FilterOptions) => void;
   isOpen: boolean;
   onClose: () => void;
 }
 
-export function FilterSidebar({ filters, onFilterChange, isOpen, onClose }: FilterSidebarProps) {
+export function FilterSidebar({ filters, facets, onFilterChange, isOpen, onClose }: FilterSidebarProps) {
   const [expandedSections, setExpandedSections] = useState<Record<string, boolean>>({
     type: true,
     priceRange: true,
@@ -52,6 +54,9 @@ export function FilterSidebar({ filters, onFilterChange, isOpen, onClose }: Filt
     });
   };
 
+  const facetLabel = (filterKey: keyof FilterOptions, option: string) =>
+    facets ? ` (${facets[filterKey]?.[option] || 0})` : '';
+
   const FilterSection = ({
     title,
     filterKey,
@@ -88,7 +93,7 @@ export function FilterSidebar({ filters, onFilterChange, isOpen, onClose }: Filt
                     fontWeight: 300
                   }}
                 >
-                  {option}
+                  {option}{facetLabel(filterKey, option)}
                 </label>
                 <Checkbox
                   id={`${filterKey}-${option}`}
@@ -156,7 +161,7 @@ export function FilterSidebar({ filters, onFilterChange, isOpen, onClose }: Filt
               fontWeight: 500
             }}
           >
-            HAS FAVES
+            HAS FAVES{facetLabel('type', 'Has picks')}
           </label>
           <Checkbox
             id="has-picks"
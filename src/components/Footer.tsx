@@ -1,3 +1,5 @@
+import { NewsletterSignupForm } from './NewsletterSignupForm';
+
 export function Footer() {
   const currentYear = new Date().getFullYear();
 
@@ -47,18 +49,7 @@ export function Footer() {
             <p className="text-base text-muted-foreground mb-4 leading-relaxed" style={{ fontFamily: 'Crimson Pro, serif' }}>
               Join for curated, CP-friendly designer deals
             </p>
-            <iframe 
-              src="https://wellspentstyle.substack.com/embed" 
-              width="100%" 
-              height="150"
-              style={{
-                border: '1px solid white',
-                background: 'white',
-                maxWidth: '100%'
-              }}
-              frameBorder={0}
-              scrolling="no"
-            />
+            <NewsletterSignupForm source="footer" />
           </div>
         </div>
 
@@ -1,5 +1,6 @@
 import { useState, useEffect } from 'react';
 import { X } from 'lucide-react';
+import { NewsletterSignupForm } from './NewsletterSignupForm';
 
 export function NewsletterModal() {
   const [isOpen, setIsOpen] = useState(false);
@@ -92,25 +93,10 @@ export function NewsletterModal() {
           Stay in the know with the best Creative Pragmatist designer deals.
         </p>
 
-        {/* Substack Embed */}
-        <div style={{ 
-          width: '100%',
-          display: 'flex',
-          justifyContent: 'center'
-        }}>
-          <iframe 
-            src="https://wellspentstyle.substack.com/embed" 
-            width="100%" 
-            height="150"
-            style={{
-              border: '1px solid white',
-              background: 'white',
-              maxWidth: '100%'
-            }}
-            frameBorder="0" 
-            scrolling="no"
-          />
-        </div>
+        <NewsletterSignupForm
+          source="popup"
+          onSubscribed={() => localStorage.setItem('newsletter-modal-seen', 'true')}
+        />
       </div>
     </div>
   );
@@ -0,0 +1,98 @@
+import { useState } from 'react';
+
+interface NewsletterSignupFormProps {
+  // Which signup form on the site this is, stored with the subscriber
+  source: 'popup' | 'footer';
+  onSubscribed?: () => void;
+}
+
+type FormState = 'idle' | 'submitting' | 'done' | 'error';
+
+export function NewsletterSignupForm({ source, onSubscribed }: NewsletterSignupFormProps) {
+  const [email, setEmail] = useState('');
+  const [state, setState] = useState<FormState>('idle');
+  const [message, setMessage] = useState('');
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setState('submitting');
+
+    try {
+      const response = await fetch('/api/newsletter/subscribe', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ email, source })
+      });
+
+      const data = await response.json();
+      if (data.success) {
+        setState('done');
+        setMessage(data.duplicate
+          ? "You're already subscribed - thanks!"
+          : 'Almost there! Check your inbox to confirm your subscription.');
+        onSubscribed?.();
+      } else {
+        setState('error');
+        setMessage(data.message || 'Something went wrong. Please try again.');
+      }
+    } catch (error) {
+      console.error('Newsletter signup failed:', error);
+      setState('error');
+      setMessage('Something went wrong. Please try again.');
+    }
+  };
+
+  if (state === 'done') {
+    return (
+      <p style={{ fontFamily: 'Crimson Pro, serif', fontSize: '16px', lineHeight: 1.6 }}>
+        {message}
+      </p>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit} style={{ width: '100%' }}>
+      <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap' }}>
+        <input
+          type="email"
+          required
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          placeholder="Your email address"
+          aria-label="Email address"
+          style={{
+            flex: '1 1 200px',
+            padding: '12px 14px',
+            border: '1px solid var(--border)',
+            fontFamily: 'DM Sans, sans-serif',
+            fontSize: '14px',
+            background: 'white'
+          }}
+        />
+        <button
+          type="submit"
+          disabled={state === 'submitting'}
+          style={{
+            padding: '12px 20px',
+            background: '#000',
+            color: 'white',
+            border: 'none',
+            fontFamily: 'DM Sans, sans-serif',
+            fontSize: '14px',
+            fontWeight: 600,
+            letterSpacing: '0.02em',
+            cursor: state === 'submitting' ? 'default' : 'pointer',
+            opacity: state === 'submitting' ? 0.6 : 1
+          }}
+        >
+          {state === 'submitting' ? 'Subscribing...' : 'Subscribe'}
+        </button>
+      </div>
+      {state === 'error' && (
+        <p style={{ fontFamily: 'DM Sans, sans-serif', fontSize: '13px', color: '#b91c1c', marginTop: '8px' }}>
+          {message}
+        </p>
+      )}
+    </form>
+  );
+}
@@ -0,0 +1,95 @@
+import { useState, useEffect } from 'react';
+import { LineChart, Line, XAxis, YAxis, Tooltip, CartesianGrid, ResponsiveContainer } from 'recharts';
+import { Loader2 } from 'lucide-react';
+
+const API_BASE = '/api';
+
+interface PriceHistoryPoint {
+  pickId: string;
+  originalPrice: number | null;
+  salePrice: number | null;
+  percentOff: number | null;
+  availabilityStatus: string | null;
+  source: string | null;
+  recordedAt: string;
+}
+
+interface PriceHistoryChartProps {
+  pickId: string;
+}
+
+export function PriceHistoryChart({ pickId }: PriceHistoryChartProps) {
+  const [history, setHistory] = useState<PriceHistoryPoint[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+
+  useEffect(() => {
+    const fetchHistory = async () => {
+      setIsLoading(true);
+      try {
+        const auth = localStorage.getItem('adminAuth') || '';
+        const response = await fetch(`${API_BASE}/admin/price-history?pickId=${encodeURIComponent(pickId)}`, {
+          headers: { 'auth': auth }
+        });
+
+        const data = await response.json();
+        if (data.success) {
+          setHistory(data.history);
+        }
+      } catch (error) {
+        console.error('Error fetching price history:', error);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    fetchHistory();
+  }, [pickId]);
+
+  if (isLoading) {
+    return (
+      <div className="py-6 text-center">
+        <Loader2 className="w-5 h-5 animate-spin mx-auto text-gray-400" />
+      </div>
+    );
+  }
+
+  if (history.length === 0) {
+    return <div className="py-6 text-center text-sm text-gray-500">No price history recorded yet</div>;
+  }
+
+  const chartData = history.map(point => ({
+    date: new Date(point.recordedAt).toLocaleDateString(),
+    salePrice: point.salePrice,
+    originalPrice: point.originalPrice
+  }));
+
+  // Compare the latest price with the one from a week or more ago
+  const latest = history[history.length - 1];
+  const weekAgo = new Date(new Date(latest.recordedAt).getTime() - 7 * 24 * 60 * 60 * 1000);
+  const previous = [...history].reverse().find(p => new Date(p.recordedAt) <= weekAgo) || history[0];
+  const weekChange = previous !== latest && previous.salePrice && latest.salePrice
+    ? Math.round((1 - latest.salePrice / previous.salePrice) * 100)
+    : 0;
+
+  return (
+    <div className="space-y-2">
+      {weekChange > 0 && (
+        <div className="text-sm font-medium text-green-700">
+          Now an extra {weekChange}% lower than {new Date(previous.recordedAt).toLocaleDateString()}
+        </div>
+      )}
+      <div className="h-48">
+        <ResponsiveContainer width="100%" height="100%">
+          <LineChart data={chartData} margin={{ top: 5, right: 20, bottom: 5, left: 0 }}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+            <XAxis dataKey="date" tick={{ fontSize: 11 }} />
+            <YAxis tick={{ fontSize: 11 }} tickFormatter={(value) => `$${value}`} />
+            <Tooltip formatter={(value) => `$${value}`} />
+            <Line type="stepAfter" dataKey="originalPrice" name="Original" stroke="#9ca3af" strokeDasharray="4 4" dot={false} />
+            <Line type="stepAfter" dataKey="salePrice" name="Sale" stroke="#16a34a" strokeWidth={2} />
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+  );
+}
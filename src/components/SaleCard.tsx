@@ -40,6 +40,8 @@ export function SaleCard({ sale, onViewPicks }: SaleCardProps) {
     return daysUntilStart > 0 && daysUntilStart <= 7;
   };
 
+  const extraOffers = (sale.offers || []).filter(offer => !offer.isHeadline);
+
   return (
     <div className="border border-border p-5 md:p-8 hover:border-foreground transition-colors bg-white h-full flex flex-col">
       <div className="flex-1 space-y-5">
@@ -77,6 +79,15 @@ export function SaleCard({ sale, onViewPicks }: SaleCardProps) {
           )}
         </div>
 
+        {/* Other offers in the same sale (spend tiers, free shipping, ...) */}
+        {extraOffers.length > 0 && (
+          <ul className="space-y-1 text-base" style={{ fontFamily: 'Crimson Pro, serif' }}>
+            {extraOffers.map((offer, index) => (
+              <li key={index}>{offer.text}</li>
+            ))}
+          </ul>
+        )}
+
         {/* Discount Code - only show if no extra discount (otherwise it's shown above) */}
         {sale.discountCode && !sale.extraDiscount && (
           <div className="text-base" style={{ fontFamily: 'Crimson Pro, serif' }}>
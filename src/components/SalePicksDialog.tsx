@@ -1,5 +1,5 @@
 import React, { type MouseEvent } from 'react';
-import { Sale } from '../types';
+import { Sale, SalePick } from '../types';
 import {
   Dialog,
   DialogContent,
@@ -10,6 +10,25 @@ import { ScrollArea } from './ui/scroll-area';
 import { ImageWithFallback } from './figma/ImageWithFallback';
 import { Button } from './ui/button';
 
+function formatMoney(amount: number, currency: string) {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency,
+    minimumFractionDigits: Number.isInteger(amount) ? 0 : 2,
+    maximumFractionDigits: 2
+  }).format(amount);
+}
+
+// The shop's own prices for picks it doesn't sell in USD (prices above are converted)
+function formatLocalPrices(pick: SalePick) {
+  if (!pick.currency || pick.currency === 'USD' || !pick.localSalePrice) return null;
+
+  const sale = formatMoney(pick.localSalePrice, pick.currency);
+  return pick.localOriginalPrice && pick.localOriginalPrice > pick.localSalePrice
+    ? `${sale} vs. ${formatMoney(pick.localOriginalPrice, pick.currency)}`
+    : sale;
+}
+
 interface SalePicksDialogProps {
   sale: Sale | null;
   open: boolean;
@@ -55,6 +74,7 @@ export function SalePicksDialog({ sale, open, onOpenChange }: SalePicksDialogPro
                 percentOff = percentOff * 100;
               }
               const roundedPercentOff = Math.round(percentOff);
+              const localPrices = formatLocalPrices(pick);
               
               return (
                 <div 
@@ -146,6 +166,18 @@ export function SalePicksDialog({ sale, open, onOpenChange }: SalePicksDialogPro
                           {roundedPercentOff}% off
                         </span>
                       </div>
+                      {localPrices && (
+                        <div
+                          style={{
+                            fontFamily: 'DM Sans, sans-serif',
+                            fontSize: '12px',
+                            color: '#999',
+                            marginTop: '4px'
+                          }}
+                        >
+                          {localPrices} in store
+                        </div>
+                      )}
                     </div>
                     
                     <div style={{ marginTop: 'auto' }}>
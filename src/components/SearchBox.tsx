@@ -0,0 +1,44 @@
+import { useState, useEffect } from 'react';
+import { Search, X } from 'lucide-react';
+
+interface SearchBoxProps {
+  placeholder?: string;
+  // Called with the trimmed query after typing pauses; '' when cleared
+  onSearch: (query: string) => void;
+  delayMs?: number;
+}
+
+export function SearchBox({ placeholder = 'Search', onSearch, delayMs = 300 }: SearchBoxProps) {
+  const [value, setValue] = useState('');
+
+  useEffect(() => {
+    const timer = setTimeout(() => onSearch(value.trim()), delayMs);
+    return () => clearTimeout(timer);
+  }, [value]);
+
+  return (
+    <div
+      className="flex items-center gap-3 px-4 border border-border bg-background min-h-[48px] w-full md:w-72"
+      style={{ fontFamily: 'DM Sans, sans-serif' }}
+    >
+      <Search className="w-4 h-4 flex-shrink-0 text-muted-foreground" />
+      <input
+        type="search"
+        value={value}
+        onChange={(e) => setValue(e.target.value)}
+        placeholder={placeholder}
+        aria-label={placeholder}
+        className="flex-1 bg-transparent outline-none text-sm tracking-wide min-w-0"
+      />
+      {value && (
+        <button
+          onClick={() => setValue('')}
+          className="p-1 hover:opacity-70 transition-opacity"
+          aria-label="Clear search"
+        >
+          <X className="w-4 h-4" />
+        </button>
+      )}
+    </div>
+  );
+}
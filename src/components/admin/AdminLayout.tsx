@@ -8,7 +8,14 @@ import { AdminSidebar } from './AdminSidebar';
 
 const API_BASE = '/api';
 
+interface AdminUser {
+  id: number | null;
+  username: string;
+  role: 'editor' | 'approver' | 'owner';
+}
+
 export function AdminLayout() {
+  const [username, setUsername] = useState('');
   const [password, setPassword] = useState('');
   const [showPassword, setShowPassword] = useState(false);
   const [isAuthenticated, setIsAuthenticated] = useState(() => {
@@ -18,6 +25,39 @@ export function AdminLayout() {
   const [authError, setAuthError] = useState('');
   const [sidebarOpen, setSidebarOpen] = useState(false);
   const [totalBadgeCount, setTotalBadgeCount] = useState(0);
+  const [adminUser, setAdminUser] = useState<AdminUser | null>(() => {
+    const stored = localStorage.getItem('adminUser');
+    return stored ? JSON.parse(stored) : null;
+  });
+
+  // Drop sessions that have expired or whose account was deactivated
+  useEffect(() => {
+    if (!isAuthenticated) return;
+
+    const checkSession = async () => {
+      try {
+        const response = await fetch(`${API_BASE}/admin/me`, {
+          headers: { 'auth': localStorage.getItem('adminAuth') || '' }
+        });
+
+        if (response.status === 401) {
+          handleSignOut();
+          setAuthError('Your session has expired. Please sign in again.');
+          return;
+        }
+
+        const data = await response.json();
+        if (data.success) {
+          setAdminUser(data.user);
+          localStorage.setItem('adminUser', JSON.stringify(data.user));
+        }
+      } catch (error) {
+        console.error('Error checking admin session:', error);
+      }
+    };
+
+    checkSession();
+  }, [isAuthenticated]);
 
   useEffect(() => {
     if (!isAuthenticated) return;
@@ -63,16 +103,19 @@ export function AdminLayout() {
       const response = await fetch(`${API_BASE}/admin/auth`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ password })
+        body: JSON.stringify({ username, password })
       });
 
       const data = await response.json();
 
       if (data.success) {
-        localStorage.setItem('adminAuth', password);
+        localStorage.setItem('adminAuth', data.token);
+        localStorage.setItem('adminUser', JSON.stringify(data.user));
+        setAdminUser(data.user);
+        setPassword('');
         setIsAuthenticated(true);
       } else {
-        setAuthError('Invalid password');
+        setAuthError(data.message || 'Invalid username or password');
       }
     } catch (error) {
       setAuthError('Authentication failed');
@@ -83,6 +126,8 @@ export function AdminLayout() {
 
   const handleSignOut = () => {
     localStorage.removeItem('adminAuth');
+    localStorage.removeItem('adminUser');
+    setAdminUser(null);
     setIsAuthenticated(false);
     setPassword('');
   };
@@ -120,10 +165,29 @@ export function AdminLayout() {
                 className="text-muted-foreground mb-6 md:mb-10" 
                 style={{ fontFamily: 'Crimson Pro, serif' }}
               >
-                Enter your password to manage sales and content.
+                Sign in with your admin account to manage sales and content.
               </p>
 
               <form onSubmit={handleSignIn}>
+                <div className="space-y-2 mb-6">
+                  <Label 
+                    htmlFor="username"
+                    style={{ fontFamily: 'DM Sans, sans-serif', fontWeight: 700, fontSize: '16px' }}
+                  >
+                    Username
+                  </Label>
+                  <Input
+                    id="username"
+                    type="text"
+                    value={username}
+                    onChange={(e) => setUsername(e.target.value)}
+                    placeholder="Enter your username"
+                    className="h-12"
+                    autoComplete="username"
+                    disabled={loading}
+                  />
+                </div>
+
                 <div className="space-y-2 mb-6 md:mb-8">
                   <Label 
                     htmlFor="password"
@@ -218,20 +282,27 @@ export function AdminLayout() {
                 onClick={handleBackToSite}
               />
             </div>
-            <Button 
-              variant="outline" 
-              onClick={handleSignOut}
-              className="text-sm md:text-base"
-              style={{ fontFamily: 'DM Sans, sans-serif' }}
-            >
-              Sign Out
-            </Button>
+            <div className="flex items-center gap-3">
+              {adminUser && (
+                <span className="hidden md:inline text-sm text-muted-foreground" style={{ fontFamily: 'DM Sans, sans-serif' }}>
+                  {adminUser.username} · {adminUser.role}
+                </span>
+              )}
+              <Button 
+                variant="outline" 
+                onClick={handleSignOut}
+                className="text-sm md:text-base"
+                style={{ fontFamily: 'DM Sans, sans-serif' }}
+              >
+                Sign Out
+              </Button>
+            </div>
           </div>
         </div>
       </header>
 
       <div className="flex flex-1">
-        <AdminSidebar isOpen={sidebarOpen} onClose={() => setSidebarOpen(false)} />
+        <AdminSidebar isOpen={sidebarOpen} onClose={() => setSidebarOpen(false)} role={adminUser?.role} />
         <main className="flex-1 w-full overflow-x-hidden" style={{ backgroundColor: '#f9fafb' }}>
           <Outlet />
         </main>
@@ -1,15 +1,16 @@
 import { useState, useEffect } from 'react';
 import { NavLink } from 'react-router-dom';
-import { Package, Tag, Image, Gem, RefreshCw, CheckSquare, X, Settings } from 'lucide-react';
+import { Package, Tag, Image, Gem, RefreshCw, CheckSquare, X, Settings, ListChecks, Users, History, Mail, Newspaper, Activity, Inbox, AtSign } from 'lucide-react';
 
 const API_BASE = '/api';
 
 interface AdminSidebarProps {
   isOpen?: boolean;
   onClose?: () => void;
+  role?: string;
 }
 
-export function AdminSidebar({ isOpen, onClose }: AdminSidebarProps) {
+export function AdminSidebar({ isOpen, onClose, role }: AdminSidebarProps) {
   const [pendingCount, setPendingCount] = useState(0);
   const [draftsCount, setDraftsCount] = useState(0);
   const [pendingBrandsCount, setPendingBrandsCount] = useState(0);
@@ -23,6 +24,16 @@ export function AdminSidebar({ isOpen, onClose }: AdminSidebarProps) {
     { path: '/admin/assets', label: 'Generate Assets', icon: Image },
     { path: '/admin/freshness', label: 'Freshness', icon: RefreshCw },
     { path: '/admin/sync', label: 'Sync Gem', icon: Gem },
+    { path: '/admin/digest', label: 'Weekly Digest', icon: Newspaper },
+    { path: '/admin/jobs', label: 'Jobs', icon: ListChecks },
+    { path: '/admin/scraping-health', label: 'Scraping Health', icon: Activity },
+    ...(role === 'approver' || role === 'owner' ? [
+      { path: '/admin/inbound-emails', label: 'Inbound Emails', icon: Inbox },
+      { path: '/admin/email-senders', label: 'Email Senders', icon: AtSign },
+      { path: '/admin/subscribers', label: 'Subscribers', icon: Mail },
+      { path: '/admin/audit-log', label: 'Audit Log', icon: History }
+    ] : []),
+    ...(role === 'owner' ? [{ path: '/admin/users', label: 'Users', icon: Users }] : []),
   ];
   
   useEffect(() => {
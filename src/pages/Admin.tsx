@@ -43,8 +43,8 @@ export function Admin({ onBackToSite }: AdminProps) {
       const data = await response.json();
 
       if (data.success) {
-        // Store the password for subsequent API calls
-        localStorage.setItem('adminAuth', password);
+        // Store the session token for subsequent API calls
+        localStorage.setItem('adminAuth', data.token);
         setIsAuthenticated(true);
       } else {
         setAuthError('Invalid password');
@@ -0,0 +1,247 @@
+import { useState, useEffect } from 'react';
+import { Button } from '../components/ui/button';
+import { Input } from '../components/ui/input';
+import { Label } from '../components/ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../components/ui/select';
+import { Loader2, RefreshCw, UserPlus } from 'lucide-react';
+import { toast } from 'sonner';
+
+const API_BASE = '/api';
+
+type AdminRole = 'editor' | 'approver' | 'owner';
+
+interface AdminUser {
+  id: number;
+  username: string;
+  role: AdminRole;
+  active: boolean;
+  createdAt: string;
+  lastLoginAt: string | null;
+}
+
+const ROLE_DESCRIPTIONS: Record<AdminRole, string> = {
+  editor: 'Add picks, brands and assets',
+  approver: 'Editor + approve, reject and edit sales',
+  owner: 'Approver + delete companies and manage users'
+};
+
+export function AdminUsers() {
+  const [users, setUsers] = useState<AdminUser[]>([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isCreating, setIsCreating] = useState(false);
+  const [newUsername, setNewUsername] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [newRole, setNewRole] = useState<AdminRole>('editor');
+
+  useEffect(() => {
+    fetchData();
+  }, []);
+
+  const fetchData = async () => {
+    setIsLoading(true);
+    try {
+      const response = await fetch(`${API_BASE}/admin/users`, {
+        headers: { 'auth': localStorage.getItem('adminAuth') || '' }
+      });
+
+      const data = await response.json();
+      if (data.success) {
+        setUsers(data.users);
+      } else {
+        toast.error(data.message || 'Failed to fetch users');
+      }
+    } catch (error) {
+      toast.error('Error fetching users');
+      console.error(error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const updateUser = async (userId: number, updates: Partial<Pick<AdminUser, 'role' | 'active'>> & { password?: string }) => {
+    try {
+      const response = await fetch(`${API_BASE}/admin/users/${userId}`, {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json',
+          'auth': localStorage.getItem('adminAuth') || ''
+        },
+        body: JSON.stringify(updates)
+      });
+
+      const data = await response.json();
+      if (data.success) {
+        toast.success(`Updated ${data.user.username}`);
+        await fetchData();
+      } else {
+        toast.error(data.message || 'Failed to update user');
+      }
+    } catch (error) {
+      toast.error('Error updating user');
+      console.error(error);
+    }
+  };
+
+  const handleResetPassword = (user: AdminUser) => {
+    const password = window.prompt(`New password for ${user.username}`);
+    if (password) {
+      updateUser(user.id, { password });
+    }
+  };
+
+  const handleCreate = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setIsCreating(true);
+    try {
+      const response = await fetch(`${API_BASE}/admin/users`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'auth': localStorage.getItem('adminAuth') || ''
+        },
+        body: JSON.stringify({ username: newUsername, password: newPassword, role: newRole })
+      });
+
+      const data = await response.json();
+      if (data.success) {
+        toast.success(`Created ${data.user.username}`);
+        setNewUsername('');
+        setNewPassword('');
+        setNewRole('editor');
+        await fetchData();
+      } else {
+        toast.error(data.message || 'Failed to create user');
+      }
+    } catch (error) {
+      toast.error('Error creating user');
+      console.error(error);
+    } finally {
+      setIsCreating(false);
+    }
+  };
+
+  return (
+    <div className="p-4 md:p-8 admin-page">
+      <div className="max-w-7xl mx-auto space-y-4 md:space-y-6">
+        {/* Header */}
+        <div className="flex flex-col gap-3 md:flex-row md:items-center md:justify-between">
+          <div>
+            <h1 className="text-2xl md:text-3xl font-bold">Admin Users</h1>
+            <p className="text-gray-600 mt-1 text-sm md:text-base">Accounts and roles for the admin panel</p>
+          </div>
+          <Button onClick={fetchData} disabled={isLoading} variant="outline" className="w-full md:w-auto">
+            {isLoading ? (
+              <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+            ) : (
+              <RefreshCw className="w-4 h-4 mr-2" />
+            )}
+            Refresh
+          </Button>
+        </div>
+
+        {/* New user */}
+        <form onSubmit={handleCreate} className="bg-white p-4 md:p-6 rounded-lg border">
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4 md:items-end">
+            <div>
+              <Label htmlFor="new-username">Username</Label>
+              <Input
+                id="new-username"
+                value={newUsername}
+                onChange={(e) => setNewUsername(e.target.value)}
+                required
+              />
+            </div>
+            <div>
+              <Label htmlFor="new-password">Password</Label>
+              <Input
+                id="new-password"
+                type="password"
+                value={newPassword}
+                onChange={(e) => setNewPassword(e.target.value)}
+                autoComplete="new-password"
+                required
+              />
+            </div>
+            <div>
+              <Label>Role</Label>
+              <Select value={newRole} onValueChange={(value: string) => setNewRole(value as AdminRole)}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {(Object.keys(ROLE_DESCRIPTIONS) as AdminRole[]).map((role) => (
+                    <SelectItem key={role} value={role}>{role}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <Button type="submit" disabled={isCreating}>
+              {isCreating ? (
+                <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+              ) : (
+                <UserPlus className="w-4 h-4 mr-2" />
+              )}
+              Add User
+            </Button>
+          </div>
+          <p className="text-xs text-gray-500 mt-3">{ROLE_DESCRIPTIONS[newRole]}</p>
+        </form>
+
+        {/* Users Table */}
+        <div className="bg-white rounded-lg border overflow-x-auto">
+          <table className="w-full">
+            <thead className="bg-gray-50 border-b">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-semibold text-gray-600 uppercase">User</th>
+                <th className="px-4 py-3 text-left text-xs font-semibold text-gray-600 uppercase">Role</th>
+                <th className="px-4 py-3 text-left text-xs font-semibold text-gray-600 uppercase">Last Sign-in</th>
+                <th className="px-4 py-3"></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y">
+              {users.length === 0 ? (
+                <tr>
+                  <td colSpan={4} className="p-8 text-center text-gray-600">
+                    {isLoading ? 'Loading users...' : 'No admin users yet - you are signed in with the shared admin password'}
+                  </td>
+                </tr>
+              ) : (
+                users.map((user) => (
+                  <tr key={user.id} className={user.active ? 'hover:bg-gray-50' : 'bg-gray-50 text-gray-400'}>
+                    <td className="px-4 py-3">
+                      <div className="font-medium text-sm">{user.username}</div>
+                      {!user.active && <div className="text-xs">Deactivated</div>}
+                    </td>
+                    <td className="px-4 py-3">
+                      <Select value={user.role} onValueChange={(value: string) => updateUser(user.id, { role: value as AdminRole })}>
+                        <SelectTrigger className="w-36">
+                          <SelectValue />
+                        </SelectTrigger>
+                        <SelectContent>
+                          {(Object.keys(ROLE_DESCRIPTIONS) as AdminRole[]).map((role) => (
+                            <SelectItem key={role} value={role}>{role}</SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-600">
+                      {user.lastLoginAt ? new Date(user.lastLoginAt).toLocaleString() : 'Never'}
+                    </td>
+                    <td className="px-4 py-3 text-right space-x-2 whitespace-nowrap">
+                      <Button size="sm" variant="outline" onClick={() => handleResetPassword(user)}>
+                        Reset Password
+                      </Button>
+                      <Button size="sm" variant="outline" onClick={() => updateUser(user.id, { active: !user.active })}>
+                        {user.active ? 'Deactivate' : 'Reactivate'}
+                      </Button>
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
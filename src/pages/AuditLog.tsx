@@ -0,0 +1,322 @@
+import { useState, useEffect, Fragment } from 'react';
+import { Button } from '../components/ui/button';
+import { Input } from '../components/ui/input';
+import { Label } from '../components/ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../components/ui/select';
+import { Loader2, RefreshCw, Undo2 } from 'lucide-react';
+import { toast } from 'sonner';
+
+const API_BASE = '/api';
+const PAGE_SIZE = 100;
+
+interface AuditEntry {
+  id: number;
+  actor: string;
+  route: string | null;
+  action: string;
+  entityType: string | null;
+  entityId: string | null;
+  before: Record<string, any> | null;
+  after: Record<string, any> | null;
+  details: Record<string, any> | null;
+  revertedAt: string | null;
+  revertedBy: string | null;
+  createdAt: string;
+}
+
+const ENTITY_TYPE_LABELS: Record<string, string> = {
+  sale: 'Sales',
+  company: 'Companies',
+  pick: 'Picks',
+  pending_sale: 'Pending Sales',
+  pending_brand: 'Pending Brands',
+  rejected_brand: 'Rejected Brands',
+  rejected_email: 'Rejected Emails',
+  inbound_email: 'Inbound Emails',
+  email_sender_rule: 'Email Sender Rules',
+  approval_setting: 'Approval Settings',
+  admin_user: 'Admin Users'
+};
+
+const ACTION_LABELS: Record<string, string> = {
+  create: 'Created',
+  update: 'Updated',
+  delete: 'Deleted',
+  approve_sale: 'Approved sale',
+  reject_sale: 'Rejected sale',
+  add_sale: 'Added sale',
+  approve_brand: 'Approved brand',
+  reject_brand: 'Rejected brand',
+  create_admin_user: 'Created user',
+  update_admin_user: 'Updated user',
+  reprocess_inbound_email: 'Reprocessed email',
+  promote_rejected_email: 'Promoted rejected email'
+};
+
+// Only plain field edits on these can be undone
+const REVERTIBLE_TYPES = ['sale', 'company', 'pick'];
+
+function formatValue(value: any): string {
+  if (value === null || value === undefined || value === '') return '—';
+  if (Array.isArray(value)) return value.join(', ') || '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+function entityLabel(entry: AuditEntry): string {
+  const record = entry.after || entry.before || {};
+  return record.name || record.product_name || record.original_company_name || record.company ||
+    entry.details?.name || entry.details?.company || '';
+}
+
+export function AuditLog() {
+  const [entries, setEntries] = useState<AuditEntry[]>([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [entityTypeFilter, setEntityTypeFilter] = useState('all');
+  const [actionFilter, setActionFilter] = useState('all');
+  const [actorFilter, setActorFilter] = useState('');
+  const [offset, setOffset] = useState(0);
+  const [expandedId, setExpandedId] = useState<number | null>(null);
+  const [revertingId, setRevertingId] = useState<number | null>(null);
+
+  useEffect(() => {
+    fetchEntries();
+  }, [entityTypeFilter, actionFilter, offset]);
+
+  const fetchEntries = async () => {
+    setIsLoading(true);
+    try {
+      const auth = localStorage.getItem('adminAuth') || '';
+      const params = new URLSearchParams({ limit: String(PAGE_SIZE), offset: String(offset) });
+      if (entityTypeFilter !== 'all') params.set('entityType', entityTypeFilter);
+      if (actionFilter !== 'all') params.set('action', actionFilter);
+      if (actorFilter.trim()) params.set('actor', actorFilter.trim());
+
+      const response = await fetch(`${API_BASE}/admin/audit-log?${params}`, {
+        headers: { 'auth': auth }
+      });
+
+      const data = await response.json();
+      if (data.success) {
+        setEntries(data.entries);
+      } else {
+        toast.error(data.message || 'Failed to fetch audit log');
+      }
+    } catch (error) {
+      toast.error('Error fetching audit log');
+      console.error(error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleRevert = async (entry: AuditEntry) => {
+    const fields = Object.keys(entry.before || {}).join(', ');
+    if (!window.confirm(`Revert ${fields} on ${entry.entityType} ${entry.entityId}?`)) return;
+
+    setRevertingId(entry.id);
+    try {
+      const response = await fetch(`${API_BASE}/admin/audit-log/${entry.id}/revert`, {
+        method: 'POST',
+        headers: { 'auth': localStorage.getItem('adminAuth') || '' }
+      });
+
+      const data = await response.json();
+      if (data.success) {
+        toast.success(data.message);
+        await fetchEntries();
+      } else {
+        toast.error(data.message || 'Failed to revert change');
+      }
+    } catch (error) {
+      toast.error('Error reverting change');
+      console.error(error);
+    } finally {
+      setRevertingId(null);
+    }
+  };
+
+  const canRevert = (entry: AuditEntry) =>
+    entry.action === 'update' && !!entry.before && !entry.revertedAt &&
+    REVERTIBLE_TYPES.includes(entry.entityType || '');
+
+  return (
+    <div className="p-4 md:p-8 admin-page">
+      <div className="max-w-7xl mx-auto space-y-4 md:space-y-6">
+        {/* Header */}
+        <div className="flex flex-col gap-3 md:flex-row md:items-center md:justify-between">
+          <div>
+            <h1 className="text-2xl md:text-3xl font-bold">Audit Log</h1>
+            <p className="text-gray-600 mt-1 text-sm md:text-base">Who changed what, with before/after values</p>
+          </div>
+          <Button onClick={fetchEntries} disabled={isLoading} variant="outline" className="w-full md:w-auto">
+            {isLoading ? (
+              <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+            ) : (
+              <RefreshCw className="w-4 h-4 mr-2" />
+            )}
+            Refresh
+          </Button>
+        </div>
+
+        {/* Filters */}
+        <div className="bg-white p-4 md:p-6 rounded-lg border">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <Label>Entity</Label>
+              <Select value={entityTypeFilter} onValueChange={(value: string) => { setOffset(0); setEntityTypeFilter(value); }}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="all">All Entities</SelectItem>
+                  {Object.entries(ENTITY_TYPE_LABELS).map(([value, label]) => (
+                    <SelectItem key={value} value={value}>{label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+
+            <div>
+              <Label>Action</Label>
+              <Select value={actionFilter} onValueChange={(value: string) => { setOffset(0); setActionFilter(value); }}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="all">All Actions</SelectItem>
+                  {Object.entries(ACTION_LABELS).map(([value, label]) => (
+                    <SelectItem key={value} value={value}>{label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+
+            <div>
+              <Label htmlFor="actor-filter">Actor</Label>
+              <Input
+                id="actor-filter"
+                value={actorFilter}
+                onChange={(e) => setActorFilter(e.target.value)}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter') {
+                    setOffset(0);
+                    fetchEntries();
+                  }
+                }}
+                placeholder="Username or 'system', press Enter"
+              />
+            </div>
+          </div>
+        </div>
+
+        {/* Entries Table */}
+        <div className="bg-white rounded-lg border">
+          {entries.length === 0 ? (
+            <div className="p-12 text-center text-gray-600">
+              {isLoading ? 'Loading audit log...' : 'No changes match the current filters'}
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full">
+                <thead className="bg-gray-50 border-b">
+                  <tr>
+                    <th className="px-4 py-3 text-left text-xs font-semibold text-gray-600 uppercase">When</th>
+                    <th className="px-4 py-3 text-left text-xs font-semibold text-gray-600 uppercase">Actor</th>
+                    <th className="px-4 py-3 text-left text-xs font-semibold text-gray-600 uppercase">Action</th>
+                    <th className="px-4 py-3 text-left text-xs font-semibold text-gray-600 uppercase">Entity</th>
+                    <th className="px-4 py-3 text-left text-xs font-semibold text-gray-600 uppercase">Changes</th>
+                    <th className="px-4 py-3"></th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y">
+                  {entries.map((entry) => {
+                    const changedFields = entry.action === 'update' ? Object.keys(entry.after || {}) : [];
+                    const isExpanded = expandedId === entry.id;
+                    return (
+                      <Fragment key={entry.id}>
+                        <tr
+                          className={`hover:bg-gray-50 cursor-pointer ${entry.revertedAt ? 'text-gray-400' : ''}`}
+                          onClick={() => setExpandedId(isExpanded ? null : entry.id)}
+                        >
+                          <td className="px-4 py-3 text-sm text-gray-600 whitespace-nowrap">
+                            {new Date(entry.createdAt).toLocaleString()}
+                          </td>
+                          <td className="px-4 py-3 text-sm font-medium">
+                            {entry.actor}
+                            {entry.route && <div className="text-xs text-gray-500 font-normal">{entry.route}</div>}
+                          </td>
+                          <td className="px-4 py-3 text-sm">{ACTION_LABELS[entry.action] || entry.action}</td>
+                          <td className="px-4 py-3 text-sm">
+                            <div>{entry.entityType}{entry.entityId ? ` #${entry.entityId}` : ''}</div>
+                            <div className="text-xs text-gray-500">{entityLabel(entry)}</div>
+                          </td>
+                          <td className="px-4 py-3 text-sm text-gray-600">
+                            {changedFields.length > 0 ? changedFields.join(', ') : '—'}
+                            {entry.revertedAt && (
+                              <div className="text-xs">Reverted by {entry.revertedBy}</div>
+                            )}
+                          </td>
+                          <td className="px-4 py-3 text-right" onClick={(e) => e.stopPropagation()}>
+                            {canRevert(entry) && (
+                              <Button
+                                size="sm"
+                                variant="outline"
+                                onClick={() => handleRevert(entry)}
+                                disabled={revertingId === entry.id}
+                              >
+                                {revertingId === entry.id ? (
+                                  <Loader2 className="w-4 h-4 mr-1 animate-spin" />
+                                ) : (
+                                  <Undo2 className="w-4 h-4 mr-1" />
+                                )}
+                                Revert
+                              </Button>
+                            )}
+                          </td>
+                        </tr>
+                        {isExpanded && (
+                          <tr className="bg-gray-50">
+                            <td colSpan={6} className="px-4 py-3">
+                              <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-xs">
+                                <div>
+                                  <div className="font-semibold text-gray-600 mb-1">Before</div>
+                                  {entry.before ? Object.entries(entry.before).map(([field, value]) => (
+                                    <div key={field} className="break-all"><span className="text-gray-500">{field}:</span> {formatValue(value)}</div>
+                                  )) : <div className="text-gray-500">—</div>}
+                                </div>
+                                <div>
+                                  <div className="font-semibold text-gray-600 mb-1">After</div>
+                                  {entry.after ? Object.entries(entry.after).map(([field, value]) => (
+                                    <div key={field} className="break-all"><span className="text-gray-500">{field}:</span> {formatValue(value)}</div>
+                                  )) : <div className="text-gray-500">—</div>}
+                                </div>
+                              </div>
+                              {entry.details && (
+                                <div className="text-xs text-gray-600 mt-2 break-all">Details: {JSON.stringify(entry.details)}</div>
+                              )}
+                            </td>
+                          </tr>
+                        )}
+                      </Fragment>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+
+        {/* Paging */}
+        <div className="flex justify-between">
+          <Button variant="outline" disabled={offset === 0 || isLoading} onClick={() => setOffset(Math.max(offset - PAGE_SIZE, 0))}>
+            Newer
+          </Button>
+          <Button variant="outline" disabled={entries.length < PAGE_SIZE || isLoading} onClick={() => setOffset(offset + PAGE_SIZE)}>
+            Older
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+}
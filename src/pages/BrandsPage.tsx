@@ -1,9 +1,11 @@
-import { useState, useEffect, useMemo } from 'react';
+import { useState, useEffect, useMemo, useRef } from 'react';
 import { Link } from 'react-router-dom';
 import { Footer } from '../components/Footer';
 import { Filter, ChevronDown, ChevronRight } from 'lucide-react';
 import { FilterOptions } from '../types';
 import { Checkbox } from '../components/ui/checkbox';
+import { SearchBox } from '../components/SearchBox';
+import { searchCatalog } from '../services/airtable';
 
 interface Company {
   id: string;
@@ -32,6 +34,27 @@ export function BrandsPage() {
     values: []
   });
 
+  // Ids of companies matching the search box, or null when not searching
+  const [searchMatches, setSearchMatches] = useState<Set<string> | null>(null);
+  const searchRequestId = useRef(0);
+
+  const handleSearch = async (query: string) => {
+    const currentRequest = ++searchRequestId.current;
+
+    if (query.length < 2) {
+      setSearchMatches(null);
+      return;
+    }
+
+    try {
+      const results = await searchCatalog<Company>(query);
+      if (currentRequest !== searchRequestId.current) return;
+      setSearchMatches(new Set(results.brands.map(brand => brand.id)));
+    } catch (error) {
+      console.error('Error searching brands:', error);
+    }
+  };
+
   useEffect(() => {
     const fetchCompanies = async () => {
       try {
@@ -53,6 +76,8 @@ export function BrandsPage() {
   // Filter companies based on selected filters
   const filteredCompanies = useMemo(() => {
     return companies.filter(company => {
+      if (searchMatches && !searchMatches.has(company.id)) return false;
+
       // Type filter (Brand or Shop) - note: no "Has Faves" here
       if (filters.type.length > 0) {
         const typeMatch = filters.type.some(filterType => {
@@ -98,7 +123,7 @@ export function BrandsPage() {
 
       return true;
     });
-  }, [companies, filters]);
+  }, [companies, filters, searchMatches]);
 
   // Separate into brands and shops
   const brands = useMemo(() => 
@@ -318,8 +343,8 @@ export function BrandsPage() {
           maxWidth: '1200px',
           margin: '0 auto'
         }} className="md:px-12">
-          {/* Filter Button - Above Content */}
-          <div style={{ marginBottom: '24px' }}>
+          {/* Filter Button and Search - Above Content */}
+          <div className="flex flex-col md:flex-row md:items-center gap-3" style={{ marginBottom: '24px' }}>
             <button
               onClick={() => setFilterOpen(!filterOpen)}
               style={{
@@ -343,6 +368,7 @@ export function BrandsPage() {
               <Filter style={{ width: '16px', height: '16px' }} />
               {filterOpen ? 'Hide Filters' : 'Filter'}
             </button>
+            <SearchBox placeholder="Search brands" onSearch={handleSearch} />
           </div>
 
           {/* Filters Expandable Section */}
@@ -0,0 +1,378 @@
+import { useState, useEffect } from 'react';
+import { Button } from '../components/ui/button';
+import { Input } from '../components/ui/input';
+import { Label } from '../components/ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../components/ui/select';
+import { Loader2, RefreshCw, Plus, Trash2 } from 'lucide-react';
+import { toast } from 'sonner';
+
+const API_BASE = '/api';
+
+interface SenderRule {
+  id: number;
+  sender: string;
+  companyId: string | null;
+  companyName: string | null;
+  policy: string;
+  notes: string | null;
+  matchCount: number;
+  lastMatchedAt: string | null;
+  createdAt: string;
+}
+
+interface CompanyOption {
+  pgId: number;
+  name: string;
+}
+
+const POLICY_LABELS: Record<string, string> = {
+  default: 'Normal',
+  trust: 'Trust',
+  deny: 'Deny'
+};
+
+const POLICY_DESCRIPTIONS: Record<string, string> = {
+  default: 'Parsed as usual',
+  trust: 'Low-confidence extractions are not rejected',
+  deny: 'Rejected before parsing'
+};
+
+function getPolicyColor(policy: string) {
+  switch (policy) {
+    case 'trust':
+      return 'bg-green-100 text-green-800';
+    case 'deny':
+      return 'bg-red-100 text-red-800';
+    default:
+      return 'bg-gray-100 text-gray-800';
+  }
+}
+
+export function EmailSenders() {
+  const [rules, setRules] = useState<SenderRule[]>([]);
+  const [companies, setCompanies] = useState<CompanyOption[]>([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [search, setSearch] = useState('');
+  const [sender, setSender] = useState('');
+  const [companyName, setCompanyName] = useState('');
+  const [policy, setPolicy] = useState('default');
+  const [notes, setNotes] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [updatingId, setUpdatingId] = useState<number | null>(null);
+
+  useEffect(() => {
+    fetchRules();
+    fetchCompanies();
+  }, []);
+
+  const fetchRules = async () => {
+    setIsLoading(true);
+    try {
+      const response = await fetch(`${API_BASE}/admin/email-sender-rules`, {
+        headers: { 'auth': localStorage.getItem('adminAuth') || '' }
+      });
+
+      const data = await response.json();
+      if (data.success) {
+        setRules(data.rules);
+      } else {
+        toast.error(data.message || 'Failed to fetch sender rules');
+      }
+    } catch (error) {
+      toast.error('Error fetching sender rules');
+      console.error(error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const fetchCompanies = async () => {
+    try {
+      const response = await fetch(`${API_BASE}/companies`);
+      const data = await response.json();
+      if (data.success) {
+        setCompanies(data.companies.map((c: CompanyOption) => ({ pgId: c.pgId, name: c.name })));
+      }
+    } catch (error) {
+      console.error('Failed to fetch companies:', error);
+    }
+  };
+
+  // The company id for a typed name: undefined when it matches no company
+  const companyIdFor = (name: string): number | null | undefined => {
+    if (!name.trim()) return null;
+    return companies.find(c => c.name.toLowerCase() === name.trim().toLowerCase())?.pgId;
+  };
+
+  const saveRule = async (method: 'POST' | 'PATCH', path: string, body: Record<string, any>) => {
+    const response = await fetch(`${API_BASE}/admin/email-sender-rules${path}`, {
+      method,
+      headers: {
+        'auth': localStorage.getItem('adminAuth') || '',
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(body)
+    });
+    return response.json();
+  };
+
+  const handleAdd = async () => {
+    const companyId = companyIdFor(companyName);
+    if (companyId === undefined) {
+      toast.error(`No brand or shop named "${companyName}"`);
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      const data = await saveRule('POST', '', { sender, companyId, policy, notes });
+      if (data.success) {
+        toast.success(`Added rule for ${data.rule.sender}`);
+        setSender('');
+        setCompanyName('');
+        setPolicy('default');
+        setNotes('');
+        await fetchRules();
+      } else {
+        toast.error(data.message || 'Failed to add rule');
+      }
+    } catch (error) {
+      toast.error('Error adding rule');
+      console.error(error);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleUpdate = async (rule: SenderRule, changes: Record<string, any>) => {
+    setUpdatingId(rule.id);
+    try {
+      const data = await saveRule('PATCH', `/${rule.id}`, changes);
+      if (data.success) {
+        await fetchRules();
+      } else {
+        toast.error(data.message || 'Failed to update rule');
+      }
+    } catch (error) {
+      toast.error('Error updating rule');
+      console.error(error);
+    } finally {
+      setUpdatingId(null);
+    }
+  };
+
+  const handleCompanyChange = (rule: SenderRule, name: string) => {
+    if (name === (rule.companyName || '')) return;
+
+    const companyId = companyIdFor(name);
+    if (companyId === undefined) {
+      toast.error(`No brand or shop named "${name}"`);
+      return;
+    }
+    handleUpdate(rule, { companyId });
+  };
+
+  const handleDelete = async (rule: SenderRule) => {
+    if (!window.confirm(`Remove the rule for ${rule.sender}?`)) return;
+
+    setUpdatingId(rule.id);
+    try {
+      const response = await fetch(`${API_BASE}/admin/email-sender-rules/${rule.id}`, {
+        method: 'DELETE',
+        headers: { 'auth': localStorage.getItem('adminAuth') || '' }
+      });
+
+      const data = await response.json();
+      if (data.success) {
+        setRules(rules.filter(r => r.id !== rule.id));
+      } else {
+        toast.error(data.message || 'Failed to remove rule');
+      }
+    } catch (error) {
+      toast.error('Error removing rule');
+      console.error(error);
+    } finally {
+      setUpdatingId(null);
+    }
+  };
+
+  const filteredRules = rules.filter(rule =>
+    rule.sender.includes(search.trim().toLowerCase()) ||
+    (rule.companyName || '').toLowerCase().includes(search.trim().toLowerCase())
+  );
+
+  return (
+    <div className="p-4 md:p-8 admin-page">
+      <div className="max-w-7xl mx-auto space-y-4 md:space-y-6">
+        {/* Header */}
+        <div className="flex flex-col gap-3 md:flex-row md:items-center md:justify-between">
+          <div>
+            <h1 className="text-2xl md:text-3xl font-bold">Email Senders</h1>
+            <p className="text-gray-600 mt-1 text-sm md:text-base">
+              Map sale email senders to brands, and trust or deny senders before the AI parses their emails
+            </p>
+          </div>
+          <Button onClick={fetchRules} disabled={isLoading} variant="outline" className="w-full md:w-auto">
+            {isLoading ? (
+              <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+            ) : (
+              <RefreshCw className="w-4 h-4 mr-2" />
+            )}
+            Refresh
+          </Button>
+        </div>
+
+        <datalist id="sender-rule-companies">
+          {companies.map(company => (
+            <option key={company.pgId} value={company.name} />
+          ))}
+        </datalist>
+
+        {/* Add Rule */}
+        <div className="bg-white p-4 md:p-6 rounded-lg border">
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+            <div>
+              <Label htmlFor="rule-sender">Sender</Label>
+              <Input
+                id="rule-sender"
+                value={sender}
+                onChange={(e) => setSender(e.target.value)}
+                placeholder="news@ganni.com or ganni.com"
+              />
+            </div>
+            <div>
+              <Label htmlFor="rule-company">Brand / Shop</Label>
+              <Input
+                id="rule-company"
+                list="sender-rule-companies"
+                value={companyName}
+                onChange={(e) => setCompanyName(e.target.value)}
+                placeholder="Optional"
+              />
+            </div>
+            <div>
+              <Label>Policy</Label>
+              <Select value={policy} onValueChange={setPolicy}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {Object.entries(POLICY_LABELS).map(([value, label]) => (
+                    <SelectItem key={value} value={value}>{label} - {POLICY_DESCRIPTIONS[value]}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div>
+              <Label htmlFor="rule-notes">Notes</Label>
+              <Input
+                id="rule-notes"
+                value={notes}
+                onChange={(e) => setNotes(e.target.value)}
+                placeholder="Optional"
+              />
+            </div>
+          </div>
+          <div className="flex justify-end mt-4">
+            <Button onClick={handleAdd} disabled={isSaving || !sender.trim()}>
+              {isSaving ? (
+                <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+              ) : (
+                <Plus className="w-4 h-4 mr-2" />
+              )}
+              Add Rule
+            </Button>
+          </div>
+        </div>
+
+        {/* Rules Table */}
+        <div className="bg-white rounded-lg border">
+          <div className="p-4 border-b">
+            <Input
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="Filter by sender or brand"
+              className="md:max-w-sm"
+            />
+          </div>
+          {filteredRules.length === 0 ? (
+            <div className="p-12 text-center text-gray-600">
+              {isLoading ? 'Loading sender rules...' : 'No sender rules yet'}
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full">
+                <thead className="bg-gray-50 border-b">
+                  <tr>
+                    <th className="px-4 py-3 text-left text-xs font-semibold text-gray-600 uppercase">Sender</th>
+                    <th className="px-4 py-3 text-left text-xs font-semibold text-gray-600 uppercase">Brand / Shop</th>
+                    <th className="px-4 py-3 text-left text-xs font-semibold text-gray-600 uppercase">Policy</th>
+                    <th className="px-4 py-3 text-left text-xs font-semibold text-gray-600 uppercase">Matched</th>
+                    <th className="px-4 py-3"></th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y">
+                  {filteredRules.map((rule) => (
+                    <tr key={rule.id} className="hover:bg-gray-50">
+                      <td className="px-4 py-3 text-sm">
+                        <div className="font-medium">{rule.sender}</div>
+                        {rule.notes && <div className="text-xs text-gray-500">{rule.notes}</div>}
+                      </td>
+                      <td className="px-4 py-3 text-sm">
+                        <Input
+                          key={`${rule.id}-${rule.companyName}`}
+                          list="sender-rule-companies"
+                          defaultValue={rule.companyName || ''}
+                          onBlur={(e) => handleCompanyChange(rule, e.target.value)}
+                          placeholder="Left to the AI"
+                          disabled={updatingId === rule.id}
+                          className="h-8"
+                        />
+                      </td>
+                      <td className="px-4 py-3 text-sm">
+                        <Select
+                          value={rule.policy}
+                          onValueChange={(value: string) => handleUpdate(rule, { policy: value })}
+                          disabled={updatingId === rule.id}
+                        >
+                          <SelectTrigger className={`h-8 w-28 ${getPolicyColor(rule.policy)}`}>
+                            <SelectValue />
+                          </SelectTrigger>
+                          <SelectContent>
+                            {Object.entries(POLICY_LABELS).map(([value, label]) => (
+                              <SelectItem key={value} value={value}>{label}</SelectItem>
+                            ))}
+                          </SelectContent>
+                        </Select>
+                      </td>
+                      <td className="px-4 py-3 text-sm text-gray-600">
+                        {rule.matchCount} email{rule.matchCount === 1 ? '' : 's'}
+                        {rule.lastMatchedAt && (
+                          <div className="text-xs text-gray-500">Last {new Date(rule.lastMatchedAt).toLocaleDateString()}</div>
+                        )}
+                      </td>
+                      <td className="px-4 py-3 text-right">
+                        <Button
+                          size="sm"
+                          variant="ghost"
+                          onClick={() => handleDelete(rule)}
+                          disabled={updatingId === rule.id}
+                        >
+                          {updatingId === rule.id ? (
+                            <Loader2 className="w-4 h-4 animate-spin" />
+                          ) : (
+                            <Trash2 className="w-4 h-4" />
+                          )}
+                        </Button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
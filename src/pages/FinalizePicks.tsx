@@ -1,6 +1,6 @@
 import { useState, useEffect, useCallback, useRef } from 'react';
 import { useNavigate, useLocation } from 'react-router-dom';
-import { Loader2, Trash2, ExternalLink, Edit2, Calculator } from 'lucide-react';
+import { Loader2, Trash2, ExternalLink, Edit2, Calculator, Copy } from 'lucide-react';
 import { ManualEntryForm, ManualProductData } from '../components/ManualEntryForm';
 import { Input } from '../components/ui/input';
 import { Label } from '../components/ui/label';
@@ -33,8 +33,34 @@ interface Product {
   percentOff: number | null;
   confidence?: number;
   entryType?: string;
+  mergeIntoPickId?: string;
+  allowDuplicate?: boolean;
 }
 
+interface DuplicatePick {
+  pickId: string;
+  saleId: string;
+  sameSale: boolean;
+  saleName: string;
+  saleLive: boolean;
+  productName: string;
+  productUrl: string;
+  imageUrl: string;
+  matchedBy: ('url' | 'image' | 'name')[];
+}
+
+interface DuplicateCheck {
+  index: number;
+  duplicateOf: number | null;
+  duplicates: DuplicatePick[];
+}
+
+const MATCH_LABELS: Record<string, string> = {
+  url: 'same link',
+  image: 'same image',
+  name: 'same name'
+};
+
 interface Failure {
   url: string;
   error: string;
@@ -46,8 +72,6 @@ interface LocationState {
   saleName?: string;
   salePercentOff?: number;
   failures?: Failure[];
-  urlsToScrape?: string[];  // NEW
-  startScraping?: boolean;   // NEW
 }
 
 const API_BASE = '/api';
@@ -63,12 +87,16 @@ export function FinalizePicks() {
   const [isSaving, setIsSaving] = useState(false);
   const [isSavingDraft, setIsSavingDraft] = useState(false);
   const [draftId, setDraftId] = useState<string | null>(null);
+  // Version of the draft last loaded or saved, sent back so the server can refuse
+  // to overwrite picks a bulk import added since (a ref, so saving doesn't re-trigger auto-save)
+  const draftVersionRef = useRef(0);
   const [selectedSaleId, setSelectedSaleId] = useState<string>('');
   const [saleName, setSaleName] = useState<string>('');
   const [salePercentOff, setSalePercentOff] = useState<number>(0);
   const [customPercentOff, setCustomPercentOff] = useState<string>('');
   const [individualCustomPercent, setIndividualCustomPercent] = useState<Map<number, string>>(new Map());
   const [deleteConfirmIndex, setDeleteConfirmIndex] = useState<number | null>(null);
+  const [duplicateChecks, setDuplicateChecks] = useState<Map<string, DuplicateCheck>>(new Map());
   const [isEditingSale, setIsEditingSale] = useState(false);
   const [editedPercentOff, setEditedPercentOff] = useState<string>('');
   
@@ -77,17 +105,29 @@ export function FinalizePicks() {
   const [calcSalePrice, setCalcSalePrice] = useState<string>('');
   const [calcPercentOff, setCalcPercentOff] = useState<string>('');
   const [calcOriginalPrice, setCalcOriginalPrice] = useState<number | null>(null);
-  
-  // Progressive scraping state
-  const [scrapingProgress, setScrapingProgress] = useState<{
-    current: number;
-    total: number;
-    isScrapingNow: boolean;
-  }>({
-    current: 0,
-    total: 0,
-    isScrapingNow: false
-  });
+
+
+  // Resume from a saved draft
+  const applyDraft = useCallback((draft: any) => {
+    setDraftId(draft.id);
+    draftVersionRef.current = draft.version || 0;
+    setPicks(draft.picks || []);
+    setManualEntries(new Map(draft.manualEntries?.map((e: any) => [e.url, e]) || []));
+    setFailedUrls(draft.failedUrls || []);
+    setCustomPercentOff(draft.customPercentOff || '');
+    setSaleName(draft.saleName || '');
+    setSalePercentOff(draft.salePercentOff || 0);
+    // Convert keys to numbers when rehydrating individualCustomPercent
+    setIndividualCustomPercent(new Map(
+      Object.entries(draft.individualCustomPercent || {}).map(([k, v]) => [Number(k), v as string])
+    ));
+  }, []);
+
+  // A 409 on save means picks were added to the draft since it was loaded
+  const reloadStaleDraft = useCallback((draft: any) => {
+    applyDraft(draft);
+    toast.info('New picks were added to this draft - reloaded it, please redo your last changes');
+  }, [applyDraft]);
 
   useEffect(() => {
     if (!state?.scrapedProducts || !state?.selectedSaleId) {
@@ -112,18 +152,7 @@ export function FinalizePicks() {
         if (data.success && data.drafts.length > 0) {
           const existingDraft = data.drafts.find((d: any) => d.saleId === state.selectedSaleId);
           if (existingDraft) {
-            // Resume from draft
-            setDraftId(existingDraft.id);
-            setPicks(existingDraft.picks || []);
-            setManualEntries(new Map(existingDraft.manualEntries?.map((e: any) => [e.url, e]) || []));
-            setFailedUrls(existingDraft.failedUrls || []);
-            setCustomPercentOff(existingDraft.customPercentOff || '');
-            setSaleName(existingDraft.saleName || '');
-            setSalePercentOff(existingDraft.salePercentOff || 0);
-            // Convert keys to numbers when rehydrating individualCustomPercent
-            setIndividualCustomPercent(new Map(
-              Object.entries(existingDraft.individualCustomPercent || {}).map(([k, v]) => [Number(k), v as string])
-            ));
+            applyDraft(existingDraft);
             toast.success('Resumed from saved draft');
           }
         }
@@ -132,15 +161,7 @@ export function FinalizePicks() {
       }
     };
     loadDraft();
-  }, [state, navigate]);
-
-  // Progressive scraping useEffect
-  useEffect(() => {
-    // Progressive scraping logic
-    if (state?.startScraping && state?.urlsToScrape && state.urlsToScrape.length > 0) {
-      scrapeProgressively(state.urlsToScrape);
-    }
-  }, [state?.startScraping, state?.urlsToScrape]);
+  }, [state, navigate, applyDraft]);
 
   // Track if initial load is complete to avoid auto-saving on mount
   const isInitializedRef = useRef(false);
@@ -160,6 +181,7 @@ export function FinalizePicks() {
         },
         body: JSON.stringify({
           id: draftId,
+          version: draftVersionRef.current,
           saleId: selectedSaleId,
           saleName: saleName || 'Sale',
           salePercentOff,
@@ -172,13 +194,16 @@ export function FinalizePicks() {
       });
 
       const data = await response.json();
-      if (data.success && data.draft?.id) {
+      if (response.status === 409 && data.draft) {
+        reloadStaleDraft(data.draft);
+      } else if (data.success && data.draft?.id) {
         setDraftId(data.draft.id);
+        draftVersionRef.current = data.draft.version || 0;
       }
     } catch (error) {
       console.error('Auto-save failed:', error);
     }
-  }, [selectedSaleId, saleName, salePercentOff, picks, manualEntries, failedUrls, customPercentOff, individualCustomPercent, draftId]);
+  }, [selectedSaleId, saleName, salePercentOff, picks, manualEntries, failedUrls, customPercentOff, individualCustomPercent, draftId, reloadStaleDraft]);
 
   // Debounced auto-save effect
   useEffect(() => {
@@ -190,9 +215,6 @@ export function FinalizePicks() {
       return;
     }
 
-    // Don't auto-save while scraping is in progress
-    if (scrapingProgress.isScrapingNow) return;
-
     // Clear existing timeout
     if (autoSaveTimeoutRef.current) {
       clearTimeout(autoSaveTimeoutRef.current);
@@ -208,126 +230,46 @@ export function FinalizePicks() {
         clearTimeout(autoSaveTimeoutRef.current);
       }
     };
-  }, [picks, manualEntries, failedUrls, customPercentOff, individualCustomPercent, autoSaveDraft, scrapingProgress.isScrapingNow]);
+  }, [picks, manualEntries, failedUrls, customPercentOff, individualCustomPercent, autoSaveDraft]);
 
-  // Helper function to extract domain from URL
-  const extractDomain = (url: string): string => {
-    try {
-      const urlObj = new URL(url);
-      return urlObj.hostname.replace('www.', '');
-    } catch {
-      return url;
+  // Re-check for duplicates whenever the set of products changes (not on every edit)
+  const pickUrlsKey = picks.map(pick => pick.url).join('\n');
+
+  useEffect(() => {
+    if (!selectedSaleId || picks.length === 0) {
+      setDuplicateChecks(new Map());
+      return;
     }
-  };
 
-  // Progressive scraping function
-  const scrapeProgressively = async (urls: string[]) => {
-    const auth = localStorage.getItem('adminAuth');
-    const failedDomains = new Set<string>();
-    const toastedBlockedDomains = new Set<string>(); // Track domains we've already toasted about
-    let successCount = 0;
-    let failureCount = 0;
-    
-    setScrapingProgress({
-      current: 0,
-      total: urls.length,
-      isScrapingNow: true
-    });
-    
-    for (let i = 0; i < urls.length; i++) {
-      const url = urls[i];
-      
-      // Extract domain to check if it's already blocked
-      const domain = extractDomain(url);
-      
-      // Update progress first
-      setScrapingProgress({
-        current: i + 1,
-        total: urls.length,
-        isScrapingNow: true
-      });
-      
-      // Skip if domain is blocked
-      if (failedDomains.has(domain)) {
-        setFailedUrls(prev => [...prev, url]);
-        failureCount++;
-        // Only toast once per domain to avoid spam
-        if (!toastedBlockedDomains.has(domain)) {
-          toast.error(`Skipping ${domain} URLs - domain is blocked`);
-          toastedBlockedDomains.add(domain);
-        }
-        continue;
-      }
-      
+    const checkDuplicates = async () => {
+      const auth = localStorage.getItem('adminAuth');
       try {
-        const response = await fetch(`${API_BASE}/admin/scrape-product`, {
+        const response = await fetch(`${API_BASE}/admin/picks/check-duplicates`, {
           method: 'POST',
           headers: {
             'Content-Type': 'application/json',
             'auth': auth || ''
           },
-          body: JSON.stringify({ url }) // Single URL
+          body: JSON.stringify({
+            saleId: selectedSaleId,
+            picks: picks.map(pick => ({ url: pick.url, name: pick.name, brand: pick.brand, imageUrl: pick.imageUrl }))
+          })
         });
-        
         const data = await response.json();
-        
-        if (data.success && data.successes && data.successes.length > 0) {
-          const scrapedProduct = {
-            ...data.successes[0].product,
-            confidence: data.successes[0].confidence,
-            extractionMethod: data.successes[0].extractionMethod
-          };
-          
-          // Add to picks immediately - UI updates progressively!
-          setPicks(prev => [...prev, scrapedProduct]);
-          successCount++;
-          
-          toast.success(`✓ Scraped ${i + 1}/${urls.length}: ${scrapedProduct.name.substring(0, 40)}...`);
-          
-        } else if (data.failures && data.failures.length > 0) {
-          const failure = data.failures[0];
-          
-          // Check if it's a blocking error - if so, skip remaining URLs from this domain
-          if (failure.errorType === 'BLOCKING') {
-            failedDomains.add(domain);
-            toast.error(`Domain ${domain} is blocking us - skipping remaining URLs from this store`);
-          }
-          
-          setFailedUrls(prev => [...prev, url]);
-          failureCount++;
-          toast.error(`✗ Failed ${i + 1}/${urls.length}: ${failure.error}`);
-        } else {
-          // Unknown error
-          setFailedUrls(prev => [...prev, url]);
-          failureCount++;
-          toast.error(`✗ Failed ${i + 1}/${urls.length}`);
+        if (data.success) {
+          setDuplicateChecks(new Map(data.duplicates.map((check: DuplicateCheck) => [picks[check.index]?.url, check])));
         }
-        
       } catch (error) {
-        console.error('Scraping error:', error);
-        setFailedUrls(prev => [...prev, url]);
-        failureCount++;
-        toast.error(`✗ Error ${i + 1}/${urls.length}: Network error`);
+        // Silently fail - the duplicate check is advisory
       }
-    }
-    
-    // Done scraping
-    setScrapingProgress({
-      current: urls.length,
-      total: urls.length,
-      isScrapingNow: false
-    });
-    
-    // Show completion notification (stays visible longer)
-    if (successCount > 0) {
-      toast.success(`🎉 Scraping complete! ${successCount} successful, ${failureCount} failed`, {
-        duration: 6000, // Show for 6 seconds
-      });
-    } else {
-      toast.error(`All ${failureCount} products failed to scrape`, {
-        duration: 6000,
-      });
-    }
+    };
+    checkDuplicates();
+  }, [selectedSaleId, pickUrlsKey]);
+
+  const setDuplicateResolution = (index: number, resolution: { mergeIntoPickId?: string; allowDuplicate?: boolean }) => {
+    const updatedPicks = [...picks];
+    updatedPicks[index] = { ...updatedPicks[index], mergeIntoPickId: resolution.mergeIntoPickId, allowDuplicate: resolution.allowDuplicate };
+    setPicks(updatedPicks);
   };
 
   const handleDelete = (index: number) => {
@@ -561,6 +503,7 @@ export function FinalizePicks() {
         },
         body: JSON.stringify({
           id: draftId, // Include existing draft ID to update instead of create
+          version: draftVersionRef.current,
           saleId: selectedSaleId,
           saleName: saleName || 'Sale',
           salePercentOff,
@@ -573,8 +516,11 @@ export function FinalizePicks() {
       });
 
       const data = await response.json();
-      if (data.success) {
+      if (response.status === 409 && data.draft) {
+        reloadStaleDraft(data.draft);
+      } else if (data.success) {
         setDraftId(data.draft.id); // Save the draft ID for future updates
+        draftVersionRef.current = data.draft.version || 0;
         toast.success('Draft saved successfully!');
       } else {
         toast.error('Failed to save draft');
@@ -641,7 +587,7 @@ export function FinalizePicks() {
             // Silently fail - draft deletion is not critical
           }
         }
-        toast.success(`Successfully saved ${allPicks.length} picks!`);
+        toast.success(data.message || `Successfully saved ${allPicks.length} picks!`);
         navigate('/admin/picks');
       } else {
         toast.error(`Failed to save picks: ${data.message}`);
@@ -790,45 +736,6 @@ export function FinalizePicks() {
           </div>
         </div>
 
-        {/* Progressive Scraping Progress Indicator */}
-        {scrapingProgress.isScrapingNow && (
-          <div 
-            style={{ 
-              padding: '16px',
-              backgroundColor: '#f0f9ff',
-              border: '1px solid #0284c7',
-              borderRadius: '4px',
-              marginBottom: '24px',
-              display: 'flex',
-              alignItems: 'center',
-              gap: '12px'
-            }}
-          >
-            <Loader2 className="h-5 w-5 animate-spin" style={{ color: '#0284c7' }} />
-            <div style={{ flex: 1 }}>
-              <p style={{ fontFamily: 'DM Sans, sans-serif', fontWeight: 600, fontSize: '14px', marginBottom: '4px' }}>
-                Scraping products... {scrapingProgress.current} of {scrapingProgress.total}
-              </p>
-              <div style={{ 
-                width: '100%', 
-                height: '6px', 
-                backgroundColor: '#e0f2fe', 
-                borderRadius: '3px',
-                overflow: 'hidden'
-              }}>
-                <div 
-                  style={{ 
-                    width: `${(scrapingProgress.current / scrapingProgress.total) * 100}%`,
-                    height: '100%',
-                    backgroundColor: '#0284c7',
-                    transition: 'width 0.3s ease'
-                  }}
-                />
-              </div>
-            </div>
-          </div>
-        )}
-
         {/* Manual Entry Forms (for failed scrapes) */}
         {failedUrls.length > 0 && (
           <div style={{ marginBottom: '60px' }}>
@@ -1097,6 +1004,76 @@ export function FinalizePicks() {
                     />
                   </div>
 
+                  {/* Duplicate warning */}
+                  {(() => {
+                    const check = duplicateChecks.get(pick.url);
+                    if (!check) return null;
+                    const sameSale = check.duplicates.find(duplicate => duplicate.sameSale);
+                    const otherSales = check.duplicates.filter(duplicate => !duplicate.sameSale);
+                    const buttonStyle = {
+                      fontFamily: 'DM Sans, sans-serif',
+                      fontSize: '12px',
+                      padding: '4px 8px',
+                      border: '1px solid #d97706',
+                      backgroundColor: '#fff',
+                      cursor: 'pointer'
+                    };
+                    return (
+                      <div
+                        style={{
+                          marginBottom: '12px',
+                          padding: '8px 10px',
+                          backgroundColor: '#fffbeb',
+                          border: '1px solid #fcd34d',
+                          fontFamily: 'DM Sans, sans-serif',
+                          fontSize: '12px',
+                          color: '#92400e'
+                        }}
+                      >
+                        <div style={{ display: 'flex', alignItems: 'center', gap: '6px', fontWeight: 600, marginBottom: '4px' }}>
+                          <Copy style={{ width: '12px', height: '12px' }} />
+                          Possible duplicate
+                        </div>
+                        {check.duplicateOf !== null && (
+                          <div>Same product as pick #{check.duplicateOf + 1} in this list</div>
+                        )}
+                        {sameSale && (
+                          <div>
+                            Already in this sale: <a href={sameSale.productUrl} target="_blank" rel="noreferrer" style={{ textDecoration: 'underline' }}>{sameSale.productName}</a>
+                            {' '}({sameSale.matchedBy.map(reason => MATCH_LABELS[reason]).join(', ')})
+                          </div>
+                        )}
+                        {otherSales.slice(0, 3).map(duplicate => (
+                          <div key={duplicate.pickId}>
+                            Also in {duplicate.saleName}{duplicate.saleLive ? '' : ' (not live)'}: {duplicate.productName}
+                            {' '}({duplicate.matchedBy.map(reason => MATCH_LABELS[reason]).join(', ')})
+                          </div>
+                        ))}
+                        {sameSale && (
+                          pick.mergeIntoPickId || pick.allowDuplicate ? (
+                            <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginTop: '6px' }}>
+                              <span style={{ fontStyle: 'italic' }}>
+                                {pick.mergeIntoPickId ? 'Will update the existing pick' : 'Will be added as a second pick'}
+                              </span>
+                              <button style={buttonStyle} onClick={() => setDuplicateResolution(index, {})}>
+                                Undo
+                              </button>
+                            </div>
+                          ) : (
+                            <div style={{ display: 'flex', gap: '8px', marginTop: '6px' }}>
+                              <button style={buttonStyle} onClick={() => setDuplicateResolution(index, { mergeIntoPickId: sameSale.pickId })}>
+                                Update existing
+                              </button>
+                              <button style={buttonStyle} onClick={() => setDuplicateResolution(index, { allowDuplicate: true })}>
+                                Keep both
+                              </button>
+                            </div>
+                          )
+                        )}
+                      </div>
+                    );
+                  })()}
+
                   {/* Product Info */}
                   <div style={{ flex: 1, display: 'flex', flexDirection: 'column' }}>
                     <div style={{ marginBottom: '12px' }}>
@@ -1,9 +1,10 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, Fragment } from 'react';
 import { Button } from '../components/ui/button';
 import { Label } from '../components/ui/label';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../components/ui/select';
 import { Checkbox } from '../components/ui/checkbox';
-import { Loader2, RefreshCw, XCircle, Calendar, CheckCircle2, AlertCircle } from 'lucide-react';
+import { Loader2, RefreshCw, XCircle, Calendar, CheckCircle2, AlertCircle, LineChart } from 'lucide-react';
+import { PriceHistoryChart } from '../components/PriceHistoryChart';
 import { toast } from 'sonner';
 
 const API_BASE = '/api';
@@ -34,6 +35,7 @@ export function Freshness() {
   const [displayFilter, setDisplayFilter] = useState<string>('all');
   const [freshnessFilter, setFreshnessFilter] = useState<string>('all');
   const [isRefreshing, setIsRefreshing] = useState(false);
+  const [expandedPickId, setExpandedPickId] = useState<string | null>(null);
 
   useEffect(() => {
     fetchPicks();
@@ -413,6 +415,7 @@ export function Freshness() {
                       />
                     </th>
                     <th className="px-4 py-3 text-left text-xs font-semibold text-gray-600 uppercase">Product</th>
+                    <th className="px-4 py-3 text-left text-xs font-semibold text-gray-600 uppercase">Price</th>
                     <th className="px-4 py-3 text-left text-xs font-semibold text-gray-600 uppercase">Status</th>
                     <th className="px-4 py-3 text-left text-xs font-semibold text-gray-600 uppercase">Last Checked</th>
                     <th className="px-4 py-3 text-left text-xs font-semibold text-gray-600 uppercase">Next Check</th>
@@ -425,7 +428,8 @@ export function Freshness() {
                     const overdue = isOverdue(pick.nextCheckDue);
                     
                     return (
-                      <tr key={pick.id} className="hover:bg-gray-50">
+                      <Fragment key={pick.id}>
+                      <tr className="hover:bg-gray-50">
                         <td className="px-4 py-3">
                           <Checkbox
                             checked={selectedPicks.has(pick.id)}
@@ -447,6 +451,18 @@ export function Freshness() {
                             </div>
                           </div>
                         </td>
+                        <td className="px-4 py-3">
+                          <button
+                            type="button"
+                            onClick={() => setExpandedPickId(expandedPickId === pick.id ? null : pick.id)}
+                            className="inline-flex items-center gap-1 text-sm hover:text-blue-600"
+                            title="Show price history"
+                          >
+                            {pick.salePrice ? `$${pick.salePrice}` : '—'}
+                            {pick.percentOff > 0 && <span className="text-xs text-gray-500">({pick.percentOff}% off)</span>}
+                            <LineChart className="w-3 h-3 text-gray-400" />
+                          </button>
+                        </td>
                         <td className="px-4 py-3">
                           {getStatusBadge(pick.availabilityStatus)}
                         </td>
@@ -485,6 +501,14 @@ export function Freshness() {
                           )}
                         </td>
                       </tr>
+                      {expandedPickId === pick.id && (
+                        <tr className="bg-gray-50">
+                          <td colSpan={7} className="px-4 py-4">
+                            <PriceHistoryChart pickId={pick.id} />
+                          </td>
+                        </tr>
+                      )}
+                      </Fragment>
                     );
                   })}
                 </tbody>
@@ -1,4 +1,4 @@
-import { useState, useMemo, useEffect } from 'react';
+import { useState, useMemo, useEffect, useRef } from 'react';
 import { Link } from 'react-router-dom';
 import { Hero } from '../components/Hero';
 import { SaleCard } from '../components/SaleCard';
@@ -8,12 +8,19 @@ import { FilterSidebar } from '../components/FilterSidebar';
 import { SortDropdown } from '../components/SortDropdown';
 import { Footer } from '../components/Footer';
 import { NewsletterModal } from '../components/NewsletterModal';
-import { fetchSalesFromAirtable } from '../services/airtable';
-import { Sale, FilterOptions, SortOption } from '../types';
+import { SearchBox } from '../components/SearchBox';
+import { fetchSalesPage, searchCatalog } from '../services/airtable';
+import { Sale, FilterOptions, SortOption, SaleFacets } from '../types';
+
+const PAGE_SIZE = 24;
 
 export function HomePage() {
   const [sales, setSales] = useState<Sale[]>([]);
+  const [total, setTotal] = useState(0);
+  const [nextCursor, setNextCursor] = useState<string | null>(null);
+  const [facets, setFacets] = useState<SaleFacets | undefined>(undefined);
   const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [selectedSale, setSelectedSale] = useState<Sale | null>(null);
   const [dialogOpen, setDialogOpen] = useState(false);
   const [filters, setFilters] = useState<FilterOptions>({
@@ -26,160 +33,92 @@ export function HomePage() {
   const [sortOption, setSortOption] = useState<SortOption>('date-new-old');
   const [isFilterOpen, setIsFilterOpen] = useState(false);
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
+  // Ignore responses for filters the user has already changed
+  const requestId = useRef(0);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [searchResults, setSearchResults] = useState<Sale[] | null>(null);
+  const [searching, setSearching] = useState(false);
+  const searchRequestId = useRef(0);
+
+  const hasActiveFilters = Object.values(filters).some(values => values.length > 0);
 
   useEffect(() => {
+    const currentRequest = ++requestId.current;
+
     async function loadSales() {
       try {
         setLoading(true);
-        const fetchedSales = await fetchSalesFromAirtable();
-        setSales(fetchedSales);
+        const page = await fetchSalesPage(filters, sortOption, { limit: PAGE_SIZE });
+        if (currentRequest !== requestId.current) return;
+        setSales(page.sales);
+        setTotal(page.total);
+        setNextCursor(page.nextCursor);
+        setFacets(page.facets);
       } catch (error) {
         console.error('Failed to load sales:', error);
       } finally {
-        setLoading(false);
+        if (currentRequest === requestId.current) setLoading(false);
       }
     }
     loadSales();
-  }, []);
-
-  const handleViewPicks = (sale: Sale) => {
-    setSelectedSale(sale);
-    setDialogOpen(true);
-  };
-
-  const { featuredSales, regularSales, allSales } = useMemo(() => {
-    const filtered = sales.filter((sale) => {
-      if (filters.type.length > 0) {
-        let typeMatches = false;
-        
-        for (const typeFilter of filters.type) {
-          if (typeFilter === 'Has picks') {
-            if (sale.picks && sale.picks.length > 0) {
-              typeMatches = true;
-              break;
-            }
-          } else {
-            if (sale.companyType && sale.companyType === typeFilter) {
-              typeMatches = true;
-              break;
-            }
-          }
-        }
-        
-        if (!typeMatches) return false;
-      }
-
-      if (filters.priceRange.length > 0) {
-        if (!sale.priceRange || !filters.priceRange.includes(sale.priceRange)) {
-          return false;
-        }
-      }
-
-      if (filters.discount.length > 0) {
-        const discountValue = parseInt(sale.discount);
-        let matches = false;
-
-        for (const discountFilter of filters.discount) {
-          if (discountFilter === 'Up to 25% off' && discountValue <= 25) {
-            matches = true;
-            break;
-          }
-          if (discountFilter === '25-35% off' && discountValue >= 25 && discountValue <= 35) {
-            matches = true;
-            break;
-          }
-          if (discountFilter === '35-50% off' && discountValue >= 35 && discountValue <= 50) {
-            matches = true;
-            break;
-          }
-          if (discountFilter === '50%+ off' && discountValue >= 50) {
-            matches = true;
-            break;
-          }
-        }
-
-        if (!matches) return false;
-      }
-
-      if (filters.maxWomensSize.length > 0) {
-        if (!sale.maxWomensSize || !filters.maxWomensSize.includes(sale.maxWomensSize)) {
-          return false;
-        }
-      }
-
-      if (filters.values.length > 0) {
-        const saleValues = sale.values || [];
-        const hasAllValues = filters.values.every(filterValue => 
-          saleValues.includes(filterValue)
-        );
-        if (!hasAllValues) return false;
-      }
-
-      return true;
-    });
+  }, [filters, sortOption]);
 
-    const sortSales = (salesToSort: Sale[]) => {
-      const sorted = [...salesToSort];
+  const handleLoadMore = async () => {
+    if (!nextCursor) return;
+    const currentRequest = requestId.current;
 
-      switch (sortOption) {
-        case 'featured':
-          return sorted.sort((a, b) => {
-            if (a.featured && !b.featured) return -1;
-            if (!a.featured && b.featured) return 1;
-            const timeA = a.createdTime ? new Date(a.createdTime).getTime() : 0;
-            const timeB = b.createdTime ? new Date(b.createdTime).getTime() : 0;
-            return timeB - timeA;
-          });
-
-        case 'alphabetically-a-z':
-          return sorted.sort((a, b) => {
-            const nameA = a.brandName || '';
-            const nameB = b.brandName || '';
-            return nameA.localeCompare(nameB);
-          });
-
-        case 'alphabetically-z-a':
-          return sorted.sort((a, b) => {
-            const nameA = a.brandName || '';
-            const nameB = b.brandName || '';
-            return nameB.localeCompare(nameA);
-          });
+    try {
+      setLoadingMore(true);
+      const page = await fetchSalesPage(filters, sortOption, { limit: PAGE_SIZE, cursor: nextCursor });
+      if (currentRequest !== requestId.current) return;
+      setSales(prev => [...prev, ...page.sales]);
+      setNextCursor(page.nextCursor);
+    } catch (error) {
+      console.error('Failed to load more sales:', error);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
 
-        case 'discount-high-low':
-          return sorted.sort((a, b) => {
-            const discountA = parseInt(a.discount);
-            const discountB = parseInt(b.discount);
-            return discountB - discountA;
-          });
+  const handleSearch = async (query: string) => {
+    const currentRequest = ++searchRequestId.current;
+    setSearchQuery(query);
 
-        case 'date-old-new':
-          return sorted.sort((a, b) => {
-            const timeA = a.createdTime ? new Date(a.createdTime).getTime() : 0;
-            const timeB = b.createdTime ? new Date(b.createdTime).getTime() : 0;
-            return timeA - timeB;
-          });
+    if (query.length < 2) {
+      setSearchResults(null);
+      setSearching(false);
+      return;
+    }
 
-        case 'date-new-old':
-          return sorted.sort((a, b) => {
-            const timeA = a.createdTime ? new Date(a.createdTime).getTime() : 0;
-            const timeB = b.createdTime ? new Date(b.createdTime).getTime() : 0;
-            return timeB - timeA;
-          });
+    try {
+      setSearching(true);
+      const results = await searchCatalog(query);
+      if (currentRequest !== searchRequestId.current) return;
+      setSearchResults(results.sales);
+    } catch (error) {
+      console.error('Search failed:', error);
+      if (currentRequest === searchRequestId.current) setSearchResults([]);
+    } finally {
+      if (currentRequest === searchRequestId.current) setSearching(false);
+    }
+  };
 
-        default:
-          return sorted;
-      }
-    };
+  const handleViewPicks = (sale: Sale) => {
+    setSelectedSale(sale);
+    setDialogOpen(true);
+  };
 
+  // Sales arrive filtered and sorted; the featured sort puts featured sales first
+  const { featuredSales, regularSales, allSales } = useMemo(() => {
     if (sortOption === 'featured') {
-      const featured = sortSales(filtered.filter(sale => sale.featured));
-      const regular = sortSales(filtered.filter(sale => !sale.featured));
-      return { featuredSales: featured, regularSales: regular, allSales: null };
-    } else {
-      const allSorted = sortSales(filtered);
-      return { featuredSales: [], regularSales: [], allSales: allSorted };
+      return {
+        featuredSales: sales.filter(sale => sale.featured),
+        regularSales: sales.filter(sale => !sale.featured),
+        allSales: null
+      };
     }
-  }, [sales, filters, sortOption]);
+    return { featuredSales: [], regularSales: [], allSales: sales };
+  }, [sales, sortOption]);
 
   return (
     <div className="min-h-screen bg-background flex flex-col">
@@ -245,6 +184,10 @@ export function HomePage() {
             }}
           >
             <div className="mb-10 flex flex-col md:flex-row justify-end items-stretch md:items-start gap-3">
+              <SearchBox
+                placeholder="Search brands or items"
+                onSearch={handleSearch}
+              />
               <SortDropdown
                 currentSort={sortOption}
                 onSortChange={setSortOption}
@@ -261,7 +204,24 @@ export function HomePage() {
               </button>
             </div>
 
-            {loading ? (
+            {searchResults !== null ? (
+              <div>
+                <p className="text-sm text-muted-foreground mb-6" style={{ fontFamily: 'Crimson Pro, serif' }}>
+                  {searching
+                    ? 'Searching...'
+                    : `${searchResults.length} ${searchResults.length === 1 ? 'sale matches' : 'sales match'} "${searchQuery}"`}
+                </p>
+                <div className={`grid grid-cols-1 gap-5 md:gap-8 transition-all duration-300 ${isFilterOpen ? 'md:grid-cols-1 lg:grid-cols-2' : 'md:grid-cols-2 lg:grid-cols-3'}`}>
+                  {searchResults.map((sale) => (
+                    <SaleCard
+                      key={sale.id}
+                      sale={sale}
+                      onViewPicks={handleViewPicks}
+                    />
+                  ))}
+                </div>
+              </div>
+            ) : loading ? (
               <div className="text-center py-20">
                 <p className="text-muted-foreground" style={{ fontFamily: 'Crimson Pro, serif' }}>
                   Loading sales...
@@ -270,7 +230,7 @@ export function HomePage() {
             ) : (allSales !== null && allSales.length === 0) || (allSales === null && featuredSales.length === 0 && regularSales.length === 0) ? (
               <div className="text-center py-20">
                 <p className="text-muted-foreground" style={{ fontFamily: 'Crimson Pro, serif' }}>
-                  {sales.length === 0 ? 'No active sales at the moment.' : 'No sales match your current filters.'}
+                  {hasActiveFilters ? 'No sales match your current filters.' : 'No active sales at the moment.'}
                 </p>
               </div>
             ) : allSales ? (
@@ -318,10 +278,27 @@ export function HomePage() {
                 )}
               </div>
             )}
+
+            {searchResults === null && !loading && nextCursor && (
+              <div className="mt-10 flex flex-col items-center gap-3">
+                <p className="text-sm text-muted-foreground" style={{ fontFamily: 'Crimson Pro, serif' }}>
+                  Showing {sales.length} of {total} sales
+                </p>
+                <button
+                  onClick={handleLoadMore}
+                  disabled={loadingMore}
+                  className="px-6 py-3 border border-border bg-background hover:bg-muted transition-colors min-h-[48px] disabled:opacity-60"
+                  style={{ fontFamily: 'DM Sans, sans-serif' }}
+                >
+                  <span className="text-sm tracking-wider uppercase font-normal">{loadingMore ? 'LOADING...' : 'LOAD MORE'}</span>
+                </button>
+              </div>
+            )}
           </div>
 
           <FilterSidebar
             filters={filters}
+            facets={facets}
             onFilterChange={setFilters}
             isOpen={isFilterOpen}
             onClose={() => setIsFilterOpen(false)}
@@ -0,0 +1,427 @@
+import { useState, useEffect, Fragment } from 'react';
+import { Button } from '../components/ui/button';
+import { Input } from '../components/ui/input';
+import { Label } from '../components/ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../components/ui/select';
+import { Loader2, RefreshCw, RotateCw } from 'lucide-react';
+import { toast } from 'sonner';
+
+const API_BASE = '/api';
+const PAGE_SIZE = 50;
+
+interface InboundEmail {
+  id: number;
+  from: string;
+  subject: string;
+  outcome: string;
+  outcomeMessage: string | null;
+  extractedData: Record<string, any> | null;
+  pendingSaleId: string | null;
+  saleId: string | null;
+  processCount: number;
+  receivedAt: string;
+  processedAt: string | null;
+  attachmentCount: number;
+}
+
+interface InboundEmailDetail extends InboundEmail {
+  headers: Record<string, any> | null;
+  envelope: Record<string, any> | null;
+  plain: string | null;
+  html: string | null;
+  attachments: { fileName: string | null; contentType: string | null; size: number | null; disposition: string | null; url: string | null }[];
+}
+
+const OUTCOME_LABELS: Record<string, string> = {
+  received: 'Received',
+  created: 'Created',
+  pending_approval: 'Pending Approval',
+  duplicate: 'Duplicate',
+  rejected: 'Rejected',
+  denied: 'Denied Sender',
+  parse_failed: 'Parse Failed',
+  content_filtered: 'Content Filtered',
+  no_content: 'No Content',
+  error: 'Error'
+};
+
+const SALE_SAVED_OUTCOMES = ['pending_approval', 'created'];
+
+function getOutcomeColor(outcome: string) {
+  switch (outcome) {
+    case 'created':
+    case 'pending_approval':
+      return 'bg-green-100 text-green-800';
+    case 'duplicate':
+    case 'denied':
+    case 'received':
+      return 'bg-gray-100 text-gray-800';
+    case 'rejected':
+    case 'content_filtered':
+      return 'bg-yellow-100 text-yellow-800';
+    default:
+      return 'bg-red-100 text-red-800';
+  }
+}
+
+function formatSize(bytes: number | null) {
+  if (bytes === null) return '';
+  return bytes < 1024 ? `${bytes} B` : `${Math.round(bytes / 1024)} KB`;
+}
+
+export function InboundEmails() {
+  const [emails, setEmails] = useState<InboundEmail[]>([]);
+  const [counts, setCounts] = useState<Record<string, number>>({});
+  const [total, setTotal] = useState(0);
+  const [retentionDays, setRetentionDays] = useState<number | null>(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [outcomeFilter, setOutcomeFilter] = useState('all');
+  const [search, setSearch] = useState('');
+  const [offset, setOffset] = useState(0);
+  const [expandedId, setExpandedId] = useState<number | null>(null);
+  const [detail, setDetail] = useState<InboundEmailDetail | null>(null);
+  const [showHtml, setShowHtml] = useState(true);
+  const [reprocessingId, setReprocessingId] = useState<number | null>(null);
+
+  useEffect(() => {
+    fetchEmails();
+  }, [outcomeFilter, offset]);
+
+  const fetchEmails = async () => {
+    setIsLoading(true);
+    try {
+      const auth = localStorage.getItem('adminAuth') || '';
+      const params = new URLSearchParams({ limit: String(PAGE_SIZE), offset: String(offset) });
+      if (outcomeFilter !== 'all') params.set('outcome', outcomeFilter);
+      if (search.trim()) params.set('search', search.trim());
+
+      const response = await fetch(`${API_BASE}/admin/inbound-emails?${params}`, {
+        headers: { 'auth': auth }
+      });
+
+      const data = await response.json();
+      if (data.success) {
+        setEmails(data.emails);
+        setCounts(data.counts);
+        setTotal(data.total);
+        setRetentionDays(data.retentionDays);
+      } else {
+        toast.error(data.message || 'Failed to fetch emails');
+      }
+    } catch (error) {
+      toast.error('Error fetching emails');
+      console.error(error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const fetchDetail = async (id: number) => {
+    setDetail(null);
+    try {
+      const response = await fetch(`${API_BASE}/admin/inbound-emails/${id}`, {
+        headers: { 'auth': localStorage.getItem('adminAuth') || '' }
+      });
+
+      const data = await response.json();
+      if (data.success) {
+        setDetail(data.email);
+        setShowHtml(!!data.email.html);
+      } else {
+        toast.error(data.message || 'Failed to load email');
+      }
+    } catch (error) {
+      toast.error('Error loading email');
+      console.error(error);
+    }
+  };
+
+  const toggleExpanded = (id: number) => {
+    if (expandedId === id) {
+      setExpandedId(null);
+      return;
+    }
+    setExpandedId(id);
+    fetchDetail(id);
+  };
+
+  const handleReprocess = async (email: InboundEmail) => {
+    // Running an email that already made a sale again queues a second one
+    const force = SALE_SAVED_OUTCOMES.includes(email.outcome);
+    if (force && !window.confirm(`This email already produced a sale (${OUTCOME_LABELS[email.outcome]}). Reprocessing may create another pending sale. Continue?`)) {
+      return;
+    }
+
+    setReprocessingId(email.id);
+    try {
+      const response = await fetch(`${API_BASE}/admin/inbound-emails/${email.id}/reprocess`, {
+        method: 'POST',
+        headers: {
+          'auth': localStorage.getItem('adminAuth') || '',
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ force })
+      });
+
+      const data = await response.json();
+      const label = OUTCOME_LABELS[data.outcome] || data.outcome;
+      if (data.success) {
+        toast.success(`${label}: ${data.message}`);
+      } else {
+        toast.error(data.outcome ? `${label}: ${data.message}` : (data.message || 'Failed to reprocess email'));
+      }
+
+      await fetchEmails();
+      if (expandedId === email.id) {
+        await fetchDetail(email.id);
+      }
+    } catch (error) {
+      toast.error('Error reprocessing email');
+      console.error(error);
+    } finally {
+      setReprocessingId(null);
+    }
+  };
+
+  const allCount = Object.values(counts).reduce((sum, count) => sum + count, 0);
+  const savedCount = (counts.created || 0) + (counts.pending_approval || 0);
+  const rejectedCount = (counts.rejected || 0) + (counts.content_filtered || 0);
+  const failedCount = (counts.parse_failed || 0) + (counts.error || 0) + (counts.no_content || 0);
+
+  return (
+    <div className="p-4 md:p-8 admin-page">
+      <div className="max-w-7xl mx-auto space-y-4 md:space-y-6">
+        {/* Header */}
+        <div className="flex flex-col gap-3 md:flex-row md:items-center md:justify-between">
+          <div>
+            <h1 className="text-2xl md:text-3xl font-bold">Inbound Emails</h1>
+            <p className="text-gray-600 mt-1 text-sm md:text-base">
+              Original sale emails and what extraction made of them
+              {retentionDays !== null && ` · kept for ${retentionDays} days`}
+            </p>
+          </div>
+          <Button onClick={fetchEmails} disabled={isLoading} variant="outline" className="w-full md:w-auto">
+            {isLoading ? (
+              <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+            ) : (
+              <RefreshCw className="w-4 h-4 mr-2" />
+            )}
+            Refresh
+          </Button>
+        </div>
+
+        {/* Stats */}
+        <div className="grid grid-cols-2 sm:grid-cols-4 gap-2 md:gap-4">
+          <div className="bg-gray-50 p-3 md:p-4 rounded-lg border border-gray-200">
+            <div className="text-xl md:text-2xl font-bold text-gray-700">{allCount}</div>
+            <div className="text-xs text-gray-600">Emails</div>
+          </div>
+          <div className="bg-green-50 p-3 md:p-4 rounded-lg border border-green-200">
+            <div className="text-xl md:text-2xl font-bold text-green-700">{savedCount}</div>
+            <div className="text-xs text-green-600">Became Sales</div>
+          </div>
+          <div className="bg-yellow-50 p-3 md:p-4 rounded-lg border border-yellow-200">
+            <div className="text-xl md:text-2xl font-bold text-yellow-700">{rejectedCount}</div>
+            <div className="text-xs text-yellow-600">Rejected</div>
+          </div>
+          <div className="bg-red-50 p-3 md:p-4 rounded-lg border border-red-200">
+            <div className="text-xl md:text-2xl font-bold text-red-700">{failedCount}</div>
+            <div className="text-xs text-red-600">Failed</div>
+          </div>
+        </div>
+
+        {/* Filters */}
+        <div className="bg-white p-4 md:p-6 rounded-lg border">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <Label>Outcome</Label>
+              <Select value={outcomeFilter} onValueChange={(value: string) => { setOffset(0); setOutcomeFilter(value); }}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="all">All Outcomes</SelectItem>
+                  {Object.entries(OUTCOME_LABELS).map(([value, label]) => (
+                    <SelectItem key={value} value={value}>{label} ({counts[value] || 0})</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+
+            <div>
+              <Label htmlFor="email-search">Search</Label>
+              <Input
+                id="email-search"
+                value={search}
+                onChange={(e) => setSearch(e.target.value)}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter') {
+                    setOffset(0);
+                    fetchEmails();
+                  }
+                }}
+                placeholder="Sender or subject, press Enter"
+              />
+            </div>
+          </div>
+        </div>
+
+        {/* Emails Table */}
+        <div className="bg-white rounded-lg border">
+          {emails.length === 0 ? (
+            <div className="p-12 text-center text-gray-600">
+              {isLoading ? 'Loading emails...' : 'No emails match the current filters'}
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full">
+                <thead className="bg-gray-50 border-b">
+                  <tr>
+                    <th className="px-4 py-3 text-left text-xs font-semibold text-gray-600 uppercase">Received</th>
+                    <th className="px-4 py-3 text-left text-xs font-semibold text-gray-600 uppercase">Email</th>
+                    <th className="px-4 py-3 text-left text-xs font-semibold text-gray-600 uppercase">Outcome</th>
+                    <th className="px-4 py-3"></th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y">
+                  {emails.map((email) => {
+                    const isExpanded = expandedId === email.id;
+                    return (
+                      <Fragment key={email.id}>
+                        <tr className="hover:bg-gray-50 cursor-pointer" onClick={() => toggleExpanded(email.id)}>
+                          <td className="px-4 py-3 text-sm text-gray-600 whitespace-nowrap">
+                            {new Date(email.receivedAt).toLocaleString()}
+                          </td>
+                          <td className="px-4 py-3 text-sm">
+                            <div className="font-medium">{email.subject}</div>
+                            <div className="text-xs text-gray-500">
+                              {email.from}
+                              {email.attachmentCount > 0 && ` · ${email.attachmentCount} attachment${email.attachmentCount === 1 ? '' : 's'}`}
+                            </div>
+                          </td>
+                          <td className="px-4 py-3 text-sm">
+                            <span className={`px-2 py-1 rounded-full text-xs font-medium ${getOutcomeColor(email.outcome)}`}>
+                              {OUTCOME_LABELS[email.outcome] || email.outcome}
+                            </span>
+                            {email.outcomeMessage && (
+                              <div className="text-xs text-gray-500 mt-1 max-w-md">{email.outcomeMessage}</div>
+                            )}
+                            {email.processCount > 1 && (
+                              <div className="text-xs text-gray-400">Processed {email.processCount} times</div>
+                            )}
+                          </td>
+                          <td className="px-4 py-3 text-right" onClick={(e) => e.stopPropagation()}>
+                            <Button
+                              size="sm"
+                              variant="outline"
+                              onClick={() => handleReprocess(email)}
+                              disabled={reprocessingId !== null}
+                            >
+                              {reprocessingId === email.id ? (
+                                <Loader2 className="w-4 h-4 mr-1 animate-spin" />
+                              ) : (
+                                <RotateCw className="w-4 h-4 mr-1" />
+                              )}
+                              Reprocess
+                            </Button>
+                          </td>
+                        </tr>
+                        {isExpanded && (
+                          <tr className="bg-gray-50">
+                            <td colSpan={4} className="px-4 py-3">
+                              {!detail || detail.id !== email.id ? (
+                                <div className="text-sm text-gray-500 flex items-center">
+                                  <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+                                  Loading email...
+                                </div>
+                              ) : (
+                                <div className="space-y-4 text-xs">
+                                  <div>
+                                    <div className="flex items-center justify-between mb-1">
+                                      <div className="font-semibold text-gray-600">Body</div>
+                                      {detail.html && detail.plain && (
+                                        <button className="text-blue-600 hover:underline" onClick={() => setShowHtml(!showHtml)}>
+                                          Show {showHtml ? 'plain text' : 'HTML'}
+                                        </button>
+                                      )}
+                                    </div>
+                                    {showHtml && detail.html ? (
+                                      <iframe
+                                        title={`Email ${detail.id}`}
+                                        srcDoc={detail.html}
+                                        sandbox=""
+                                        className="w-full h-96 bg-white border rounded"
+                                      />
+                                    ) : (
+                                      <pre className="whitespace-pre-wrap break-words bg-white border rounded p-3 max-h-96 overflow-y-auto">
+                                        {detail.plain || '—'}
+                                      </pre>
+                                    )}
+                                  </div>
+
+                                  {detail.attachments.length > 0 && (
+                                    <div>
+                                      <div className="font-semibold text-gray-600 mb-1">Attachments</div>
+                                      {detail.attachments.map((attachment, index) => (
+                                        <div key={index}>
+                                          {attachment.url ? (
+                                            <a href={attachment.url} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline">
+                                              {attachment.fileName || 'Unnamed'}
+                                            </a>
+                                          ) : (attachment.fileName || 'Unnamed')}
+                                          <span className="text-gray-500"> {attachment.contentType} {formatSize(attachment.size)}</span>
+                                        </div>
+                                      ))}
+                                    </div>
+                                  )}
+
+                                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                                    <div>
+                                      <div className="font-semibold text-gray-600 mb-1">Extracted</div>
+                                      <pre className="whitespace-pre-wrap break-all bg-white border rounded p-3 max-h-64 overflow-y-auto">
+                                        {detail.extractedData ? JSON.stringify(detail.extractedData, null, 2) : '—'}
+                                      </pre>
+                                      {detail.pendingSaleId && (
+                                        <div className="text-gray-500 mt-1">Pending sale {detail.pendingSaleId}</div>
+                                      )}
+                                      {detail.saleId && (
+                                        <div className="text-gray-500 mt-1">Sale {detail.saleId}</div>
+                                      )}
+                                    </div>
+                                    <div>
+                                      <div className="font-semibold text-gray-600 mb-1">Headers</div>
+                                      <pre className="whitespace-pre-wrap break-all bg-white border rounded p-3 max-h-64 overflow-y-auto">
+                                        {detail.headers ? JSON.stringify(detail.headers, null, 2) : '—'}
+                                      </pre>
+                                    </div>
+                                  </div>
+                                </div>
+                              )}
+                            </td>
+                          </tr>
+                        )}
+                      </Fragment>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+
+        {/* Paging */}
+        <div className="flex items-center justify-between">
+          <Button variant="outline" disabled={offset === 0 || isLoading} onClick={() => setOffset(Math.max(offset - PAGE_SIZE, 0))}>
+            Newer
+          </Button>
+          <span className="text-sm text-gray-600">
+            {total > 0 ? `${offset + 1}–${Math.min(offset + PAGE_SIZE, total)} of ${total}` : ''}
+          </span>
+          <Button variant="outline" disabled={offset + PAGE_SIZE >= total || isLoading} onClick={() => setOffset(offset + PAGE_SIZE)}>
+            Older
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+}
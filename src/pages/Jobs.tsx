@@ -0,0 +1,264 @@
+import { useState, useEffect } from 'react';
+import { Button } from '../components/ui/button';
+import { Label } from '../components/ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../components/ui/select';
+import { Loader2, RefreshCw, RotateCcw } from 'lucide-react';
+import { toast } from 'sonner';
+
+const API_BASE = '/api';
+
+type JobStatus = 'pending' | 'processing' | 'completed' | 'failed';
+
+interface Job {
+  id: number;
+  type: string;
+  saleId: string | null;
+  status: JobStatus;
+  progress: number;
+  total: number;
+  currentStep: string | null;
+  attempts: number;
+  maxAttempts: number;
+  runAt: string;
+  error: string | null;
+  createdAt: string;
+  finishedAt: string | null;
+}
+
+const JOB_TYPE_LABELS: Record<string, string> = {
+  asset_generation: 'Asset Generation',
+  gem_sync: 'Gem Sync',
+  brand_research: 'Brand Research',
+  story: 'Story'
+};
+
+export function Jobs() {
+  const [jobs, setJobs] = useState<Job[]>([]);
+  const [counts, setCounts] = useState<Record<string, number>>({});
+  const [isLoading, setIsLoading] = useState(false);
+  const [statusFilter, setStatusFilter] = useState<string>('all');
+  const [typeFilter, setTypeFilter] = useState<string>('all');
+  const [retryingId, setRetryingId] = useState<number | null>(null);
+
+  useEffect(() => {
+    fetchJobs();
+    const interval = setInterval(fetchJobs, 10000);
+    return () => clearInterval(interval);
+  }, [statusFilter, typeFilter]);
+
+  const fetchJobs = async () => {
+    setIsLoading(true);
+    try {
+      const auth = localStorage.getItem('adminAuth') || '';
+      const params = new URLSearchParams();
+      if (statusFilter !== 'all') params.set('status', statusFilter);
+      if (typeFilter !== 'all') params.set('type', typeFilter);
+
+      const response = await fetch(`${API_BASE}/admin/jobs?${params}`, {
+        headers: { 'auth': auth }
+      });
+
+      const data = await response.json();
+      if (data.success) {
+        setJobs(data.jobs);
+        setCounts(data.counts);
+      } else {
+        toast.error('Failed to fetch jobs');
+      }
+    } catch (error) {
+      toast.error('Error fetching jobs');
+      console.error(error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleRetry = async (jobId: number) => {
+    setRetryingId(jobId);
+    try {
+      const auth = localStorage.getItem('adminAuth') || '';
+      const response = await fetch(`${API_BASE}/admin/jobs/${jobId}/retry`, {
+        method: 'POST',
+        headers: { 'auth': auth }
+      });
+
+      const data = await response.json();
+      if (data.success) {
+        toast.success(data.message);
+        await fetchJobs();
+      } else {
+        toast.error(data.message || 'Failed to retry job');
+      }
+    } catch (error) {
+      toast.error('Error retrying job');
+      console.error(error);
+    } finally {
+      setRetryingId(null);
+    }
+  };
+
+  const getStatusBadge = (status: JobStatus) => {
+    const styles: Record<JobStatus, string> = {
+      pending: 'bg-blue-100 text-blue-800 border-blue-200',
+      processing: 'bg-yellow-100 text-yellow-800 border-yellow-200',
+      completed: 'bg-green-100 text-green-800 border-green-200',
+      failed: 'bg-red-100 text-red-800 border-red-200'
+    };
+    return (
+      <span className={`inline-flex items-center gap-1 px-2 py-1 rounded-full text-xs font-medium border ${styles[status]}`}>
+        {status === 'processing' && <Loader2 className="w-3 h-3 animate-spin" />}
+        {status}
+      </span>
+    );
+  };
+
+  return (
+    <div className="p-4 md:p-8 admin-page">
+      <div className="max-w-7xl mx-auto space-y-4 md:space-y-6">
+        {/* Header */}
+        <div className="flex flex-col gap-3 md:flex-row md:items-center md:justify-between">
+          <div>
+            <h1 className="text-2xl md:text-3xl font-bold">Background Jobs</h1>
+            <p className="text-gray-600 mt-1 text-sm md:text-base">Queued, running and failed background work</p>
+          </div>
+          <Button onClick={fetchJobs} disabled={isLoading} variant="outline" className="w-full md:w-auto">
+            {isLoading ? (
+              <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+            ) : (
+              <RefreshCw className="w-4 h-4 mr-2" />
+            )}
+            Refresh
+          </Button>
+        </div>
+
+        {/* Stats */}
+        <div className="grid grid-cols-2 sm:grid-cols-4 gap-2 md:gap-4">
+          <div className="bg-blue-50 p-3 md:p-4 rounded-lg border border-blue-200">
+            <div className="text-xl md:text-2xl font-bold text-blue-700">{counts.pending || 0}</div>
+            <div className="text-xs text-blue-600">Queued</div>
+          </div>
+          <div className="bg-yellow-50 p-3 md:p-4 rounded-lg border border-yellow-200">
+            <div className="text-xl md:text-2xl font-bold text-yellow-700">{counts.processing || 0}</div>
+            <div className="text-xs text-yellow-600">Running</div>
+          </div>
+          <div className="bg-red-50 p-3 md:p-4 rounded-lg border border-red-200">
+            <div className="text-xl md:text-2xl font-bold text-red-700">{counts.failed || 0}</div>
+            <div className="text-xs text-red-600">Failed</div>
+          </div>
+          <div className="bg-green-50 p-3 md:p-4 rounded-lg border border-green-200">
+            <div className="text-xl md:text-2xl font-bold text-green-700">{counts.completed || 0}</div>
+            <div className="text-xs text-green-600">Completed</div>
+          </div>
+        </div>
+
+        {/* Filters */}
+        <div className="bg-white p-4 md:p-6 rounded-lg border">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <Label>Status</Label>
+              <Select value={statusFilter} onValueChange={setStatusFilter}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="all">All Statuses</SelectItem>
+                  <SelectItem value="pending">Queued</SelectItem>
+                  <SelectItem value="processing">Running</SelectItem>
+                  <SelectItem value="failed">Failed</SelectItem>
+                  <SelectItem value="completed">Completed</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+
+            <div>
+              <Label>Type</Label>
+              <Select value={typeFilter} onValueChange={setTypeFilter}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="all">All Types</SelectItem>
+                  {Object.entries(JOB_TYPE_LABELS).map(([value, label]) => (
+                    <SelectItem key={value} value={value}>{label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+          </div>
+        </div>
+
+        {/* Jobs Table */}
+        <div className="bg-white rounded-lg border">
+          {jobs.length === 0 ? (
+            <div className="p-12 text-center text-gray-600">
+              {isLoading ? 'Loading jobs...' : 'No jobs match the current filters'}
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full">
+                <thead className="bg-gray-50 border-b">
+                  <tr>
+                    <th className="px-4 py-3 text-left text-xs font-semibold text-gray-600 uppercase">Job</th>
+                    <th className="px-4 py-3 text-left text-xs font-semibold text-gray-600 uppercase">Status</th>
+                    <th className="px-4 py-3 text-left text-xs font-semibold text-gray-600 uppercase">Progress</th>
+                    <th className="px-4 py-3 text-left text-xs font-semibold text-gray-600 uppercase">Attempts</th>
+                    <th className="px-4 py-3 text-left text-xs font-semibold text-gray-600 uppercase">Created</th>
+                    <th className="px-4 py-3"></th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y">
+                  {jobs.map((job) => (
+                    <tr key={job.id} className="hover:bg-gray-50">
+                      <td className="px-4 py-3">
+                        <div className="font-medium text-sm">{JOB_TYPE_LABELS[job.type] || job.type}</div>
+                        <div className="text-xs text-gray-500">#{job.id}{job.saleId ? ` · Sale ${job.saleId}` : ''}</div>
+                      </td>
+                      <td className="px-4 py-3">
+                        {getStatusBadge(job.status)}
+                      </td>
+                      <td className="px-4 py-3">
+                        <div className="text-sm">{job.currentStep || '—'}</div>
+                        {job.total > 0 && (
+                          <div className="text-xs text-gray-500">{job.progress}/{job.total}</div>
+                        )}
+                        {job.error && (
+                          <div className="text-xs text-red-600 mt-1 max-w-md truncate" title={job.error}>{job.error}</div>
+                        )}
+                      </td>
+                      <td className="px-4 py-3 text-sm">
+                        {job.attempts}/{job.maxAttempts}
+                        {job.status === 'pending' && job.attempts > 0 && (
+                          <div className="text-xs text-gray-500">Next: {new Date(job.runAt).toLocaleTimeString()}</div>
+                        )}
+                      </td>
+                      <td className="px-4 py-3 text-sm text-gray-600">
+                        {new Date(job.createdAt).toLocaleString()}
+                      </td>
+                      <td className="px-4 py-3 text-right">
+                        {job.status === 'failed' && (
+                          <Button
+                            size="sm"
+                            variant="outline"
+                            onClick={() => handleRetry(job.id)}
+                            disabled={retryingId === job.id}
+                          >
+                            {retryingId === job.id ? (
+                              <Loader2 className="w-4 h-4 mr-1 animate-spin" />
+                            ) : (
+                              <RotateCcw className="w-4 h-4 mr-1" />
+                            )}
+                            Retry
+                          </Button>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,186 @@
+import { useState, useEffect } from 'react';
+import { Button } from '../components/ui/button';
+import { Label } from '../components/ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../components/ui/select';
+import { Copy, Download, Loader2, RefreshCw } from 'lucide-react';
+import { toast } from 'sonner';
+
+const API_BASE = '/api';
+
+interface Digest {
+  subject: string;
+  generatedAt: string;
+  counts: {
+    newSales: number;
+    endingSoon: number;
+    topPicks: number;
+  };
+  html: string;
+  text: string;
+}
+
+type PreviewMode = 'html' | 'text';
+
+export function NewsletterDigest() {
+  const [digest, setDigest] = useState<Digest | null>(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isDownloading, setIsDownloading] = useState(false);
+  const [days, setDays] = useState('7');
+  const [mode, setMode] = useState<PreviewMode>('html');
+
+  useEffect(() => {
+    fetchDigest();
+  }, [days]);
+
+  const fetchDigest = async () => {
+    setIsLoading(true);
+    try {
+      const response = await fetch(`${API_BASE}/admin/newsletter/digest?days=${days}`, {
+        headers: { 'auth': localStorage.getItem('adminAuth') || '' }
+      });
+
+      const data = await response.json();
+      if (data.success) {
+        setDigest(data.digest);
+      } else {
+        toast.error(data.message || 'Failed to build digest');
+      }
+    } catch (error) {
+      toast.error('Error building digest');
+      console.error(error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleCopy = async () => {
+    if (!digest) return;
+    try {
+      await navigator.clipboard.writeText(mode === 'html' ? digest.html : digest.text);
+      toast.success(mode === 'html' ? 'HTML copied' : 'Plain text copied');
+    } catch (error) {
+      toast.error('Could not copy to clipboard');
+    }
+  };
+
+  // Fetched rather than linked so the auth header is sent
+  const handleDownload = async () => {
+    setIsDownloading(true);
+    try {
+      const response = await fetch(`${API_BASE}/admin/newsletter/digest.html?days=${days}`, {
+        headers: { 'auth': localStorage.getItem('adminAuth') || '' }
+      });
+
+      if (!response.ok) {
+        toast.error('Failed to export digest');
+        return;
+      }
+
+      const disposition = response.headers.get('Content-Disposition') || '';
+      const filename = disposition.match(/filename="([^"]+)"/)?.[1] || 'digest.html';
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      toast.error('Error exporting digest');
+      console.error(error);
+    } finally {
+      setIsDownloading(false);
+    }
+  };
+
+  return (
+    <div className="p-4 md:p-8 admin-page">
+      <div className="max-w-7xl mx-auto space-y-4 md:space-y-6">
+        {/* Header */}
+        <div className="flex flex-col gap-3 md:flex-row md:items-center md:justify-between">
+          <div>
+            <h1 className="text-2xl md:text-3xl font-bold">Weekly Digest</h1>
+            <p className="text-gray-600 mt-1 text-sm md:text-base">Newsletter draft built from live sales and picks</p>
+          </div>
+          <div className="flex gap-2">
+            <Button onClick={fetchDigest} disabled={isLoading} variant="outline" className="flex-1 md:flex-none">
+              {isLoading ? (
+                <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+              ) : (
+                <RefreshCw className="w-4 h-4 mr-2" />
+              )}
+              Rebuild
+            </Button>
+            <Button onClick={handleCopy} disabled={!digest} variant="outline" className="flex-1 md:flex-none">
+              <Copy className="w-4 h-4 mr-2" />
+              Copy
+            </Button>
+            <Button onClick={handleDownload} disabled={isDownloading} className="flex-1 md:flex-none">
+              {isDownloading ? (
+                <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+              ) : (
+                <Download className="w-4 h-4 mr-2" />
+              )}
+              Export HTML
+            </Button>
+          </div>
+        </div>
+
+        {/* Options */}
+        <div className="bg-white p-4 md:p-6 rounded-lg border">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4 md:items-end">
+            <div>
+              <Label>Period</Label>
+              <Select value={days} onValueChange={(value: string) => setDays(value)}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="7">Last 7 days</SelectItem>
+                  <SelectItem value="14">Last 14 days</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+
+            <div>
+              <Label>Preview</Label>
+              <Select value={mode} onValueChange={(value: string) => setMode(value as PreviewMode)}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="html">HTML</SelectItem>
+                  <SelectItem value="text">Plain text</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+
+            {digest && (
+              <div className="text-sm text-gray-600">
+                <div className="font-medium text-gray-900">{digest.subject}</div>
+                {digest.counts.newSales} new · {digest.counts.endingSoon} ending soon · {digest.counts.topPicks} picks
+              </div>
+            )}
+          </div>
+        </div>
+
+        {/* Preview */}
+        <div className="bg-white rounded-lg border overflow-hidden">
+          {!digest ? (
+            <div className="p-12 text-center text-gray-600">
+              {isLoading ? 'Building digest...' : 'No digest yet'}
+            </div>
+          ) : mode === 'html' ? (
+            <iframe
+              title="Digest preview"
+              srcDoc={digest.html}
+              className="w-full border-0"
+              style={{ height: '80vh' }}
+            />
+          ) : (
+            <pre className="p-4 md:p-6 text-sm whitespace-pre-wrap break-words">{digest.text}</pre>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
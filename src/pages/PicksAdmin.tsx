@@ -4,7 +4,7 @@ import { Button } from '../components/ui/button';
 import { Label } from '../components/ui/label';
 import { Textarea } from '../components/ui/textarea';
 import { Input } from '../components/ui/input';
-import { Loader2, ExternalLink, ArrowLeft, AlertTriangle, Power, Edit, FileEdit, Trash2, X } from 'lucide-react';
+import { Loader2, ExternalLink, ArrowLeft, AlertTriangle, Power, Edit, FileEdit, Trash2, X, CheckCircle2, XCircle } from 'lucide-react';
 import { toast } from 'sonner';
 import {
   AlertDialog,
@@ -55,6 +55,34 @@ interface Draft {
   failedUrls?: string[];
 }
 
+interface ImportItem {
+  url: string;
+  status: 'pending' | 'scraping' | 'success' | 'failed';
+  message?: string;
+}
+
+// Parse a server-sent event stream from a fetch response body
+async function readEventStream(body: ReadableStream<Uint8Array>, onEvent: (event: string, data: any) => void) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const messages = buffer.split('\n\n');
+    buffer = messages.pop() || '';
+
+    for (const message of messages) {
+      const event = message.match(/^event: (.*)$/m)?.[1] || 'message';
+      const data = message.match(/^data: (.*)$/m)?.[1];
+      if (data) onEvent(event, JSON.parse(data));
+    }
+  }
+}
+
 interface ProtectionWarning {
   show: boolean;
   store: string;
@@ -70,6 +98,7 @@ export function PicksAdmin() {
   const [selectedSale, setSelectedSale] = useState<Sale | null>(null);
   const [urls, setUrls] = useState<string>('');
   const [isLoading, setIsLoading] = useState(false);
+  const [importItems, setImportItems] = useState<ImportItem[]>([]);
   const [loadingSales, setLoadingSales] = useState(true);
   const [loadingDrafts, setLoadingDrafts] = useState(false);
   const [filterType, setFilterType] = useState<FilterType>('active-no-picks');
@@ -153,6 +182,7 @@ export function PicksAdmin() {
   const handleSaleClick = (sale: Sale) => {
     setSelectedSale(sale);
     setUrls('');
+    setImportItems([]);
     setCurrentView('url-entry');
   };
 
@@ -324,31 +354,97 @@ export function PicksAdmin() {
     }
   };
 
-  const performScraping = async (urlList: string[]) => {
+  // Bulk import: the server scrapes every URL (a few shops at a time) into the
+  // sale's finalize draft, then FinalizePicks opens that draft for review
+  const performScraping = async (urlText: string) => {
+    if (!selectedSale) return;
+
     setIsLoading(true);
-    
-    // Show toast to let user know scraping is starting
-    toast.info(`Starting to scrape ${urlList.length} product${urlList.length === 1 ? '' : 's'}... Please wait while we fetch product details.`, {
-      duration: 3000
-    });
-    
-    // Navigate to finalize page with URLs to scrape
-    // The finalize page will handle progressive scraping with live updates
-    navigate('/admin/picks/finalize', {
-      state: {
-        scrapedProducts: [], // Start empty
-        selectedSaleId: selectedSale?.id,
-        saleName: selectedSale?.saleName,
-        salePercentOff: selectedSale?.percentOff,
-        failures: [],
-        urlsToScrape: urlList, // Pass URLs for progressive scraping
-        startScraping: true // Flag to trigger scraping
+    setImportItems([]);
+    const auth = localStorage.getItem('adminAuth');
+
+    const updateItem = (index: number, update: Partial<ImportItem>) => {
+      setImportItems(prev => prev.map((item, i) => i === index ? { ...item, ...update } : item));
+    };
+
+    try {
+      const response = await fetch(`${API_BASE}/admin/picks/bulk-import`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'auth': auth || ''
+        },
+        body: JSON.stringify({
+          saleId: selectedSale.id,
+          saleName: selectedSale.saleName,
+          salePercentOff: selectedSale.percentOff,
+          text: urlText
+        })
+      });
+
+      if (!response.ok || !response.body) {
+        const data = await response.json().catch(() => null);
+        toast.error(data?.message || 'Failed to start import');
+        return;
       }
-    });
-    
-    setIsLoading(false);
-  };
 
+      let summary: { successCount: number; failureCount: number } | null = null;
+
+      await readEventStream(response.body, (event, data) => {
+        if (event === 'start') {
+          setImportItems(data.urls.map((url: string) => ({ url, status: 'pending' })));
+          if (data.duplicates > 0) {
+            toast.info(`Skipped ${data.duplicates} duplicate URL${data.duplicates === 1 ? '' : 's'}`);
+          }
+          if (data.alreadyInSale > 0 || data.inOtherSales > 0) {
+            const parts = [
+              data.alreadyInSale > 0 && `${data.alreadyInSale} already in this sale`,
+              data.inOtherSales > 0 && `${data.inOtherSales} already in other sales`
+            ].filter(Boolean);
+            toast.warning(`Possible duplicates: ${parts.join(', ')} - review them before launching`);
+          }
+        } else if (event === 'scraping') {
+          updateItem(data.index, { status: 'scraping' });
+        } else if (event === 'success') {
+          updateItem(data.index, { status: 'success', message: data.product?.name });
+        } else if ((event === 'error' || event === 'skip') && data.index !== undefined) {
+          updateItem(data.index, { status: 'failed', message: data.error });
+        } else if (event === 'error') {
+          toast.error(`Import failed: ${data.error}`);
+        } else if (event === 'complete') {
+          summary = data;
+        }
+      });
+
+      if (!summary) {
+        toast.error('Import was interrupted - finished products are saved in the sale draft');
+        return;
+      }
+
+      const { successCount, failureCount } = summary;
+      if (successCount > 0) {
+        toast.success(`Import complete! ${successCount} scraped, ${failureCount} failed`);
+      } else {
+        toast.error(`All ${failureCount} products failed to scrape`);
+      }
+
+      // FinalizePicks loads the sale's draft, which now holds the results
+      navigate('/admin/picks/finalize', {
+        state: {
+          scrapedProducts: [],
+          selectedSaleId: selectedSale.id,
+          saleName: selectedSale.saleName,
+          salePercentOff: selectedSale.percentOff,
+          failures: []
+        }
+      });
+    } catch (error) {
+      console.error('Bulk import error:', error);
+      toast.error('Import failed - finished products are saved in the sale draft');
+    } finally {
+      setIsLoading(false);
+    }
+  };
 
   const handleScrapePicks = async (e: React.FormEvent) => {
     e.preventDefault();
@@ -363,15 +459,12 @@ export function PicksAdmin() {
       return;
     }
 
-    const urlList = urls.split('\n').filter(url => url.trim() !== '');
-
-    // Proceed directly with scraping
-    await performScraping(urlList);
+    await performScraping(urls);
   };
 
   const handleProceedWithScraping = async () => {
     setProtectionWarning(prev => ({ ...prev, show: false }));
-    await performScraping(protectionWarning.urlsToScrape);
+    await performScraping(protectionWarning.urlsToScrape.join('\n'));
   };
 
   const handleCancelProtectionWarning = () => {
@@ -688,7 +781,7 @@ export function PicksAdmin() {
               Add Picks to: {selectedSale?.saleName}
             </h2>
             <p className="text-sm text-muted-foreground" style={{ fontFamily: 'DM Sans, sans-serif' }}>
-              Paste product URLs below to scrape and add picks to this sale.
+              Paste product URLs below - a list, a block of text or a CSV export - to scrape and add picks to this sale.
             </p>
             
             {selectedSale?.saleUrl && (
@@ -717,7 +810,7 @@ export function PicksAdmin() {
                 id="urls"
                 value={urls}
                 onChange={(e) => setUrls(e.target.value)}
-                placeholder="Paste product URLs here, one per line:&#10;https://example.com/product-1&#10;https://example.com/product-2&#10;https://example.com/product-3"
+                placeholder="Paste product URLs here (one per line, or any text containing them):&#10;https://example.com/product-1&#10;https://example.com/product-2&#10;https://example.com/product-3"
                 className="min-h-[200px] text-sm"
                 style={{ fontFamily: 'monospace' }}
                 disabled={isLoading}
@@ -725,6 +818,59 @@ export function PicksAdmin() {
               />
             </div>
 
+            {importItems.length > 0 && (
+              <div
+                style={{
+                  marginBottom: '24px',
+                  padding: '12px 16px',
+                  backgroundColor: '#f0f9ff',
+                  border: '1px solid #bae6fd',
+                  borderRadius: '8px',
+                  fontFamily: 'DM Sans, sans-serif'
+                }}
+              >
+                {(() => {
+                  const done = importItems.filter(item => item.status === 'success' || item.status === 'failed').length;
+                  return (
+                    <>
+                      <div className="flex items-center justify-between text-sm" style={{ marginBottom: '8px' }}>
+                        <span style={{ fontWeight: 600 }}>Scraped {done} of {importItems.length}</span>
+                        <span className="text-muted-foreground">
+                          {importItems.filter(item => item.status === 'failed').length} failed
+                        </span>
+                      </div>
+                      <div style={{ height: '6px', backgroundColor: '#e0f2fe', borderRadius: '3px', overflow: 'hidden', marginBottom: '12px' }}>
+                        <div
+                          style={{
+                            height: '100%',
+                            width: `${(done / importItems.length) * 100}%`,
+                            backgroundColor: '#0284c7',
+                            transition: 'width 0.3s ease'
+                          }}
+                        />
+                      </div>
+                    </>
+                  );
+                })()}
+                <div className="space-y-1" style={{ maxHeight: '240px', overflowY: 'auto' }}>
+                  {importItems.map((item, index) => (
+                    <div key={index} className="flex items-start gap-2 text-xs">
+                      {item.status === 'success' && <CheckCircle2 className="h-3.5 w-3.5 flex-shrink-0" style={{ color: '#16a34a' }} />}
+                      {item.status === 'failed' && <XCircle className="h-3.5 w-3.5 flex-shrink-0" style={{ color: '#dc2626' }} />}
+                      {item.status === 'scraping' && <Loader2 className="h-3.5 w-3.5 flex-shrink-0 animate-spin" style={{ color: '#0284c7' }} />}
+                      {item.status === 'pending' && <span className="h-3.5 w-3.5 flex-shrink-0" />}
+                      <div className="min-w-0">
+                        <div className="truncate" style={{ fontFamily: 'monospace' }}>{item.url}</div>
+                        {item.message && (
+                          <div className="text-muted-foreground truncate">{item.message}</div>
+                        )}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
             <div className="flex gap-3">
               <Button 
                 type="submit" 
@@ -741,7 +887,7 @@ export function PicksAdmin() {
                 {isLoading ? (
                   <>
                     <Loader2 className="mr-2 h-4 w-4 animate-spin" />
-                    Starting...
+                    Scraping...
                   </>
                 ) : (
                   'Scrape Picks'
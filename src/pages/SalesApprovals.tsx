@@ -20,9 +20,12 @@ import { EditSaleDialog } from '../components/EditSaleDialog';
 import ExtractSale from './admin/ExtractSale';
 
 interface RejectedEmail {
+  rejectedEmailId: number;
+  inboundEmailId: number | null;
   brand: string;
   subject: string;
   reason: string;
+  confidence: number | null;
   from: string;
   rejectedAt: string;
 }
@@ -44,6 +47,7 @@ interface PendingSale {
   receivedAt: string;
   missingUrl?: boolean;
   urlSource?: string;
+  offers?: { type: string; code?: string | null; text: string }[];
 }
 
 interface DuplicateSale {
@@ -258,6 +262,60 @@ export function SalesApprovals() {
     }
   };
 
+  const handlePromoteRejected = async (email: RejectedEmail) => {
+    const auth = localStorage.getItem('adminAuth') || '';
+    const key = `rejected_${email.rejectedEmailId}`;
+    
+    try {
+      setActionLoading(key);
+      
+      const response = await fetch(`${API_BASE}/rejected-emails/${email.rejectedEmailId}/promote`, {
+        method: 'POST',
+        headers: { 'auth': auth }
+      });
+      
+      const data = await response.json();
+      
+      if (data.success) {
+        await loadData();
+      } else {
+        alert(`Error adding sale: ${data.message}`);
+      }
+    } catch (error) {
+      console.error('Error promoting rejected email:', error);
+      alert('Error adding sale');
+    } finally {
+      setActionLoading(null);
+    }
+  };
+
+  const handleDismissRejected = async (email: RejectedEmail) => {
+    const auth = localStorage.getItem('adminAuth') || '';
+    const key = `rejected_${email.rejectedEmailId}`;
+    
+    try {
+      setActionLoading(key);
+      
+      const response = await fetch(`${API_BASE}/rejected-emails/${email.rejectedEmailId}/dismiss`, {
+        method: 'POST',
+        headers: { 'auth': auth }
+      });
+      
+      const data = await response.json();
+      
+      if (data.success) {
+        setRejectedEmails(rejectedEmails.filter(e => e.rejectedEmailId !== email.rejectedEmailId));
+      } else {
+        alert(`Error dismissing email: ${data.message}`);
+      }
+    } catch (error) {
+      console.error('Error dismissing rejected email:', error);
+      alert('Error dismissing email');
+    } finally {
+      setActionLoading(null);
+    }
+  };
+
   const handleRejectAll = async () => {
     const auth = localStorage.getItem('adminAuth') || '';
     
@@ -453,6 +511,16 @@ export function SalesApprovals() {
                             </p>
                           )}
                         </div>
+                        {sale.offers && sale.offers.length > 0 && (
+                          <div className="md:col-span-2">
+                            <span className="text-muted-foreground">Offers:</span>
+                            <ul className="font-medium list-disc list-inside">
+                              {sale.offers.map((offer, index) => (
+                                <li key={index}>{offer.text}</li>
+                              ))}
+                            </ul>
+                          </div>
+                        )}
                         {sale.discountCode && (
                           <div>
                             <span className="text-muted-foreground">Promo Code:</span>
@@ -569,7 +637,7 @@ export function SalesApprovals() {
           <div className="flex items-center gap-2">
             <AlertCircle className="h-5 w-5 text-muted-foreground" />
             <h2 className="text-xl font-bold">
-              Recently Rejected ({rejectedEmails.length})
+              Rejected - Needs Review ({rejectedEmails.length})
             </h2>
           </div>
           
@@ -592,11 +660,12 @@ export function SalesApprovals() {
                         <th className="text-left p-3 font-medium">Subject</th>
                         <th className="text-left p-3 font-medium">Reason</th>
                         <th className="text-left p-3 font-medium">Time</th>
+                        <th className="p-3"></th>
                       </tr>
                     </thead>
                     <tbody>
-                      {rejectedEmails.map((email, index) => (
-                        <tr key={index} className="border-b last:border-0 hover:bg-muted/25">
+                      {rejectedEmails.map((email) => (
+                        <tr key={email.rejectedEmailId} className="border-b last:border-0 hover:bg-muted/25">
                           <td className="p-3 font-medium">{email.brand}</td>
                           <td className="p-3 text-muted-foreground max-w-[200px] truncate" title={email.subject}>
                             {email.subject}
@@ -609,6 +678,33 @@ export function SalesApprovals() {
                           <td className="p-3 text-muted-foreground whitespace-nowrap">
                             {new Date(email.rejectedAt).toLocaleString()}
                           </td>
+                          <td className="p-3">
+                            <div className="flex gap-2 justify-end">
+                              <Button
+                                size="sm"
+                                variant="outline"
+                                onClick={() => handlePromoteRejected(email)}
+                                disabled={actionLoading !== null || !email.inboundEmailId}
+                                title={email.inboundEmailId ? 'Extract this email again and add it to pending sales' : 'The original email was not stored'}
+                              >
+                                {actionLoading === `rejected_${email.rejectedEmailId}` ? (
+                                  <Loader2 className="h-4 w-4 animate-spin mr-1" />
+                                ) : (
+                                  <Check className="h-4 w-4 mr-1" />
+                                )}
+                                Is a sale
+                              </Button>
+                              <Button
+                                size="sm"
+                                variant="ghost"
+                                onClick={() => handleDismissRejected(email)}
+                                disabled={actionLoading !== null}
+                              >
+                                <X className="h-4 w-4 mr-1" />
+                                Not a sale
+                              </Button>
+                            </div>
+                          </td>
                         </tr>
                       ))}
                     </tbody>
@@ -618,7 +714,7 @@ export function SalesApprovals() {
             </Card>
           )}
           <p className="text-xs text-muted-foreground">
-            Shows recent emails that were rejected from the approval queue
+            Emails the parser rejected. "Is a sale" extracts the original email again and adds it to pending sales; both choices are recorded to track false rejections
           </p>
         </div>
 
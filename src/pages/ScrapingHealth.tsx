@@ -0,0 +1,220 @@
+import { useState, useEffect } from 'react';
+import { Button } from '../components/ui/button';
+import { Label } from '../components/ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../components/ui/select';
+import { Loader2, RefreshCw } from 'lucide-react';
+import { toast } from 'sonner';
+
+const API_BASE = '/api';
+
+interface MethodHealth {
+  method: string;
+  attempts: number;
+  successes: number;
+  successRate: number;
+  medianDurationMs: number | null;
+  avgConfidence: number | null;
+  lastBlockedAt: string | null;
+  lastAttemptAt: string;
+}
+
+interface DomainHealth {
+  domain: string;
+  scrapes: number;
+  succeeded: number;
+  successRate: number;
+  lastBlockedAt: string | null;
+  lastScrapedAt: string;
+  methods: MethodHealth[];
+  defaultOrder: string[];
+  learnedOrder: string[];
+  skipped: string[];
+  preferred: string | null;
+}
+
+const METHOD_LABELS: Record<string, string> = {
+  fast: 'Fast',
+  proxy: 'Proxy',
+  playwright: 'Playwright'
+};
+
+function formatPercent(rate: number) {
+  return `${Math.round(rate * 100)}%`;
+}
+
+function formatDuration(ms: number | null) {
+  if (ms === null) return '—';
+  return ms < 1000 ? `${ms}ms` : `${(ms / 1000).toFixed(1)}s`;
+}
+
+function rateColor(rate: number) {
+  if (rate >= 0.8) return 'text-green-700';
+  if (rate >= 0.4) return 'text-yellow-700';
+  return 'text-red-700';
+}
+
+export function ScrapingHealth() {
+  const [domains, setDomains] = useState<DomainHealth[]>([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [days, setDays] = useState('30');
+
+  useEffect(() => {
+    fetchHealth();
+  }, [days]);
+
+  const fetchHealth = async () => {
+    setIsLoading(true);
+    try {
+      const auth = localStorage.getItem('adminAuth') || '';
+      const response = await fetch(`${API_BASE}/admin/scraping-health?days=${days}`, {
+        headers: { 'auth': auth }
+      });
+
+      const data = await response.json();
+      if (data.success) {
+        setDomains(data.domains);
+      } else {
+        toast.error('Failed to fetch scraping health');
+      }
+    } catch (error) {
+      toast.error('Error fetching scraping health');
+      console.error(error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const totalScrapes = domains.reduce((sum, domain) => sum + domain.scrapes, 0);
+  const totalSucceeded = domains.reduce((sum, domain) => sum + domain.succeeded, 0);
+  const learnedCount = domains.filter(domain => domain.skipped.length > 0 || domain.preferred).length;
+
+  return (
+    <div className="p-4 md:p-8 admin-page">
+      <div className="max-w-7xl mx-auto space-y-4 md:space-y-6">
+        {/* Header */}
+        <div className="flex flex-col gap-3 md:flex-row md:items-center md:justify-between">
+          <div>
+            <h1 className="text-2xl md:text-3xl font-bold">Scraping Health</h1>
+            <p className="text-gray-600 mt-1 text-sm md:text-base">How each scraper performs per shop, and the order the scraper has learned</p>
+          </div>
+          <Button onClick={fetchHealth} disabled={isLoading} variant="outline" className="w-full md:w-auto">
+            {isLoading ? (
+              <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+            ) : (
+              <RefreshCw className="w-4 h-4 mr-2" />
+            )}
+            Refresh
+          </Button>
+        </div>
+
+        {/* Stats */}
+        <div className="grid grid-cols-2 sm:grid-cols-4 gap-2 md:gap-4">
+          <div className="bg-blue-50 p-3 md:p-4 rounded-lg border border-blue-200">
+            <div className="text-xl md:text-2xl font-bold text-blue-700">{domains.length}</div>
+            <div className="text-xs text-blue-600">Shops</div>
+          </div>
+          <div className="bg-gray-50 p-3 md:p-4 rounded-lg border border-gray-200">
+            <div className="text-xl md:text-2xl font-bold text-gray-700">{totalScrapes}</div>
+            <div className="text-xs text-gray-600">Scrapes</div>
+          </div>
+          <div className="bg-green-50 p-3 md:p-4 rounded-lg border border-green-200">
+            <div className="text-xl md:text-2xl font-bold text-green-700">
+              {totalScrapes > 0 ? formatPercent(totalSucceeded / totalScrapes) : '—'}
+            </div>
+            <div className="text-xs text-green-600">Succeeded</div>
+          </div>
+          <div className="bg-yellow-50 p-3 md:p-4 rounded-lg border border-yellow-200">
+            <div className="text-xl md:text-2xl font-bold text-yellow-700">{learnedCount}</div>
+            <div className="text-xs text-yellow-600">Shops with a learned order</div>
+          </div>
+        </div>
+
+        {/* Filters */}
+        <div className="bg-white p-4 md:p-6 rounded-lg border">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <Label>Period</Label>
+              <Select value={days} onValueChange={setDays}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="7">Last 7 days</SelectItem>
+                  <SelectItem value="30">Last 30 days</SelectItem>
+                  <SelectItem value="90">Last 90 days</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+          </div>
+        </div>
+
+        {/* Domains Table */}
+        <div className="bg-white rounded-lg border">
+          {domains.length === 0 ? (
+            <div className="p-12 text-center text-gray-600">
+              {isLoading ? 'Loading scraping health...' : 'No scrapes in this period'}
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full">
+                <thead className="bg-gray-50 border-b">
+                  <tr>
+                    <th className="px-4 py-3 text-left text-xs font-semibold text-gray-600 uppercase">Shop</th>
+                    <th className="px-4 py-3 text-left text-xs font-semibold text-gray-600 uppercase">Success</th>
+                    <th className="px-4 py-3 text-left text-xs font-semibold text-gray-600 uppercase">By Scraper</th>
+                    <th className="px-4 py-3 text-left text-xs font-semibold text-gray-600 uppercase">Scraper Order</th>
+                    <th className="px-4 py-3 text-left text-xs font-semibold text-gray-600 uppercase">Last Blocked</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y">
+                  {domains.map((domain) => (
+                    <tr key={domain.domain} className="hover:bg-gray-50 align-top">
+                      <td className="px-4 py-3">
+                        <div className="font-medium text-sm">{domain.domain}</div>
+                        <div className="text-xs text-gray-500">Last scraped {new Date(domain.lastScrapedAt).toLocaleString()}</div>
+                      </td>
+                      <td className="px-4 py-3">
+                        <div className={`text-sm font-semibold ${rateColor(domain.successRate)}`}>{formatPercent(domain.successRate)}</div>
+                        <div className="text-xs text-gray-500">{domain.succeeded}/{domain.scrapes} scrapes</div>
+                      </td>
+                      <td className="px-4 py-3">
+                        <div className="space-y-1">
+                          {domain.methods.map((method) => (
+                            <div key={method.method} className="text-xs">
+                              <span className="font-medium">{METHOD_LABELS[method.method] || method.method}</span>{' '}
+                              <span className={rateColor(method.successRate)}>{formatPercent(method.successRate)}</span>
+                              <span className="text-gray-500">
+                                {' '}of {method.attempts} · median {formatDuration(method.medianDurationMs)}
+                                {method.avgConfidence !== null && ` · ${method.avgConfidence}% confidence`}
+                              </span>
+                            </div>
+                          ))}
+                        </div>
+                      </td>
+                      <td className="px-4 py-3">
+                        <div className="text-sm">{domain.learnedOrder.map(method => METHOD_LABELS[method] || method).join(' → ')}</div>
+                        {domain.learnedOrder.join() !== domain.defaultOrder.join() && (
+                          <div className="text-xs text-gray-500">
+                            Default: {domain.defaultOrder.map(method => METHOD_LABELS[method] || method).join(' → ')}
+                          </div>
+                        )}
+                        {domain.skipped.length > 0 && (
+                          <div className="text-xs text-red-600">
+                            Skipping {domain.skipped.map(method => METHOD_LABELS[method] || method).join(', ')}
+                          </div>
+                        )}
+                      </td>
+                      <td className="px-4 py-3 text-sm text-gray-600">
+                        {domain.lastBlockedAt ? new Date(domain.lastBlockedAt).toLocaleString() : '—'}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
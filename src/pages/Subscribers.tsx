@@ -0,0 +1,231 @@
+import { useState, useEffect } from 'react';
+import { Button } from '../components/ui/button';
+import { Label } from '../components/ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../components/ui/select';
+import { Download, Loader2, RefreshCw } from 'lucide-react';
+import { toast } from 'sonner';
+
+const API_BASE = '/api';
+
+type SubscriberStatus = 'pending' | 'confirmed' | 'unsubscribed';
+
+interface Subscriber {
+  id: number;
+  email: string;
+  source: string | null;
+  status: SubscriberStatus;
+  subscribedAt: string;
+  confirmedAt: string | null;
+  unsubscribedAt: string | null;
+}
+
+interface SubscriberCount {
+  status: SubscriberStatus;
+  source: string;
+  count: number;
+}
+
+const STATUS_LABELS: Record<SubscriberStatus, string> = {
+  confirmed: 'Confirmed',
+  pending: 'Awaiting Confirmation',
+  unsubscribed: 'Unsubscribed'
+};
+
+const SOURCE_LABELS: Record<string, string> = {
+  popup: 'Popup',
+  footer: 'Footer',
+  airtable: 'Airtable import',
+  website: 'Website'
+};
+
+export function Subscribers() {
+  const [subscribers, setSubscribers] = useState<Subscriber[]>([]);
+  const [counts, setCounts] = useState<SubscriberCount[]>([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isExporting, setIsExporting] = useState(false);
+  const [statusFilter, setStatusFilter] = useState('confirmed');
+  const [sourceFilter, setSourceFilter] = useState('all');
+
+  useEffect(() => {
+    fetchSubscribers();
+  }, [statusFilter, sourceFilter]);
+
+  const filterParams = () => {
+    const params = new URLSearchParams();
+    if (statusFilter !== 'all') params.set('status', statusFilter);
+    if (sourceFilter !== 'all') params.set('source', sourceFilter);
+    return params;
+  };
+
+  const fetchSubscribers = async () => {
+    setIsLoading(true);
+    try {
+      const response = await fetch(`${API_BASE}/admin/newsletter/subscribers?${filterParams()}`, {
+        headers: { 'auth': localStorage.getItem('adminAuth') || '' }
+      });
+
+      const data = await response.json();
+      if (data.success) {
+        setSubscribers(data.subscribers);
+        setCounts(data.counts);
+      } else {
+        toast.error(data.message || 'Failed to fetch subscribers');
+      }
+    } catch (error) {
+      toast.error('Error fetching subscribers');
+      console.error(error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Fetched rather than linked so the auth header is sent
+  const handleExport = async () => {
+    setIsExporting(true);
+    try {
+      const response = await fetch(`${API_BASE}/admin/newsletter/subscribers.csv?${filterParams()}`, {
+        headers: { 'auth': localStorage.getItem('adminAuth') || '' }
+      });
+
+      if (!response.ok) {
+        toast.error('Failed to export subscribers');
+        return;
+      }
+
+      const disposition = response.headers.get('Content-Disposition') || '';
+      const filename = disposition.match(/filename="([^"]+)"/)?.[1] || 'subscribers.csv';
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      toast.error('Error exporting subscribers');
+      console.error(error);
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const totalFor = (status: SubscriberStatus) =>
+    counts.filter(c => c.status === status).reduce((sum, c) => sum + c.count, 0);
+
+  const sources = Array.from(new Set(counts.map(c => c.source)));
+
+  return (
+    <div className="p-4 md:p-8 admin-page">
+      <div className="max-w-7xl mx-auto space-y-4 md:space-y-6">
+        {/* Header */}
+        <div className="flex flex-col gap-3 md:flex-row md:items-center md:justify-between">
+          <div>
+            <h1 className="text-2xl md:text-3xl font-bold">Newsletter Subscribers</h1>
+            <p className="text-gray-600 mt-1 text-sm md:text-base">Signups from the site popup and footer</p>
+          </div>
+          <div className="flex gap-2">
+            <Button onClick={fetchSubscribers} disabled={isLoading} variant="outline" className="flex-1 md:flex-none">
+              {isLoading ? (
+                <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+              ) : (
+                <RefreshCw className="w-4 h-4 mr-2" />
+              )}
+              Refresh
+            </Button>
+            <Button onClick={handleExport} disabled={isExporting} className="flex-1 md:flex-none">
+              {isExporting ? (
+                <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+              ) : (
+                <Download className="w-4 h-4 mr-2" />
+              )}
+              Export CSV
+            </Button>
+          </div>
+        </div>
+
+        {/* Counts */}
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          {(Object.keys(STATUS_LABELS) as SubscriberStatus[]).map((status) => (
+            <div key={status} className="bg-white p-4 rounded-lg border">
+              <div className="text-sm text-gray-600">{STATUS_LABELS[status]}</div>
+              <div className="text-2xl font-bold mt-1">{totalFor(status)}</div>
+              <div className="text-xs text-gray-500 mt-1">
+                {counts.filter(c => c.status === status).map(c => `${SOURCE_LABELS[c.source] || c.source}: ${c.count}`).join(' · ') || '—'}
+              </div>
+            </div>
+          ))}
+        </div>
+
+        {/* Filters */}
+        <div className="bg-white p-4 md:p-6 rounded-lg border">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <Label>Status</Label>
+              <Select value={statusFilter} onValueChange={(value: string) => setStatusFilter(value)}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="all">All Statuses</SelectItem>
+                  {Object.entries(STATUS_LABELS).map(([value, label]) => (
+                    <SelectItem key={value} value={value}>{label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+
+            <div>
+              <Label>Source</Label>
+              <Select value={sourceFilter} onValueChange={(value: string) => setSourceFilter(value)}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="all">All Sources</SelectItem>
+                  {sources.map((source) => (
+                    <SelectItem key={source} value={source}>{SOURCE_LABELS[source] || source}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+          </div>
+        </div>
+
+        {/* Subscribers Table */}
+        <div className="bg-white rounded-lg border overflow-x-auto">
+          <table className="w-full">
+            <thead className="bg-gray-50 border-b">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-semibold text-gray-600 uppercase">Email</th>
+                <th className="px-4 py-3 text-left text-xs font-semibold text-gray-600 uppercase">Source</th>
+                <th className="px-4 py-3 text-left text-xs font-semibold text-gray-600 uppercase">Status</th>
+                <th className="px-4 py-3 text-left text-xs font-semibold text-gray-600 uppercase">Signed Up</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y">
+              {subscribers.length === 0 ? (
+                <tr>
+                  <td colSpan={4} className="p-8 text-center text-gray-600">
+                    {isLoading ? 'Loading subscribers...' : 'No subscribers match the current filters'}
+                  </td>
+                </tr>
+              ) : (
+                subscribers.map((subscriber) => (
+                  <tr key={subscriber.id} className="hover:bg-gray-50">
+                    <td className="px-4 py-3 text-sm font-medium break-all">{subscriber.email}</td>
+                    <td className="px-4 py-3 text-sm text-gray-600">
+                      {SOURCE_LABELS[subscriber.source || ''] || subscriber.source || '—'}
+                    </td>
+                    <td className="px-4 py-3 text-sm">{STATUS_LABELS[subscriber.status]}</td>
+                    <td className="px-4 py-3 text-sm text-gray-600 whitespace-nowrap">
+                      {new Date(subscriber.subscribedAt).toLocaleDateString()}
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,4 +1,4 @@
-import { Sale, SalePick } from '../types';
+import { SalePick, FilterOptions, SortOption, SalesPage, SearchResults } from '../types';
 
 const AIRTABLE_PAT = import.meta.env.VITE_AIRTABLE_PAT || '';
 const AIRTABLE_BASE_ID = import.meta.env.VITE_AIRTABLE_BASE_ID || '';
@@ -183,24 +183,51 @@ async function fetchPicksFromAirtable(): Promise<Map<string, SalePick[]>> {
   }
 }
 
-export async function fetchSalesFromAirtable(): Promise<Sale[]> {
-  try {
-    // Fetch sales from our backend API (which handles Airtable securely)
-    const response = await fetch('/api/sales');
-    
-    if (!response.ok) {
-      throw new Error(`API error: ${response.status} ${response.statusText}`);
-    }
+export async function fetchSalesPage(
+  filters: FilterOptions,
+  sort: SortOption,
+  { limit, cursor }: { limit?: number; cursor?: string | null } = {}
+): Promise<SalesPage> {
+  const params = new URLSearchParams({ sort });
+  (Object.keys(filters) as (keyof FilterOptions)[]).forEach(key => {
+    filters[key].forEach(value => params.append(key, value));
+  });
+  if (limit) params.set('limit', String(limit));
+  if (cursor) params.set('cursor', cursor);
+
+  // Filtering, sorting and facet counts happen server-side
+  const response = await fetch(`/api/sales?${params}`);
+
+  if (!response.ok) {
+    throw new Error(`API error: ${response.status} ${response.statusText}`);
+  }
 
-    const data = await response.json();
-    
-    if (!data.success) {
-      throw new Error(data.message || 'Failed to fetch sales');
-    }
+  const data = await response.json();
 
-    return data.sales;
-  } catch (error) {
-    console.error('Error fetching sales from Airtable:', error);
-    return [];
+  if (!data.success) {
+    throw new Error(data.message || 'Failed to fetch sales');
   }
+
+  return {
+    sales: data.sales,
+    total: data.total,
+    nextCursor: data.nextCursor,
+    facets: data.facets
+  };
+}
+
+export async function searchCatalog<Brand = Record<string, any>>(query: string): Promise<SearchResults<Brand>> {
+  const response = await fetch(`/api/search?q=${encodeURIComponent(query)}`);
+  const data = await response.json();
+
+  if (!data.success) {
+    throw new Error(data.message || 'Search failed');
+  }
+
+  return {
+    query: data.query,
+    sales: data.sales,
+    brands: data.brands,
+    picks: data.picks
+  };
 }
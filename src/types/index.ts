@@ -1,3 +1,9 @@
+export interface SizeAvailability {
+  size: string;
+  usSize: number | null;
+  available: boolean;
+}
+
 export interface SalePick {
   id: string;
   name: string;
@@ -12,6 +18,20 @@ export interface SalePick {
   lastValidatedAt?: string;
   nextCheckDue?: string;
   hiddenUntilFresh?: boolean;
+  sizeAvailability?: SizeAvailability[];
+  // Shop's own prices when it doesn't sell in USD; the prices above are converted
+  currency?: string;
+  localOriginalPrice?: number | null;
+  localSalePrice?: number | null;
+}
+
+// One of a sale's offers, e.g. a spend tier or free shipping
+export interface SaleOffer {
+  type: 'percent' | 'tiered' | 'fixed_price' | 'free_shipping' | 'gift_with_purchase';
+  code?: string;
+  text: string;
+  // Same as the sale's discount, so the card doesn't repeat it
+  isHeadline: boolean;
 }
 
 export interface Sale {
@@ -21,6 +41,7 @@ export interface Sale {
   discount: string;
   discountCode?: string;
   extraDiscount?: number;
+  offers?: SaleOffer[];
   startDate?: string;
   endDate?: string;
   saleUrl: string;
@@ -52,3 +73,26 @@ export type SortOption =
   | 'discount-high-low'
   | 'date-old-new'
   | 'date-new-old';
+
+// Per-option counts from GET /sales, keyed by filter then option label
+export type SaleFacets = Record<keyof FilterOptions, Record<string, number>>;
+
+export interface SalesPage {
+  sales: Sale[];
+  total: number;
+  nextCursor: string | null;
+  facets: SaleFacets;
+}
+
+export interface SearchPick extends SalePick {
+  saleId: string;
+  brandName: string;
+}
+
+// GET /search; brands use the /companies shape
+export interface SearchResults<Brand = Record<string, any>> {
+  query: string;
+  sales: Sale[];
+  brands: Brand[];
+  picks: SearchPick[];
+}
@@ -0,0 +1,43 @@
+/**
+ * Rule-based pre-parse of sale emails (server/email-preparser.js)
+ * Usage: npm run test:unit
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { preparseSaleEmail } from '../server/email-preparser.js';
+
+// A Wednesday
+const now = new Date('2026-10-14T15:00:00Z');
+
+const endDateOf = (text) => preparseSaleEmail({ subject: '', text, now }).endDate;
+
+test('hour counts with end wording set an end date', () => {
+  assert.equal(endDateOf('30% off everything - 48 hours only'), '2026-10-16');
+  assert.equal(endDateOf('Take 30% off. Ends in 72 hours!'), '2026-10-17');
+  assert.equal(endDateOf('Only 24 hours left: 30% off sitewide'), '2026-10-15');
+  assert.equal(endDateOf('Our 48-hour flash sale: 30% off'), '2026-10-16');
+});
+
+test('hour counts without end wording are not an end date', () => {
+  assert.equal(endDateOf('Free shipping within 48 hours'), null);
+  assert.equal(endDateOf('30% off everything. Orders ship within 48 hours.'), null);
+  assert.equal(endDateOf('Returns accepted up to 72 hours after delivery'), null);
+});
+
+test('end dates from weekday and date phrases', () => {
+  assert.equal(endDateOf('30% off ends Sunday'), '2026-10-18');
+  assert.equal(endDateOf('30% off through Nov 30'), '2026-11-30');
+  assert.equal(endDateOf('30% off - today only'), '2026-10-14');
+});
+
+test('an end date alone is not a sale', () => {
+  const result = preparseSaleEmail({ subject: 'Your order', text: 'Ships within 48 hours. Ends Sunday.', now });
+  assert.equal(result.percentOff, null);
+  assert.equal(result.confidence, 0);
+});
+
+test('only http(s) links are picked as the sale link', () => {
+  const html = '<p>30% off</p><a href="javascript:alert(1)">Shop the sale</a><a href="https://brand.com/Sale?a=1&amp;b=2">Shop</a>';
+  assert.equal(preparseSaleEmail({ subject: '30% off', html, now }).saleUrl, 'https://brand.com/Sale?a=1&b=2');
+});
@@ -0,0 +1,221 @@
+#!/usr/bin/env node
+
+/**
+ * Offline Scraper Regression Runner
+ *
+ * Replays recorded page HTML, Google Shopping responses and OpenAI completions
+ * through the fast scraper, so extraction can be refactored without network.
+ *
+ * Usage:
+ *   node tests/run-scraper-fixtures.js                    Replay the committed fixtures (recorded catalog URLs and hand-written pages)
+ *   node tests/run-scraper-fixtures.js --record           Record fixtures (needs OPENAI_API_KEY, network)
+ *   node tests/run-scraper-fixtures.js --update-baseline  Accept current replay output as the new baseline
+ *   Add --filter <text> to limit to matching URLs, --verbose for scraper logs.
+ */
+
+import { scrapeProduct } from '../server/scrapers/fast-scraper.js';
+import { colors, loadTestCatalog, validateProduct, saveResults } from './scraper-test-helpers.js';
+import {
+  FIXTURES_DIR,
+  loadFixture,
+  listFixtures,
+  saveFixture,
+  createFixture,
+  createRecordingFetch,
+  createRecordingOpenAI,
+  createReplayFetch,
+  createReplayOpenAI,
+  baselineFromResult,
+  diffBaseline
+} from './scraper-fixtures.js';
+
+const args = process.argv.slice(2);
+const RECORD = args.includes('--record');
+const UPDATE_BASELINE = args.includes('--update-baseline');
+const VERBOSE = args.includes('--verbose');
+const FILTER = args.includes('--filter') ? args[args.indexOf('--filter') + 1] : null;
+
+const quietLogger = { log() {}, warn() {}, error() {} };
+const logger = VERBOSE ? console : quietLogger;
+
+// Brand auto-fill depends on the live companies list; tests always allow it
+const shouldAutofillBrand = () => true;
+
+async function recordFixture(test, openai) {
+  const scraperApiKey = process.env.SCRAPER_API_KEY;
+  const fixture = createFixture(test.url, { scraperApiKey });
+
+  const result = await scrapeProduct(test.url, {
+    openai: createRecordingOpenAI(fixture, openai),
+    scraperApiKey,
+    fetchImpl: createRecordingFetch(fixture),
+    enableTestMetadata: true,
+    logger,
+    shouldAutofillBrand
+  });
+
+  fixture.baseline = baselineFromResult(result);
+  saveFixture(fixture);
+  return { result, fixture };
+}
+
+async function replayFixture(test, fixture) {
+  const openai = createReplayOpenAI(fixture);
+
+  const result = await scrapeProduct(test.url, {
+    openai,
+    // Any non-empty key takes the Google Shopping branch; the request is replayed
+    scraperApiKey: fixture.scraperApiKey ? 'replay' : null,
+    fetchImpl: createReplayFetch(fixture),
+    enableTestMetadata: true,
+    logger,
+    shouldAutofillBrand
+  });
+
+  return { result, promptMismatches: openai.mismatches };
+}
+
+function printFailures(entry) {
+  if (entry.error) {
+    console.log(`    Error: ${entry.error}`);
+  }
+  for (const check of entry.validations.filter(v => !v.passed)) {
+    console.log(`    ${colors.red}✗${colors.reset} ${check.check}: expected ${check.expected}, got ${check.actual}`);
+  }
+  for (const diff of entry.diffs) {
+    console.log(`    ${colors.red}≠${colors.reset} ${diff.field}: baseline ${JSON.stringify(diff.expected)}, now ${JSON.stringify(diff.actual)}`);
+  }
+}
+
+async function runFixtures() {
+  console.log(`${colors.blue}╔════════════════════════════════════════╗${colors.reset}`);
+  console.log(`${colors.blue}║   Offline Scraper Regression Runner   ║${colors.reset}`);
+  console.log(`${colors.blue}╚════════════════════════════════════════╝${colors.reset}\n`);
+
+  const mode = RECORD ? 'record' : UPDATE_BASELINE ? 'update-baseline' : 'replay';
+  console.log(`Mode: ${mode}`);
+  console.log(`Fixtures: ${FIXTURES_DIR}\n`);
+
+  let openai = null;
+  if (RECORD) {
+    if (!process.env.OPENAI_API_KEY) {
+      console.error(`${colors.red}❌ Error: OPENAI_API_KEY environment variable not set${colors.reset}`);
+      process.exit(1);
+    }
+    const { default: OpenAI } = await import('openai');
+    openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+  }
+
+  const catalog = loadTestCatalog();
+  const catalogByUrl = new Map(catalog.map(test => [test.url, test]));
+
+  // Replays run what has a fixture: recorded catalog URLs with the catalog's
+  // checks, and hand-written pages with their own category and expectations.
+  // Catalog URLs that were never recorded aren't tested, so they aren't counted.
+  const fixtureTests = RECORD ? [] : listFixtures().map(fixture => catalogByUrl.has(fixture.url)
+    ? { ...catalogByUrl.get(fixture.url), recorded: true }
+    : {
+      url: fixture.url,
+      category: `${fixture.category || 'Fixtures'} (hand-written)`,
+      notes: fixture.notes,
+      ...fixture.expected,
+      recorded: false
+    });
+  const fixtureUrls = new Set(fixtureTests.map(test => test.url));
+  const unrecordedUrls = catalog.map(test => test.url)
+    .filter(url => !fixtureUrls.has(url) && (!FILTER || url.includes(FILTER)));
+
+  const tests = (RECORD ? catalog : fixtureTests).filter(test => !FILTER || test.url.includes(FILTER));
+
+  const results = [];
+  let passed = 0;
+  let failed = 0;
+
+  for (let i = 0; i < tests.length; i++) {
+    const test = tests[i];
+    const label = `[${i + 1}/${tests.length}] ${test.category}: ${test.url.substring(0, 60)}`;
+
+    let result;
+    let baseline = null;
+    let promptMismatches = 0;
+
+    if (RECORD) {
+      console.log(`${label}...`);
+      ({ result } = await recordFixture(test, openai));
+    } else {
+      const fixture = loadFixture(test.url);
+
+      console.log(`${label}...`);
+      ({ result, promptMismatches } = await replayFixture(test, fixture));
+      baseline = fixture.baseline;
+
+      if (UPDATE_BASELINE) {
+        fixture.baseline = baselineFromResult(result);
+        saveFixture(fixture);
+        baseline = fixture.baseline;
+      }
+    }
+
+    const current = baselineFromResult(result);
+    const entry = {
+      url: test.url,
+      category: test.category,
+      recorded: test.recorded ?? true,
+      phase: result.meta?.phase,
+      product: result.product || null,
+      error: result.success ? null : result.error,
+      validations: result.success ? validateProduct(result.product, test) : [],
+      diffs: diffBaseline(baseline, current),
+      promptMismatches
+    };
+    entry.passed = result.success && entry.validations.every(v => v.passed) && entry.diffs.length === 0;
+    results.push(entry);
+
+    if (entry.passed) {
+      passed++;
+      console.log(`  ${colors.green}✓ PASS${colors.reset} (${entry.phase || 'unknown'} phase, confidence: ${result.product?.confidence ?? 'N/A'}%)`);
+    } else {
+      failed++;
+      console.log(`  ${colors.red}✗ FAIL${colors.reset}`);
+      printFailures(entry);
+    }
+    if (promptMismatches > 0) {
+      console.log(`  ${colors.yellow}⚠️  ${promptMismatches} AI prompt(s) changed since recording - completions replayed in order${colors.reset}`);
+    }
+    console.log();
+  }
+
+  // Nothing replayed means nothing was tested, which must not pass
+  if (results.length === 0) {
+    console.log(`${colors.red}❌ No fixtures to replay${FILTER ? ` matching "${FILTER}"` : ''} in ${FIXTURES_DIR}. Run with --record (needs OPENAI_API_KEY and network) first.${colors.reset}\n`);
+    process.exit(1);
+  }
+
+  console.log(`${colors.blue}═══════════════════════════════════════${colors.reset}`);
+  console.log(`${colors.blue}           TEST SUMMARY                ${colors.reset}`);
+  console.log(`${colors.blue}═══════════════════════════════════════${colors.reset}\n`);
+
+  const recorded = results.filter(entry => entry.recorded).length;
+  console.log(`Total Tests: ${results.length} (${recorded} recorded catalog pages, ${results.length - recorded} hand-written pages)`);
+  console.log(`${colors.green}Passed: ${passed}${colors.reset}`);
+  console.log(`${colors.red}Failed: ${failed}${colors.reset}`);
+  if (!RECORD && unrecordedUrls.length > 0) {
+    console.log(`${colors.yellow}Not tested offline: ${unrecordedUrls.length} catalog URL(s) have no recording - run --record to cover them${colors.reset}`);
+  }
+  console.log();
+
+  const resultsPath = saveResults('fixture-results', {
+    mode,
+    summary: { total: results.length, recorded, handWritten: results.length - recorded, passed, failed },
+    unrecordedUrls: RECORD ? [] : unrecordedUrls,
+    results
+  });
+  console.log(`📊 Detailed results saved to: ${resultsPath}\n`);
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runFixtures().catch(error => {
+  console.error(`${colors.red}❌ Fatal error:${colors.reset}`, error);
+  process.exit(1);
+});
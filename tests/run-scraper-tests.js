@@ -7,32 +7,11 @@
  * Usage: node tests/run-scraper-tests.js
  */
 
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import { colors, loadTestCatalog, validateProduct, saveResults, TEST_CATALOG_PATH } from './scraper-test-helpers.js';
 
 // Configuration
 const BACKEND_URL = process.env.BACKEND_URL || 'http://localhost:3001';
 const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD;
-const TEST_CATALOG_PATH = path.join(__dirname, 'scraper-test-urls.json');
-const RESULTS_DIR = path.join(__dirname, 'results');
-
-// Ensure results directory exists
-if (!fs.existsSync(RESULTS_DIR)) {
-  fs.mkdirSync(RESULTS_DIR, { recursive: true });
-}
-
-// Colors for terminal output
-const colors = {
-  green: '\x1b[32m',
-  red: '\x1b[31m',
-  yellow: '\x1b[33m',
-  blue: '\x1b[34m',
-  reset: '\x1b[0m'
-};
 
 async function testProduct(url, expectedData, category) {
   try {
@@ -58,62 +37,7 @@ async function testProduct(url, expectedData, category) {
     }
 
     const { product, testMetadata } = result;
-    const validations = [];
-
-    // Validation 1: Product name contains expected substring
-    const nameMatch = !expectedData.expectedName || 
-                      product.name.toLowerCase().includes(expectedData.expectedName.toLowerCase());
-    validations.push({
-      check: 'Product name',
-      passed: nameMatch,
-      expected: expectedData.expectedName || 'any',
-      actual: product.name
-    });
-
-    // Validation 2: Image URL is valid and from expected host
-    const imageValid = product.imageUrl && product.imageUrl.startsWith('http');
-    const imageHostMatch = !expectedData.expectedImageHost || 
-                          product.imageUrl.includes(expectedData.expectedImageHost);
-    validations.push({
-      check: 'Image URL valid',
-      passed: imageValid,
-      expected: 'http(s)://...',
-      actual: product.imageUrl
-    });
-    validations.push({
-      check: 'Image host',
-      passed: imageHostMatch,
-      expected: expectedData.expectedImageHost || 'any',
-      actual: product.imageUrl
-    });
-
-    // Validation 3: Sale price exists and is valid
-    const priceValid = product.salePrice && product.salePrice > 0;
-    validations.push({
-      check: 'Sale price valid',
-      passed: priceValid,
-      expected: '> 0',
-      actual: product.salePrice
-    });
-
-    // Validation 4: Confidence meets minimum
-    const confidenceValid = product.confidence >= (expectedData.minConfidence || 50);
-    validations.push({
-      check: 'Confidence score',
-      passed: confidenceValid,
-      expected: `>= ${expectedData.minConfidence || 50}`,
-      actual: product.confidence
-    });
-
-    // Validation 5: Not a placeholder image
-    const placeholderDomains = ['example.com', 'placeholder.com', 'placehold.it'];
-    const notPlaceholder = !placeholderDomains.some(d => product.imageUrl.toLowerCase().includes(d));
-    validations.push({
-      check: 'Not placeholder image',
-      passed: notPlaceholder,
-      expected: 'real image',
-      actual: product.imageUrl
-    });
+    const validations = validateProduct(product, expectedData);
 
     const allPassed = validations.every(v => v.passed);
 
@@ -151,20 +75,7 @@ async function runTests() {
 
   // Load test catalog
   console.log(`📖 Loading test catalog from: ${TEST_CATALOG_PATH}`);
-  const catalogData = JSON.parse(fs.readFileSync(TEST_CATALOG_PATH, 'utf8'));
-  
-  // Extract all test URLs
-  const tests = [];
-  for (const categoryData of catalogData.testCatalog) {
-    for (const testCase of categoryData.urls) {
-      if (testCase.url && testCase.url.trim() !== '') {
-        tests.push({
-          ...testCase,
-          category: categoryData.category
-        });
-      }
-    }
-  }
+  const tests = loadTestCatalog();
 
   if (tests.length === 0) {
     console.log(`${colors.yellow}⚠️  No test URLs found in catalog. Please add URLs to ${TEST_CATALOG_PATH}${colors.reset}`);
@@ -251,15 +162,12 @@ async function runTests() {
   console.log();
 
   // Save detailed results
-  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-  const resultsPath = path.join(RESULTS_DIR, `test-results-${timestamp}.json`);
-  fs.writeFileSync(resultsPath, JSON.stringify({
-    timestamp: new Date().toISOString(),
+  const resultsPath = saveResults('test-results', {
     summary: { total: tests.length, passed, failed, passRate: parseFloat(passRate) },
     byCategory,
     phaseStats,
     results
-  }, null, 2));
+  });
 
   console.log(`📊 Detailed results saved to: ${resultsPath}\n`);
 
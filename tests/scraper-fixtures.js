@@ -0,0 +1,232 @@
+/**
+ * Recorded HTTP and OpenAI responses for offline scraper tests
+ *
+ * One JSON file per URL in tests/fixtures/scraper/ holding:
+ *   requests     fetchImpl responses keyed by URL (page HTML, Google Shopping via ScraperAPI)
+ *   completions  OpenAI chat completions keyed by a hash of the request messages
+ *   scraperApiKey  whether a ScraperAPI key was set, so replay takes the same branch
+ *   baseline     the product extracted when recorded (or last accepted with --update-baseline)
+ *
+ * Fixtures for URLs that aren't in the catalog (hand-written pages for one
+ * page shape, e.g. JSON-LD, meta tags or a department store) also carry the
+ * catalog fields themselves:
+ *   category, expected { expectedName, expectedImageHost, minConfidence }, notes
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'scraper');
+
+// Fields compared against the baseline
+export const BASELINE_FIELDS = [
+  'name', 'brand', 'imageUrl', 'salePrice', 'originalPrice', 'currency', 'availability', 'sizeAvailability'
+];
+
+function hash(value) {
+  return crypto.createHash('sha1').update(value).digest('hex').slice(0, 10);
+}
+
+// Secrets never end up in fixtures, and replayed requests match recorded ones
+function redactUrl(url) {
+  try {
+    const urlObj = new URL(url);
+    if (urlObj.searchParams.has('api_key')) {
+      urlObj.searchParams.set('api_key', 'REDACTED');
+    }
+    return urlObj.toString();
+  } catch (e) {
+    return url;
+  }
+}
+
+function completionKey(params) {
+  return hash(JSON.stringify({ model: params.model, messages: params.messages }));
+}
+
+export function fixturePath(url) {
+  const urlObj = new URL(url);
+  const slug = `${urlObj.hostname.replace(/^www\./, '')}${urlObj.pathname}`
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '')
+    .slice(0, 80);
+  return path.join(FIXTURES_DIR, `${slug}-${hash(url)}.json`);
+}
+
+export function loadFixture(url) {
+  const filePath = fixturePath(url);
+  if (!fs.existsSync(filePath)) return null;
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Every fixture on disk, in file name order
+ */
+export function listFixtures() {
+  if (!fs.existsSync(FIXTURES_DIR)) return [];
+
+  return fs.readdirSync(FIXTURES_DIR)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .map(file => JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf8')));
+}
+
+export function saveFixture(fixture) {
+  if (!fs.existsSync(FIXTURES_DIR)) {
+    fs.mkdirSync(FIXTURES_DIR, { recursive: true });
+  }
+  fs.writeFileSync(fixturePath(fixture.url), JSON.stringify(fixture, null, 2) + '\n');
+}
+
+export function createFixture(url, { scraperApiKey }) {
+  return {
+    url,
+    recordedAt: new Date().toISOString(),
+    scraperApiKey: !!scraperApiKey,
+    requests: {},
+    completions: [],
+    baseline: null
+  };
+}
+
+function replayResponse({ status, statusText, body }) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    statusText,
+    text: async () => body,
+    json: async () => JSON.parse(body)
+  };
+}
+
+// ============================================
+// RECORDING
+// ============================================
+
+/**
+ * fetchImpl that performs the real request and stores the response
+ * Retries overwrite earlier attempts for the same URL.
+ */
+export function createRecordingFetch(fixture, fetchImpl = fetch) {
+  return async (url, options = {}) => {
+    const response = await fetchImpl(url, options);
+    const recorded = {
+      status: response.status,
+      statusText: response.statusText,
+      body: await response.text()
+    };
+    fixture.requests[redactUrl(url)] = recorded;
+    return replayResponse(recorded);
+  };
+}
+
+/**
+ * OpenAI client wrapper that stores each chat completion's text
+ */
+export function createRecordingOpenAI(fixture, openai) {
+  return {
+    chat: {
+      completions: {
+        create: async (params) => {
+          const completion = await openai.chat.completions.create(params);
+          const key = completionKey(params);
+          const content = completion.choices[0].message.content;
+
+          const existing = fixture.completions.find(c => c.key === key);
+          if (existing) {
+            existing.content = content;
+          } else {
+            fixture.completions.push({ key, model: params.model, content });
+          }
+          return completion;
+        }
+      }
+    }
+  };
+}
+
+// ============================================
+// REPLAY
+// ============================================
+
+function missingFixtureError(message) {
+  const error = new Error(message);
+  // FATAL so the scraper doesn't back off and retry a request that can't succeed
+  error.errorType = 'FATAL';
+  return error;
+}
+
+export function createReplayFetch(fixture) {
+  return async (url) => {
+    const recorded = fixture.requests[redactUrl(url)];
+    if (!recorded) {
+      throw missingFixtureError(`No recorded response for ${redactUrl(url)}`);
+    }
+    return replayResponse(recorded);
+  };
+}
+
+/**
+ * OpenAI stub answering from recorded completions
+ * Matches on the request's messages; if a prompt changed since recording,
+ * falls back to the recorded completions in call order and notes it in
+ * `stub.mismatches` so the report can flag that the replay is approximate.
+ */
+export function createReplayOpenAI(fixture) {
+  let calls = 0;
+  const stub = {
+    mismatches: 0,
+    chat: {
+      completions: {
+        create: async (params) => {
+          const index = calls++;
+          let recorded = fixture.completions.find(c => c.key === completionKey(params));
+
+          if (!recorded) {
+            recorded = fixture.completions[index];
+            stub.mismatches++;
+          }
+          if (!recorded) {
+            throw missingFixtureError(`No recorded completion for call ${index + 1} (${params.model})`);
+          }
+
+          return { choices: [{ message: { role: 'assistant', content: recorded.content } }] };
+        }
+      }
+    }
+  };
+  return stub;
+}
+
+/**
+ * The product fields the report diffs, from a scrape result
+ */
+export function baselineFromResult(result) {
+  if (!result.success) {
+    return { success: false, error: result.error };
+  }
+
+  const baseline = { success: true, phase: result.meta?.phase || null };
+  for (const field of BASELINE_FIELDS) {
+    baseline[field] = result.product[field] ?? null;
+  }
+  return baseline;
+}
+
+/**
+ * Fields that differ between the recorded baseline and a replayed result
+ */
+export function diffBaseline(baseline, current) {
+  if (!baseline) return [];
+
+  const fields = baseline.success && current.success ? BASELINE_FIELDS : ['success', 'error'];
+  return fields
+    .filter(field => JSON.stringify(baseline[field] ?? null) !== JSON.stringify(current[field] ?? null))
+    .map(field => ({ field, expected: baseline[field] ?? null, actual: current[field] ?? null }));
+}
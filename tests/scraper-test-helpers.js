@@ -0,0 +1,121 @@
+/**
+ * Shared pieces of the live and offline scraper test runners
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const TEST_CATALOG_PATH = path.join(__dirname, 'scraper-test-urls.json');
+export const RESULTS_DIR = path.join(__dirname, 'results');
+
+// Colors for terminal output
+export const colors = {
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  reset: '\x1b[0m'
+};
+
+/**
+ * Every test case in the catalog that has a URL, tagged with its category
+ */
+export function loadTestCatalog() {
+  const catalogData = JSON.parse(fs.readFileSync(TEST_CATALOG_PATH, 'utf8'));
+
+  const tests = [];
+  for (const categoryData of catalogData.testCatalog) {
+    for (const testCase of categoryData.urls) {
+      if (testCase.url && testCase.url.trim() !== '') {
+        tests.push({
+          ...testCase,
+          category: categoryData.category
+        });
+      }
+    }
+  }
+  return tests;
+}
+
+/**
+ * Check a scraped product against the catalog's expectations
+ */
+export function validateProduct(product, expectedData) {
+  const validations = [];
+
+  // Validation 1: Product name contains expected substring
+  const nameMatch = !expectedData.expectedName ||
+                    (product.name || '').toLowerCase().includes(expectedData.expectedName.toLowerCase());
+  validations.push({
+    check: 'Product name',
+    passed: nameMatch,
+    expected: expectedData.expectedName || 'any',
+    actual: product.name
+  });
+
+  // Validation 2: Image URL is valid and from expected host
+  const imageUrl = product.imageUrl || '';
+  const imageValid = imageUrl.startsWith('http');
+  const imageHostMatch = !expectedData.expectedImageHost ||
+                        imageUrl.includes(expectedData.expectedImageHost);
+  validations.push({
+    check: 'Image URL valid',
+    passed: imageValid,
+    expected: 'http(s)://...',
+    actual: product.imageUrl
+  });
+  validations.push({
+    check: 'Image host',
+    passed: imageHostMatch,
+    expected: expectedData.expectedImageHost || 'any',
+    actual: product.imageUrl
+  });
+
+  // Validation 3: Sale price exists and is valid
+  const priceValid = !!product.salePrice && product.salePrice > 0;
+  validations.push({
+    check: 'Sale price valid',
+    passed: priceValid,
+    expected: '> 0',
+    actual: product.salePrice
+  });
+
+  // Validation 4: Confidence meets minimum
+  const confidenceValid = product.confidence >= (expectedData.minConfidence || 50);
+  validations.push({
+    check: 'Confidence score',
+    passed: confidenceValid,
+    expected: `>= ${expectedData.minConfidence || 50}`,
+    actual: product.confidence
+  });
+
+  // Validation 5: Not a placeholder image
+  const placeholderDomains = ['example.com', 'placeholder.com', 'placehold.it'];
+  const notPlaceholder = !placeholderDomains.some(d => imageUrl.toLowerCase().includes(d));
+  validations.push({
+    check: 'Not placeholder image',
+    passed: notPlaceholder,
+    expected: 'real image',
+    actual: product.imageUrl
+  });
+
+  return validations;
+}
+
+export function saveResults(prefix, data) {
+  if (!fs.existsSync(RESULTS_DIR)) {
+    fs.mkdirSync(RESULTS_DIR, { recursive: true });
+  }
+
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const resultsPath = path.join(RESULTS_DIR, `${prefix}-${timestamp}.json`);
+  fs.writeFileSync(resultsPath, JSON.stringify({
+    timestamp: new Date().toISOString(),
+    ...data
+  }, null, 2));
+  return resultsPath;
+}
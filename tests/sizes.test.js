@@ -0,0 +1,53 @@
+/**
+ * Size conversion and the per-size stock matrix (server/scrapers/sizes.js)
+ * Usage: npm run test:unit
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildSizeAvailability, convertSizeToUS, extractSizeAvailability, toUSSize } from '../server/scrapers/sizes.js';
+
+const usSizes = (labels, options) =>
+  Object.fromEntries(buildSizeAvailability(labels.map(size => ({ size, available: true })), options)
+    .map(entry => [entry.size, entry.usSize]));
+
+const jsonLdPage = (currency, sizes) => `<html lang="en"><script type="application/ld+json">${JSON.stringify({
+  '@type': 'Product',
+  offers: sizes.map(size => ({ size, price: 120, priceCurrency: currency, availability: 'https://schema.org/InStock' }))
+})}</script></html>`;
+
+test('US waist sizes are not read as EU sizes', () => {
+  const sizes = usSizes(['26', '27', '28', '29', '30', '31', '32', '33', '34']);
+  for (const waist of ['30', '31', '32', '33', '34']) {
+    assert.equal(sizes[waist], null, `waist ${waist}`);
+  }
+  assert.equal(sizes['26'], 26);
+});
+
+test('US waist sizes on a US page are not read as EU sizes', () => {
+  const matrix = extractSizeAvailability(jsonLdPage('USD', ['28', '30', '32', '34', '36']));
+  assert.deepEqual(matrix.map(entry => entry.usSize), [28, null, null, null, null]);
+});
+
+test('bare numbers on a European page are EU sizes', () => {
+  const matrix = extractSizeAvailability(jsonLdPage('EUR', ['30', '34', '36', '38', '40']));
+  assert.deepEqual(matrix.map(entry => entry.usSize), [null, 0, 2, 4, 6]);
+});
+
+test('a label set that can only be EU sizes is converted without a European page', () => {
+  assert.deepEqual(usSizes(['36', '38', '40', '42']), { 36: 2, 38: 4, 40: 6, 42: 8 });
+});
+
+test('labelled regional sizes convert anywhere', () => {
+  assert.equal(toUSSize('EU 34'), 0);
+  assert.equal(toUSSize('IT 42'), 6);
+  assert.equal(toUSSize('UK 12'), 8);
+  assert.equal(toUSSize('US 8'), 8);
+  assert.equal(toUSSize('M'), 8);
+});
+
+test('EU max sizes that map to US 0 convert', () => {
+  assert.equal(convertSizeToUS('EU 32'), 'Up to 0');
+  assert.equal(convertSizeToUS('34'), 'Up to 0');
+  assert.equal(convertSizeToUS('Up to 44'), 'Up to 10');
+});
@@ -10,9 +10,14 @@
  * 
  * Or provide email content via stdin:
  * cat email.txt | node analyze-rejection.js
+ * 
+ * False-rejection rate from rejections reviewed in the admin panel:
+ * node analyze-rejection.js --stats [weeks]
+ * (needs ADMIN_USERNAME and ADMIN_PASSWORD of an approver; API_URL defaults to http://localhost:3001)
  */
 
 import OpenAI from 'openai';
+import fetch from 'node-fetch';
 import fs from 'fs';
 
 const openai = new OpenAI({
@@ -252,11 +257,62 @@ function displayAnalysis(from, subject, body, aiResponse) {
   console.log('');
 }
 
+// Reviewed-rejection stats from the API
+async function displayReviewStats(weeks) {
+  const apiUrl = process.env.API_URL || 'http://localhost:3001';
+  
+  const authResponse = await fetch(`${apiUrl}/admin/auth`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username: process.env.ADMIN_USERNAME, password: process.env.ADMIN_PASSWORD })
+  });
+  const authData = await authResponse.json();
+  if (!authData.success) {
+    throw new Error(`Sign-in failed: ${authData.message}`);
+  }
+  
+  const response = await fetch(`${apiUrl}/rejected-emails/stats?weeks=${weeks}`, {
+    headers: { 'auth': authData.token }
+  });
+  const data = await response.json();
+  if (!data.success) {
+    throw new Error(data.message || `HTTP ${response.status}`);
+  }
+  
+  const percent = (rate) => `${Math.round(rate * 100)}%`;
+  const rateColor = (rate) => rate >= 0.2 ? colors.red : rate >= 0.05 ? colors.yellow : colors.green;
+  
+  console.log(`${colors.bright}📉 False Rejections (last ${weeks} weeks)${colors.reset}`);
+  console.log(`${colors.gray}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${colors.reset}`);
+  
+  if (data.weeks.length === 0) {
+    console.log(`${colors.dim}No reviewed rejections yet - review them under Add Sales in the admin panel${colors.reset}\n`);
+    return;
+  }
+  
+  for (const week of data.weeks) {
+    console.log(`Week of ${week.week}: ${rateColor(week.falseRejectionRate)}${percent(week.falseRejectionRate)}${colors.reset} ` +
+      `${colors.dim}(${week.falseRejections} of ${week.reviewed} reviewed were sales)${colors.reset}`);
+  }
+  
+  console.log(`\n${colors.bright}By rejection reason${colors.reset}`);
+  for (const category of data.categories) {
+    console.log(`  ${category.category}: ${rateColor(category.falseRejectionRate)}${percent(category.falseRejectionRate)}${colors.reset} ` +
+      `${colors.dim}(${category.falseRejections}/${category.reviewed})${colors.reset}`);
+  }
+  console.log('');
+}
+
 // Main
 async function main() {
   try {
     console.log(`${colors.cyan}📊 Email Rejection Analyzer${colors.reset}\n`);
     
+    if (process.argv[2] === '--stats') {
+      await displayReviewStats(parseInt(process.argv[3]) || 12);
+      return;
+    }
+    
     const emailContent = await readEmailContent();
     const { from, subject, body } = extractMetadata(emailContent);
     